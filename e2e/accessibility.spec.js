@@ -234,6 +234,38 @@ test.describe('Accessibility Tests', () => {
   });
 });
 
+test.describe('Ring Chart Accessibility', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.waitForSelector('.recharts-wrapper', { timeout: 10000 });
+  });
+
+  test('should offer the chart as a table', async ({ page }) => {
+    const table = page.getByRole('table', { name: 'Resources per theme and barrier' });
+    await expect(table).toHaveCount(1);
+    await expect(table.getByRole('columnheader')).toHaveText(['Theme', 'Barrier', 'Resources', 'Selected']);
+    expect(await table.getByRole('row').count()).toBeGreaterThan(1);
+  });
+
+  test('should be a single tab stop operated with the arrow keys', async ({ page }) => {
+    const ring = page.getByRole('group', { name: 'Themes and barriers' });
+    const themes = ring.getByRole('button', { name: /^Theme: / });
+    await expect(ring.locator('[tabindex="0"]')).toHaveCount(1);
+
+    await themes.first().focus();
+    await page.keyboard.press('ArrowRight');
+    await expect(themes.nth(1)).toBeFocused();
+    await expect(themes.nth(1)).toHaveAttribute('tabindex', '0');
+
+    await page.keyboard.press('Enter');
+    await expect(themes.nth(1)).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.getByRole('status').filter({ hasText: 'selected' })).toHaveText(/selected\. \d+ results?\./);
+
+    await page.keyboard.press('ArrowUp');
+    await expect(ring.getByRole('button', { name: /^Barrier: / }).and(page.locator(':focus'))).toHaveCount(1);
+  });
+});
+
 test.describe('Screen Reader Tests', () => {
   test('should have meaningful page title', async ({ page }) => {
     await page.goto('/');
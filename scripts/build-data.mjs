@@ -1,53 +1,113 @@
 // scripts/build-data.mjs
-import 'dotenv/config'; 
-import { parse } from 'csv-parse/sync';
+import 'dotenv/config';
 import fs from 'node:fs';
+import path from 'node:path';
 import fetch from 'node-fetch';
+import { createSource, loadTables, parseCsv } from './lib/sources.mjs';
+import { parseBuildArgs, readConfigFile, resolveSourceConfig, resolveDateLocale, describeSource } from './lib/config.mjs';
+import { validateTables, formatIssueTable, summarizeIssues } from './lib/validate.mjs';
+import { resolveColumns, mapRow } from './lib/columns.mjs';
+import { resolveTextCleaning, cleanResources, summarizeChanges } from './lib/text.mjs';
+import { resolveDedupe, findDuplicates, mergeDuplicates } from './lib/dedupe.mjs';
+import { buildSearchIndex } from '../src/utils/search.js';
+import { DEFAULT_SYNONYMS_FILE, buildSynonyms } from './lib/synonyms.mjs';
+import { DEFAULT_PERSONAS_FILE, buildPersonas } from './lib/personas.mjs';
+import { buildChangelogEntry, hasChanges, appendEntry, formatChangelogMarkdown } from './lib/changelog.mjs';
 
-const urls = {
-  resources: process.env.RESOURCES_CSV_URL,
-  barrierThemes: process.env.BARRIER_THEMES_CSV_URL,
-  barriers: process.env.BARRIERS_CSV_URL,
-};
+const readJson = (file, fallback) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback);
 
-if (!urls.resources || !urls.barrierThemes || !urls.barriers) {
-  console.error("Missing CSV env vars. Set RESOURCES_CSV_URL, BARRIER_THEMES_CSV_URL, BARRIERS_CSV_URL");
-  process.exit(1);
-}
+const main = async () => {
+  const options = parseBuildArgs(process.argv.slice(2));
+  const fileConfig = readConfigFile(options.config);
+  const sourceConfig = resolveSourceConfig(options, fileConfig, process.env);
+  const outDir = options.outDir || fileConfig.outDir || 'src/data';
+  const strict = options.strict ?? !!fileConfig.strict;
+  const columns = resolveColumns(fileConfig.columns);
+  const dateLocale = resolveDateLocale(options, fileConfig);
+  const textCleaning = resolveTextCleaning(fileConfig.textCleaning);
+  const dedupe = resolveDedupe(fileConfig.dedupe);
+  const reportDir = fileConfig.reportDir || 'build-reports';
 
-const csvToJson = async (url) => {
-  const text = await (await fetch(url)).text();
-  return parse(text, { columns: true, skip_empty_lines: true, bom: true });
-};
+  const source = createSource(sourceConfig, { fetch });
+  console.log(`📥 Loading data from ${describeSource(sourceConfig)}`);
+  const tables = await loadTables(source);
+  if (!tables.personas) {
+    console.log(`👥 No personas table in the source; reading ${DEFAULT_PERSONAS_FILE}`);
+    tables.personas = fs.existsSync(DEFAULT_PERSONAS_FILE) ? parseCsv(fs.readFileSync(DEFAULT_PERSONAS_FILE, 'utf8')) : [];
+  }
+  const { resources, barrierThemes, barriers } = tables;
+  const personas = buildPersonas(tables.personas);
 
-const splitPipes = (s) => (s ? s.split('|').map(v => v.trim()).filter(Boolean) : []);
+  const issues = validateTables(tables, { columns, dateLocale });
+  const { errors, warnings } = summarizeIssues(issues);
+  if (issues.length) {
+    console.log(`\n${formatIssueTable(issues)}\n`);
+    console.log(`⚠️  Validation: ${errors} error(s), ${warnings} warning(s)`);
+  } else {
+    console.log('✅ Validation passed');
+  }
+  if (strict && errors) {
+    throw new Error(`Validation failed with ${errors} error(s) in --strict mode; nothing was written`);
+  }
 
-const main = async () => {
-  const [resources, barrierThemes, barriers] = await Promise.all([
-    csvToJson(urls.resources),
-    csvToJson(urls.barrierThemes),
-    csvToJson(urls.barriers),
-  ]);
-
-  const normalizedResources = resources.map(r => ({
-    id: r.id,
-    title: r.title,
-    url: r.url,
-    date: r.date || '',
-    description: r.description || '',
-    personas: splitPipes(r.personas),
-    barriers: splitPipes(r.barriers),
-    barrier_category: r.barrier_theme,   // required field name in app
-    tags: splitPipes(r.tags),
-    publisher: r.publisher || '',
-    type: r.type || '',
-  }));
-
-  fs.mkdirSync('src/data', { recursive: true });
-  fs.writeFileSync('src/data/resources.json', JSON.stringify(normalizedResources, null, 2));
-  fs.writeFileSync('src/data/barrier_themes.json', JSON.stringify(barrierThemes, null, 2));
-  fs.writeFileSync('src/data/barriers.json', JSON.stringify(barriers, null, 2));
-  console.log('✅ Wrote src/data/*.json');
+  const cleaned = cleanResources(resources.map(r => mapRow(r, columns, { dateLocale })), textCleaning);
+  const ruleCounts = Object.entries(summarizeChanges(cleaned.changes)).map(([rule, n]) => `${rule} ${n}`).join(', ');
+  console.log(`🧹 Text cleaning: ${cleaned.changes.length} field(s) changed${ruleCounts ? ` (${ruleCounts})` : ''}`);
+
+  const duplicates = findDuplicates(cleaned.resources, dedupe);
+  const { resources: normalizedResources, merged } = mergeDuplicates(cleaned.resources, duplicates, dedupe.merge);
+  if (duplicates.exact.length || duplicates.near.length) {
+    console.log(`🔁 Duplicates: ${duplicates.exact.length} shared URL(s), ${duplicates.near.length} near-duplicate pair(s)`);
+    duplicates.exact.forEach(d => console.log(`   same URL    ${d.ids.join(', ')}`));
+    duplicates.near.forEach(d => console.log(`   similar     ${d.ids.join(', ')} (title ${d.title}, description ${d.description})`));
+    if (merged.length) {
+      console.log(`   merged ${merged.reduce((n, m) => n + m.mergedIds.length, 0)} resource(s) into ${merged.length} (merge: ${dedupe.merge})`);
+    }
+  }
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(path.join(reportDir, 'text-cleaning.json'), JSON.stringify(cleaned.changes, null, 2));
+  fs.writeFileSync(path.join(reportDir, 'duplicates.json'), JSON.stringify({ ...duplicates, merged }, null, 2));
+
+  const previous = {
+    resources: readJson(path.join(outDir, 'resources.json'), null),
+    barrierThemes: readJson(path.join(outDir, 'barrier_themes.json'), []),
+    barriers: readJson(path.join(outDir, 'barriers.json'), []),
+  };
+  const changelogFile = path.join(outDir, 'data-changelog.json');
+  let changelog = readJson(changelogFile, { entries: [] });
+  if (previous.resources) {
+    const entry = buildChangelogEntry(previous, { resources: normalizedResources, barrierThemes, barriers });
+    if (hasChanges(entry)) {
+      const { resourcesAdded, resourcesRemoved, resourcesModified } = entry.summary;
+      console.log(`📝 Data changes: ${resourcesAdded} added, ${resourcesRemoved} removed, ${resourcesModified} modified`);
+      changelog = appendEntry(changelog, entry, fileConfig.changelogLimit);
+    } else {
+      console.log('📝 Data changes: none since the last build');
+    }
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(changelogFile, JSON.stringify(changelog, null, 2));
+  fs.writeFileSync(path.join(outDir, 'data-changelog.md'), formatChangelogMarkdown(changelog));
+  fs.writeFileSync(path.join(outDir, 'resources.json'), JSON.stringify(normalizedResources, null, 2));
+  fs.writeFileSync(path.join(outDir, 'barrier_themes.json'), JSON.stringify(barrierThemes, null, 2));
+  fs.writeFileSync(path.join(outDir, 'barriers.json'), JSON.stringify(barriers, null, 2));
+  fs.writeFileSync(path.join(outDir, 'personas.json'), JSON.stringify(personas, null, 2));
+  console.log(`👥 Personas: ${personas.map(p => p.id).join(', ') || 'none'}`);
+  const searchIndex = buildSearchIndex(normalizedResources);
+  fs.writeFileSync(path.join(outDir, 'search-index.json'), JSON.stringify(searchIndex));
+  console.log(`🔎 Search index: ${searchIndex.terms.length} terms across ${searchIndex.ids.length} resources`);
+
+  const synonymsFile = fileConfig.synonyms || DEFAULT_SYNONYMS_FILE;
+  const synonyms = buildSynonyms(fs.existsSync(synonymsFile) ? parseCsv(fs.readFileSync(synonymsFile, 'utf8')) : []);
+  if (synonyms.issues.length) console.log(`\n${formatIssueTable(synonyms.issues)}\n`);
+  fs.writeFileSync(path.join(outDir, 'synonyms.json'), JSON.stringify({ groups: synonyms.groups }, null, 2));
+  console.log(`🔤 Synonyms: ${synonyms.groups.length} group(s) from ${synonymsFile}`);
+  console.log(`✅ Wrote ${outDir}/*.json`);
 };
 
-main();
\ No newline at end of file
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
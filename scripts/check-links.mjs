@@ -0,0 +1,62 @@
+// scripts/check-links.mjs
+// Check every resource URL in the built data and write link-health.json next to it.
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import fetch from 'node-fetch';
+import { readConfigFile } from './lib/config.mjs';
+import { DEFAULT_LINK_CHECK, checkLinks } from './lib/links.mjs';
+
+const ICONS = { ok: '✅', redirected: '↪️ ', unknown: '❔', broken: '❌', skipped: '⏭️ ' };
+
+const main = async () => {
+  const { values } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      config: { type: 'string' },
+      'data-dir': { type: 'string' },
+      concurrency: { type: 'string' },
+      retries: { type: 'string' },
+      timeout: { type: 'string' },
+    },
+    strict: true,
+  });
+  const fileConfig = readConfigFile(values.config);
+  const dataDir = values['data-dir'] || fileConfig.outDir || 'src/data';
+  const numberFlag = (name) => (values[name] === undefined ? undefined : Number(values[name]));
+  const settings = {
+    ...DEFAULT_LINK_CHECK,
+    ...fileConfig.linkCheck,
+    ...Object.fromEntries(Object.entries({
+      concurrency: numberFlag('concurrency'),
+      retries: numberFlag('retries'),
+      timeoutMs: numberFlag('timeout'),
+    }).filter(([, v]) => v !== undefined)),
+  };
+  for (const key of ['concurrency', 'retries', 'timeoutMs']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 0) throw new Error(`${key} must be a whole number (got ${settings[key]})`);
+  }
+
+  const resourcesFile = path.join(dataDir, 'resources.json');
+  if (!fs.existsSync(resourcesFile)) throw new Error(`${resourcesFile} not found; run build-data.mjs first`);
+  const resources = JSON.parse(fs.readFileSync(resourcesFile, 'utf8'));
+
+  console.log(`🔗 Checking ${resources.length} resource link(s), ${settings.concurrency} at a time`);
+  const health = await checkLinks(resources, {
+    ...settings,
+    fetch,
+    onResult: (r) => {
+      if (r.state !== 'ok') console.log(`${ICONS[r.state]} ${r.status ?? '---'} ${r.url}${r.error ? ` (${r.error})` : ''}`);
+    },
+  });
+
+  const outFile = path.join(dataDir, 'link-health.json');
+  fs.writeFileSync(outFile, JSON.stringify(health, null, 2));
+  const counts = Object.entries(health.summary).map(([state, n]) => `${state} ${n}`).join(', ');
+  console.log(`✅ Wrote ${outFile} (${counts})`);
+};
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
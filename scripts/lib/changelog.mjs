@@ -0,0 +1,166 @@
+// scripts/lib/changelog.mjs
+// Compare freshly built data with the previous src/data JSON and keep a short
+// history of what changed, for data-changelog.json and its Markdown summary.
+
+/** Number of builds kept in data-changelog.json */
+export const DEFAULT_HISTORY_LIMIT = 20;
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const byId = (rows = []) => new Map(rows.filter(r => r && r.id).map(r => [r.id, r]));
+
+const parentOf = (barrier) => barrier.themeId || barrier.categoryId || '';
+
+/**
+ * Field-level diff of two lists of records keyed by id
+ * @param {Array<Object>} previous - Records from the last build
+ * @param {Array<Object>} next - Records from this build
+ * @returns {{added: Array<Object>, removed: Array<Object>, modified: Array<Object>}}
+ *   added/removed are the records; modified is [{ id, record, changes: [{ field, before, after }] }]
+ */
+export const diffRecords = (previous, next) => {
+  const before = byId(previous);
+  const after = byId(next);
+  const added = [...after.values()].filter(r => !before.has(r.id));
+  const removed = [...before.values()].filter(r => !after.has(r.id));
+  const modified = [];
+
+  after.forEach((record, id) => {
+    const old = before.get(id);
+    if (!old) return;
+    const fields = [...new Set([...Object.keys(old), ...Object.keys(record)])];
+    const changes = fields
+      .filter(field => !same(old[field], record[field]))
+      .map(field => ({ field, before: old[field] ?? null, after: record[field] ?? null }));
+    if (changes.length) modified.push({ id, record, changes });
+  });
+
+  return { added, removed, modified };
+};
+
+const summarize = (record) => ({ id: record.id, title: record.title || record.name || record.id });
+
+/**
+ * Build one changelog entry from the previous and new tables
+ * @param {Object} previous - { resources, barriers, barrierThemes } from the last build
+ * @param {Object} next - The same tables from this build
+ * @param {string} generatedAt - ISO timestamp of the build
+ * @returns {Object} Entry with a summary, resources added/removed/modified and
+ *   barriers/themes added, removed, renamed and re-parented
+ */
+export const buildChangelogEntry = (previous, next, generatedAt = new Date().toISOString()) => {
+  const resources = diffRecords(previous.resources, next.resources);
+  const barriers = diffRecords(previous.barriers, next.barriers);
+  const themes = diffRecords(previous.barrierThemes, next.barrierThemes);
+
+  const renamed = ({ modified }) => modified
+    .filter(m => m.changes.some(c => c.field === 'name'))
+    .map(m => {
+      const change = m.changes.find(c => c.field === 'name');
+      return { id: m.id, from: change.before, to: change.after };
+    });
+  const prevBarriers = byId(previous.barriers);
+
+  const entry = {
+    generatedAt,
+    resources: {
+      added: resources.added.map(summarize),
+      removed: resources.removed.map(summarize),
+      modified: resources.modified.map(m => ({ ...summarize(m.record), changes: m.changes })),
+    },
+    barriers: {
+      added: barriers.added.map(summarize),
+      removed: barriers.removed.map(summarize),
+      renamed: renamed(barriers),
+      reparented: barriers.modified
+        .filter(m => parentOf(prevBarriers.get(m.id)) !== parentOf(m.record))
+        .map(m => ({ id: m.id, from: parentOf(prevBarriers.get(m.id)), to: parentOf(m.record) })),
+    },
+    barrierThemes: {
+      added: themes.added.map(summarize),
+      removed: themes.removed.map(summarize),
+      renamed: renamed(themes),
+    },
+  };
+
+  entry.summary = {
+    resourcesAdded: entry.resources.added.length,
+    resourcesRemoved: entry.resources.removed.length,
+    resourcesModified: entry.resources.modified.length,
+    barriersChanged: Object.values(entry.barriers).reduce((n, list) => n + list.length, 0),
+    themesChanged: Object.values(entry.barrierThemes).reduce((n, list) => n + list.length, 0),
+  };
+  return entry;
+};
+
+/**
+ * Whether an entry records any change at all
+ * @param {Object} entry - From buildChangelogEntry
+ * @returns {boolean}
+ */
+export const hasChanges = (entry) => Object.values(entry.summary).some(n => n > 0);
+
+/**
+ * Prepend an entry to the changelog history, dropping the oldest beyond the limit
+ * @param {Object|null} changelog - Existing data-changelog.json contents
+ * @param {Object} entry - New entry
+ * @param {number} limit - Entries to keep
+ * @returns {{entries: Array<Object>}}
+ */
+export const appendEntry = (changelog, entry, limit = DEFAULT_HISTORY_LIMIT) => ({
+  entries: [entry, ...(changelog?.entries || [])].slice(0, limit),
+});
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '(none)';
+  const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+  const short = text.length > 60 ? `${text.slice(0, 59)}…` : text;
+  return short ? `"${short}"` : '(empty)';
+};
+
+/**
+ * Render one changelog entry as a Markdown section
+ * @param {Object} entry - From buildChangelogEntry
+ * @returns {string}
+ */
+export const formatEntryMarkdown = (entry) => {
+  const { summary } = entry;
+  const lines = [
+    `## ${entry.generatedAt}`,
+    '',
+    `${summary.resourcesAdded} resource(s) added, ${summary.resourcesRemoved} removed, ${summary.resourcesModified} modified; `
+    + `${summary.barriersChanged} barrier change(s), ${summary.themesChanged} theme change(s).`,
+    '',
+  ];
+
+  const section = (title, items, render) => {
+    if (!items.length) return;
+    lines.push(`### ${title}`, '', ...items.map(render), '');
+  };
+
+  section('Resources added', entry.resources.added, r => `- ${r.title} (\`${r.id}\`)`);
+  section('Resources removed', entry.resources.removed, r => `- ${r.title} (\`${r.id}\`)`);
+  section('Resources modified', entry.resources.modified, r => [
+    `- ${r.title} (\`${r.id}\`)`,
+    ...r.changes.map(c => `  - ${c.field}: ${formatValue(c.before)} → ${formatValue(c.after)}`),
+  ].join('\n'));
+  section('Barriers added', entry.barriers.added, b => `- ${b.title} (\`${b.id}\`)`);
+  section('Barriers removed', entry.barriers.removed, b => `- ${b.title} (\`${b.id}\`)`);
+  section('Barriers renamed', entry.barriers.renamed, b => `- \`${b.id}\`: ${b.from} → ${b.to}`);
+  section('Barriers re-parented', entry.barriers.reparented, b => `- \`${b.id}\`: ${b.from} → ${b.to}`);
+  section('Themes added', entry.barrierThemes.added, t => `- ${t.title} (\`${t.id}\`)`);
+  section('Themes removed', entry.barrierThemes.removed, t => `- ${t.title} (\`${t.id}\`)`);
+  section('Themes renamed', entry.barrierThemes.renamed, t => `- \`${t.id}\`: ${t.from} → ${t.to}`);
+
+  return lines.join('\n').trimEnd();
+};
+
+/**
+ * Render the whole changelog history as Markdown, newest first
+ * @param {{entries: Array<Object>}} changelog - data-changelog.json contents
+ * @returns {string}
+ */
+export const formatChangelogMarkdown = (changelog) => [
+  '# Data changelog',
+  ...(changelog.entries.length ? changelog.entries.map(formatEntryMarkdown) : ['No data changes recorded yet.']),
+].join('\n\n') + '\n';
@@ -0,0 +1,126 @@
+// scripts/lib/columns.mjs
+// Column mapping for the resources table: which columns exist, how to convert
+// them and what field name they get in src/data/resources.json.
+import { parseDate, DEFAULT_DATE_LOCALE } from './dates.mjs';
+
+/**
+ * Default resources mapping, keyed by CSV column. `target` defaults to the
+ * column name. build-data.config.json `columns` entries are merged over these.
+ */
+export const DEFAULT_COLUMNS = {
+  id: { type: 'string' },
+  title: { type: 'string' },
+  url: { type: 'string' },
+  date: { type: 'date' },
+  description: { type: 'string' },
+  personas: { type: 'pipe-list' },
+  barriers: { type: 'pipe-list' },
+  barrier_theme: { type: 'string', target: 'barrier_category' }, // required field name in app
+  tags: { type: 'pipe-list' },
+  publisher: { type: 'string' },
+  type: { type: 'string' },
+  featured: { type: 'boolean' },
+};
+
+const TRUE_VALUES = new Set(['true', 'yes', 'y', '1', 'x', '✓']);
+const FALSE_VALUES = new Set(['', 'false', 'no', 'n', '0']);
+
+const splitPipes = (s) => (s ? s.split('|').map(v => v.trim()).filter(Boolean) : []);
+
+/** Converters from raw cell text, keyed by column type. `options` carries { dateLocale }. */
+export const CONVERTERS = {
+  string: (v) => (v == null ? '' : String(v).trim()),
+  'pipe-list': (v) => splitPipes(v == null ? '' : String(v)),
+  boolean: (v) => TRUE_VALUES.has(String(v ?? '').trim().toLowerCase()),
+  number: (v) => {
+    const s = String(v ?? '').trim();
+    if (!s) return null;
+    const n = Number(s);
+    return Number.isFinite(n) ? n : null;
+  },
+  // Unparseable dates keep their raw text; validation reports them
+  date: (v, { dateLocale } = {}) => {
+    const parsed = parseDate(v, { locale: dateLocale });
+    return parsed ? parsed.iso : CONVERTERS.string(v);
+  },
+};
+
+/**
+ * Merge configured column entries over the defaults and validate their types
+ * @param {Object} configured - `columns` from build-data.config.json
+ * @returns {Object} Mapping keyed by column with { type, target }
+ */
+export const resolveColumns = (configured = {}) => {
+  const merged = { ...DEFAULT_COLUMNS };
+  Object.entries(configured).forEach(([column, spec]) => {
+    merged[column] = { ...DEFAULT_COLUMNS[column], ...spec };
+  });
+  return Object.fromEntries(Object.entries(merged).map(([column, spec]) => {
+    const type = spec.type || 'string';
+    if (!CONVERTERS[type]) {
+      throw new Error(`Column "${column}" has unknown type "${type}". Expected one of: ${Object.keys(CONVERTERS).join(', ')}`);
+    }
+    return [column, { type, target: spec.target || column }];
+  }));
+};
+
+/**
+ * Convert one raw resource row. Declared columns are converted and renamed;
+ * any other column is carried through unchanged as a trimmed string. Date
+ * columns also get a `<target>_precision` field (day, month, year or '').
+ * @param {Object} row - Raw row keyed by CSV header
+ * @param {Object} columns - Mapping from resolveColumns
+ * @param {Object} options - { dateLocale }
+ * @returns {Object} Resource for src/data/resources.json
+ */
+export const mapRow = (row, columns, options = {}) => {
+  const out = {};
+  Object.entries(columns).forEach(([column, { type, target }]) => {
+    out[target] = CONVERTERS[type](row[column], options);
+    if (type === 'date') {
+      out[`${target}_precision`] = parseDate(row[column], { locale: options.dateLocale })?.precision || '';
+    }
+  });
+  Object.keys(row).forEach((column) => {
+    if (!column || columns[column]) return;
+    const target = column.trim();
+    if (target && !(target in out)) out[target] = CONVERTERS.string(row[column]);
+  });
+  return out;
+};
+
+/**
+ * Report cells that do not fit their declared type, in validateTables' issue shape.
+ * Ambiguous numeric dates (9/1/2025) are only flagged while `dateLocale` is unset.
+ * @param {Array<Object>} rows - Raw resource rows
+ * @param {Object} columns - Mapping from resolveColumns
+ * @param {Object} options - { dateLocale }
+ * @returns {Array<Object>} Issues
+ */
+export const checkColumnTypes = (rows, columns, { dateLocale } = {}) => {
+  const issues = [];
+  const locale = dateLocale || DEFAULT_DATE_LOCALE;
+  rows.forEach((row, i) => {
+    Object.entries(columns).forEach(([column, { type }]) => {
+      const raw = String(row[column] ?? '').trim();
+      if (!raw) return;
+      // Spreadsheet row: the header is row 1
+      const issue = { table: 'resources', row: i + 2, id: row.id || '', field: column };
+      if (type === 'number' && CONVERTERS.number(raw) === null) {
+        issues.push({ ...issue, severity: 'error', message: `"${raw}" is not a number` });
+      }
+      if (type === 'boolean' && !TRUE_VALUES.has(raw.toLowerCase()) && !FALSE_VALUES.has(raw.toLowerCase())) {
+        issues.push({ ...issue, severity: 'warning', message: `"${raw}" is not a recognised yes/no value; treated as false` });
+      }
+      if (type === 'date') {
+        const parsed = parseDate(raw, { locale });
+        if (!parsed) {
+          issues.push({ ...issue, severity: 'error', message: `Unrecognised date "${raw}"` });
+        } else if (parsed.ambiguous && !dateLocale) {
+          issues.push({ ...issue, severity: 'warning', message: `Ambiguous date "${raw}" read as ${parsed.iso} (${locale}); set "dateLocale" to confirm` });
+        }
+      }
+    });
+  });
+  return issues;
+};
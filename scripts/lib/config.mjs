@@ -0,0 +1,136 @@
+// scripts/lib/config.mjs
+// Command-line and config-file handling for build-data.mjs.
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { SOURCES, OPTIONAL_TABLES } from './sources.mjs';
+import { DATE_LOCALES } from './dates.mjs';
+
+export const DEFAULT_CONFIG_FILE = 'build-data.config.json';
+
+const ENV_URLS = {
+  resources: 'RESOURCES_CSV_URL',
+  barrierThemes: 'BARRIER_THEMES_CSV_URL',
+  barriers: 'BARRIERS_CSV_URL',
+  personas: 'PERSONAS_CSV_URL',
+};
+
+const REQUIRED_URLS = Object.keys(ENV_URLS).filter(t => !OPTIONAL_TABLES.includes(t));
+
+/**
+ * Parse build-data.mjs command-line flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+export const parseBuildArgs = (argv = []) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      source: { type: 'string' },
+      config: { type: 'string' },
+      path: { type: 'string' },
+      'out-dir': { type: 'string' },
+      strict: { type: 'boolean' },
+      'date-locale': { type: 'string' },
+    },
+    strict: true,
+  });
+  return {
+    source: values.source,
+    config: values.config,
+    path: values.path,
+    outDir: values['out-dir'],
+    strict: values.strict,
+    dateLocale: values['date-locale'],
+  };
+};
+
+/**
+ * Read the JSON config file. A missing default file is not an error; a missing
+ * file named explicitly with --config is.
+ * @param {string|undefined} file - Path given with --config
+ * @param {Object} deps - { fs, cwd }
+ * @returns {Object} Parsed config (empty object when absent)
+ */
+export const readConfigFile = (file, { fs: fsImpl = fs, cwd = '.' } = {}) => {
+  const target = path.resolve(cwd, file || DEFAULT_CONFIG_FILE);
+  if (!fsImpl.existsSync(target)) {
+    if (file) throw new Error(`Config file not found: ${target}`);
+    return {};
+  }
+  try {
+    return JSON.parse(fsImpl.readFileSync(target, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${target}: ${err.message}`);
+  }
+};
+
+/**
+ * Decide which source to use and with which settings.
+ * Precedence: --source flag, then `source` in the config file, then DATA_SOURCE,
+ * then "remote" when the CSV URL env vars of all required tables are set, otherwise "local".
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} fileConfig - Parsed config file
+ * @param {Object} env - Environment variables
+ * @returns {Object} Source config with a `type` key, ready for createSource
+ */
+export const resolveSourceConfig = (options = {}, fileConfig = {}, env = {}) => {
+  const envUrls = Object.fromEntries(
+    Object.entries(ENV_URLS).filter(([, key]) => env[key]).map(([table, key]) => [table, env[key]])
+  );
+  const hasAllEnvUrls = REQUIRED_URLS.every(t => envUrls[t]);
+  const type = options.source || fileConfig.source || env.DATA_SOURCE || (hasAllEnvUrls ? 'remote' : 'local');
+
+  if (!SOURCES[type]) {
+    throw new Error(`Unknown data source "${type}". Expected one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+
+  if (type === 'remote') {
+    const urls = { ...fileConfig.remote, ...envUrls };
+    const missing = REQUIRED_URLS.filter(t => !urls[t]);
+    if (missing.length) {
+      throw new Error(`Missing CSV URLs for ${missing.join(', ')}. Set ${missing.map(t => ENV_URLS[t]).join(', ')} or add them under "remote" in ${DEFAULT_CONFIG_FILE}`);
+    }
+    return { type, urls };
+  }
+
+  if (type === 'local') {
+    const local = fileConfig.local || {};
+    const { dir, ...paths } = local;
+    return { type, dir: options.path || dir || '.', paths: options.path ? {} : paths };
+  }
+
+  const workbook = fileConfig.workbook || {};
+  const file = options.path || workbook.path;
+  if (!file) {
+    throw new Error(`Workbook source needs a path to an .xlsx file. Pass --path or set "path" under "workbook" in ${DEFAULT_CONFIG_FILE}`);
+  }
+  return { type, path: file, sheets: workbook.sheets || {} };
+};
+
+/**
+ * Resolve the locale used to read numeric dates. Returns undefined when none is
+ * configured so that ambiguous dates are still reported.
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} fileConfig - Parsed config file
+ * @returns {string|undefined}
+ */
+export const resolveDateLocale = (options = {}, fileConfig = {}) => {
+  const locale = options.dateLocale || fileConfig.dateLocale;
+  if (locale && !DATE_LOCALES[locale]) {
+    throw new Error(`Unknown dateLocale "${locale}". Expected one of: ${Object.keys(DATE_LOCALES).join(', ')}`);
+  }
+  return locale;
+};
+
+/**
+ * One-line description of a resolved source for build logs
+ * @param {Object} config - Resolved source config
+ * @returns {string}
+ */
+export const describeSource = (config) => {
+  if (config.type === 'remote') return 'remote CSV URLs';
+  if (config.type === 'workbook') return `workbook ${config.path}`;
+  const paths = Object.values(config.paths || {});
+  return paths.length ? `local files (${paths.join(', ')})` : `local directory ${config.dir}`;
+};
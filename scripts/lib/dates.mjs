@@ -0,0 +1,77 @@
+// scripts/lib/dates.mjs
+// Parse the date formats editors type into spreadsheets and emit ISO 8601.
+
+/** Supported `dateLocale` values and the order they read numeric dates in */
+export const DATE_LOCALES = {
+  'en-US': 'MDY',
+  'en-GB': 'DMY',
+};
+
+export const DEFAULT_DATE_LOCALE = 'en-US';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Full names and their standard abbreviations ("Sep" and "Sept"), so "Marvel 2025" is not read as March
+const MONTH_NAMES = new Map(MONTHS.flatMap((name, i) => [[name, i + 1], [name.slice(0, 3), i + 1]]).concat([['sept', 9]]));
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const monthFromName = (name) => MONTH_NAMES.get(name.toLowerCase().replace(/\.$/, '')) ?? null;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const build = (year, month, day, ambiguous = false) => {
+  if (year < 1000 || year > 9999) return null;
+  if (month == null) return { iso: String(year), precision: 'year', ambiguous };
+  if (month < 1 || month > 12) return null;
+  if (day == null) return { iso: `${year}-${pad(month)}`, precision: 'month', ambiguous };
+  if (day < 1 || day > daysInMonth(year, month)) return null;
+  return { iso: `${year}-${pad(month)}-${pad(day)}`, precision: 'day', ambiguous };
+};
+
+/**
+ * Parse a date cell.
+ * Accepts ISO (2025-09-01, 2025-09, 2025), numeric day/month/year in the
+ * configured order (9/1/2025 or 1/9/2025), month-year (9/2025, Sep 2025,
+ * September 2025) and written dates (1 September 2025, September 1, 2025).
+ * @param {string} value - Raw cell text
+ * @param {Object} options - { locale } one of DATE_LOCALES
+ * @returns {{iso: string, precision: 'day'|'month'|'year', ambiguous: boolean}|null}
+ *   null for empty or unrecognised values. `ambiguous` marks numeric dates that
+ *   would also be valid with day and month swapped.
+ */
+export const parseDate = (value, { locale = DEFAULT_DATE_LOCALE } = {}) => {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  let m;
+
+  if ((m = s.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?(?:T[\d:.]+Z?)?$/))) {
+    return build(+m[1], m[2] && +m[2], m[3] && +m[3]);
+  }
+
+  if ((m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    const [a, b, year] = [+m[1], +m[2], +m[3]];
+    const dayFirst = (DATE_LOCALES[locale] || DATE_LOCALES[DEFAULT_DATE_LOCALE]) === 'DMY';
+    const [day, month] = dayFirst ? [a, b] : [b, a];
+    return build(year, month, day, a !== b && a <= 12 && b <= 12);
+  }
+
+  if ((m = s.match(/^(\d{1,2})[/.-](\d{4})$/))) return build(+m[2], +m[1]);
+
+  if ((m = s.match(/^([A-Za-z]+\.?)\s+(\d{4})$/))) {
+    const month = monthFromName(m[1]);
+    return month ? build(+m[2], month) : null;
+  }
+
+  if ((m = s.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]+\.?),?\s+(\d{4})$/))) {
+    const month = monthFromName(m[2]);
+    return month ? build(+m[3], month, +m[1]) : null;
+  }
+
+  if ((m = s.match(/^([A-Za-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/))) {
+    const month = monthFromName(m[1]);
+    return month ? build(+m[3], month, +m[2]) : null;
+  }
+
+  return null;
+};
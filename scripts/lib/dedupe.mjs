@@ -0,0 +1,210 @@
+// scripts/lib/dedupe.mjs
+// Duplicate detection for resources: exact duplicates share a canonical URL,
+// near-duplicates have very similar titles or descriptions. Exact (and, if
+// configured, near) duplicates can be merged into the first record.
+
+/** Default settings; `dedupe` in build-data.config.json is merged over these */
+export const DEFAULT_DEDUPE = {
+  merge: 'none', // 'none' | 'exact' | 'all'
+  titleThreshold: 0.9,
+  descriptionThreshold: 0.85,
+  minDescriptionLength: 40,
+};
+
+const MERGE_MODES = ['none', 'exact', 'all'];
+
+/** Query parameters that only track where a click came from */
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_hsenc|_hsmi|igshid|ref|ref_src|cmpid)$/i;
+
+/** Fields whose values are combined when duplicates are merged */
+const MERGE_FIELDS = ['personas', 'barriers', 'tags'];
+
+/**
+ * Merge configured dedupe settings over the defaults
+ * @param {Object} configured - `dedupe` from build-data.config.json
+ * @returns {Object}
+ */
+export const resolveDedupe = (configured = {}) => {
+  const settings = { ...DEFAULT_DEDUPE, ...configured };
+  if (!MERGE_MODES.includes(settings.merge)) {
+    throw new Error(`dedupe.merge must be one of ${MERGE_MODES.join(', ')} (got "${settings.merge}")`);
+  }
+  return settings;
+};
+
+/**
+ * Canonical form of a URL for duplicate matching: http and https, "www.",
+ * tracking parameters, fragments, parameter order and trailing slashes are ignored.
+ * @param {string} url
+ * @returns {string|null} Canonical URL, or null when it is not an http(s) URL
+ */
+export const canonicalizeUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url || '').trim());
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && !['80', '443'].includes(parsed.port) ? `:${parsed.port}` : '';
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  return `https://${host}${port}${pathname}${query}`;
+};
+
+const normalizeText = (s) => String(s || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const bigrams = (s) => {
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i += 1) {
+    const gram = s.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Normalized text and its bigrams, computed once per text compared
+const fingerprint = (s) => {
+  const text = normalizeText(s);
+  return { text, grams: bigrams(text) };
+};
+
+const dice = (x, y) => {
+  if (!x.text || !y.text) return 0;
+  if (x.text === y.text) return 1;
+  let shared = 0;
+  x.grams.forEach((count, gram) => { shared += Math.min(count, y.grams.get(gram) || 0); });
+  return (2 * shared) / (x.text.length - 1 + y.text.length - 1);
+};
+
+/**
+ * Dice coefficient over character bigrams, ignoring case, accents and punctuation
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing shared) to 1 (same text)
+ */
+export const similarity = (a, b) => dice(fingerprint(a), fingerprint(b));
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Find exact and near-duplicate resources
+ * @param {Array<Object>} resources - Mapped resources
+ * @param {Object} settings - Resolved settings from resolveDedupe
+ * @returns {{exact: Array<Object>, near: Array<Object>}} exact is [{ url, ids }] for
+ *   each canonical URL shared by several resources; near is [{ ids, title, description }]
+ *   for each pair of similar resources that do not already share a URL
+ */
+export const findDuplicates = (resources, settings = DEFAULT_DEDUPE) => {
+  const byUrl = new Map();
+  resources.forEach((r) => {
+    const url = canonicalizeUrl(r.url);
+    if (!url) return;
+    if (!byUrl.has(url)) byUrl.set(url, []);
+    byUrl.get(url).push(r.id);
+  });
+  const exact = [...byUrl.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([url, ids]) => ({ url, ids }));
+
+  const sameUrl = new Set(exact.flatMap(({ ids }) => ids.flatMap(a => ids.map(b => `${a}\u0000${b}`))));
+  const describable = (r) => String(r.description || '').length >= settings.minDescriptionLength;
+  const prints = resources.map(r => ({
+    title: fingerprint(r.title),
+    description: describable(r) ? fingerprint(r.description) : null,
+  }));
+  const near = [];
+  for (let i = 0; i < resources.length; i += 1) {
+    for (let j = i + 1; j < resources.length; j += 1) {
+      const a = resources[i];
+      const b = resources[j];
+      if (sameUrl.has(`${a.id}\u0000${b.id}`)) continue;
+      const title = dice(prints[i].title, prints[j].title);
+      const description = prints[i].description && prints[j].description
+        ? dice(prints[i].description, prints[j].description)
+        : 0;
+      if (title >= settings.titleThreshold || description >= settings.descriptionThreshold) {
+        near.push({ ids: [a.id, b.id], title: round(title), description: round(description) });
+      }
+    }
+  }
+
+  return { exact, near };
+};
+
+const union = (values) => [...new Set(values.flat().filter(Boolean))];
+
+/**
+ * Group ids that are linked, directly or through other duplicates
+ * @param {Array<Array<string>>} links - Lists of ids known to be duplicates
+ * @returns {Array<Array<string>>} Disjoint groups
+ */
+const groupLinked = (links) => {
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  links.forEach(([first, ...rest]) => rest.forEach((id) => parent.set(find(id), find(first))));
+  const groups = new Map();
+  [...parent.keys()].forEach((id) => {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Merge duplicates into the first record of each group, combining personas,
+ * barriers, tags and barrier themes and dropping the rest
+ * @param {Array<Object>} resources - Mapped resources
+ * @param {{exact: Array<Object>, near: Array<Object>}} duplicates - From findDuplicates
+ * @param {string} mode - 'none', 'exact' or 'all'
+ * @returns {{resources: Array<Object>, merged: Array<Object>}} Remaining resources and
+ *   [{ id, mergedIds }] for each record that absorbed others
+ */
+export const mergeDuplicates = (resources, duplicates, mode = 'none') => {
+  if (mode === 'none') return { resources, merged: [] };
+  const links = [
+    ...duplicates.exact.map(d => d.ids),
+    ...(mode === 'all' ? duplicates.near.map(d => d.ids) : []),
+  ];
+  const order = new Map(resources.map((r, i) => [r.id, i]));
+  const byId = new Map(resources.map(r => [r.id, r]));
+  const dropped = new Set();
+  const replacements = new Map();
+  const merged = [];
+
+  groupLinked(links).forEach((ids) => {
+    const [keepId, ...restIds] = ids.sort((a, b) => order.get(a) - order.get(b));
+    const group = ids.map(id => byId.get(id));
+    const keep = { ...byId.get(keepId) };
+    MERGE_FIELDS.forEach((field) => {
+      if (Array.isArray(keep[field])) keep[field] = union(group.map(r => r[field] || []));
+    });
+    if (typeof keep.barrier_category === 'string') {
+      keep.barrier_category = union(group.map(r => String(r.barrier_category || '').split('|').map(s => s.trim()))).join('|');
+    }
+    if (group.some(r => r.featured === true)) keep.featured = true;
+    replacements.set(keepId, keep);
+    restIds.forEach(id => dropped.add(id));
+    merged.push({ id: keepId, mergedIds: restIds });
+  });
+
+  return {
+    resources: resources.filter(r => !dropped.has(r.id)).map(r => replacements.get(r.id) || r),
+    merged,
+  };
+};
@@ -0,0 +1,149 @@
+// scripts/lib/links.mjs
+// Link-health checks for resource URLs. The fetch implementation is injected so
+// the checker can run against a local mock server (or a stub) in tests.
+
+/** Default settings; `linkCheck` in build-data.config.json is merged over these */
+export const DEFAULT_LINK_CHECK = {
+  concurrency: 5,
+  retries: 2,
+  timeoutMs: 10000,
+  maxRedirects: 5,
+  retryDelayMs: 500,
+};
+
+export const LINK_STATES = ['ok', 'redirected', 'unknown', 'broken', 'skipped'];
+
+const USER_AGENT = 'pdatf-toolkit-link-checker/1.0';
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+// Some servers reject HEAD outright; try GET before calling the link broken
+const HEAD_REJECTED = new Set([403, 405, 501]);
+// The server is up but will not tell us whether the page exists
+const UNVERIFIABLE = new Set([401, 403, 429]);
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const discardBody = (res) => {
+  const body = res && res.body;
+  if (!body) return;
+  if (typeof body.cancel === 'function') body.cancel().catch(() => {});
+  else if (typeof body.destroy === 'function') body.destroy();
+};
+
+/**
+ * Classify a finished check
+ * @param {number|null} status - Final HTTP status, or null after a network error
+ * @param {Array<Object>} redirects - Redirect hops followed
+ * @returns {string} One of LINK_STATES
+ */
+export const classifyStatus = (status, redirects = []) => {
+  if (status === null) return 'broken';
+  if (status >= 200 && status < 300) return redirects.length ? 'redirected' : 'ok';
+  if (UNVERIFIABLE.has(status)) return 'unknown';
+  return 'broken';
+};
+
+/**
+ * Check one URL: HEAD first (GET if HEAD is refused), following redirects by
+ * hand so every hop is recorded, and retrying network errors, 429 and 5xx.
+ * @param {string} url - URL to check
+ * @param {Object} options - Settings from DEFAULT_LINK_CHECK plus { fetch, sleep }
+ * @returns {Promise<Object>} { url, state, status, finalUrl, redirects, attempts, error }
+ */
+export const checkUrl = async (url, options = {}) => {
+  const { fetch, sleep = delay, retries, timeoutMs, maxRedirects, retryDelayMs } = { ...DEFAULT_LINK_CHECK, ...options };
+  if (!/^https?:\/\//i.test(String(url || ''))) {
+    return { url, state: 'skipped', status: null, finalUrl: null, redirects: [], attempts: 0, error: 'Not an http(s) URL' };
+  }
+
+  const follow = async (method) => {
+    const redirects = [];
+    let current = url;
+    for (;;) {
+      const res = await fetch(current, {
+        method,
+        redirect: 'manual',
+        headers: { 'user-agent': USER_AGENT },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      discardBody(res);
+      const location = res.headers.get('location');
+      if (!REDIRECT_STATUSES.has(res.status) || !location) return { status: res.status, finalUrl: current, redirects };
+      if (redirects.length >= maxRedirects) throw new Error(`More than ${maxRedirects} redirects`);
+      const next = new URL(location, current).href;
+      redirects.push({ url: current, status: res.status, location: next });
+      current = next;
+    }
+  };
+
+  let attempts = 0;
+  for (;;) {
+    attempts += 1;
+    try {
+      let result = await follow('HEAD');
+      if (HEAD_REJECTED.has(result.status)) result = await follow('GET');
+      if (isRetryable(result.status) && attempts <= retries) {
+        await sleep(retryDelayMs * 2 ** (attempts - 1));
+        continue;
+      }
+      return { url, state: classifyStatus(result.status, result.redirects), ...result, attempts, error: null };
+    } catch (err) {
+      if (attempts <= retries) {
+        await sleep(retryDelayMs * 2 ** (attempts - 1));
+        continue;
+      }
+      return { url, state: 'broken', status: null, finalUrl: null, redirects: [], attempts, error: err.message };
+    }
+  }
+};
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} Results in input order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+/**
+ * Check every resource URL, fetching each distinct URL once
+ * @param {Array<Object>} resources - Resources with id and url
+ * @param {Object} options - Settings from DEFAULT_LINK_CHECK plus { fetch, sleep, now, onResult }
+ * @returns {Promise<Object>} Link-health file contents: { generatedAt, summary, results }
+ *   where results maps resource id to its check
+ */
+export const checkLinks = async (resources, options = {}) => {
+  const settings = { ...DEFAULT_LINK_CHECK, ...options };
+  const { onResult = () => {}, now = () => new Date().toISOString() } = options;
+  const urls = [...new Set(resources.map(r => r.url))];
+  const checks = await mapWithConcurrency(urls, settings.concurrency, async (url) => {
+    const result = await checkUrl(url, settings);
+    onResult(result);
+    return result;
+  });
+  const byUrl = new Map(urls.map((url, i) => [url, checks[i]]));
+  const checkedAt = now();
+
+  const results = {};
+  resources.forEach((r) => {
+    results[r.id] = { ...byUrl.get(r.url), checkedAt };
+  });
+
+  const summary = Object.fromEntries(LINK_STATES.map(state => [state, 0]));
+  Object.values(results).forEach(({ state }) => { summary[state] += 1; });
+  return { generatedAt: checkedAt, summary, results };
+};
@@ -0,0 +1,26 @@
+// scripts/lib/personas.mjs
+// Personas: who a resource is for. The table has one row per persona with an
+// `id` (the value resources list in their personas column), a `label` for the
+// filter chip, an optional `description` shown as its tooltip, an optional
+// `icon` (an emoji) and an `order`. Sources may leave the table out, in which
+// case the build reads the committed data/personas.csv.
+
+/** Read when the data source has no personas table */
+export const DEFAULT_PERSONAS_FILE = 'data/personas.csv';
+
+/**
+ * Turn personas table rows into the records written to personas.json
+ * @param {Array<Object>} rows - Rows with id, label, description, icon and order
+ * @returns {Array<{id: string, label: string, description: string, icon: string, order: number|null}>}
+ *   Rows with an id, sorted by order (unordered last) and then by label
+ */
+export const buildPersonas = (rows) => rows
+  .filter(r => String(r.id || '').trim())
+  .map(r => ({
+    id: r.id.trim(),
+    label: String(r.label || '').trim() || r.id.trim(),
+    description: String(r.description || '').trim(),
+    icon: String(r.icon || '').trim(),
+    order: String(r.order ?? '').trim() && Number.isFinite(Number(r.order)) ? Number(r.order) : null,
+  }))
+  .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.label.localeCompare(b.label));
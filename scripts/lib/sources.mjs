@@ -0,0 +1,191 @@
+// scripts/lib/sources.mjs
+// Pluggable data sources for build-data.mjs. Every source exposes `load(table)`
+// and resolves to an array of row objects keyed by CSV header.
+import { parse } from 'csv-parse/sync';
+import fs from 'node:fs';
+import path from 'node:path';
+
+/** Tables the build reads, in load order */
+export const TABLES = ['resources', 'barrierThemes', 'barriers', 'personas'];
+
+/**
+ * Tables a source may leave out. Loading one that is not configured or not
+ * found resolves to null, and build-data.mjs falls back to the committed file.
+ */
+export const OPTIONAL_TABLES = ['personas'];
+
+const isOptional = (table) => OPTIONAL_TABLES.includes(table);
+
+/** File names looked up when a local source points at a directory */
+export const DEFAULT_FILENAMES = {
+  resources: 'resources.csv',
+  barrierThemes: 'barrier_themes.csv',
+  barriers: 'barriers.csv',
+  personas: 'personas.csv',
+};
+
+/** Sheet names looked up in a workbook source */
+export const DEFAULT_SHEETS = {
+  resources: 'resources',
+  barrierThemes: 'barrier_themes',
+  barriers: 'barriers',
+  personas: 'personas',
+};
+
+/**
+ * Parse CSV text into row objects
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Rows keyed by column name
+ */
+export const parseCsv = (text) => parse(text, { columns: true, skip_empty_lines: true, bom: true });
+
+/**
+ * Remote source: fetches one published CSV URL per table
+ * @param {Object} config - { urls: { resources, barrierThemes, barriers, personas } }
+ * @param {Object} deps - { fetch }
+ */
+export const createRemoteSource = ({ urls = {} }, { fetch } = {}) => ({
+  name: 'remote',
+  async load(table) {
+    const url = urls[table];
+    if (!url && isOptional(table)) return null;
+    if (!url) throw new Error(`No URL configured for table "${table}"`);
+    const res = await fetch(url);
+    if (res.ok === false) throw new Error(`Failed to fetch ${url}: HTTP ${res.status}`);
+    return parseCsv(await res.text());
+  },
+});
+
+/**
+ * Local source: reads CSV files from disk. A table path may be a single file
+ * or a directory, in which case every *.csv inside is read in name order and
+ * the rows concatenated. `dir` itself must be a directory, since one file
+ * cannot hold every table.
+ * @param {Object} config - { dir, paths: { resources, barrierThemes, barriers, personas } }
+ * @param {Object} deps - { fs }
+ */
+export const createLocalSource = ({ dir = '.', paths = {} }, { fs: fsImpl = fs } = {}) => {
+  const root = path.resolve(dir);
+  if (fsImpl.existsSync(root) && !fsImpl.statSync(root).isDirectory()) {
+    throw new Error(`Local source path must be a directory of CSV files, not a file: ${root}. Name per-table files under "local" in build-data.config.json, or use --source workbook for an .xlsx file`);
+  }
+  const readCsvFile = (file) => parseCsv(fsImpl.readFileSync(file, 'utf8'));
+
+  return {
+    name: 'local',
+    async load(table) {
+      const target = paths[table] ? path.resolve(dir, paths[table]) : path.resolve(dir, DEFAULT_FILENAMES[table]);
+      if (!fsImpl.existsSync(target) && isOptional(table)) return null;
+      if (!fsImpl.existsSync(target)) throw new Error(`Local ${table} file not found: ${target}`);
+      if (!fsImpl.statSync(target).isDirectory()) return readCsvFile(target);
+
+      const files = fsImpl.readdirSync(target).filter(f => f.toLowerCase().endsWith('.csv')).sort();
+      if (!files.length) throw new Error(`No .csv files in ${target}`);
+      return files.flatMap(f => readCsvFile(path.join(target, f)));
+    },
+  };
+};
+
+/**
+ * Convert an exceljs cell value to the string csv-parse would have produced
+ * @param {*} value - Raw cell value (primitive, Date, hyperlink, rich text or formula)
+ * @returns {string}
+ */
+export const cellText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value).trim();
+  if (Array.isArray(value.richText)) return value.richText.map(r => r.text).join('').trim();
+  if ('result' in value) return cellText(value.result);
+  if ('text' in value) return cellText(value.text);
+  return '';
+};
+
+/**
+ * Convert a worksheet to row objects using its first row as the header
+ * @param {Object} sheet - exceljs worksheet
+ * @returns {Array<Object>}
+ */
+export const sheetToRows = (sheet) => {
+  const header = [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) {
+      row.eachCell({ includeEmpty: true }, (cell, col) => { header[col] = cellText(cell.value); });
+      return;
+    }
+    const obj = {};
+    header.forEach((key, col) => { if (key) obj[key] = cellText(row.getCell(col).value); });
+    if (Object.values(obj).some(Boolean)) rows.push(obj);
+  });
+  return rows;
+};
+
+/**
+ * Workbook source: reads an .xlsx file with one sheet per table
+ * @param {Object} config - { path, sheets: { resources, barrierThemes, barriers, personas } }
+ * @param {Object} deps - { loadWorkbook } optional override returning an exceljs Workbook
+ */
+export const createWorkbookSource = ({ path: file, sheets = {} }, { loadWorkbook } = {}) => {
+  if (!file) throw new Error('Workbook source needs a path to an .xlsx file');
+  let workbook;
+
+  const open = async () => {
+    if (!workbook) {
+      workbook = loadWorkbook
+        ? loadWorkbook(file)
+        : import('exceljs').then(async ({ default: ExcelJS }) => {
+          const wb = new ExcelJS.Workbook();
+          await wb.xlsx.readFile(file);
+          return wb;
+        });
+    }
+    return workbook;
+  };
+
+  return {
+    name: 'workbook',
+    async load(table) {
+      const wb = await open();
+      const wanted = (sheets[table] || DEFAULT_SHEETS[table]).toLowerCase();
+      const sheet = wb.worksheets.find(ws => ws.name.trim().toLowerCase() === wanted);
+      if (!sheet && isOptional(table)) return null;
+      if (!sheet) {
+        const names = wb.worksheets.map(ws => ws.name).join(', ');
+        throw new Error(`Sheet "${wanted}" for table "${table}" not found in ${file} (sheets: ${names})`);
+      }
+      return sheetToRows(sheet);
+    },
+  };
+};
+
+/** Registered source factories, keyed by the `--source` name */
+export const SOURCES = {
+  remote: createRemoteSource,
+  local: createLocalSource,
+  workbook: createWorkbookSource,
+};
+
+/**
+ * Instantiate the source described by a resolved config
+ * @param {Object} config - Resolved source config with a `type` key
+ * @param {Object} deps - Injected dependencies (fetch, fs, loadWorkbook)
+ */
+export const createSource = (config, deps = {}) => {
+  const factory = SOURCES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown data source "${config.type}". Expected one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return factory(config, deps);
+};
+
+/**
+ * Load every table from a source
+ * @param {Object} source - Source created by createSource
+ * @returns {Promise<Object>} { resources, barrierThemes, barriers, personas }; an optional table the
+ *   source does not have is null
+ */
+export const loadTables = async (source) => {
+  const entries = await Promise.all(TABLES.map(async (t) => [t, await source.load(t)]));
+  return Object.fromEntries(entries);
+};
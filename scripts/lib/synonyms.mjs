@@ -0,0 +1,44 @@
+// scripts/lib/synonyms.mjs
+// Search synonyms, maintained by hand in data/synonyms.csv: one row per group of
+// equivalent terms in a pipe-separated `terms` column (e.g. "BIM|building
+// information modelling"), plus an optional `note`. The build checks the groups
+// and writes them to synonyms.json for the app.
+import { normalizePhrase } from '../../src/utils/search.js';
+
+/** Where the synonyms file lives unless `synonyms` in build-data.config.json says otherwise */
+export const DEFAULT_SYNONYMS_FILE = 'data/synonyms.csv';
+
+/**
+ * Turn synonyms.csv rows into term groups
+ * @param {Array<Object>} rows - Parsed CSV rows with `terms`
+ * @returns {{groups: Array<Array<string>>, issues: Array<Object>}} issues use the
+ *   validate.mjs shape ({ severity, table, row, id, field, message })
+ */
+export const buildSynonyms = (rows) => {
+  const groups = [];
+  const issues = [];
+  const firstRow = new Map();
+  const warn = (row, message) => issues.push({ severity: 'warning', table: 'synonyms', row, id: '', field: 'terms', message });
+
+  rows.forEach((raw, index) => {
+    const row = index + 2;
+    const terms = [];
+    String(raw.terms || '').split('|').map(t => t.trim().replace(/\s+/g, ' ')).forEach((term) => {
+      const key = normalizePhrase(term);
+      if (!key || terms.some(t => normalizePhrase(t) === key)) return;
+      terms.push(term);
+    });
+    if (terms.length < 2) {
+      warn(row, 'A synonym group needs at least two terms separated by |');
+      return;
+    }
+    terms.forEach((term) => {
+      const key = normalizePhrase(term);
+      if (firstRow.has(key)) warn(row, `"${term}" is also in row ${firstRow.get(key)}; both groups will apply`);
+      else firstRow.set(key, row);
+    });
+    groups.push(terms);
+  });
+
+  return { groups, issues };
+};
@@ -0,0 +1,133 @@
+// scripts/lib/text.mjs
+// Text cleaning for resource titles and descriptions: strips citation artefacts
+// left by research tools, tidies whitespace, quotes and dashes, and reduces any
+// markup to a safe Markdown subset (links, emphasis, lists) or to plain text.
+
+/** Default cleaning settings; `textCleaning` in build-data.config.json is merged over these */
+export const DEFAULT_TEXT_CLEANING = {
+  fields: ['title', 'description'],
+  rules: {
+    citations: true,
+    whitespace: true,
+    quotes: true,
+    dashes: true,
+  },
+  markdown: false,
+};
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Individual rules. Each takes and returns a string; order matters, so
+ * citations go first and whitespace last.
+ */
+export const RULES = {
+  // 【263830693408424†L129-L164】, 【12†source】 and bare numeric footnotes such as [3] or [3, 4]
+  citations: (s) => s
+    .replace(/\s*【[^】]*】/g, '')
+    .replace(/\s*\[\d+(?:\s*[,–-]\s*\d+)*\](?!\()/g, ''),
+
+  quotes: (s) => s
+    .replace(/[‘’‚‛]/g, "'")
+    .replace(/[“”„‟]/g, '"'),
+
+  // Non-standard hyphens become "-"; a dash used as a sentence break becomes a spaced en dash
+  dashes: (s) => s
+    .replace(/[‐‑‒−]/g, '-')
+    .replace(/(\S)[ \t]+(?:-{1,2}|–|—)[ \t]+(?=\S)/g, '$1 – ')
+    .replace(/(\w)—(?=\w)/g, '$1 – '),
+
+  whitespace: (s) => s
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ +([,.;:!?)])/g, '$1')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim(),
+};
+
+const RULE_ORDER = ['citations', 'quotes', 'dashes', 'whitespace'];
+
+/**
+ * Reduce markup to the safe Markdown subset: HTML tags are removed and links
+ * to anything but http(s) or mailto keep only their text.
+ * @param {string} s
+ * @returns {string}
+ */
+export const sanitizeMarkdown = (s) => s
+  .replace(/<\/?[a-z][^>]*>/gi, '')
+  .replace(/\[([^\]]*)\]\(([^)\s]*)\)/g, (m, text, url) => (SAFE_URL.test(url) ? m : text));
+
+/**
+ * Strip Markdown syntax, keeping link text and list items as plain lines
+ * @param {string} s
+ * @returns {string}
+ */
+export const stripMarkdown = (s) => sanitizeMarkdown(s)
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+  .replace(/(^|[^\w*])([*_])(?=\S)(.+?)(?<=\S)\2(?!\w)/g, '$1$3');
+
+/**
+ * Merge configured cleaning settings over the defaults
+ * @param {Object} configured - `textCleaning` from build-data.config.json
+ * @returns {Object}
+ */
+export const resolveTextCleaning = (configured = {}) => ({
+  ...DEFAULT_TEXT_CLEANING,
+  ...configured,
+  rules: { ...DEFAULT_TEXT_CLEANING.rules, ...configured.rules },
+});
+
+/**
+ * Clean one string
+ * @param {string} value - Raw text
+ * @param {Object} settings - Resolved settings from resolveTextCleaning
+ * @returns {{text: string, applied: Array<string>}} Cleaned text and the rules that changed it
+ */
+export const cleanText = (value, settings = DEFAULT_TEXT_CLEANING) => {
+  let text = String(value ?? '');
+  const applied = [];
+  const step = (name, fn) => {
+    const next = fn(text);
+    if (next !== text) applied.push(name);
+    text = next;
+  };
+
+  step(settings.markdown ? 'markdown' : 'plain-text', settings.markdown ? sanitizeMarkdown : stripMarkdown);
+  RULE_ORDER.filter(name => settings.rules[name]).forEach(name => step(name, RULES[name]));
+  return { text, applied };
+};
+
+/**
+ * Clean the configured fields of every resource
+ * @param {Array<Object>} resources - Mapped resources
+ * @param {Object} settings - Resolved settings from resolveTextCleaning
+ * @returns {{resources: Array<Object>, changes: Array<Object>}} Cleaned copies and a
+ *   change log of { id, field, rules, before, after }
+ */
+export const cleanResources = (resources, settings = DEFAULT_TEXT_CLEANING) => {
+  const changes = [];
+  const cleaned = resources.map((r) => {
+    const out = { ...r };
+    settings.fields.forEach((field) => {
+      if (typeof r[field] !== 'string') return;
+      const { text, applied } = cleanText(r[field], settings);
+      if (!applied.length) return;
+      out[field] = text;
+      changes.push({ id: r.id, field, rules: applied, before: r[field], after: text });
+    });
+    return out;
+  });
+  return { resources: cleaned, changes };
+};
+
+/**
+ * Count changes per rule for the build log
+ * @param {Array<Object>} changes - From cleanResources
+ * @returns {Object} e.g. { citations: 12, whitespace: 40 }
+ */
+export const summarizeChanges = (changes) => changes.reduce((acc, c) => {
+  c.rules.forEach((rule) => { acc[rule] = (acc[rule] || 0) + 1; });
+  return acc;
+}, {});
@@ -0,0 +1,163 @@
+// scripts/lib/validate.mjs
+// Schema and referential checks for the raw tables read by build-data.mjs.
+import { checkColumnTypes, resolveColumns } from './columns.mjs';
+import { parseDate } from './dates.mjs';
+
+/** Columns every row of each table must provide */
+export const REQUIRED_COLUMNS = {
+  resources: ['id', 'title', 'url', 'barriers', 'barrier_theme'],
+  barrierThemes: ['id', 'name'],
+  barriers: ['id', 'name'],
+  personas: ['id', 'label'],
+};
+
+const splitPipes = (s) => (s ? s.split('|').map(v => v.trim()).filter(Boolean) : []);
+
+// The app accepts `categoryId` as an older name for a barrier's theme
+const themeOf = (b) => b.themeId || b.categoryId || '';
+
+/**
+ * Spreadsheet row number for a data row (row 1 is the header)
+ * @param {number} index - Zero-based index into the parsed rows
+ * @returns {number}
+ */
+export const sheetRow = (index) => index + 2;
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidUrl = (value) => {
+  try {
+    const u = new URL(value);
+    return (u.protocol === 'http:' || u.protocol === 'https:') && !!u.hostname;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check whether a date string is in one of the formats parseDate understands
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isValidDate = (value) => parseDate(value) !== null;
+
+/**
+ * Validate the raw tables.
+ * @param {Object} tables - { resources, barrierThemes, barriers, personas } as returned by loadTables.
+ *   Resource personas are only checked when a personas table is given.
+ * @param {Object} options - { columns, dateLocale }: resolved column mapping to type-check
+ *   resources against (defaults to the built-in mapping) and the configured date locale
+ * @returns {Array<Object>} Issues: { severity, table, row, id, field, message }
+ */
+export const validateTables = ({ resources = [], barrierThemes = [], barriers = [], personas = null }, { columns = resolveColumns(), dateLocale } = {}) => {
+  const issues = checkColumnTypes(resources, columns, { dateLocale });
+  const add = (severity, table, index, row, field, message) =>
+    issues.push({ severity, table, row: index == null ? null : sheetRow(index), id: row?.id || '', field, message });
+
+  // Missing columns are reported once per table rather than once per row
+  const missingColumns = {};
+  Object.entries({ resources, barrierThemes, barriers, personas: personas || [] }).forEach(([table, rows]) => {
+    const present = new Set(rows.flatMap(r => Object.keys(r)));
+    missingColumns[table] = REQUIRED_COLUMNS[table].filter(c => rows.length && !present.has(c));
+    missingColumns[table].forEach(c => add('error', table, null, null, c, `Missing required column "${c}"`));
+  });
+
+  const checkRequiredAndDuplicates = (table, rows) => {
+    const seen = new Map();
+    rows.forEach((r, i) => {
+      REQUIRED_COLUMNS[table]
+        .filter(c => !missingColumns[table].includes(c) && !String(r[c] ?? '').trim())
+        .forEach(c => add('error', table, i, r, c, `Required value "${c}" is empty`));
+      if (!r.id) return;
+      if (seen.has(r.id)) {
+        add('error', table, i, r, 'id', `Duplicate id (first seen on row ${sheetRow(seen.get(r.id))})`);
+      } else {
+        seen.set(r.id, i);
+      }
+    });
+  };
+
+  checkRequiredAndDuplicates('barrierThemes', barrierThemes);
+  checkRequiredAndDuplicates('barriers', barriers);
+  checkRequiredAndDuplicates('personas', personas || []);
+  checkRequiredAndDuplicates('resources', resources);
+
+  const themeIds = new Set(barrierThemes.map(t => t.id).filter(Boolean));
+  const barrierThemeById = new Map(barriers.filter(b => b.id).map(b => [b.id, themeOf(b)]));
+  const personaIds = personas && new Set(personas.map(p => p.id).filter(Boolean));
+
+  (personas || []).forEach((p, i) => {
+    if (String(p.order ?? '').trim() && !Number.isFinite(Number(p.order))) {
+      add('warning', 'personas', i, p, 'order', `Order "${p.order}" is not a number; the persona will be listed last`);
+    }
+  });
+
+  barriers.forEach((b, i) => {
+    const themeId = themeOf(b);
+    if (!themeId) {
+      add('error', 'barriers', i, b, 'themeId', 'Required value "themeId" is empty');
+    } else if (!themeIds.has(themeId)) {
+      add('error', 'barriers', i, b, 'themeId', `Unknown theme "${themeId}"`);
+    }
+    if (b.id && themeId && !b.id.startsWith(`${themeId}.`)) {
+      add('warning', 'barriers', i, b, 'id', `Id prefix does not match theme "${themeId}"`);
+    }
+  });
+
+  resources.forEach((r, i) => {
+    if (r.url && !isValidUrl(r.url)) add('error', 'resources', i, r, 'url', `Invalid URL "${r.url}"`);
+    // barrier_theme may list several themes when a resource spans them
+    const resourceThemes = splitPipes(r.barrier_theme);
+    resourceThemes.filter(t => !themeIds.has(t)).forEach((t) => {
+      add('error', 'resources', i, r, 'barrier_theme', `Unknown theme "${t}"`);
+    });
+    splitPipes(r.barriers).forEach((id) => {
+      if (!barrierThemeById.has(id)) {
+        add('error', 'resources', i, r, 'barriers', `Unknown barrier "${id}"`);
+      } else if (resourceThemes.length && !resourceThemes.includes(barrierThemeById.get(id))) {
+        add('warning', 'resources', i, r, 'barriers', `Barrier "${id}" belongs to theme "${barrierThemeById.get(id)}", not "${r.barrier_theme}"`);
+      }
+    });
+    if (personaIds) {
+      splitPipes(r.personas).filter(id => !personaIds.has(id)).forEach((id) => {
+        add('error', 'resources', i, r, 'personas', `Unknown persona "${id}"`);
+      });
+    }
+  });
+
+  // Table-level issues first, then by table and spreadsheet row
+  const tableOrder = ['barrierThemes', 'barriers', 'personas', 'resources'];
+  return issues.sort((a, b) =>
+    tableOrder.indexOf(a.table) - tableOrder.indexOf(b.table) || (a.row ?? 0) - (b.row ?? 0));
+};
+
+/**
+ * Render issues as a plain-text table for the build log
+ * @param {Array<Object>} issues - Issues from validateTables
+ * @param {number} maxMessage - Truncate messages longer than this
+ * @returns {string}
+ */
+export const formatIssueTable = (issues, maxMessage = 90) => {
+  if (!issues.length) return '';
+  const header = ['Severity', 'Table', 'Row', 'Id', 'Field', 'Message'];
+  const clip = (s, n) => (s.length > n ? s.slice(0, n - 1) + '…' : s);
+  const rows = issues.map(i => [
+    i.severity, i.table, i.row == null ? '-' : String(i.row), clip(i.id || '-', 40), i.field || '-', clip(i.message, maxMessage),
+  ]);
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map(r => r[c].length)));
+  const line = (cells) => cells.map((cell, c) => cell.padEnd(widths[c])).join(' | ').trimEnd();
+  return [line(header), widths.map(w => '-'.repeat(w)).join('-|-'), ...rows.map(line)].join('\n');
+};
+
+/**
+ * Count issues by severity
+ * @param {Array<Object>} issues
+ * @returns {{errors: number, warnings: number}}
+ */
+export const summarizeIssues = (issues) => ({
+  errors: issues.filter(i => i.severity === 'error').length,
+  warnings: issues.filter(i => i.severity === 'warning').length,
+});
@@ -1,49 +1,51 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useId, useMemo, useState } from "react";
 import RESOURCES from "./data/resources.json";
 import THEMES_RAW from "./data/barrier_themes.json";
 import BARRIERS_RAW from "./data/barriers.json";
+import DATA_CHANGELOG from "./data/data-changelog.json";
+import LINK_HEALTH from "./data/link-health.json";
+import SEARCH_INDEX from "./data/search-index.json";
+import SYNONYMS_DATA from "./data/synonyms.json";
+import PERSONAS_DATA from "./data/personas.json";
 import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer } from "recharts";
-import { lighten } from "./utils/colors";
-import { normalizeResource } from "./utils/dataTransform";
+import { lighten, shadeByCount } from "./utils/colors";
+import { normalizeResource, sortResources, searchResources, suggestSearches, SORT_OPTIONS, formatResourceDate, resourceThemes } from "./utils/dataTransform";
 import { parseURLParams, updateBrowserURL } from "./utils/urlState";
+import { withLinkHealth } from "./utils/linkHealth";
+import { loadSearchIndex } from "./utils/search";
+import { buildVocabulary } from "./utils/spelling";
+import { loadSynonyms } from "./utils/synonyms";
+import { buildSuggestionSources, selectsSuggestion, applySuggestion } from "./utils/autocomplete";
+import { DEFAULT_TAG_MODE, matchesTags, countTags, matchesValue, countValues, typeIcon, typeLabel, yearHistogram, toggleSelection, matchesRing } from "./utils/facets";
+import { nextSegment, describeSegment } from "./utils/ringNavigation";
+import { RING_LAYOUTS, DEFAULT_RING_LAYOUT, ringSizes } from "./utils/ringLayout";
+import { CHART_VIEWS, DEFAULT_CHART_VIEW, personaBarrierCounts } from "./utils/chartViews";
+import { DEFAULT_TIMELINE_STEP, matchesPeriod, timelineBuckets, describePeriod, startMonth, endMonth } from "./utils/timeline";
+import { describeFilters, exportFilename, buildExportSvg, svgToPng, downloadBlob } from "./utils/chartExport";
 import { logMemoryUsage, logWebVitals, checkPerformanceBudget } from "./utils/performanceMonitor";
 import VirtualizedResourceList from "./components/VirtualizedResourceList";
+import ResourceCard from "./components/ResourceCard";
+import WhatsNew from "./components/WhatsNew";
+import SearchAutocomplete from "./components/SearchAutocomplete";
+import TagFacet from "./components/TagFacet";
+import FilterMenu from "./components/FilterMenu";
+import YearRange from "./components/YearRange";
+import RingSelection from "./components/RingSelection";
+import RingTable from "./components/RingTable";
+import ThemeTreemap from "./components/ThemeTreemap";
+import ThemeBars from "./components/ThemeBars";
+import PersonaHeatmap from "./components/PersonaHeatmap";
+import CoverageTimeline from "./components/CoverageTimeline";
+import ChartExport from "./components/ChartExport";
 import { register as registerServiceWorker } from "./utils/serviceWorkerRegistration";
 
-const PERSONAS = ["Project", "Programme", "Business"];
+// Personas come from data/personas.csv via the build, in their configured order
+const PERSONAS = [...PERSONAS_DATA].sort((a, b) => (a.order ?? 999) - (b.order ?? 999));
+const SYNONYMS = loadSynonyms(SYNONYMS_DATA);
 const RAD = Math.PI / 180;
 
 // No need for memoized cell components - we'll render cells inline
 
-// --- Memoized Resource Item Component ---
-const ResourceItem = React.memo(({ resource, BARRIERS, THEME_COLORS, lighten }) => {
-  return (
-    <article className="bg-white border border-slate-200 rounded-3xl shadow-md/10 p-4 mb-3">
-      <h3 className="font-medium leading-snug">{resource.title}</h3>
-      <p className="text-xs text-slate-600 mt-1 line-clamp-3">{resource.description}</p>
-      <div className="mt-2 flex flex-wrap gap-1 text-xs">
-        {(resource.personas || []).map((p) => <span key={p} className="inline-flex items-center rounded-full px-2.5 py-0.5 bg-slate-100 text-slate-700">{p}</span>)}
-      </div>
-      <div className="mt-2 flex flex-wrap gap-1 text-xs">
-        {(resource.barriers || []).map((b) => {
-          const barrier = BARRIERS.find(x => x.id === b);
-          const label = barrier?.name || b;
-          const color = barrier ? lighten(THEME_COLORS[barrier.themeId] || "#64748b", 0.6) : "#e5e7eb";
-          return (
-            <span key={b} style={{ background: color }} className="inline-flex items-center rounded-full border border-slate-300 px-2 py-0.5">
-              {label}
-            </span>
-          );
-        })}
-      </div>
-      <a className="mt-3 inline-flex text-sm rounded-md px-3 py-1.5 bg-slate-900 text-white hover:bg-slate-800" href={resource.url} target="_blank" rel="noreferrer">
-        Open resource
-      </a>
-    </article>
-  );
-});
-ResourceItem.displayName = 'ResourceItem';
-
 // --- Branding palette (tweak to match PDATF site) ---
 const THEME_COLORS = {
   "leadership-and-alignment": "#2563eb", // blue-600
@@ -55,11 +57,33 @@ const THEME_COLORS = {
 };
 
 
+// How long a segment must be held before the press adds it to the selection
+const LONG_PRESS_MS = 500;
+
+// What to do in each of the views other than the ring
+const VIEW_HINTS = {
+  treemap: "Each theme's area is split into its barriers. Click a barrier, or a theme in the key, to filter.",
+  bars: "Each theme's bar is made up of its barriers. Click a barrier, or a theme in the key, to filter.",
+  heatmap: "Resources per barrier and persona. Click a cell to filter by both, or a heading to filter by one.",
+  timeline: "Resources by date of publication. Drag the handles under the chart to filter to a stretch of time.",
+};
+
 export default function App() {
   const [search, setSearch] = useState("");
-  const [selectedTheme, setSelectedTheme] = useState(null); // string | null
-  const [selectedBarrier, setSelectedBarrier] = useState(null); // string | null (single)
+  const [sort, setSort] = useState(SORT_OPTIONS[0].id);
+  const [selectedThemes, setSelectedThemes] = useState([]);
+  const [selectedBarriers, setSelectedBarriers] = useState([]);
+  const [ringMode, setRingMode] = useState(DEFAULT_TAG_MODE); // 'any' | 'all'
+  const [zoomTheme, setZoomTheme] = useState(null); // theme id the ring is zoomed into | null
+  const [ringLayout, setRingLayout] = useState(DEFAULT_RING_LAYOUT); // 'proportional' | 'equal'
+  const [chartView, setChartView] = useState(DEFAULT_CHART_VIEW); // 'ring' | 'treemap' | 'bars' | 'heatmap'
   const [selectedPersonas, setSelectedPersonas] = useState([]);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagMode, setTagMode] = useState(DEFAULT_TAG_MODE); // 'any' | 'all'
+  const [selectedPublishers, setSelectedPublishers] = useState([]);
+  const [selectedTypes, setSelectedTypes] = useState([]);
+  const [dateRange, setDateRange] = useState({ from: null, to: null }); // months "YYYY-MM", set by the year range or the timeline; null = open
+  const [timelineStep, setTimelineStep] = useState(DEFAULT_TIMELINE_STEP); // 'quarter' | 'month'
   const [hoveredLayer, setHoveredLayer] = useState(null); // 'theme' | 'barrier' | null
   const [showDisclaimer, setShowDisclaimer] = useState(false);
 
@@ -82,18 +106,41 @@ export default function App() {
   useEffect(() => {
     const params = parseURLParams();
     if (params.search) setSearch(params.search);
-    if (params.theme) setSelectedTheme(params.theme);
-    if (params.barrier) setSelectedBarrier(params.barrier);
+    if (params.themes.length) setSelectedThemes(params.themes);
+    if (params.barriers.length) setSelectedBarriers(params.barriers);
+    setRingMode(params.ringMode);
+    if (params.zoom && THEMES_RAW.some((t) => t.id === params.zoom)) setZoomTheme(params.zoom);
+    setRingLayout(params.layout);
+    setChartView(params.view);
+    setTimelineStep(params.step);
     if (params.personas.length) setSelectedPersonas(params.personas);
+    if (params.tags.length) setSelectedTags(params.tags);
+    setTagMode(params.tagMode);
+    if (params.publishers.length) setSelectedPublishers(params.publishers);
+    if (params.types.length) setSelectedTypes(params.types);
+    setDateRange({ from: params.from, to: params.to });
+    setSort(params.sort);
   }, []);
   useEffect(() => {
     updateBrowserURL({
       search,
-      theme: selectedTheme,
-      barrier: selectedBarrier,
-      personas: selectedPersonas
+      themes: selectedThemes,
+      barriers: selectedBarriers,
+      ringMode,
+      zoom: zoomTheme,
+      layout: ringLayout,
+      view: chartView,
+      step: timelineStep,
+      personas: selectedPersonas,
+      tags: selectedTags,
+      tagMode,
+      publishers: selectedPublishers,
+      types: selectedTypes,
+      from: dateRange.from,
+      to: dateRange.to,
+      sort
     });
-  }, [search, selectedTheme, selectedBarrier, selectedPersonas]);
+  }, [search, selectedThemes, selectedBarriers, ringMode, zoomTheme, ringLayout, chartView, timelineStep, selectedPersonas, selectedTags, tagMode, selectedPublishers, selectedTypes, dateRange, sort]);
 
   // Performance monitoring on mount (development only)
   useEffect(() => {
@@ -119,44 +166,132 @@ export default function App() {
     });
   }, []);
 
-  // SINGLE-SELECTION behaviour - memoize callbacks to prevent unnecessary re-renders
-  const toggleTheme = React.useCallback((id) => {
-    console.log('toggleTheme clicked:', id);
-    setSelectedTheme((curr) => {
-      const newValue = curr === id ? null : id;
-      console.log('selectedTheme changed from', curr, 'to', newValue);
-      return newValue;
-    });
-    setSelectedBarrier(null); // clear barrier when picking a theme
+  // Ring selection: a plain click selects one segment, a modifier click or long press adds to the
+  // selection (see toggleSelection) - memoize callbacks to prevent unnecessary re-renders
+  const toggleTheme = React.useCallback((id, additive = false) => {
+    setSelectedThemes((curr) => toggleSelection(curr, id, additive));
+    if (!additive) setSelectedBarriers([]); // a plain click on a theme clears the barriers
   }, []);
-  const toggleBarrier = React.useCallback((id, _themeId) => {
-    console.log('toggleBarrier clicked:', id, 'themeId:', _themeId);
-    setSelectedBarrier((curr) => {
-      const newValue = curr === id ? null : id;
-      console.log('selectedBarrier changed from', curr, 'to', newValue);
-      return newValue;
-    });
-    setSelectedTheme(null); // clear theme when picking a barrier
+  const toggleBarrier = React.useCallback((id, additive = false) => {
+    setSelectedBarriers((curr) => toggleSelection(curr, id, additive));
+    if (!additive) setSelectedThemes([]); // a plain click on a barrier clears the themes
+  }, []);
+  const removeSegment = React.useCallback((kind, id) => {
+    const remove = (curr) => curr.filter((x) => x !== id);
+    if (kind === 'theme') setSelectedThemes(remove);
+    else setSelectedBarriers(remove);
+  }, []);
+  const clearRing = React.useCallback(() => { setSelectedThemes([]); setSelectedBarriers([]); }, []);
+
+  // Handlers for a ring segment: Ctrl/⌘/Shift-click or a long press (for touch) adds to the selection.
+  // The click that ends a long press is swallowed so it doesn't select the segment a second time.
+  const longPress = React.useRef({ timer: null, fired: false });
+  const segmentHandlers = React.useCallback((select) => {
+    const cancel = () => clearTimeout(longPress.current.timer);
+    return {
+      onClick: (e) => {
+        if (longPress.current.fired) {
+          longPress.current.fired = false;
+          return;
+        }
+        select(!!(e?.ctrlKey || e?.metaKey || e?.shiftKey));
+      },
+      onPointerDown: () => {
+        cancel();
+        longPress.current.fired = false;
+        longPress.current.timer = setTimeout(() => {
+          longPress.current.fired = true;
+          select(true);
+        }, LONG_PRESS_MS);
+      },
+      onPointerUp: cancel,
+      onPointerLeave: cancel,
+      onPointerCancel: cancel,
+      onContextMenu: (e) => longPress.current.fired && e.preventDefault(),
+    };
   }, []);
+  useEffect(() => () => clearTimeout(longPress.current.timer), []);
+
+  // Drill-down: zooming into a theme shows just its barriers, full circle and labelled.
+  // The change of ring is animated unless the user prefers reduced motion.
+  const [zoomAnimating, setZoomAnimating] = useState(false);
+  const [ringAnnouncement, setRingAnnouncement] = useState("");
+  const announceRing = React.useRef(null); // segment just toggled from the keyboard
+  const zoomTo = React.useCallback((id) => {
+    if (id === zoomTheme) return;
+    setZoomTheme(id);
+    setZoomAnimating(!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+  }, [zoomTheme]);
+  const zoomOut = React.useCallback(() => {
+    announceRing.current = null; // zooming out doesn't change the selection
+    zoomTo(null);
+    setRingAnnouncement('Showing all themes.');
+  }, [zoomTo]);
+  // A plain click that selects a theme also zooms into it
+  const selectTheme = React.useCallback((id, additive = false) => {
+    const deselecting = !additive && selectedThemes.length === 1 && selectedThemes[0] === id;
+    toggleTheme(id, additive);
+    if (!additive && !deselecting) zoomTo(id);
+  }, [selectedThemes, toggleTheme, zoomTo]);
+  // The other views select without zooming, as the zoom is the ring's own
+  const selectInView = React.useCallback((kind, id, additive) => (kind === 'theme' ? toggleTheme(id, additive) : toggleBarrier(id, additive)), [toggleTheme, toggleBarrier]);
+  // A heatmap cell selects its barrier and persona, or clears them when they were all that was selected
+  const selectCell = React.useCallback((personaId, barrierId) => {
+    const only = selectedPersonas.length === 1 && selectedPersonas[0] === personaId;
+    toggleBarrier(barrierId);
+    setSelectedPersonas(only && selectedBarriers.length === 1 && selectedBarriers[0] === barrierId ? [] : [personaId]);
+  }, [selectedPersonas, selectedBarriers, toggleBarrier]);
   const togglePersona = React.useCallback((id) => setSelectedPersonas((curr) => (curr.includes(id) ? curr.filter((x) => x !== id) : [...curr, id])), []);
-  const clearAll = React.useCallback(() => { setSearch(""); setSelectedTheme(null); setSelectedBarrier(null); setSelectedPersonas([]); }, []);
+  const toggleTag = React.useCallback((tag) => setSelectedTags((curr) => (curr.includes(tag) ? curr.filter((x) => x !== tag) : [...curr, tag])), []);
+  const togglePublisher = React.useCallback((p) => setSelectedPublishers((curr) => (curr.includes(p) ? curr.filter((x) => x !== p) : [...curr, p])), []);
+  const toggleType = React.useCallback((t) => setSelectedTypes((curr) => (curr.includes(t) ? curr.filter((x) => x !== t) : [...curr, t])), []);
+  // The year range sets whole years and the timeline any stretch of months of the same date filter
+  const changeYears = React.useCallback((from, to) => setDateRange({ from: startMonth(from), to: endMonth(to) }), []);
+  const changePeriod = React.useCallback((from, to) => setDateRange({ from, to }), []);
+  const clearAll = React.useCallback(() => {
+    setSearch(""); setSelectedThemes([]); setSelectedBarriers([]); setZoomTheme(null); setSelectedPersonas([]); setSelectedTags([]);
+    setSelectedPublishers([]); setSelectedTypes([]); setDateRange({ from: null, to: null });
+  }, []);
 
   // Memoize hover handlers to prevent creating new functions on every render
   const handleMouseEnterTheme = React.useCallback(() => setHoveredLayer('theme'), []);
   const handleMouseEnterBarrier = React.useCallback(() => setHoveredLayer('barrier'), []);
   const handleMouseLeave = React.useCallback(() => setHoveredLayer(null), []);
 
-  const DATA_RESOURCES = useMemo(() => RESOURCES.map(normalizeResource), []);
+  const DATA_RESOURCES = useMemo(() => RESOURCES.map(r => withLinkHealth(normalizeResource(r), LINK_HEALTH)), []);
   const THEMES = useMemo(() => [...THEMES_RAW].sort((a, b) => (a.order ?? 999) - (b.order ?? 999)), []);
   const BARRIERS = useMemo(() => BARRIERS_RAW.map(b => ({ ...b, themeId: b.themeId || b.categoryId })), []);
 
-  // Base filter (affects counts & ring): search + personas only - memoize to prevent cascading recalculations
-  const baseFilter = React.useCallback((r) => {
-    const q = search.trim().toLowerCase();
-    const matchesText = !q || r.title.toLowerCase().includes(q) || r.description.toLowerCase().includes(q) || (r.tags || []).some((t) => t.toLowerCase().includes(q));
-    const matchesPersonas = !selectedPersonas.length || r.personas.some((p) => selectedPersonas.includes(p));
-    return matchesText && matchesPersonas;
-  }, [search, selectedPersonas]);
+  // Search runs once per query against the inverted index; null means no text filter
+  const SEARCH = useMemo(() => loadSearchIndex(SEARCH_INDEX, DATA_RESOURCES), [DATA_RESOURCES]);
+  const searchResult = useMemo(() => searchResources(DATA_RESOURCES, search, SEARCH, SYNONYMS), [DATA_RESOURCES, SEARCH, search]);
+  const searchMatches = searchResult.matches;
+
+  // Autocomplete: barriers and themes select a ring segment, tags the tag facet; publishers and titles edit the query
+  const SUGGESTION_SOURCES = useMemo(() => buildSuggestionSources(DATA_RESOURCES, THEMES, BARRIERS), [DATA_RESOURCES, THEMES, BARRIERS]);
+  const pickSuggestion = React.useCallback((item) => {
+    const selects = selectsSuggestion(search, item);
+    setSearch(applySuggestion(search, item));
+    if (!selects) return;
+    if (item.type === "barrier" && !selectedBarriers.includes(item.id)) toggleBarrier(item.id, selectedBarriers.length > 0);
+    if (item.type === "theme" && !selectedThemes.includes(item.id)) selectTheme(item.id, selectedThemes.length > 0);
+    if (item.type === "tag" && !selectedTags.includes(item.id)) toggleTag(item.id);
+  }, [search, selectedBarriers, selectedThemes, selectedTags, toggleBarrier, selectTheme, toggleTag]);
+
+  // Every filter by name, so a facet's counts can leave its own filter out
+  const filterChecks = useMemo(() => ({
+    search: (r) => !searchMatches || searchMatches.has(r.id),
+    personas: (r) => !selectedPersonas.length || r.personas.some((p) => selectedPersonas.includes(p)),
+    tags: (r) => matchesTags(r, selectedTags, tagMode),
+    publishers: (r) => matchesValue(r.publisher, selectedPublishers),
+    types: (r) => matchesValue(r.type, selectedTypes),
+    dates: (r) => matchesPeriod(r, dateRange.from, dateRange.to),
+    ring: (r) => matchesRing(r, selectedThemes, selectedBarriers, ringMode),
+  }), [searchMatches, selectedPersonas, selectedTags, tagMode, selectedPublishers, selectedTypes, dateRange, selectedThemes, selectedBarriers, ringMode]);
+  const passesFilters = React.useCallback((r, ...except) => Object.entries(filterChecks).every(([name, check]) => except.includes(name) || check(r)), [filterChecks]);
+
+  // Base filter (affects counts & ring): everything except the ring selection itself - memoize to prevent cascading recalculations
+  const baseFilter = React.useCallback((r) => passesFilters(r, "ring"), [passesFilters]);
 
   // ---- Build aligned data ----
   const barrierValues = useMemo(() => {
@@ -177,6 +312,10 @@ export default function App() {
     return THEMES.map(t => ({ theme: t, items: lookup.get(t.id) || [] }));
   }, [THEMES, barrierValues]);
 
+  // Outer ring flattened, in the exact grouped order, with each arc's `size` for the chosen layout
+  const ringSized = useMemo(() => ringSizes(barriersByTheme.flatMap(g => g.items), ringLayout), [barriersByTheme, ringLayout]);
+  const barrierData = ringSized.barriers;
+
   // Inner ring sizing must align with the sum of its barriers so the wedges line up.
   // We still show UNIQUE resource counts in the tooltip via `displayCount`.
   const themeData = useMemo(() => {
@@ -191,25 +330,21 @@ export default function App() {
     const uniqueByTheme = new Map();
     THEMES.forEach((t) => uniqueByTheme.set(t.id, 0));
     THEMES.forEach((t) => {
-      const c = DATA_RESOURCES.filter((r) => baseFilter(r) && r.barrier_category === t.id).length;
+      const c = DATA_RESOURCES.filter((r) => baseFilter(r) && resourceThemes(r).includes(t.id)).length;
       uniqueByTheme.set(t.id, c);
     });
 
-    return THEMES.map((t) => {
-      const sum = sums.get(t.id) || 0;
-      return {
-        id: t.id,
-        name: t.name,
-        value: sum === 0 ? 0.0001 : sum, // epsilon keeps the slice visible while aligning with outer ring
-        displayCount: uniqueByTheme.get(t.id) || 0,
-      };
-    });
-  }, [THEMES, barrierValues, DATA_RESOURCES, baseFilter]);
-  // Outer ring flattened, in the exact grouped order
-  const barrierData = useMemo(() => barriersByTheme.flatMap(g => g.items), [barriersByTheme]);
+    return THEMES.map((t) => ({
+      id: t.id,
+      name: t.name,
+      value: sums.get(t.id) || 0,
+      size: ringSized.themeSizes.get(t.id) || 0, // a theme with no coverage has no arc unless the layout is equal
+      displayCount: uniqueByTheme.get(t.id) || 0,
+    }));
+  }, [THEMES, barrierValues, DATA_RESOURCES, baseFilter, ringSized]);
 
-  // Sum of theme values for angle calculations (for label visibility)
-  const themeTotal = useMemo(() => themeData.reduce((a, b) => a + (b.value || 0), 0), [themeData]);
+  // Sum of theme arcs for angle calculations (for label visibility)
+  const themeTotal = useMemo(() => themeData.reduce((a, b) => a + (b.size || 0), 0), [themeData]);
 
   // Render theme labels along the arc with optional two lines, upright on both halves of the circle.
   // Uses polyline paths instead of SVG Arc flags to avoid sweep-direction quirks across browsers.
@@ -374,6 +509,12 @@ export default function App() {
     );
   }, [themeTotal]);
 
+  // Themes that are selected or hold a selected barrier; labels of the others are dimmed
+  const activeThemeIds = useMemo(() => new Set([
+    ...selectedThemes,
+    ...selectedBarriers.map((id) => BARRIERS.find((b) => b.id === id)?.themeId).filter(Boolean),
+  ]), [selectedThemes, selectedBarriers, BARRIERS]);
+
   // Render theme labels just **outside** the outer ring, colour-coded, following the arc.
   // Memoized to prevent recreating function on every render (reduces memory churn)
   const renderOuterThemeLabel = React.useCallback((props) => {
@@ -440,8 +581,7 @@ export default function App() {
     const pathId = `themeOuterArc-${payload?.id}-${Math.round(sA)}-${Math.round(eA)}`;
 
     // Dim labels when their theme isn't active (match ring behaviour)
-    const activeThemeId = selectedTheme || (selectedBarrier ? (BARRIERS.find(b => b.id === selectedBarrier)?.themeId) : null);
-    const dim = !!(activeThemeId && payload?.id !== activeThemeId);
+    const dim = activeThemeIds.size > 0 && !activeThemeIds.has(payload?.id);
     const labelOpacity = dim ? 0.3 : 1;
 
     // Make the label interactive: wrap in <g> (no pointerEvents: 'none'), add onClick to <text>, cursor pointer.
@@ -458,7 +598,7 @@ export default function App() {
           dominantBaseline="middle"
           opacity={labelOpacity}
           style={{ cursor: "pointer" }}
-          onClick={() => toggleTheme(payload?.id)}
+          onClick={(e) => selectTheme(payload?.id, e.ctrlKey || e.metaKey || e.shiftKey)}
         >
           <textPath href={`#${pathId}`} startOffset="50%" method="align" spacing="auto">
             {text}
@@ -466,21 +606,49 @@ export default function App() {
         </text>
       </g>
     );
-  }, [themeTotal, selectedTheme, selectedBarrier, BARRIERS, toggleTheme]);
+  }, [themeTotal, activeThemeIds, selectTheme]);
+
+  // Zoomed in: each barrier is labelled with its count outside the ring
+  const renderZoomBarrierLabel = React.useCallback(({ cx, cy, midAngle, outerRadius, startAngle, endAngle, payload }) => {
+    if (Math.abs(endAngle - startAngle) < 2) return null;
+    const r = Number(outerRadius) + 10;
+    const x = cx + r * Math.cos(-midAngle * RAD);
+    const y = cy + r * Math.sin(-midAngle * RAD);
+    const name = payload?.name || '';
+    const text = name.length > 28 ? name.slice(0, 27).trimEnd() + '…' : name;
+    return (
+      <text x={x} y={y} fill="#334155" fontSize={11} textAnchor={x >= cx ? 'start' : 'end'} dominantBaseline="central">
+        <title>{name}</title>
+        {text} <tspan fontWeight="600">({payload?.value})</tspan>
+      </text>
+    );
+  }, []);
 
-  // Results list filter (honour single-selection)
+  // Results list filter (honour the ring selection), ordered by the sort control
   const filtered = useMemo(() => {
-    const q = search.trim().toLowerCase();
-    const results = DATA_RESOURCES.filter((r) => {
-      const matchesText = !q || r.title.toLowerCase().includes(q) || r.description.toLowerCase().includes(q) || (r.tags || []).some((t) => t.toLowerCase().includes(q));
-      const matchesPersonas = !selectedPersonas.length || r.personas.some((p) => selectedPersonas.includes(p));
-      const matchesTheme = !selectedTheme || r.barrier_category === selectedTheme;
-      const matchesBarrier = !selectedBarrier || r.barriers.includes(selectedBarrier);
-      return matchesText && matchesPersonas && matchesTheme && matchesBarrier;
-    }).sort((a, b) => (b.date || "").localeCompare(a.date || ""));
-    console.log('Filtered results:', results.length, 'selectedBarrier:', selectedBarrier, 'selectedTheme:', selectedTheme);
-    return results;
-  }, [DATA_RESOURCES, search, selectedPersonas, selectedTheme, selectedBarrier]);
+    const results = DATA_RESOURCES.filter((r) => passesFilters(r));
+    const explained = results.map((r) => (searchResult.via.has(r.id) ? { ...r, matchedVia: searchResult.via.get(r.id) } : r));
+    return sortResources(explained, sort, { scores: searchMatches, query: searchResult.text });
+  }, [DATA_RESOURCES, passesFilters, sort, searchMatches, searchResult]);
+
+  // Facet counts honour every filter except their own (see countTags for the two tag modes)
+  const facetPool = React.useCallback((facet) => DATA_RESOURCES.filter((r) => passesFilters(r, facet)), [DATA_RESOURCES, passesFilters]);
+  const tagFacets = useMemo(() => countTags(facetPool("tags"), DATA_RESOURCES, selectedTags, tagMode), [facetPool, DATA_RESOURCES, selectedTags, tagMode]);
+  const publisherFacets = useMemo(() => countValues(facetPool("publishers"), DATA_RESOURCES, "publisher", selectedPublishers), [facetPool, DATA_RESOURCES, selectedPublishers]);
+  const typeFacets = useMemo(() => countValues(facetPool("types"), DATA_RESOURCES, "type", selectedTypes), [facetPool, DATA_RESOURCES, selectedTypes]);
+  const yearFacets = useMemo(() => yearHistogram(facetPool("dates"), DATA_RESOURCES), [facetPool, DATA_RESOURCES]);
+
+  // Spelling corrections and broader queries, only worked out when a search finds nothing
+  const VOCABULARY = useMemo(() => buildVocabulary(DATA_RESOURCES, BARRIERS), [DATA_RESOURCES, BARRIERS]);
+  const suggestions = useMemo(() => {
+    if (filtered.length || !search.trim()) return [];
+    return suggestSearches(DATA_RESOURCES, search, {
+      index: SEARCH,
+      synonyms: SYNONYMS,
+      vocabulary: VOCABULARY,
+      filter: (r) => passesFilters(r, "search"),
+    });
+  }, [filtered.length, search, DATA_RESOURCES, SEARCH, VOCABULARY, passesFilters]);
 
   // Colours - memoize themeFill to prevent recreation
   const themeFill = React.useCallback((themeId, highlighted) => highlighted ? (THEME_COLORS[themeId] || "#334155") : lighten(THEME_COLORS[themeId] || "#94a3b8", 0.35), []);
@@ -496,23 +664,149 @@ export default function App() {
     });
     return map;
   }, [barriersByTheme]);
-
-  const _selectedThemeLabel = selectedTheme ? (THEMES.find((t) => t.id === selectedTheme) || {}).name : null;
-  const selectedBarrierLabel = selectedBarrier ? (BARRIERS.find((b) => b.id === selectedBarrier) || {}).name : null;
-
-  // selection highlighting for outer ring
-  const _isBarrierActive = (b) => {
-    if (selectedBarrier) return b.id === selectedBarrier;
-    if (selectedTheme) return b.themeId === selectedTheme; // highlight all within theme
-    return false;
+  // Equal layout: arcs are shaded by count instead, and hatched where there is no coverage
+  const equalLayout = ringLayout === 'equal';
+  const maxBarrierValue = useMemo(() => Math.max(0, ...barrierData.map((b) => b.value)), [barrierData]);
+  const hatchFill = (themeId) => `url(#ring-hatch-${themeId})`;
+  const barrierFill = (b) => {
+    if (equalLayout && !b.value) return hatchFill(b.themeId);
+    if (selectedBarriers.includes(b.id)) return THEME_COLORS[b.themeId] || "#334155";
+    return equalLayout ? shadeByCount(THEME_COLORS[b.themeId] || "#64748b", b.value, maxBarrierValue) : (barrierFills.get(b.id) || "#e5e7eb");
   };
 
+  // Chips for the ring selection, themes first
+  const selectedSegments = useMemo(() => [
+    ...selectedThemes.map((id) => ({ kind: 'theme', id, name: THEMES.find((t) => t.id === id)?.name || id, color: THEME_COLORS[id] || "#334155" })),
+    ...selectedBarriers.map((id) => {
+      const barrier = BARRIERS.find((b) => b.id === id);
+      return { kind: 'barrier', id, name: barrier?.name || id, color: THEME_COLORS[barrier?.themeId] || "#334155" };
+    }),
+  ], [selectedThemes, selectedBarriers, THEMES, BARRIERS]);
+
+  // selection highlighting: a barrier is active when selected or in a selected theme
+  const ringSelected = selectedThemes.length > 0 || selectedBarriers.length > 0;
+  const isBarrierActive = (b) => selectedBarriers.includes(b.id) || selectedThemes.includes(b.themeId);
+
+  // The segments drawn: everything, or the zoomed theme and its barriers, leaving out arcs of no size
+  // (uncovered segments in the proportional layout) so they can't be focused
+  const zoomedTheme = THEMES.find((t) => t.id === zoomTheme) || null;
+  const ringThemes = useMemo(() => themeData.filter((t) => t.size > 0 && (!zoomTheme || t.id === zoomTheme)), [themeData, zoomTheme]);
+  const ringBarriers = useMemo(() => barrierData.filter((b) => b.size > 0 && (!zoomTheme || b.themeId === zoomTheme)), [barrierData, zoomTheme]);
+
+  // Heatmap counts honour every filter but the ring and the personas, which are its rows and columns
+  const heatmap = useMemo(() => (
+    chartView === 'heatmap' ? personaBarrierCounts(DATA_RESOURCES.filter((r) => passesFilters(r, "ring", "personas")), PERSONAS, barrierData) : null
+  ), [chartView, DATA_RESOURCES, passesFilters, barrierData]);
+  // The timeline spans every dated resource and leaves out the date filter it sets, so a brushed stretch can be moved
+  const timeline = useMemo(() => (
+    chartView === 'timeline' ? timelineBuckets(DATA_RESOURCES.filter((r) => passesFilters(r, "ring", "dates")), DATA_RESOURCES, timelineStep) : null
+  ), [chartView, DATA_RESOURCES, passesFilters, timelineStep]);
+
+  // Download the chart drawn on screen as SVG or PNG, framed with a key to the theme colours, the
+  // filters in use and the date of the data (see chartExport.js). The heatmap is a table, not a chart.
+  const chartRef = React.useRef(null);
+  const exportCaption = useMemo(() => [
+    `${filtered.length} of ${DATA_RESOURCES.length} resources`,
+    ...describeFilters([
+      { label: "Search", values: search.trim() ? [search.trim()] : [] },
+      { label: "Personas", values: selectedPersonas.map((id) => PERSONAS.find((p) => p.id === id)?.label || id) },
+      { label: "Tags", values: selectedTags, all: tagMode === "all" },
+      { label: "Publishers", values: selectedPublishers },
+      { label: "Types", values: selectedTypes.map(typeLabel) },
+      { label: "Published", values: dateRange.from || dateRange.to ? [describePeriod(dateRange.from, dateRange.to)] : [] },
+      { label: "Ring selection", values: selectedSegments.map((s) => s.name), all: ringMode === "all" },
+      { label: "Zoomed into", values: chartView === "ring" && zoomedTheme ? [zoomedTheme.name] : [] },
+    ]),
+  ], [filtered.length, DATA_RESOURCES.length, search, selectedPersonas, selectedTags, tagMode, selectedPublishers, selectedTypes, dateRange, selectedSegments, ringMode, chartView, zoomedTheme]);
+  const exportChart = React.useCallback(async (format, scale) => {
+    const chart = chartRef.current?.querySelector("svg.recharts-surface");
+    if (!chart) throw new Error("There is no chart to download yet.");
+    const dataDate = DATA_CHANGELOG.entries?.[0]?.generatedAt;
+    const today = new Date().toISOString().slice(0, 10);
+    const { svg, width, height } = buildExportSvg(chart, {
+      title: `PDATF Barrier Toolkit — ${CHART_VIEWS.find((v) => v.id === chartView)?.label}`,
+      legend: THEMES.map((t) => ({ name: t.name, color: THEME_COLORS[t.id] || "#94a3b8" })),
+      caption: exportCaption,
+      timestamp: `${dataDate ? `Data updated ${formatResourceDate(dataDate.slice(0, 10))} · ` : ""}Exported ${formatResourceDate(today)}`,
+    });
+    const blob = format === "png" ? await svgToPng(svg, width, height, scale) : new Blob([svg], { type: "image/svg+xml;charset=utf-8" });
+    downloadBlob(blob, exportFilename(chartView, format));
+  }, [chartView, THEMES, exportCaption]);
+
+  // Keyboard access to the ring (see ringNavigation.js): one tab stop, arrow keys between segments and
+  // Enter/Space to select, with the outcome announced. Recharts renders every sector with tabIndex -1
+  // and may redraw sectors after App has rendered, so the tab stop is set on the DOM whenever the
+  // sectors change.
+  const ringId = useId();
+  const ringRef = React.useRef(null);
+  const tabStopRef = React.useRef(null);
+  const restoreRingFocus = React.useRef(0); // when a key last changed the ring, to refocus redrawn sectors
+  const [ringFocus, setRingFocus] = useState(null); // { kind, id } | null for the first theme
+  const segmentDomId = (kind, id) => `${ringId}-segment-${kind}-${id}`;
+  const isDrawn = (s) => (s.kind === 'theme' ? ringThemes : ringBarriers).some((x) => x.id === s.id);
+  const tabStop = ringFocus && isDrawn(ringFocus) ? ringFocus : (ringThemes.length ? { kind: 'theme', id: ringThemes[0].id } : null);
+  const tabStopId = tabStop ? segmentDomId(tabStop.kind, tabStop.id) : null;
+  const applyRingTabStop = React.useCallback(() => {
+    const ring = ringRef.current;
+    if (!ring) return;
+    ring.querySelectorAll(`[id^="${ringId}-segment-"]`).forEach((el) => el.setAttribute('tabindex', el.id === tabStopRef.current ? '0' : '-1'));
+    const lost = !document.activeElement || document.activeElement === document.body;
+    if (lost && Date.now() - restoreRingFocus.current < 1000) document.getElementById(tabStopRef.current)?.focus();
+  }, [ringId]);
+  useEffect(() => {
+    tabStopRef.current = tabStopId;
+    applyRingTabStop();
+  });
+  useEffect(() => {
+    if (chartView !== 'ring' || !ringRef.current || typeof MutationObserver === 'undefined') return undefined;
+    const observer = new MutationObserver(applyRingTabStop);
+    observer.observe(ringRef.current, { childList: true, subtree: true });
+    return () => observer.disconnect();
+  }, [applyRingTabStop, chartView]); // the ring is only mounted in its own view
+  useEffect(() => {
+    const segment = announceRing.current;
+    if (!segment) return;
+    announceRing.current = null;
+    const selected = (segment.kind === 'theme' ? selectedThemes : selectedBarriers).includes(segment.id);
+    const zoomed = selected && segment.kind === 'theme' && zoomTheme === segment.id ? ' Showing its barriers.' : '';
+    setRingAnnouncement(`${segment.name} ${selected ? 'selected' : 'deselected'}. ${filtered.length} result${filtered.length === 1 ? '' : 's'}.${zoomed}`);
+  }, [selectedThemes, selectedBarriers, filtered.length, zoomTheme]);
+
+  // Pointer and keyboard handlers, id and role for a ring segment
+  const segmentProps = (segment, select) => ({
+    ...segmentHandlers(select),
+    id: segmentDomId(segment.kind, segment.id),
+    role: 'button',
+    onFocus: () => setRingFocus({ kind: segment.kind, id: segment.id }),
+    onKeyDown: (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        announceRing.current = segment;
+        restoreRingFocus.current = Date.now();
+        select(e.ctrlKey || e.metaKey || e.shiftKey);
+        return;
+      }
+      if (e.key === 'Escape' && zoomTheme) {
+        e.preventDefault();
+        restoreRingFocus.current = Date.now();
+        zoomOut();
+        return;
+      }
+      const next = nextSegment(ringThemes, ringBarriers, segment, e.key);
+      if (!next) return;
+      e.preventDefault();
+      setRingFocus(next);
+      document.getElementById(segmentDomId(next.kind, next.id))?.focus();
+    },
+  });
+
   return (
     <div className="min-h-screen overflow-hidden">
       {/* Small header with just title */}
       <header ref={headerRef} className="sticky top-0 z-50 bg-slate-900/95 backdrop-blur text-white py-2 border-b border-white/10">
-        <div className="max-w-7xl mx-auto px-4 text-center">
+        <div className="relative max-w-7xl mx-auto px-4 text-center">
           <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">PDATF Barrier Toolkit</h1>
+          <WhatsNew changelog={DATA_CHANGELOG} />
         </div>
       </header>
 
@@ -521,16 +815,22 @@ export default function App() {
         className="max-w-7xl mx-auto px-4 py-2 grid lg:grid-cols-12 lg:grid-rows-[auto,1fr] gap-2"
         style={{ height: 'calc(100svh - var(--hdr))' }}
       >
-        {/* Filters card (search + personas) spans above ring */}
+        {/* Filters card (search + personas + type, publisher, years + tags) spans above ring */}
         <section className="lg:col-span-8 lg:row-start-1 bg-white border border-slate-200 rounded-3xl shadow-md/10 p-2">
           <div className="flex flex-col items-center gap-3">
             <div className="w-full md:w-3/4">
               <div className="relative">
                 <svg aria-hidden="true" viewBox="0 0 24 24" className="pointer-events-none absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400"><path fill="currentColor" d="M15.5 14h-.79l-.28-.27A6.471 6.471 0 0 0 16 9.5 6.5 6.5 0 1 0 9.5 16a6.471 6.471 0 0 0 4.23-1.57l.27.28v.79L20 21.5 21.5 20 15.5 14zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/></svg>
-                <input
+                <SearchAutocomplete
                   value={search}
-                  onChange={(e) => setSearch(e.target.value)}
+                  onChange={setSearch}
+                  sources={SUGGESTION_SOURCES}
+                  onPick={pickSuggestion}
                   placeholder="Search title, description, tags…"
+                  aria-label="Search resources"
+                  aria-invalid={searchResult.errors.length > 0}
+                  aria-describedby={searchResult.errors.length ? "search-errors" : undefined}
+                  title={'Try "exact phrase", -exclude, a OR b, tag:, publisher:, type:, barrier:, before:2025-01, after:2024'}
                   className="w-full rounded-full border border-slate-200 bg-white pl-9 pr-24 py-2.5 text-sm placeholder-slate-400 shadow-sm focus:outline-none focus:ring-2 focus:ring-indigo-200"
                 />
                 <button
@@ -540,180 +840,365 @@ export default function App() {
                   Clear
                 </button>
               </div>
+              {searchResult.errors.length > 0 && (
+                <ul id="search-errors" role="alert" className="mt-1 px-3 text-xs text-rose-700">
+                  {searchResult.errors.map((err) => <li key={`${err.position}-${err.message}`}>{err.message}</li>)}
+                </ul>
+              )}
             </div>
             <div className="flex flex-wrap justify-center gap-2">
               {PERSONAS.map((p) => (
                 <button
-                  key={p}
-                  onClick={() => togglePersona(p)}
+                  key={p.id}
+                  onClick={() => togglePersona(p.id)}
+                  aria-pressed={selectedPersonas.includes(p.id)}
+                  title={p.description || undefined}
                   className={`inline-flex items-center gap-1 rounded-full border px-3 py-1 text-xs ${
-                    selectedPersonas.includes(p)
+                    selectedPersonas.includes(p.id)
                       ? "bg-indigo-600 border-indigo-600 text-white"
                       : "bg-white border-slate-300"
                   }`}
                 >
-                  {p}
+                  {p.icon && <span aria-hidden="true">{p.icon}</span>}
+                  {p.label}
                 </button>
               ))}
             </div>
+            <div className="flex flex-wrap items-start justify-center gap-x-4 gap-y-2">
+              <fieldset className="flex flex-wrap items-center gap-1.5 text-xs">
+                <legend className="sr-only">Resource type</legend>
+                {typeFacets.map((t) => (
+                  <label
+                    key={t.value}
+                    className={`inline-flex items-center gap-1 rounded-full border px-2.5 py-1 focus-within:ring-2 focus-within:ring-indigo-200 ${
+                      t.selected ? "bg-indigo-50 border-indigo-600 text-indigo-800" : "bg-white border-slate-300"
+                    } ${!t.selected && t.count === 0 ? "text-slate-400" : "cursor-pointer"}`}
+                  >
+                    <input type="checkbox" className="sr-only" checked={t.selected} disabled={!t.selected && t.count === 0} onChange={() => toggleType(t.value)} />
+                    <span aria-hidden="true">{typeIcon(t.value)}</span>
+                    {typeLabel(t.value)} <span className="text-slate-400">({t.count})</span>
+                  </label>
+                ))}
+              </fieldset>
+              <FilterMenu
+                label="Publishers"
+                options={publisherFacets}
+                onToggle={togglePublisher}
+                onClear={() => setSelectedPublishers([])}
+              />
+              <YearRange
+                histogram={yearFacets}
+                from={dateRange.from && Number(dateRange.from.slice(0, 4))}
+                to={dateRange.to && Number(dateRange.to.slice(0, 4))}
+                label={describePeriod(dateRange.from, dateRange.to)}
+                onChange={changeYears}
+              />
+            </div>
+            <TagFacet
+              facets={tagFacets}
+              selected={selectedTags}
+              mode={tagMode}
+              onToggle={toggleTag}
+              onModeChange={setTagMode}
+              onClear={() => setSelectedTags([])}
+            />
           </div>
         </section>
 
         {/* Center: ring */}
-        <section className="lg:col-span-8 lg:row-start-2 bg-white border border-slate-200 rounded-3xl shadow-md/10 p-2 pb-0 h-[52vh] lg:h-full min-h-0 flex flex-col">
-          <div className="flex items-center justify-between mb-2 text-xs text-slate-600 h-5">
-            <div>
-              <span className="hidden lg:inline">Click a theme (inner ring) or a barrier (outer ring) to filter.</span>
-              <span className="lg:hidden">Tap a theme (inner) or barrier (outer); results are listed below.</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="truncate max-w-[50vw] text-right">
-                {selectedBarrier && <span>Selected: <span className="font-medium">Barrier — {selectedBarrierLabel}</span></span>}
+        <section ref={chartRef} className="lg:col-span-8 lg:row-start-2 bg-white border border-slate-200 rounded-3xl shadow-md/10 p-2 pb-0 h-[52vh] lg:h-full min-h-0 flex flex-col">
+          <div className="flex flex-wrap items-center justify-between gap-x-3 gap-y-1 mb-2 text-xs text-slate-600 min-h-5">
+            {chartView !== 'ring' ? (
+              <div className="hidden lg:block">{VIEW_HINTS[chartView]}</div>
+            ) : zoomedTheme ? (
+              <nav aria-label="Chart zoom" className="flex items-center gap-2 min-w-0">
+                <ol className="flex items-center gap-1 min-w-0">
+                  <li>
+                    <button type="button" onClick={zoomOut} className="text-indigo-700 underline hover:text-indigo-900">All themes</button>
+                  </li>
+                  <li aria-hidden="true">›</li>
+                  <li aria-current="location" className="truncate font-medium" style={{ color: THEME_COLORS[zoomedTheme.id] || '#334155' }}>{zoomedTheme.name}</li>
+                </ol>
+                <span className="hidden lg:inline text-slate-500">Click the centre to zoom out.</span>
+              </nav>
+            ) : (
+              <div>
+                <span className="hidden lg:inline">Click a theme (inner ring) to zoom in or a barrier (outer ring) to filter; Ctrl/⌘-click to select several.</span>
+                <span className="lg:hidden">Tap a theme (inner) or barrier (outer), long-press to select several; results are listed below.</span>
+              </div>
+            )}
+            <div className="flex items-center gap-3 shrink-0">
+              {chartView !== 'heatmap' && <ChartExport onExport={exportChart} />}
+              <div role="group" aria-label="Chart view" className="inline-flex items-center gap-1">
+                {CHART_VIEWS.map((v) => (
+                  <button
+                    key={v.id}
+                    type="button"
+                    aria-pressed={chartView === v.id}
+                    onClick={() => setChartView(v.id)}
+                    className={`rounded-full border px-2 py-0.5 text-[11px] ${chartView === v.id ? 'bg-indigo-600 border-indigo-600 text-white' : 'bg-white border-slate-300'}`}
+                  >
+                    {v.label}
+                  </button>
+                ))}
               </div>
+              {chartView === 'ring' && (
+                <>
+                {equalLayout && (
+                  <span className="hidden sm:inline-flex items-center gap-1.5 text-[11px] text-slate-500">
+                    <span aria-hidden="true" className="h-2.5 w-6 rounded-sm bg-gradient-to-r from-slate-200 to-slate-600" />
+                    More resources
+                    <svg aria-hidden="true" width="12" height="12" className="rounded-sm"><rect width="12" height="12" fill="url(#ring-hatch-none)" /></svg>
+                    None
+                  </span>
+                )}
+                <div role="group" aria-label="Ring layout" className="inline-flex items-center gap-1">
+                  {RING_LAYOUTS.map((l) => (
+                    <button
+                      key={l.id}
+                      type="button"
+                      aria-pressed={ringLayout === l.id}
+                      title={l.hint}
+                      onClick={() => setRingLayout(l.id)}
+                      className={`rounded-full border px-2 py-0.5 text-[11px] ${ringLayout === l.id ? 'bg-slate-900 border-slate-900 text-white' : 'bg-white border-slate-300'}`}
+                    >
+                      {l.label}
+                    </button>
+                  ))}
+                </div>
+                </>
+              )}
             </div>
+            <span id={`${ringId}-help`} className="sr-only">
+              Use the arrow keys to move between segments: left and right go round a ring, up and down move between themes and barriers. Enter or Space selects, and selecting a theme zooms into it; hold Ctrl or Shift to select several. Escape zooms out.
+            </span>
           </div>
 
-          <div style={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', outline: 'none' }}>
-            <div className="relative w-full h-full" style={{ outline: 'none' }}>
-              {/* Gradient overlay: keep as first absolute child */}
-              <div
-                className="absolute inset-0 rounded-2xl pointer-events-none"
-                style={{
-                  background:
-                    'radial-gradient(90% 90% at 50% 55%, rgba(2,6,23,0.035) 0%, rgba(2,6,23,0.02) 40%, transparent 70%)'
-                }}
-              />
-              <ResponsiveContainer width="100%" height="100%" style={{ outline: 'none' }}>
-                <PieChart margin={{ top: 0, right: 8, bottom: 0, left: 8 }} style={{ outline: 'none' }}>
-                  {/* Inner ring: themes (exact sum of its barriers) */}
-                  <Pie
-                    data={themeData}
-                    dataKey="value"
-                    nameKey="name"
-                    innerRadius="32%"
-                    outerRadius="48%"
-                    startAngle={90}
-                    endAngle={-270}  // clockwise
-                    cx="50%"
-                    cy="50%"
-                    isAnimationActive={false}
-                    label={false}
-                    labelLine={false}
-                    paddingAngle={0}  // ensure perfect alignment
-                    stroke="#ffffff"
-                    strokeWidth={2}
-                    className="hidden lg:block"
-                  >
-                    {themeData.map((d) => (
-                      <Cell
-                        key={d.id}
-                        className="cursor-pointer"
-                        style={{ outline: 'none' }}
-                        fill={themeFill(d.id, selectedTheme === d.id)}
-                        opacity={
-                          selectedTheme
-                            ? (selectedTheme === d.id ? 1 : 0.35)
-                            : (selectedBarrier ? 0.35 : 1)
-                        }
-                        onClick={() => toggleTheme(d.id)}
-                        onMouseEnter={() => setHoveredLayer('theme')}
-                        onMouseLeave={() => setHoveredLayer(null)}
-                      />
+          {chartView === 'ring' ? (
+            <div style={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', outline: 'none' }}>
+              <div ref={ringRef} role="group" aria-label="Themes and barriers" aria-describedby={`${ringId}-help`} className="relative w-full h-full" style={{ outline: 'none' }}>
+                {/* Gradient overlay: keep as first absolute child */}
+                <div
+                  className="absolute inset-0 rounded-2xl pointer-events-none"
+                  style={{
+                    background:
+                      'radial-gradient(90% 90% at 50% 55%, rgba(2,6,23,0.035) 0%, rgba(2,6,23,0.02) 40%, transparent 70%)'
+                  }}
+                />
+                {/* Hatching for segments with no resources, one tint per theme */}
+                <svg aria-hidden="true" width="0" height="0" className="absolute">
+                  <defs>
+                    {[...THEMES.map((t) => t.id), 'none'].map((id) => (
+                      <pattern key={id} id={`ring-hatch-${id}`} width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                        <rect width="6" height="6" fill={lighten(THEME_COLORS[id] || "#64748b", 0.9)} />
+                        <line x1="0" y1="0" x2="0" y2="6" stroke={lighten(THEME_COLORS[id] || "#64748b", 0.4)} strokeWidth="2" />
+                      </pattern>
                     ))}
-                  </Pie>
-                  <Pie
-                    data={themeData}
-                    dataKey="value"
-                    nameKey="name"
-                    innerRadius="78%"
-                    outerRadius="83%"
-                    startAngle={90}
-                    endAngle={-270}
-                    cx="50%"
-                    cy="50%"
-                    isAnimationActive={false}
-                    label={renderOuterThemeLabel}
-                    labelLine={false}
-                    stroke="none"
-                    fill="transparent"
-                    pointerEvents="none"
-                  />
-
-                  {/* Outer ring: barriers ordered by theme so arcs align */}
-                  <Pie
-                    data={barrierData}
-                    dataKey="value"
-                    nameKey="name"
-                    innerRadius="52%"
-                    outerRadius="75%"
-                    startAngle={90}
-                    endAngle={-270}
-                    cx="50%"
-                    cy="50%"
-                    isAnimationActive={false}
-                    labelLine={false}
-                    paddingAngle={0}  // ensure perfect alignment
-                    stroke="#ffffff"
-                    strokeWidth={2}
-                  >
-                    {barrierData.map((d) => (
-                      <Cell
-                        key={d.id}
-                        className="cursor-pointer"
-                        style={{ outline: 'none' }}
-                        fill={
-                          selectedBarrier === d.id
-                            ? (THEME_COLORS[d.themeId] || "#334155")
-                            : (barrierFills.get(d.id) || "#e5e7eb")
-                        }
-                        opacity={
-                          selectedBarrier
-                            ? (selectedBarrier === d.id ? 1 : 0.3)
-                            : (selectedTheme ? (d.themeId === selectedTheme ? 1 : 0.3) : 1)
-                        }
-                        onClick={() => toggleBarrier(d.id, d.themeId)}
-                        onMouseEnter={() => setHoveredLayer('barrier')}
-                        onMouseLeave={() => setHoveredLayer(null)}
+                  </defs>
+                </svg>
+                {!ringThemes.length && (
+                  <div className="absolute inset-0 z-10 flex flex-col items-center justify-center gap-2 text-center text-sm text-slate-600">
+                    <p>No resources match the filters.</p>
+                    {!equalLayout && (
+                      <button type="button" onClick={() => setRingLayout('equal')} className="text-indigo-700 underline hover:text-indigo-900">
+                        Show every barrier
+                      </button>
+                    )}
+                  </div>
+                )}
+                <ResponsiveContainer width="100%" height="100%" style={{ outline: 'none' }}>
+                  <PieChart margin={{ top: 0, right: 8, bottom: 0, left: 8 }} style={{ outline: 'none' }} accessibilityLayer={false}>
+                    {/* Inner ring: themes (exact sum of its barriers) */}
+                    <Pie
+                      data={ringThemes}
+                      dataKey="size"
+                      nameKey="name"
+                      innerRadius="32%"
+                      outerRadius="48%"
+                      startAngle={90}
+                      endAngle={-270}  // clockwise
+                      cx="50%"
+                      cy="50%"
+                      isAnimationActive={zoomAnimating}
+                      animationBegin={0}
+                      animationDuration={400}
+                      onAnimationEnd={() => setZoomAnimating(false)}
+                      label={false}
+                      labelLine={false}
+                      paddingAngle={0}  // ensure perfect alignment
+                      stroke="#ffffff"
+                      strokeWidth={2}
+                    >
+                      {ringThemes.map((d) => (
+                        <Cell
+                          key={d.id}
+                          className="cursor-pointer focus-visible:stroke-slate-900 focus-visible:stroke-[3px]"
+                          style={{ outline: 'none' }}
+                          fill={equalLayout && !d.value ? hatchFill(d.id) : themeFill(d.id, zoomTheme === d.id || selectedThemes.includes(d.id))}
+                          opacity={ringSelected && !zoomTheme ? (selectedThemes.includes(d.id) ? 1 : 0.35) : 1}
+                          // Zoomed in, the centre is the way back out
+                          aria-label={zoomTheme ? `${describeSegment('theme', d.name, d.displayCount)}. Zoom out to all themes` : describeSegment('theme', d.name, d.displayCount)}
+                          aria-pressed={zoomTheme ? undefined : selectedThemes.includes(d.id)}
+                          {...segmentProps({ kind: 'theme', id: d.id, name: d.name }, zoomTheme ? zoomOut : (additive) => selectTheme(d.id, additive))}
+                          onMouseEnter={() => setHoveredLayer('theme')}
+                          onMouseLeave={() => setHoveredLayer(null)}
+                        />
+                      ))}
+                    </Pie>
+                    {!zoomTheme && (
+                      <Pie
+                        data={ringThemes}
+                        dataKey="size"
+                        nameKey="name"
+                        innerRadius="78%"
+                        outerRadius="83%"
+                        startAngle={90}
+                        endAngle={-270}
+                        cx="50%"
+                        cy="50%"
+                        isAnimationActive={false}
+                        label={renderOuterThemeLabel}
+                        labelLine={false}
+                        stroke="none"
+                        fill="transparent"
+                        pointerEvents="none"
                       />
-                    ))}
-                  </Pie>
-
-                  <Tooltip
-                    followCursor
-                    wrapperStyle={{ pointerEvents: 'none', transition: 'none' }}
-                    content={({ payload }) => {
-                      if (!payload || !payload.length) return null;
-                      const pick = (hoveredLayer === 'barrier')
-                        ? payload.find(e => e?.payload && e.payload.themeId)
-                        : payload.find(e => e?.payload && !e.payload.themeId);
-                      const entry = pick || payload[0];
-                      const d = entry?.payload;
-                      if (!d) return null;
-                      const isBarrier = !!d.themeId;
-                      const count = isBarrier ? d.value : (d.displayCount ?? d.value);
-                      const themeName = isBarrier ? (THEMES.find(t => t.id === d.themeId)?.name || d.themeId) : d.name;
-                      return (
-                        <div style={{ background: 'white', border: '1px solid #e5e7eb', borderRadius: 8, boxShadow: '0 10px 30px rgba(2,6,23,0.12)', padding: '8px 10px' }}>
-                          <div style={{ fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>{d.name}</div>
-                          <div style={{ fontSize: 12, color: '#334155' }}>
-                            {count} resources{isBarrier ? ` • Theme: ${themeName}` : ''}
+                    )}
+
+                    {/* Outer ring: barriers ordered by theme so arcs align */}
+                    <Pie
+                      data={ringBarriers}
+                      dataKey="size"
+                      nameKey="name"
+                      innerRadius="52%"
+                      outerRadius="75%"
+                      startAngle={90}
+                      endAngle={-270}
+                      cx="50%"
+                      cy="50%"
+                      isAnimationActive={zoomAnimating}
+                      animationBegin={0}
+                      animationDuration={400}
+                      onAnimationEnd={() => setZoomAnimating(false)}
+                      label={zoomTheme ? renderZoomBarrierLabel : false}
+                      labelLine={false}
+                      paddingAngle={0}  // ensure perfect alignment
+                      stroke="#ffffff"
+                      strokeWidth={2}
+                    >
+                      {ringBarriers.map((d) => (
+                        <Cell
+                          key={d.id}
+                          className="cursor-pointer focus-visible:stroke-slate-900 focus-visible:stroke-[3px]"
+                          style={{ outline: 'none' }}
+                          fill={barrierFill(d)}
+                          opacity={ringSelected ? (isBarrierActive(d) ? 1 : 0.3) : 1}
+                          aria-label={describeSegment('barrier', d.name, d.value, THEMES.find((t) => t.id === d.themeId)?.name)}
+                          aria-pressed={selectedBarriers.includes(d.id)}
+                          {...segmentProps({ kind: 'barrier', id: d.id, name: d.name }, (additive) => toggleBarrier(d.id, additive))}
+                          onMouseEnter={() => setHoveredLayer('barrier')}
+                          onMouseLeave={() => setHoveredLayer(null)}
+                        />
+                      ))}
+                    </Pie>
+
+                    <Tooltip
+                      followCursor
+                      wrapperStyle={{ pointerEvents: 'none', transition: 'none' }}
+                      content={({ payload }) => {
+                        if (!payload || !payload.length) return null;
+                        const pick = (hoveredLayer === 'barrier')
+                          ? payload.find(e => e?.payload && e.payload.themeId)
+                          : payload.find(e => e?.payload && !e.payload.themeId);
+                        const entry = pick || payload[0];
+                        const d = entry?.payload;
+                        if (!d) return null;
+                        const isBarrier = !!d.themeId;
+                        const count = isBarrier ? d.value : (d.displayCount ?? d.value);
+                        const themeName = isBarrier ? (THEMES.find(t => t.id === d.themeId)?.name || d.themeId) : d.name;
+                        return (
+                          <div style={{ background: 'white', border: '1px solid #e5e7eb', borderRadius: 8, boxShadow: '0 10px 30px rgba(2,6,23,0.12)', padding: '8px 10px' }}>
+                            <div style={{ fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>{d.name}</div>
+                            <div style={{ fontSize: 12, color: '#334155' }}>
+                              {count} resources{isBarrier ? ` • Theme: ${themeName}` : ''}
+                            </div>
                           </div>
-                        </div>
-                      );
-                    }}
-                  />
-                </PieChart>
-              </ResponsiveContainer>
-              {/* Theme key removed */}
+                        );
+                      }}
+                    />
+                  </PieChart>
+                </ResponsiveContainer>
+                {/* Theme key removed */}
+                <RingTable themes={themeData} barriers={barrierData} selectedThemes={selectedThemes} selectedBarriers={selectedBarriers} />
+                <p role="status" aria-live="polite" className="sr-only">{ringAnnouncement}</p>
+              </div>
             </div>
-          </div>
+          ) : (
+            <div className="min-h-0 flex-1 pb-2">
+              {chartView === 'treemap' && (
+                <ThemeTreemap themes={themeData} barriers={barrierData} selectedThemes={selectedThemes} selectedBarriers={selectedBarriers} themeColors={THEME_COLORS} onSelect={selectInView} />
+              )}
+              {chartView === 'bars' && (
+                <ThemeBars themes={themeData} barriers={barrierData} selectedThemes={selectedThemes} selectedBarriers={selectedBarriers} themeColors={THEME_COLORS} onSelect={selectInView} />
+              )}
+              {chartView === 'heatmap' && (
+                <PersonaHeatmap
+                  themes={themeData}
+                  barriers={barrierData}
+                  personas={PERSONAS}
+                  counts={heatmap.counts}
+                  max={heatmap.max}
+                  selectedThemes={selectedThemes}
+                  selectedBarriers={selectedBarriers}
+                  selectedPersonas={selectedPersonas}
+                  themeColors={THEME_COLORS}
+                  onSelect={selectInView}
+                  onTogglePersona={togglePersona}
+                  onSelectCell={selectCell}
+                />
+              )}
+              {chartView === 'timeline' && (
+                <CoverageTimeline
+                  buckets={timeline}
+                  themes={THEMES}
+                  themeColors={THEME_COLORS}
+                  step={timelineStep}
+                  onStepChange={setTimelineStep}
+                  from={dateRange.from}
+                  to={dateRange.to}
+                  onChange={changePeriod}
+                />
+              )}
+            </div>
+          )}
           
         </section>
 
         {/* Right: results */}
         <section className="lg:col-span-4 lg:row-span-2 flex min-h-0 lg:h-full">
           <div className="bg-white border border-slate-200 rounded-3xl shadow-md/10 p-4 w-full flex flex-col h-full">
-            <div className="text-sm mb-2 shrink-0 sticky top-0 bg-white z-10 border-b border-slate-100 py-2"><span className="font-medium">{filtered.length}</span> result{filtered.length === 1 ? "" : "s"}</div>
+            <div className="text-sm mb-2 shrink-0 sticky top-0 bg-white z-10 border-b border-slate-100 py-2 flex items-center justify-between gap-2">
+              <div><span className="font-medium">{filtered.length}</span> result{filtered.length === 1 ? "" : "s"}</div>
+              <label className="inline-flex items-center gap-1.5 text-xs text-slate-600">
+                Sort
+                <select
+                  value={sort}
+                  onChange={(e) => setSort(e.target.value)}
+                  className="rounded-full border border-slate-200 bg-white px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-indigo-200"
+                >
+                  {SORT_OPTIONS.map((o) => (
+                    <option key={o.id} value={o.id}>{o.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <RingSelection
+              segments={selectedSegments}
+              mode={ringMode}
+              onRemove={removeSegment}
+              onModeChange={setRingMode}
+              onClear={clearRing}
+            />
             <div className="flex-1 min-h-0 pr-1">
               {filtered.length > 0 ? (
                 // Use virtualization for large lists (>50 items) for optimal performance
@@ -721,19 +1206,22 @@ export default function App() {
                   <VirtualizedResourceList
                     resources={filtered}
                     BARRIERS={BARRIERS}
+                    PERSONAS={PERSONAS}
                     THEME_COLORS={THEME_COLORS}
+                    highlight={searchResult.highlight}
                     enableVirtualization={true}
                   />
                 ) : (
                   // Small lists render normally
                   <div className="lg:overflow-y-auto overflow-visible space-y-3">
                     {filtered.map((r) => (
-                      <ResourceItem
+                      <ResourceCard
                         key={r.id}
                         resource={r}
                         BARRIERS={BARRIERS}
+                        PERSONAS={PERSONAS}
                         THEME_COLORS={THEME_COLORS}
-                        lighten={lighten}
+                        highlight={searchResult.highlight}
                       />
                     ))}
                   </div>
@@ -741,6 +1229,23 @@ export default function App() {
               ) : (
                 <div className="bg-white border border-slate-200 rounded-3xl shadow-md/10 p-4 text-xs text-slate-600">
                   No resources match your filters. Clear some filters or search terms.
+                  {[["spelling", "Did you mean"], ["broader", "Or try"]].map(([kind, label]) => {
+                    const options = suggestions.filter((s) => s.kind === kind);
+                    return options.length > 0 && (
+                      <div key={kind} className="mt-2 flex flex-wrap items-center gap-1.5">
+                        <span>{label}:</span>
+                        {options.map((s) => (
+                          <button
+                            key={s.query}
+                            onClick={() => setSearch(s.query)}
+                            className="rounded-full border border-indigo-200 bg-indigo-50 px-2.5 py-0.5 text-indigo-700 hover:bg-indigo-100"
+                          >
+                            {s.query} <span className="text-slate-500">({s.count})</span>
+                          </button>
+                        ))}
+                      </div>
+                    );
+                  })}
                 </div>
               )}
             </div>
@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffRecords,
+  buildChangelogEntry,
+  hasChanges,
+  appendEntry,
+  formatChangelogMarkdown,
+} from '../../../scripts/lib/changelog.mjs';
+
+const THEMES = [
+  { id: 'leadership-and-alignment', name: 'Leadership & Alignment', order: '1' },
+  { id: 'skill-and-culture-gaps', name: 'Skill & Culture Gaps', order: '2' },
+];
+
+const BARRIERS = [
+  { id: 'leadership-and-alignment.fragmented-governance', name: 'Fragmented governance', themeId: 'leadership-and-alignment' },
+  { id: 'skill-and-culture-gaps.technical-supply', name: 'Technical supply', themeId: 'skill-and-culture-gaps' },
+];
+
+const RESOURCES = [
+  { id: 'r1', title: 'First', tags: ['a'], date: '2025-01-01' },
+  { id: 'r2', title: 'Second', tags: ['b'], date: '2025-02-01' },
+];
+
+const previous = { resources: RESOURCES, barriers: BARRIERS, barrierThemes: THEMES };
+
+describe('build-data changelog', () => {
+  describe('diffRecords', () => {
+    it('should report added, removed and field-level modifications', () => {
+      const diff = diffRecords(RESOURCES, [
+        { id: 'r2', title: 'Second', tags: ['b', 'c'], date: '2025-02-01', featured: true },
+        { id: 'r3', title: 'Third' },
+      ]);
+      expect(diff.added.map(r => r.id)).toEqual(['r3']);
+      expect(diff.removed.map(r => r.id)).toEqual(['r1']);
+      expect(diff.modified).toEqual([
+        expect.objectContaining({
+          id: 'r2',
+          changes: [
+            { field: 'tags', before: ['b'], after: ['b', 'c'] },
+            { field: 'featured', before: null, after: true },
+          ],
+        }),
+      ]);
+    });
+
+    it('should treat identical tables as unchanged', () => {
+      expect(diffRecords(RESOURCES, structuredClone(RESOURCES))).toEqual({ added: [], removed: [], modified: [] });
+    });
+  });
+
+  describe('buildChangelogEntry', () => {
+    it('should summarise resource changes', () => {
+      const entry = buildChangelogEntry(previous, {
+        ...previous,
+        resources: [{ ...RESOURCES[0], title: 'First (2nd ed.)' }, { id: 'r3', title: 'Third' }],
+      }, '2025-10-01T00:00:00.000Z');
+      expect(entry.summary).toEqual({ resourcesAdded: 1, resourcesRemoved: 1, resourcesModified: 1, barriersChanged: 0, themesChanged: 0 });
+      expect(entry.resources.added).toEqual([{ id: 'r3', title: 'Third' }]);
+      expect(entry.resources.modified[0]).toMatchObject({ id: 'r1', title: 'First (2nd ed.)' });
+      expect(hasChanges(entry)).toBe(true);
+    });
+
+    it('should detect renamed and re-parented barriers and renamed themes', () => {
+      const entry = buildChangelogEntry(previous, {
+        resources: RESOURCES,
+        barriers: [
+          { ...BARRIERS[0], name: 'Siloed governance' },
+          { ...BARRIERS[1], themeId: 'leadership-and-alignment' },
+        ],
+        barrierThemes: [{ ...THEMES[0], name: 'Leadership' }, THEMES[1]],
+      });
+      expect(entry.barriers.renamed).toEqual([
+        { id: 'leadership-and-alignment.fragmented-governance', from: 'Fragmented governance', to: 'Siloed governance' },
+      ]);
+      expect(entry.barriers.reparented).toEqual([
+        { id: 'skill-and-culture-gaps.technical-supply', from: 'skill-and-culture-gaps', to: 'leadership-and-alignment' },
+      ]);
+      expect(entry.barrierThemes.renamed).toEqual([
+        { id: 'leadership-and-alignment', from: 'Leadership & Alignment', to: 'Leadership' },
+      ]);
+      expect(entry.summary).toMatchObject({ barriersChanged: 2, themesChanged: 1 });
+    });
+
+    it('should report no changes for an identical build', () => {
+      expect(hasChanges(buildChangelogEntry(previous, structuredClone(previous)))).toBe(false);
+    });
+  });
+
+  describe('appendEntry', () => {
+    it('should keep the newest entries first up to the limit', () => {
+      const changelog = { entries: [{ generatedAt: 'b' }, { generatedAt: 'a' }] };
+      expect(appendEntry(changelog, { generatedAt: 'c' }, 2).entries.map(e => e.generatedAt)).toEqual(['c', 'b']);
+      expect(appendEntry(null, { generatedAt: 'a' }).entries).toHaveLength(1);
+    });
+  });
+
+  describe('formatChangelogMarkdown', () => {
+    it('should render each entry with its non-empty sections', () => {
+      const entry = buildChangelogEntry(previous, {
+        ...previous,
+        resources: [RESOURCES[0], { ...RESOURCES[1], date: '' }],
+        barrierThemes: [{ ...THEMES[0], name: 'Leadership' }, THEMES[1]],
+      }, '2025-10-01T00:00:00.000Z');
+      const md = formatChangelogMarkdown({ entries: [entry] });
+      expect(md).toContain('## 2025-10-01T00:00:00.000Z');
+      expect(md).toContain('0 resource(s) added, 0 removed, 1 modified; 0 barrier change(s), 1 theme change(s).');
+      expect(md).toContain('### Resources modified\n\n- Second (`r2`)\n  - date: "2025-02-01" → (empty)');
+      expect(md).toContain('### Themes renamed\n\n- `leadership-and-alignment`: Leadership & Alignment → Leadership');
+      expect(md).not.toContain('### Resources added');
+    });
+
+    it('should note an empty history', () => {
+      expect(formatChangelogMarkdown({ entries: [] })).toBe('# Data changelog\n\nNo data changes recorded yet.\n');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_COLUMNS,
+  CONVERTERS,
+  resolveColumns,
+  mapRow,
+  checkColumnTypes,
+} from '../../../scripts/lib/columns.mjs';
+
+const ROW = {
+  id: 'r1',
+  title: ' Test Resource ',
+  url: 'https://example.com',
+  date: '9/1/2025',
+  description: 'Test description',
+  personas: 'Project|Programme',
+  barriers: 'barrier1| barrier2 ',
+  barrier_theme: 'leadership-and-alignment',
+  tags: 'tag1|tag2',
+  publisher: 'PDATF',
+  type: 'report',
+  featured: 'TRUE',
+};
+
+describe('build-data column mapping', () => {
+  describe('converters', () => {
+    it('should convert each declared type', () => {
+      expect(CONVERTERS.string(' a ')).toBe('a');
+      expect(CONVERTERS.string(undefined)).toBe('');
+      expect(CONVERTERS['pipe-list']('a| b ||c')).toEqual(['a', 'b', 'c']);
+      expect(CONVERTERS['pipe-list'](undefined)).toEqual([]);
+      expect(CONVERTERS.boolean('Yes')).toBe(true);
+      expect(CONVERTERS.boolean('x')).toBe(true);
+      expect(CONVERTERS.boolean('')).toBe(false);
+      expect(CONVERTERS.number('3.5')).toBe(3.5);
+      expect(CONVERTERS.number('')).toBeNull();
+      expect(CONVERTERS.number('lots')).toBeNull();
+    });
+  });
+
+  describe('resolveColumns', () => {
+    it('should default target to the column name', () => {
+      const columns = resolveColumns();
+      expect(columns.title).toEqual({ type: 'string', target: 'title' });
+      expect(columns.barrier_theme).toEqual({ type: 'string', target: 'barrier_category' });
+      expect(Object.keys(columns)).toEqual(Object.keys(DEFAULT_COLUMNS));
+    });
+
+    it('should merge configured columns over the defaults', () => {
+      const columns = resolveColumns({
+        featured: { target: 'isFeatured' },
+        priority: { type: 'number' },
+      });
+      expect(columns.featured).toEqual({ type: 'boolean', target: 'isFeatured' });
+      expect(columns.priority).toEqual({ type: 'number', target: 'priority' });
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => resolveColumns({ rank: { type: 'integer' } })).toThrow('Column "rank" has unknown type "integer"');
+    });
+  });
+
+  describe('mapRow', () => {
+    it('should map the starter CSV columns including featured', () => {
+      expect(mapRow(ROW, resolveColumns())).toEqual({
+        id: 'r1',
+        title: 'Test Resource',
+        url: 'https://example.com',
+        date: '2025-09-01',
+        date_precision: 'day',
+        description: 'Test description',
+        personas: ['Project', 'Programme'],
+        barriers: ['barrier1', 'barrier2'],
+        barrier_category: 'leadership-and-alignment',
+        tags: ['tag1', 'tag2'],
+        publisher: 'PDATF',
+        type: 'report',
+        featured: true,
+      });
+    });
+
+    it('should normalise dates using the configured locale', () => {
+      const out = mapRow({ ...ROW, date: '9/1/2025' }, resolveColumns(), { dateLocale: 'en-GB' });
+      expect(out.date).toBe('2025-01-09');
+      expect(mapRow({ ...ROW, date: 'Sep 2025' }, resolveColumns()).date_precision).toBe('month');
+    });
+
+    it('should keep unparseable dates as text with no precision', () => {
+      const out = mapRow({ ...ROW, date: 'forthcoming' }, resolveColumns());
+      expect(out.date).toBe('forthcoming');
+      expect(out.date_precision).toBe('');
+    });
+
+    it('should default missing declared columns', () => {
+      const out = mapRow({ id: 'r1' }, resolveColumns());
+      expect(out.tags).toEqual([]);
+      expect(out.featured).toBe(false);
+      expect(out.publisher).toBe('');
+    });
+
+    it('should carry unknown columns through as strings', () => {
+      const out = mapRow({ ...ROW, 'reading_time ': ' 5 min ', notes: 'Editor note' }, resolveColumns());
+      expect(out.reading_time).toBe('5 min');
+      expect(out.notes).toBe('Editor note');
+    });
+
+    it('should not let an unknown column overwrite a mapped target', () => {
+      const out = mapRow({ ...ROW, barrier_category: 'stale' }, resolveColumns());
+      expect(out.barrier_category).toBe('leadership-and-alignment');
+    });
+  });
+
+  describe('checkColumnTypes', () => {
+    it('should report unrecognised dates and, without a locale, ambiguous ones', () => {
+      const rows = [{ id: 'r1', date: 'soon' }, { id: 'r2', date: '3/4/2024' }, { id: 'r3', date: '12/25/2024' }];
+      expect(checkColumnTypes(rows, resolveColumns()).map(i => [i.id, i.severity, i.message])).toEqual([
+        ['r1', 'error', 'Unrecognised date "soon"'],
+        ['r2', 'warning', 'Ambiguous date "3/4/2024" read as 2024-03-04 (en-US); set "dateLocale" to confirm'],
+      ]);
+      expect(checkColumnTypes(rows, resolveColumns(), { dateLocale: 'en-GB' }).map(i => [i.id, i.severity])).toEqual([
+        ['r1', 'error'],
+        ['r3', 'error'],
+      ]);
+    });
+
+    it('should report bad numbers as errors and unknown booleans as warnings', () => {
+      const columns = resolveColumns({ priority: { type: 'number' } });
+      const issues = checkColumnTypes([{ id: 'r1', priority: 'high', featured: 'maybe' }, { id: 'r2', priority: '2', featured: 'no' }], columns);
+      expect(issues).toEqual([
+        { table: 'resources', row: 2, id: 'r1', field: 'featured', severity: 'warning', message: '"maybe" is not a recognised yes/no value; treated as false' },
+        { table: 'resources', row: 2, id: 'r1', field: 'priority', severity: 'error', message: '"high" is not a number' },
+      ]);
+    });
+  });
+});
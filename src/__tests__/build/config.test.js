@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseBuildArgs,
+  readConfigFile,
+  resolveSourceConfig,
+  resolveDateLocale,
+  describeSource,
+} from '../../../scripts/lib/config.mjs';
+
+const ENV = {
+  RESOURCES_CSV_URL: 'https://example.com/resources.csv',
+  BARRIER_THEMES_CSV_URL: 'https://example.com/themes.csv',
+  BARRIERS_CSV_URL: 'https://example.com/barriers.csv',
+};
+
+const memoryFs = (files) => ({
+  existsSync: (p) => Object.keys(files).some(f => p.endsWith(f)),
+  readFileSync: (p) => files[Object.keys(files).find(f => p.endsWith(f))],
+});
+
+describe('build-data config', () => {
+  describe('parseBuildArgs', () => {
+    it('should parse --source, --config, --path and --out-dir', () => {
+      expect(parseBuildArgs(['--source', 'workbook', '--path', 'book.xlsx', '--config=alt.json', '--out-dir', 'tmp']))
+        .toEqual({ source: 'workbook', path: 'book.xlsx', config: 'alt.json', outDir: 'tmp' });
+    });
+
+    it('should parse --strict as a boolean', () => {
+      expect(parseBuildArgs(['--strict']).strict).toBe(true);
+      expect(parseBuildArgs([]).strict).toBeUndefined();
+    });
+
+    it('should reject unknown flags', () => {
+      expect(() => parseBuildArgs(['--nope'])).toThrow();
+    });
+  });
+
+  describe('readConfigFile', () => {
+    it('should return an empty config when the default file is absent', () => {
+      expect(readConfigFile(undefined, { fs: memoryFs({}) })).toEqual({});
+    });
+
+    it('should fail when an explicit config file is absent', () => {
+      expect(() => readConfigFile('missing.json', { fs: memoryFs({}) })).toThrow('Config file not found');
+    });
+
+    it('should parse the default config file', () => {
+      const fs = memoryFs({ 'build-data.config.json': '{"source":"local"}' });
+      expect(readConfigFile(undefined, { fs })).toEqual({ source: 'local' });
+    });
+
+    it('should report invalid JSON', () => {
+      const fs = memoryFs({ 'build-data.config.json': '{' });
+      expect(() => readConfigFile(undefined, { fs })).toThrow('Invalid JSON');
+    });
+  });
+
+  describe('resolveSourceConfig', () => {
+    it('should default to remote when all CSV URL env vars are set', () => {
+      expect(resolveSourceConfig({}, {}, ENV)).toEqual({
+        type: 'remote',
+        urls: {
+          resources: ENV.RESOURCES_CSV_URL,
+          barrierThemes: ENV.BARRIER_THEMES_CSV_URL,
+          barriers: ENV.BARRIERS_CSV_URL,
+        },
+      });
+    });
+
+    it('should pass on a personas URL without needing one', () => {
+      const config = resolveSourceConfig({}, {}, { ...ENV, PERSONAS_CSV_URL: 'https://p' });
+      expect(config.type).toBe('remote');
+      expect(config.urls.personas).toBe('https://p');
+    });
+
+    it('should default to local when the env vars are missing', () => {
+      const local = { resources: 'r.csv', barrierThemes: 't.csv', barriers: 'b.csv' };
+      expect(resolveSourceConfig({}, { local }, {})).toEqual({ type: 'local', dir: '.', paths: local });
+    });
+
+    it('should prefer the --source flag over config file and env', () => {
+      const config = resolveSourceConfig({ source: 'local' }, { source: 'remote' }, { ...ENV, DATA_SOURCE: 'remote' });
+      expect(config.type).toBe('local');
+    });
+
+    it('should prefer the config file source over DATA_SOURCE', () => {
+      expect(resolveSourceConfig({}, { source: 'local' }, { DATA_SOURCE: 'workbook' }).type).toBe('local');
+      expect(resolveSourceConfig({ path: 'data.xlsx' }, {}, { DATA_SOURCE: 'workbook' }).type).toBe('workbook');
+    });
+
+    it('should let --path replace configured local paths with a directory', () => {
+      const config = resolveSourceConfig({ source: 'local', path: 'exports' }, { local: { resources: 'r.csv' } }, {});
+      expect(config).toEqual({ type: 'local', dir: 'exports', paths: {} });
+    });
+
+    it('should merge remote URLs from config and env, env winning', () => {
+      const fileConfig = { remote: { resources: 'https://old', barrierThemes: 'https://t', barriers: 'https://b' } };
+      const config = resolveSourceConfig({ source: 'remote' }, fileConfig, { RESOURCES_CSV_URL: 'https://new' });
+      expect(config.urls).toEqual({ resources: 'https://new', barrierThemes: 'https://t', barriers: 'https://b' });
+    });
+
+    it('should name the missing env vars for remote', () => {
+      expect(() => resolveSourceConfig({ source: 'remote' }, {}, { RESOURCES_CSV_URL: 'x' }))
+        .toThrow('Set BARRIER_THEMES_CSV_URL, BARRIERS_CSV_URL');
+    });
+
+    it('should take the workbook path from --path or the config file', () => {
+      const fileConfig = { workbook: { path: 'data.xlsx', sheets: { resources: 'Res' } } };
+      expect(resolveSourceConfig({ source: 'workbook' }, fileConfig, {}))
+        .toEqual({ type: 'workbook', path: 'data.xlsx', sheets: { resources: 'Res' } });
+      expect(resolveSourceConfig({ source: 'workbook', path: 'other.xlsx' }, fileConfig, {}).path).toBe('other.xlsx');
+    });
+
+    it('should need a workbook path before the source is described', () => {
+      expect(() => resolveSourceConfig({ source: 'workbook' }, {}, {})).toThrow('Workbook source needs a path to an .xlsx file. Pass --path');
+    });
+
+    it('should reject unknown sources', () => {
+      expect(() => resolveSourceConfig({ source: 'ftp' }, {}, {})).toThrow('Unknown data source "ftp"');
+    });
+  });
+
+  describe('resolveDateLocale', () => {
+    it('should prefer --date-locale over the config file', () => {
+      expect(resolveDateLocale(parseBuildArgs(['--date-locale', 'en-GB']), { dateLocale: 'en-US' })).toBe('en-GB');
+      expect(resolveDateLocale({}, { dateLocale: 'en-US' })).toBe('en-US');
+    });
+
+    it('should leave the locale unset when not configured', () => {
+      expect(resolveDateLocale({}, {})).toBeUndefined();
+    });
+
+    it('should reject unsupported locales', () => {
+      expect(() => resolveDateLocale({ dateLocale: 'fr-FR' }, {})).toThrow('Unknown dateLocale "fr-FR"');
+    });
+  });
+
+  describe('describeSource', () => {
+    it('should describe each source type', () => {
+      expect(describeSource({ type: 'remote' })).toBe('remote CSV URLs');
+      expect(describeSource({ type: 'workbook', path: 'a.xlsx' })).toBe('workbook a.xlsx');
+      expect(describeSource({ type: 'local', dir: 'data', paths: {} })).toBe('local directory data');
+      expect(describeSource({ type: 'local', dir: '.', paths: { resources: 'r.csv' } })).toBe('local files (r.csv)');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate } from '../../../scripts/lib/dates.mjs';
+
+describe('build-data date parsing', () => {
+  describe('ISO 8601', () => {
+    it('should keep full, month and year precision', () => {
+      expect(parseDate('2025-09-11')).toEqual({ iso: '2025-09-11', precision: 'day', ambiguous: false });
+      expect(parseDate('2025-9')).toEqual({ iso: '2025-09', precision: 'month', ambiguous: false });
+      expect(parseDate('2021')).toEqual({ iso: '2021', precision: 'year', ambiguous: false });
+    });
+
+    it('should drop a time component', () => {
+      expect(parseDate('2025-01-15T00:00:00.000Z').iso).toBe('2025-01-15');
+    });
+  });
+
+  describe('numeric day/month/year', () => {
+    it('should read M/D/YYYY by default', () => {
+      expect(parseDate('9/1/2025')).toEqual({ iso: '2025-09-01', precision: 'day', ambiguous: true });
+      expect(parseDate('10/1/2025').iso).toBe('2025-10-01');
+    });
+
+    it('should read D/M/YYYY for en-GB', () => {
+      expect(parseDate('9/1/2025', { locale: 'en-GB' }).iso).toBe('2025-01-09');
+      expect(parseDate('25.12.2024', { locale: 'en-GB' }).iso).toBe('2024-12-25');
+    });
+
+    it('should only flag values that are valid both ways round', () => {
+      expect(parseDate('12/25/2024').ambiguous).toBe(false);
+      expect(parseDate('1/1/2024').ambiguous).toBe(false);
+      expect(parseDate('3/4/2024').ambiguous).toBe(true);
+    });
+
+    it('should reject impossible dates', () => {
+      expect(parseDate('13/1/2025')).toBeNull();
+      expect(parseDate('2/30/2024')).toBeNull();
+      expect(parseDate('2025-13-01')).toBeNull();
+    });
+  });
+
+  describe('month-year and written dates', () => {
+    it('should parse month-year forms with month precision', () => {
+      expect(parseDate('9/2025')).toEqual({ iso: '2025-09', precision: 'month', ambiguous: false });
+      expect(parseDate('Sep 2025').iso).toBe('2025-09');
+      expect(parseDate('Sept. 2025').iso).toBe('2025-09');
+      expect(parseDate('September 2025').iso).toBe('2025-09');
+    });
+
+    it('should parse written day-month-year in either order', () => {
+      expect(parseDate('1 September 2025').iso).toBe('2025-09-01');
+      expect(parseDate('3rd March, 2024').iso).toBe('2024-03-03');
+      expect(parseDate('September 1, 2025').iso).toBe('2025-09-01');
+    });
+  });
+
+  it('should return null for empty or unrecognised values', () => {
+    expect(parseDate('')).toBeNull();
+    expect(parseDate(undefined)).toBeNull();
+    expect(parseDate('sometime in 2025')).toBeNull();
+    expect(parseDate('Smarch 2025')).toBeNull();
+    expect(parseDate('Marvel 2025')).toBeNull();
+    expect(parseDate('1 Decade 2025')).toBeNull();
+    expect(parseDate('Junk 4, 2025')).toBeNull();
+    expect(parseDate('25')).toBeNull();
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  canonicalizeUrl,
+  similarity,
+  findDuplicates,
+  mergeDuplicates,
+  resolveDedupe,
+} from '../../../scripts/lib/dedupe.mjs';
+
+const resource = (id, overrides = {}) => ({
+  id,
+  title: `Resource ${id}`,
+  url: `https://example.com/${id}`,
+  description: '',
+  personas: [],
+  barriers: [],
+  tags: [],
+  barrier_category: 'leadership-and-alignment',
+  featured: false,
+  ...overrides,
+});
+
+describe('build-data duplicate detection', () => {
+  describe('canonicalizeUrl', () => {
+    it('should ignore scheme, www, trailing slashes, fragments and tracking params', () => {
+      const canonical = 'https://gov.uk/guidance/report?page=2';
+      expect(canonicalizeUrl('http://www.gov.uk/guidance/report/?page=2')).toBe(canonical);
+      expect(canonicalizeUrl('https://GOV.UK/guidance/report?utm_source=x&page=2&fbclid=abc#top')).toBe(canonical);
+    });
+
+    it('should sort remaining query parameters', () => {
+      expect(canonicalizeUrl('https://example.com/a?b=2&a=1')).toBe(canonicalizeUrl('https://example.com/a?a=1&b=2'));
+    });
+
+    it('should return null for anything but http(s) URLs', () => {
+      expect(canonicalizeUrl('file:///tmp/report.pdf')).toBeNull();
+      expect(canonicalizeUrl('(internal report)')).toBeNull();
+      expect(canonicalizeUrl('')).toBeNull();
+    });
+  });
+
+  describe('similarity', () => {
+    it('should score identical text as 1 regardless of case and punctuation', () => {
+      expect(similarity('AI: Powering Productivity', 'ai powering productivity')).toBe(1);
+    });
+
+    it('should score unrelated text low and close variants high', () => {
+      expect(similarity('Data strategy', 'Procurement reform')).toBeLessThan(0.3);
+      expect(similarity('Transforming Construction', 'Transforming Construction (NEC)')).toBeGreaterThan(0.85);
+      expect(similarity('', 'anything')).toBe(0);
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should group resources sharing a canonical URL', () => {
+      const { exact, near } = findDuplicates([
+        resource('a', { url: 'https://www.example.com/report/' }),
+        resource('b', { url: 'http://example.com/report?utm_campaign=x', title: 'Something else' }),
+        resource('c'),
+      ]);
+      expect(exact).toEqual([{ url: 'https://example.com/report', ids: ['a', 'b'] }]);
+      expect(near).toEqual([]);
+    });
+
+    it('should pair resources with similar titles or descriptions', () => {
+      const description = 'A practical guide to building the business case for data and AI investment in projects.';
+      const { near } = findDuplicates([
+        resource('a', { title: 'Mind the Investment Gap' }),
+        resource('b', { title: 'Mind the investment gap!' }),
+        resource('c', { title: 'Business cases', description }),
+        resource('d', { title: 'Making the case', description: `${description} Updated.` }),
+        resource('e', { title: 'Unrelated' }),
+      ]);
+      expect(near.map(n => n.ids)).toEqual([['a', 'b'], ['c', 'd']]);
+      expect(near[0].title).toBe(1);
+    });
+
+    it('should ignore short descriptions', () => {
+      const { near } = findDuplicates([
+        resource('a', { title: 'One', description: 'Short text' }),
+        resource('b', { title: 'Two', description: 'Short text' }),
+      ]);
+      expect(near).toEqual([]);
+    });
+  });
+
+  describe('mergeDuplicates', () => {
+    const resources = [
+      resource('a', { url: 'https://example.com/x', personas: ['Project'], tags: ['ai'] }),
+      resource('b', { title: 'Resource a', tags: ['data'] }),
+      resource('c', { url: 'https://example.com/x/', personas: ['Business'], tags: ['ai', 'risk'], barrier_category: 'skill-and-culture-gaps', featured: true }),
+    ];
+    const duplicates = findDuplicates(resources, { ...resolveDedupe(), titleThreshold: 0.95 });
+
+    it('should leave resources alone by default', () => {
+      expect(mergeDuplicates(resources, duplicates).resources).toBe(resources);
+    });
+
+    it('should merge exact duplicates into the first record', () => {
+      const { resources: out, merged } = mergeDuplicates(resources, duplicates, 'exact');
+      expect(out.map(r => r.id)).toEqual(['a', 'b']);
+      expect(out[0]).toMatchObject({
+        personas: ['Project', 'Business'],
+        tags: ['ai', 'risk'],
+        barrier_category: 'leadership-and-alignment|skill-and-culture-gaps',
+        featured: true,
+      });
+      expect(merged).toEqual([{ id: 'a', mergedIds: ['c'] }]);
+    });
+
+    it('should also merge near-duplicates in "all" mode', () => {
+      const { resources: out, merged } = mergeDuplicates(resources, duplicates, 'all');
+      expect(out.map(r => r.id)).toEqual(['a']);
+      expect(out[0].tags).toEqual(['ai', 'data', 'risk']);
+      expect(merged).toEqual([{ id: 'a', mergedIds: ['b', 'c'] }]);
+    });
+  });
+
+  describe('resolveDedupe', () => {
+    it('should reject unknown merge modes', () => {
+      expect(resolveDedupe({ merge: 'exact' }).merge).toBe('exact');
+      expect(() => resolveDedupe({ merge: 'yes' })).toThrow('dedupe.merge must be one of none, exact, all');
+    });
+  });
+});
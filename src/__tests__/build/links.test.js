@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import nodeFetch from 'node-fetch';
+import {
+  checkUrl,
+  checkLinks,
+  classifyStatus,
+  mapWithConcurrency,
+} from '../../../scripts/lib/links.mjs';
+
+/** Fake fetch answering from a table of url -> status, or [status, location], per method */
+const fakeFetch = (routes, calls = []) => async (url, { method }) => {
+  calls.push(`${method} ${url}`);
+  let route = routes[`${method} ${url}`] ?? routes[url];
+  if (typeof route === 'function') route = route();
+  if (route instanceof Error) throw route;
+  if (route === undefined) route = 404;
+  const [status, location] = Array.isArray(route) ? route : [route];
+  return { status, headers: { get: (name) => (name === 'location' ? location ?? null : null) } };
+};
+
+const noSleep = async () => {};
+
+describe('build-data link checking', () => {
+  describe('classifyStatus', () => {
+    it('should classify final statuses', () => {
+      expect(classifyStatus(200)).toBe('ok');
+      expect(classifyStatus(200, [{}])).toBe('redirected');
+      expect(classifyStatus(403)).toBe('unknown');
+      expect(classifyStatus(404)).toBe('broken');
+      expect(classifyStatus(null)).toBe('broken');
+    });
+  });
+
+  describe('checkUrl', () => {
+    it('should follow and record redirects', async () => {
+      const fetch = fakeFetch({
+        'https://a.test/old': [301, '/new'],
+        'https://a.test/new': [302, 'https://b.test/final'],
+        'https://b.test/final': 200,
+      });
+      const result = await checkUrl('https://a.test/old', { fetch, sleep: noSleep });
+      expect(result).toMatchObject({ state: 'redirected', status: 200, finalUrl: 'https://b.test/final', attempts: 1 });
+      expect(result.redirects).toEqual([
+        { url: 'https://a.test/old', status: 301, location: 'https://a.test/new' },
+        { url: 'https://a.test/new', status: 302, location: 'https://b.test/final' },
+      ]);
+    });
+
+    it('should give up on redirect loops', async () => {
+      const fetch = fakeFetch({ 'https://a.test/loop': [302, '/loop'] });
+      const result = await checkUrl('https://a.test/loop', { fetch, sleep: noSleep, retries: 0, maxRedirects: 3 });
+      expect(result).toMatchObject({ state: 'broken', error: 'More than 3 redirects' });
+    });
+
+    it('should fall back to GET when HEAD is not allowed', async () => {
+      const calls = [];
+      const fetch = fakeFetch({ 'HEAD https://a.test/': 405, 'GET https://a.test/': 200 }, calls);
+      const result = await checkUrl('https://a.test/', { fetch, sleep: noSleep });
+      expect(result.state).toBe('ok');
+      expect(calls).toEqual(['HEAD https://a.test/', 'GET https://a.test/']);
+    });
+
+    it('should retry server errors and network failures with backoff', async () => {
+      const responses = [new Error('ECONNRESET'), 503, 200];
+      const fetch = fakeFetch({ 'https://a.test/flaky': () => responses.shift() });
+      const waits = [];
+      const result = await checkUrl('https://a.test/flaky', { fetch, sleep: async (ms) => { waits.push(ms); }, retries: 2, retryDelayMs: 100 });
+      expect(result).toMatchObject({ state: 'ok', attempts: 3 });
+      expect(waits).toEqual([100, 200]);
+    });
+
+    it('should report the last failure once retries run out', async () => {
+      const fetch = fakeFetch({ 'https://a.test/down': new Error('getaddrinfo ENOTFOUND a.test') });
+      const result = await checkUrl('https://a.test/down', { fetch, sleep: noSleep, retries: 1 });
+      expect(result).toMatchObject({ state: 'broken', status: null, attempts: 2, error: 'getaddrinfo ENOTFOUND a.test' });
+    });
+
+    it('should skip non-http URLs without fetching', async () => {
+      const calls = [];
+      const result = await checkUrl('file:///share/report.pdf', { fetch: fakeFetch({}, calls) });
+      expect(result.state).toBe('skipped');
+      expect(calls).toEqual([]);
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should never run more than the limit at once', async () => {
+      let running = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running -= 1;
+        return n * 2;
+      });
+      expect(results).toEqual([2, 4, 6, 8, 10]);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('checkLinks', () => {
+    it('should check each URL once and key results by resource id', async () => {
+      const calls = [];
+      const fetch = fakeFetch({ 'https://a.test/': 200, 'https://a.test/gone': 404 }, calls);
+      const health = await checkLinks([
+        { id: 'r1', url: 'https://a.test/' },
+        { id: 'r2', url: 'https://a.test/' },
+        { id: 'r3', url: 'https://a.test/gone' },
+        { id: 'r4', url: '(internal)' },
+      ], { fetch, sleep: noSleep, now: () => '2025-10-01T00:00:00.000Z' });
+
+      expect(calls).toEqual(['HEAD https://a.test/', 'HEAD https://a.test/gone']);
+      expect(health.generatedAt).toBe('2025-10-01T00:00:00.000Z');
+      expect(health.summary).toEqual({ ok: 2, redirected: 0, unknown: 0, broken: 1, skipped: 1 });
+      expect(health.results.r3).toMatchObject({ url: 'https://a.test/gone', state: 'broken', status: 404, checkedAt: '2025-10-01T00:00:00.000Z' });
+    });
+  });
+
+  describe('against a local server', () => {
+    let server;
+    let base;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/moved') res.writeHead(301, { location: '/here' });
+        else if (req.url === '/here') res.writeHead(200);
+        else if (req.url === '/head-only-get' && req.method === 'HEAD') res.writeHead(405);
+        else if (req.url === '/head-only-get') res.writeHead(200);
+        else res.writeHead(404);
+        res.end();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should check real HTTP responses with node-fetch', async () => {
+      const health = await checkLinks([
+        { id: 'moved', url: `${base}/moved` },
+        { id: 'get', url: `${base}/head-only-get` },
+        { id: 'missing', url: `${base}/missing` },
+      ], { fetch: nodeFetch, sleep: noSleep, retries: 0, timeoutMs: 2000 });
+
+      expect(health.results.moved).toMatchObject({ state: 'redirected', finalUrl: `${base}/here` });
+      expect(health.results.get).toMatchObject({ state: 'ok', status: 200 });
+      expect(health.results.missing).toMatchObject({ state: 'broken', status: 404 });
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { buildPersonas } from '../../../scripts/lib/personas.mjs';
+
+describe('buildPersonas', () => {
+  it('should trim fields, number the order and sort by it', () => {
+    expect(buildPersonas([
+      { id: ' Business ', label: 'Business', description: ' Leaders ', icon: '🏢', order: '2' },
+      { id: 'Project', label: 'Project', description: '', icon: '', order: '1' },
+    ])).toEqual([
+      { id: 'Project', label: 'Project', description: '', icon: '', order: 1 },
+      { id: 'Business', label: 'Business', description: 'Leaders', icon: '🏢', order: 2 },
+    ]);
+  });
+
+  it('should fall back to the id as label and list unordered personas last by label', () => {
+    const personas = buildPersonas([
+      { id: 'Zed', order: '' },
+      { id: 'Alpha', label: 'Alpha', order: 'soon' },
+      { id: 'Project', order: '5' },
+      { id: '', label: 'No id' },
+    ]);
+    expect(personas.map(p => [p.label, p.order])).toEqual([['Project', 5], ['Alpha', null], ['Zed', null]]);
+  });
+});
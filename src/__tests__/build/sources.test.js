@@ -0,0 +1,201 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import ExcelJS from 'exceljs';
+import {
+  TABLES,
+  parseCsv,
+  cellText,
+  createRemoteSource,
+  createLocalSource,
+  createWorkbookSource,
+  createSource,
+  loadTables,
+} from '../../../scripts/lib/sources.mjs';
+
+const RESOURCES_CSV = `id,title,barriers
+r1,First,b1|b2
+r2,Second,b3
+`;
+const THEMES_CSV = `id,name,order
+t1,Theme one,1
+`;
+const BARRIERS_CSV = `id,name,themeId
+t1.b1,Barrier one,t1
+`;
+
+describe('build-data sources', () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'pdatf-sources-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  describe('parseCsv', () => {
+    it('should parse rows keyed by header and strip the BOM', () => {
+      const rows = parseCsv('﻿id,title\n1,Test\n\n');
+      expect(rows).toEqual([{ id: '1', title: 'Test' }]);
+    });
+  });
+
+  describe('remote source', () => {
+    it('should fetch and parse the URL for each table', async () => {
+      const fetch = vi.fn().mockResolvedValue({ ok: true, text: async () => RESOURCES_CSV });
+      const source = createRemoteSource({ urls: { resources: 'https://example.com/r.csv' } }, { fetch });
+
+      const rows = await source.load('resources');
+
+      expect(fetch).toHaveBeenCalledWith('https://example.com/r.csv');
+      expect(rows).toHaveLength(2);
+    });
+
+    it('should reject on a non-OK HTTP response', async () => {
+      const fetch = vi.fn().mockResolvedValue({ ok: false, status: 404, text: async () => '' });
+      const source = createRemoteSource({ urls: { resources: 'https://example.com/r.csv' } }, { fetch });
+
+      await expect(source.load('resources')).rejects.toThrow('HTTP 404');
+    });
+
+    it('should resolve an optional table without a URL to null', async () => {
+      const fetch = vi.fn();
+      expect(await createRemoteSource({ urls: {} }, { fetch }).load('personas')).toBeNull();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject when a table has no URL', async () => {
+      const source = createRemoteSource({ urls: {} }, { fetch: vi.fn() });
+      await expect(source.load('barriers')).rejects.toThrow('No URL configured for table "barriers"');
+    });
+  });
+
+  describe('local source', () => {
+    it('should read default file names from a directory', async () => {
+      fs.writeFileSync(path.join(tmp, 'resources.csv'), RESOURCES_CSV);
+      fs.writeFileSync(path.join(tmp, 'barrier_themes.csv'), THEMES_CSV);
+      fs.writeFileSync(path.join(tmp, 'barriers.csv'), BARRIERS_CSV);
+
+      const tables = await loadTables(createLocalSource({ dir: tmp }));
+
+      expect(Object.keys(tables)).toEqual(TABLES);
+      expect(tables.resources).toHaveLength(2);
+      expect(tables.barrierThemes[0]).toEqual({ id: 't1', name: 'Theme one', order: '1' });
+      expect(tables.barriers[0].themeId).toBe('t1');
+    });
+
+    it('should read explicit per-table paths relative to dir', async () => {
+      fs.writeFileSync(path.join(tmp, 'my resources.csv'), RESOURCES_CSV);
+      const source = createLocalSource({ dir: tmp, paths: { resources: 'my resources.csv' } });
+
+      expect(await source.load('resources')).toHaveLength(2);
+    });
+
+    it('should concatenate every CSV in a table directory in name order', async () => {
+      const dir = path.join(tmp, 'resources');
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'b.csv'), 'id,title\nr3,Third\n');
+      fs.writeFileSync(path.join(dir, 'a.csv'), 'id,title\nr1,First\n');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+      const rows = await createLocalSource({ dir: tmp, paths: { resources: 'resources' } }).load('resources');
+
+      expect(rows.map(r => r.id)).toEqual(['r1', 'r3']);
+    });
+
+    it('should resolve a missing optional table to null', async () => {
+      expect(await createLocalSource({ dir: tmp }).load('personas')).toBeNull();
+    });
+
+    it('should report a missing file', async () => {
+      await expect(createLocalSource({ dir: tmp }).load('barriers')).rejects.toThrow('Local barriers file not found');
+    });
+
+    it('should reject a single file given as the directory', () => {
+      const file = path.join(tmp, 'resources.csv');
+      fs.writeFileSync(file, RESOURCES_CSV);
+      expect(() => createLocalSource({ dir: file })).toThrow(`Local source path must be a directory of CSV files, not a file: ${file}`);
+    });
+
+    it('should report an empty table directory', async () => {
+      fs.mkdirSync(path.join(tmp, 'resources'));
+      const source = createLocalSource({ dir: tmp, paths: { resources: 'resources' } });
+      await expect(source.load('resources')).rejects.toThrow('No .csv files');
+    });
+  });
+
+  describe('workbook source', () => {
+    const buildWorkbook = () => {
+      const wb = new ExcelJS.Workbook();
+      const res = wb.addWorksheet('Resources');
+      res.addRow(['id', 'title', 'url', 'date']);
+      res.addRow(['r1', { richText: [{ text: 'Rich ' }, { text: 'title' }] }, { text: 'Link', hyperlink: 'https://example.com' }, new Date(Date.UTC(2025, 0, 15))]);
+      res.addRow([]);
+      res.addRow(['r2', 'Plain', '', 42]);
+      wb.addWorksheet('barrier_themes').addRow(['id', 'name']);
+      wb.addWorksheet('barriers').addRow(['id', 'name']);
+      return wb;
+    };
+
+    it('should map sheets to tables case-insensitively and convert cell values', async () => {
+      const source = createWorkbookSource({ path: 'book.xlsx' }, { loadWorkbook: async () => buildWorkbook() });
+
+      const rows = await source.load('resources');
+
+      expect(rows).toEqual([
+        { id: 'r1', title: 'Rich title', url: 'Link', date: '2025-01-15' },
+        { id: 'r2', title: 'Plain', url: '', date: '42' },
+      ]);
+    });
+
+    it('should read a real .xlsx file from disk', async () => {
+      const file = path.join(tmp, 'data.xlsx');
+      await buildWorkbook().xlsx.writeFile(file);
+
+      const tables = await loadTables(createWorkbookSource({ path: file }));
+
+      expect(tables.resources).toHaveLength(2);
+      expect(tables.barriers).toEqual([]);
+    });
+
+    it('should honour custom sheet names and list available sheets on a miss', async () => {
+      const source = createWorkbookSource(
+        { path: 'book.xlsx', sheets: { barriers: 'Barrier list' } },
+        { loadWorkbook: async () => buildWorkbook() }
+      );
+
+      await expect(source.load('barriers')).rejects.toThrow('sheets: Resources, barrier_themes, barriers');
+    });
+
+    it('should resolve a missing optional sheet to null', async () => {
+      const source = createWorkbookSource({ path: 'book.xlsx' }, { loadWorkbook: async () => buildWorkbook() });
+      expect(await source.load('personas')).toBeNull();
+    });
+
+    it('should require a path', () => {
+      expect(() => createWorkbookSource({})).toThrow('needs a path');
+    });
+  });
+
+  describe('cellText', () => {
+    it('should unwrap formula results and blank values', () => {
+      expect(cellText({ formula: 'A1', result: 'x' })).toBe('x');
+      expect(cellText(null)).toBe('');
+      expect(cellText({})).toBe('');
+      expect(cellText(true)).toBe('true');
+    });
+  });
+
+  describe('createSource', () => {
+    it('should create a registered source by type', () => {
+      expect(createSource({ type: 'local', dir: tmp }).name).toBe('local');
+    });
+
+    it('should reject an unknown type', () => {
+      expect(() => createSource({ type: 'ftp' })).toThrow('Expected one of: remote, local, workbook');
+    });
+  });
+});
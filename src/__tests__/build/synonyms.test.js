@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { buildSynonyms } from '../../../scripts/lib/synonyms.mjs';
+
+describe('buildSynonyms', () => {
+  it('should split pipe-separated terms into groups', () => {
+    const { groups, issues } = buildSynonyms([
+      { terms: 'BIM | building information modelling', note: '' },
+      { terms: 'LLM|large  language model' },
+    ]);
+    expect(groups).toEqual([['BIM', 'building information modelling'], ['LLM', 'large language model']]);
+    expect(issues).toEqual([]);
+  });
+
+  it('should drop repeated terms within a group', () => {
+    const { groups } = buildSynonyms([{ terms: 'AI|ai|Artificial  Intelligence|artificial intelligence' }]);
+    expect(groups).toEqual([['AI', 'Artificial Intelligence']]);
+  });
+
+  it('should warn about groups with fewer than two terms', () => {
+    const { groups, issues } = buildSynonyms([{ terms: 'MMC' }, { terms: '' }]);
+    expect(groups).toEqual([]);
+    expect(issues.map(i => [i.severity, i.table, i.row])).toEqual([['warning', 'synonyms', 2], ['warning', 'synonyms', 3]]);
+  });
+
+  it('should warn when a term appears in more than one group', () => {
+    const { groups, issues } = buildSynonyms([{ terms: 'AI|artificial intelligence' }, { terms: 'GenAI|generative ai|AI' }]);
+    expect(groups).toHaveLength(2);
+    expect(issues).toEqual([
+      { severity: 'warning', table: 'synonyms', row: 3, id: '', field: 'terms', message: '"AI" is also in row 2; both groups will apply' },
+    ]);
+  });
+});
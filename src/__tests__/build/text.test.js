@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RULES,
+  cleanText,
+  cleanResources,
+  resolveTextCleaning,
+  sanitizeMarkdown,
+  stripMarkdown,
+  summarizeChanges,
+} from '../../../scripts/lib/text.mjs';
+
+describe('build-data text cleaning', () => {
+  describe('rules', () => {
+    it('should strip citation markers and numeric footnotes', () => {
+      expect(RULES.citations('Survey of digital skills【263830693408424†L129-L164】.')).toBe('Survey of digital skills.');
+      expect(RULES.citations('See the guidance [3] and annex [4, 5].')).toBe('See the guidance and annex.');
+      expect(RULES.citations('Read [1](https://example.com) first')).toBe('Read [1](https://example.com) first');
+    });
+
+    it('should straighten quotes and normalise dashes', () => {
+      expect(RULES.quotes('“Agile” isn’t new')).toBe('"Agile" isn\'t new');
+      expect(RULES.dashes('Delivery — at pace')).toBe('Delivery – at pace');
+      expect(RULES.dashes('Delivery -- at pace')).toBe('Delivery – at pace');
+      expect(RULES.dashes('Delivery—at pace')).toBe('Delivery – at pace');
+      expect(RULES.dashes('co‑design and follow-up')).toBe('co-design and follow-up');
+    });
+
+    it('should leave list markers alone', () => {
+      expect(RULES.dashes('Intro\n- first\n- second')).toBe('Intro\n- first\n- second');
+    });
+
+    it('should collapse whitespace and keep paragraph breaks', () => {
+      expect(RULES.whitespace('  Too   many spaces , here .\n\n\n\nNext  ')).toBe('Too many spaces, here.\n\nNext');
+    });
+  });
+
+  describe('markdown handling', () => {
+    it('should drop HTML and unsafe links when keeping Markdown', () => {
+      expect(sanitizeMarkdown('<b>Bold</b> [site](https://a.gov.uk) [bad](javascript:void)'))
+        .toBe('Bold [site](https://a.gov.uk) bad');
+      expect(sanitizeMarkdown('[mail](mailto:team@example.com)')).toBe('[mail](mailto:team@example.com)');
+    });
+
+    it('should reduce Markdown to plain text', () => {
+      expect(stripMarkdown('**Key** guide on *risk* — see [GOV.UK](https://www.gov.uk)')).toBe('Key guide on risk — see GOV.UK');
+    });
+  });
+
+  describe('cleanText', () => {
+    it('should report which rules changed the text', () => {
+      expect(cleanText('A “quoted” guide【1†source】  ')).toEqual({
+        text: 'A "quoted" guide',
+        applied: ['citations', 'quotes', 'whitespace'],
+      });
+    });
+
+    it('should skip disabled rules', () => {
+      const settings = resolveTextCleaning({ rules: { quotes: false } });
+      expect(cleanText('“quoted”', settings).text).toBe('“quoted”');
+      expect(settings.rules.citations).toBe(true);
+    });
+
+    it('should keep safe Markdown when enabled', () => {
+      const settings = resolveTextCleaning({ markdown: true });
+      expect(cleanText('See **this** [guide](https://example.com)', settings).text).toBe('See **this** [guide](https://example.com)');
+      expect(cleanText('See **this**').text).toBe('See this');
+    });
+  });
+
+  describe('cleanResources', () => {
+    it('should clean configured fields and log each change', () => {
+      const { resources, changes } = cleanResources([
+        { id: 'r1', title: 'Clean title', description: 'Text [2]', url: 'https://example.com [2]' },
+        { id: 'r2', title: 'Title  ', description: 'Fine' },
+      ]);
+      expect(resources[0]).toEqual({ id: 'r1', title: 'Clean title', description: 'Text', url: 'https://example.com [2]' });
+      expect(resources[1].title).toBe('Title');
+      expect(changes).toEqual([
+        { id: 'r1', field: 'description', rules: ['citations'], before: 'Text [2]', after: 'Text' },
+        { id: 'r2', field: 'title', rules: ['whitespace'], before: 'Title  ', after: 'Title' },
+      ]);
+      expect(summarizeChanges(changes)).toEqual({ citations: 1, whitespace: 1 });
+    });
+  });
+});
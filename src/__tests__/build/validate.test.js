@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateTables,
+  formatIssueTable,
+  summarizeIssues,
+  isValidUrl,
+  isValidDate,
+} from '../../../scripts/lib/validate.mjs';
+
+const THEMES = [
+  { id: 'leadership-and-alignment', name: 'Leadership & Alignment', order: '1' },
+  { id: 'skill-and-culture-gaps', name: 'Skill & Culture Gaps', order: '2' },
+];
+
+const BARRIERS = [
+  { id: 'leadership-and-alignment.fragmented-governance', name: 'Fragmented governance', themeId: 'leadership-and-alignment' },
+  { id: 'skill-and-culture-gaps.technical-supply', name: 'Technical supply', themeId: 'skill-and-culture-gaps' },
+];
+
+const resource = (overrides = {}) => ({
+  id: 'r1',
+  title: 'Resource',
+  url: 'https://example.com/r1',
+  date: '2025-09-01',
+  barriers: 'leadership-and-alignment.fragmented-governance',
+  barrier_theme: 'leadership-and-alignment',
+  ...overrides,
+});
+
+const validate = (resources, barriers = BARRIERS, barrierThemes = THEMES) =>
+  validateTables({ resources, barriers, barrierThemes });
+
+describe('build-data validation', () => {
+  it('should pass clean tables', () => {
+    expect(validateTables({ resources: [resource()], barriers: BARRIERS, barrierThemes: THEMES }, { dateLocale: 'en-US' })).toEqual([]);
+  });
+
+  it('should report missing required columns once per table', () => {
+    const issues = validate([{ id: 'r1', title: 'x', barriers: '', barrier_theme: 'leadership-and-alignment' }, { id: 'r2', title: 'y', barriers: '', barrier_theme: 'leadership-and-alignment' }]);
+    const columnIssues = issues.filter(i => i.message.startsWith('Missing required column'));
+    expect(columnIssues).toEqual([
+      expect.objectContaining({ severity: 'error', table: 'resources', row: null, field: 'url' }),
+    ]);
+  });
+
+  it('should report empty required values with spreadsheet row numbers', () => {
+    const issues = validate([resource(), resource({ id: 'r2', title: ' ' })]);
+    expect(issues).toEqual([
+      { severity: 'error', table: 'resources', row: 3, id: 'r2', field: 'title', message: 'Required value "title" is empty' },
+    ]);
+  });
+
+  it('should report duplicate ids with the first occurrence', () => {
+    const issues = validate([resource(), resource({ title: 'Copy' })]);
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ field: 'id', row: 3, message: 'Duplicate id (first seen on row 2)' });
+  });
+
+  it('should report invalid URLs and dates', () => {
+    const issues = validate([resource({ url: 'file:///tmp/x.pdf', date: 'sometime' })]);
+    expect(issues.map(i => i.field).sort()).toEqual(['date', 'url']);
+  });
+
+  it('should report unknown barriers and themes as errors', () => {
+    const issues = validate([resource({ barriers: 'legacy-systems-and-fragmented-it', barrier_theme: 'procurement-and-funding-hurdles' })]);
+    expect(issues.map(i => i.message)).toEqual([
+      'Unknown theme "procurement-and-funding-hurdles"',
+      'Unknown barrier "legacy-systems-and-fragmented-it"',
+    ]);
+    expect(summarizeIssues(issues)).toEqual({ errors: 2, warnings: 0 });
+  });
+
+  it('should warn when a barrier belongs to a theme the resource does not list', () => {
+    const issues = validate([resource({ barriers: 'skill-and-culture-gaps.technical-supply' })]);
+    expect(issues).toEqual([expect.objectContaining({ severity: 'warning', field: 'barriers' })]);
+  });
+
+  it('should accept pipe-separated barrier themes', () => {
+    const issues = validate([resource({
+      barriers: 'leadership-and-alignment.fragmented-governance|skill-and-culture-gaps.technical-supply',
+      barrier_theme: 'leadership-and-alignment|skill-and-culture-gaps',
+    })]);
+    expect(issues).toEqual([]);
+  });
+
+  it('should check barrier themes and id prefixes', () => {
+    const barriers = [
+      ...BARRIERS,
+      { id: 'orphan.barrier', name: 'Orphan', themeId: 'missing-theme' },
+      { id: 'other.barrier', name: 'Legacy', categoryId: 'leadership-and-alignment' },
+      { id: 'no-theme', name: 'No theme' },
+    ];
+    const issues = validate([resource()], barriers).filter(i => i.table === 'barriers');
+    expect(issues.map(i => [i.severity, i.id, i.message])).toEqual([
+      ['error', 'orphan.barrier', 'Unknown theme "missing-theme"'],
+      ['warning', 'orphan.barrier', 'Id prefix does not match theme "missing-theme"'],
+      ['warning', 'other.barrier', 'Id prefix does not match theme "leadership-and-alignment"'],
+      ['error', 'no-theme', 'Required value "themeId" is empty'],
+    ]);
+  });
+
+  it('should report resources that list unknown personas when a personas table is given', () => {
+    const personas = [{ id: 'Project', label: 'Project' }, { id: 'Business', label: 'Business' }];
+    const resources = [resource({ personas: 'Project|Programme' })];
+
+    const issues = validateTables({ resources, barriers: BARRIERS, barrierThemes: THEMES, personas });
+    expect(issues).toEqual([
+      { severity: 'error', table: 'resources', row: 2, id: 'r1', field: 'personas', message: 'Unknown persona "Programme"' },
+    ]);
+    expect(validate(resources)).toEqual([]);
+  });
+
+  it('should check persona rows for labels, duplicates and numeric order', () => {
+    const personas = [
+      { id: 'Project', label: 'Project', order: '1' },
+      { id: 'Project', label: 'Again', order: 'first' },
+      { id: 'Business', label: '' },
+    ];
+    const issues = validateTables({ resources: [], barriers: BARRIERS, barrierThemes: THEMES, personas });
+    expect(issues.map(i => [i.table, i.row, i.field, i.severity])).toEqual([
+      ['personas', 3, 'id', 'error'],
+      ['personas', 3, 'order', 'warning'],
+      ['personas', 4, 'label', 'error'],
+    ]);
+  });
+
+  it('should order issues by table then row', () => {
+    const issues = validate(
+      [resource({ url: 'bad' })],
+      [...BARRIERS, { id: 'x.y', name: 'X', themeId: 'missing' }],
+      [...THEMES, { id: 'leadership-and-alignment', name: 'Dup' }]
+    );
+    expect(issues.map(i => i.table)).toEqual(['barrierThemes', 'barriers', 'barriers', 'resources']);
+  });
+
+  describe('isValidUrl', () => {
+    it('should accept only absolute http(s) URLs', () => {
+      expect(isValidUrl('https://www.gov.uk/guidance')).toBe(true);
+      expect(isValidUrl('http://example.com')).toBe(true);
+      expect(isValidUrl('(internal report)')).toBe(false);
+      expect(isValidUrl('file:///home/share/report.pdf')).toBe(false);
+      expect(isValidUrl('ftp://example.com')).toBe(false);
+    });
+  });
+
+  describe('isValidDate', () => {
+    it('should accept the formats parseDate understands', () => {
+      expect(isValidDate('2025-09-11')).toBe(true);
+      expect(isValidDate('2025-09')).toBe(true);
+      expect(isValidDate('9/1/2025')).toBe(true);
+      expect(isValidDate('Sept 2025')).toBe(true);
+      expect(isValidDate('someday')).toBe(false);
+    });
+  });
+
+  describe('formatIssueTable', () => {
+    it('should render aligned columns with a header', () => {
+      const table = formatIssueTable([
+        { severity: 'error', table: 'resources', row: 12, id: 'r1', field: 'url', message: 'Invalid URL "x"' },
+        { severity: 'warning', table: 'barriers', row: null, id: '', field: 'name', message: 'Something' },
+      ]);
+      const lines = table.split('\n');
+      expect(lines[0]).toBe('Severity | Table     | Row | Id | Field | Message');
+      expect(lines[2]).toBe('error    | resources | 12  | r1 | url   | Invalid URL "x"');
+      expect(lines[3]).toBe('warning  | barriers  | -   | -  | name  | Something');
+    });
+
+    it('should truncate long messages', () => {
+      const table = formatIssueTable([{ severity: 'error', table: 't', row: 2, id: 'a', field: 'f', message: 'x'.repeat(20) }], 10);
+      expect(table).toContain('xxxxxxxxx…');
+    });
+
+    it('should return an empty string when there are no issues', () => {
+      expect(formatIssueTable([])).toBe('');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 
@@ -42,7 +42,8 @@ vi.mock('../../data/resources.json', () => ({
       "barrier_category": "digital-and-tech-constraints",
       "tags": ["technical", "migration"],
       "publisher": "Consulting Firm",
-      "type": "Guide"
+      "type": "Guide",
+      "featured": true
     },
     {
       "id": "resource-4",
@@ -105,9 +106,32 @@ vi.mock('../../data/barriers.json', () => ({
   ]
 }));
 
+vi.mock('../../data/personas.json', () => ({
+  default: [
+    { id: "Business", label: "Business", description: "Business leaders", icon: "🏢", order: 3 },
+    { id: "Project", label: "Project", description: "Project managers and delivery leads", icon: "📐", order: 1 },
+    { id: "Programme", label: "Programme", description: "Programme leaders", icon: "🗂️", order: 2 }
+  ]
+}));
+
+vi.mock('../../data/link-health.json', () => ({
+  default: {
+    generatedAt: "2024-06-01T00:00:00.000Z",
+    summary: { ok: 1, redirected: 0, unknown: 0, broken: 1, skipped: 0 },
+    results: {
+      "resource-2": { url: "https://example.com/data-strategy", state: "broken", status: 404, finalUrl: "https://example.com/data-strategy", checkedAt: "2024-06-01T00:00:00.000Z" },
+      "resource-4": { url: "https://example.com/metrics", state: "ok", status: 200, finalUrl: "https://example.com/metrics", checkedAt: "2024-06-01T00:00:00.000Z" }
+    }
+  }
+}));
+
 // Mock Recharts to avoid canvas rendering issues in tests
+vi.mock('../../data/synonyms.json', () => ({
+  default: { groups: [['KPI', 'performance metrics']] }
+}));
+
 vi.mock('recharts', () => ({
-  PieChart: ({ children }) => <div data-testid="pie-chart">{children}</div>,
+  PieChart: ({ children }) => <div data-testid="pie-chart"><svg className="recharts-surface" width="400" height="300" />{children}</div>,
   Pie: ({ children, data, onClick, onMouseEnter, onMouseLeave }) => (
     <div data-testid="pie" data-pie-items={data?.length || 0}>
       {data?.map((item, idx) => (
@@ -124,8 +148,25 @@ vi.mock('recharts', () => ({
       {children}
     </div>
   ),
-  Cell: ({ children }) => <div>{children}</div>,
+  Cell: ({ children, id, role, onClick, onKeyDown, onFocus, 'aria-label': label, 'aria-pressed': pressed }) => (
+    <div id={id} role={role} tabIndex={-1} aria-label={label} aria-pressed={pressed} onClick={onClick} onKeyDown={onKeyDown} onFocus={onFocus}>{children}</div>
+  ),
   Tooltip: () => <div data-testid="tooltip">Tooltip</div>,
+  // The treemap draws each leaf with `content`, and the bars each row with their `shape`
+  Treemap: ({ data, content }) => (
+    <svg data-testid="treemap">
+      {data.flatMap(t => t.children).map(b => <g key={b.id}>{content({ ...b, depth: 2, x: 0, y: 0, width: 80, height: 40 })}</g>)}
+    </svg>
+  ),
+  BarChart: ({ children, data }) => (
+    <svg data-testid="bar-chart">
+      {[children].flat(2).filter(Boolean).map(c => <g key={c.key}>{typeof c.type === 'function' && c.type({ ...c.props, data })}</g>)}
+    </svg>
+  ),
+  Bar: ({ data, dataKey, shape }) => shape ? data.map(row => <g key={row.id}>{shape({ x: 0, y: 0, width: dataKey(row) * 10, height: 10, payload: row })}</g>) : null,
+  Brush: () => null,
+  XAxis: () => null,
+  YAxis: () => null,
   ResponsiveContainer: ({ children }) => <div data-testid="responsive-container">{children}</div>
 }));
 
@@ -202,9 +243,9 @@ describe('App Component', () => {
       await user.type(searchInput, 'strategy');
 
       await waitFor(() => {
-        expect(screen.getByText('Data Strategy Framework')).toBeInTheDocument();
-        expect(screen.queryByText('Project Delivery Standard')).not.toBeInTheDocument();
-        expect(screen.queryByText('Legacy System Migration Guide')).not.toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Data Strategy Framework' })).toBeInTheDocument();
+        expect(screen.queryByRole('heading', { name: 'Project Delivery Standard' })).not.toBeInTheDocument();
+        expect(screen.queryByRole('heading', { name: 'Legacy System Migration Guide' })).not.toBeInTheDocument();
       });
     });
 
@@ -216,8 +257,8 @@ describe('App Component', () => {
       await user.type(searchInput, 'migration');
 
       await waitFor(() => {
-        expect(screen.getByText('Legacy System Migration Guide')).toBeInTheDocument();
-        expect(screen.queryByText('Data Strategy Framework')).not.toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Legacy System Migration Guide' })).toBeInTheDocument();
+        expect(screen.queryByRole('heading', { name: 'Data Strategy Framework' })).not.toBeInTheDocument();
       });
     });
 
@@ -229,8 +270,8 @@ describe('App Component', () => {
       await user.type(searchInput, 'governance');
 
       await waitFor(() => {
-        expect(screen.getByText('Project Delivery Standard')).toBeInTheDocument();
-        expect(screen.queryByText('Data Strategy Framework')).not.toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Project Delivery Standard' })).toBeInTheDocument();
+        expect(screen.queryByRole('heading', { name: 'Data Strategy Framework' })).not.toBeInTheDocument();
       });
     });
 
@@ -242,7 +283,7 @@ describe('App Component', () => {
       await user.type(searchInput, 'STRATEGY');
 
       await waitFor(() => {
-        expect(screen.getByText('Data Strategy Framework')).toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Data Strategy Framework' })).toBeInTheDocument();
       });
     });
 
@@ -269,7 +310,7 @@ describe('App Component', () => {
         // Verify by checking filtered results
         const articles = screen.getAllByRole('article');
         expect(articles).toHaveLength(1);
-        expect(screen.getByText('Data Strategy Framework')).toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Data Strategy Framework' })).toBeInTheDocument();
       });
     });
 
@@ -297,6 +338,17 @@ describe('App Component', () => {
   });
 
   describe('Persona Selection and Filtering', () => {
+    it('should build the persona chips from the personas table, in its order', () => {
+      render(<App />);
+
+      const chips = ['Project', 'Programme', 'Business'].map(name => screen.getByRole('button', { name }));
+      expect(chips[0].compareDocumentPosition(chips[1]) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+      expect(chips[1].compareDocumentPosition(chips[2]) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+      expect(chips[0]).toHaveAttribute('title', 'Project managers and delivery leads');
+      expect(chips[0]).toHaveTextContent('📐Project');
+      expect(chips[0]).toHaveAttribute('aria-pressed', 'false');
+    });
+
     it('should filter resources by single persona', async () => {
       const user = userEvent.setup();
       render(<App />);
@@ -385,8 +437,8 @@ describe('App Component', () => {
 
       await waitFor(() => {
         // Should show only resources matching both search AND persona
-        expect(screen.getByText('Data Strategy Framework')).toBeInTheDocument();
-        expect(screen.queryByText('Project Delivery Standard')).not.toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Data Strategy Framework' })).toBeInTheDocument();
+        expect(screen.queryByRole('heading', { name: 'Project Delivery Standard' })).not.toBeInTheDocument();
         const articles = screen.getAllByRole('article');
         expect(articles).toHaveLength(1);
       });
@@ -534,6 +586,622 @@ describe('App Component', () => {
     });
   });
 
+  describe('Featured Resources', () => {
+    it('should show a Featured badge on featured resources only', () => {
+      render(<App />);
+      const badges = screen.getAllByText('Featured');
+      expect(badges).toHaveLength(1);
+      expect(badges[0].closest('article')).toHaveTextContent('Legacy System Migration Guide');
+    });
+
+    it('should keep featured resources at the top when filtering', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: 'Project' }));
+
+      await waitFor(() => {
+        const articles = screen.getAllByRole('article');
+        expect(articles).toHaveLength(2);
+        expect(within(articles[0]).getByText('Featured')).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('Resource Dates', () => {
+    it('should display human-readable dates', () => {
+      render(<App />);
+      const time = screen.getByText('15 Jan 2024');
+      expect(time.tagName).toBe('TIME');
+      expect(time).toHaveAttribute('datetime', '2024-01-15');
+    });
+  });
+
+  describe('Sorting', () => {
+    const titles = () => screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent);
+
+    it('should rank a title match above a newer description match', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'standards');
+
+      await waitFor(() => {
+        expect(titles()).toEqual(['Project Delivery Standard', 'Data Strategy Framework']);
+      });
+    });
+
+    it('should reorder results and keep the choice in the URL', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.selectOptions(screen.getByRole('combobox', { name: /sort/i }), 'title');
+
+      await waitFor(() => {
+        expect(titles()).toEqual([
+          'Legacy System Migration Guide', // featured, so pinned
+          'Data Strategy Framework',
+          'Performance Metrics Alignment',
+          'Project Delivery Standard',
+        ]);
+        expect(window.location.search).toContain('sort=title');
+      });
+    });
+
+    it('should restore the sort order from the URL', () => {
+      window.history.replaceState({}, '', '/?sort=oldest');
+      render(<App />);
+      expect(screen.getByRole('combobox', { name: /sort/i })).toHaveValue('oldest');
+      expect(titles().slice(0, 2)).toEqual(['Legacy System Migration Guide', 'Project Delivery Standard']);
+    });
+  });
+
+  describe('Query Syntax', () => {
+    const titles = () => screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent).sort();
+
+    it('should apply phrases, OR and exclusions typed in the search box', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), '"legacy systems" OR metrics -performance');
+
+      await waitFor(() => {
+        expect(titles()).toEqual(['Legacy System Migration Guide']);
+      });
+    });
+
+    it('should restore a field query from the q parameter', () => {
+      window.history.replaceState({}, '', `/?q=${encodeURIComponent('type:guide publisher:"Consulting Firm"')}`);
+      render(<App />);
+
+      expect(screen.getByPlaceholderText(/search title, description, tags/i)).toHaveValue('type:guide publisher:"Consulting Firm"');
+      expect(titles()).toEqual(['Legacy System Migration Guide']);
+    });
+
+    it('should explain parse errors under the search box', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      const searchInput = screen.getByPlaceholderText(/search title, description, tags/i);
+      await user.type(searchInput, 'colour:red before:soon');
+
+      await waitFor(() => {
+        const alert = screen.getByRole('alert');
+        expect(alert).toHaveTextContent('Unknown field "colour:"');
+        expect(alert).toHaveTextContent('"before:" needs a date like 2025, 2025-01 or 2025-01-31');
+        expect(searchInput).toHaveAttribute('aria-invalid', 'true');
+      });
+    });
+  });
+
+  describe('Autocomplete', () => {
+    it('should select a barrier in the ring when its suggestion is picked', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      const searchInput = screen.getByRole('combobox', { name: 'Search resources' });
+      await user.type(searchInput, 'legacy sys');
+      await user.click(screen.getByRole('option', { name: /Legacy systems/ }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Barrier — Legacy systems')).toBeInTheDocument();
+        expect(searchInput).toHaveValue('legacy ');
+        expect(window.location.search).toContain('barrier=digital-and-tech-constraints.legacy-systems');
+      });
+    });
+
+    it('should select a tag in the tag filter from the keyboard', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      const searchInput = screen.getByRole('combobox', { name: 'Search resources' });
+      await user.type(searchInput, 'tag:gov');
+      await user.keyboard('{ArrowDown}{Enter}');
+
+      await waitFor(() => {
+        expect(searchInput).toHaveValue('');
+        expect(window.location.search).toContain('tags=governance');
+        expect(screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent)).toEqual(['Project Delivery Standard']);
+      });
+    });
+  });
+
+  describe('Synonyms', () => {
+    it('should find resources through a synonym and say so on the card', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'KPI');
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent)).toEqual(['Performance Metrics Alignment']);
+        expect(screen.getByText('Matched "performance metrics" (synonym of KPI)')).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('Tag Facets', () => {
+    it('should filter by tags, combining them with any or all, and keep them in the URL', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: 'Tags' }));
+      const panel = screen.getByRole('group', { name: 'Filter by tag' });
+      await user.click(within(panel).getByRole('checkbox', { name: 'governance (1)' }));
+      await user.click(within(panel).getByRole('checkbox', { name: 'data (1)' }));
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('article')).toHaveLength(2);
+        expect(window.location.search).toContain('tags=governance%2Cdata');
+      });
+
+      await user.click(within(panel).getByRole('button', { name: 'All' }));
+      await waitFor(() => {
+        expect(screen.getByText(/no resources match your filters/i)).toBeInTheDocument();
+        expect(window.location.search).toContain('tagMode=all');
+      });
+    });
+
+    it('should count tags within the other filters', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'strategy');
+      await user.click(screen.getByRole('button', { name: 'Tags' }));
+
+      const panel = screen.getByRole('group', { name: 'Filter by tag' });
+      expect(within(panel).getByRole('checkbox', { name: 'data (1)' })).toBeEnabled();
+      expect(within(panel).getByRole('checkbox', { name: 'governance (0)' })).toBeDisabled();
+    });
+
+    it('should restore selected tags from the URL', async () => {
+      window.history.replaceState({}, '', '/?tags=migration');
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent)).toEqual(['Legacy System Migration Guide']);
+      });
+      expect(screen.getByRole('button', { name: 'Remove tag migration' })).toBeInTheDocument();
+    });
+  });
+
+  describe('Publisher, Type and Date Filters', () => {
+    it('should filter by resource type and keep it in the URL', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByRole('checkbox', { name: 'Guide (2)' }));
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent).sort()).toEqual(['Legacy System Migration Guide', 'Project Delivery Standard']);
+        expect(window.location.search).toContain('types=Guide');
+      });
+      expect(screen.getByRole('checkbox', { name: 'Research (1)' })).toBeEnabled();
+    });
+
+    it('should filter by several publishers with counts that follow the other filters', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: 'Business' }));
+      await user.click(screen.getByRole('button', { name: 'Publishers' }));
+      const menu = screen.getByRole('group', { name: 'Publishers' });
+      expect(within(menu).getByRole('checkbox', { name: 'Government (0)' })).toBeDisabled();
+
+      await user.click(within(menu).getByRole('checkbox', { name: 'Tech Organization (1)' }));
+      await user.click(within(menu).getByRole('checkbox', { name: 'Business School (1)' }));
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('article')).toHaveLength(2);
+        expect(window.location.search).toContain('publisher=Tech+Organization&publisher=Business+School');
+      });
+    });
+
+    it('should restore a year range from the URL', async () => {
+      window.history.replaceState({}, '', '/?from=2025');
+      render(<App />);
+
+      expect(await screen.findByText(/no resources match your filters/i)).toBeInTheDocument();
+      await userEvent.setup().click(screen.getByRole('button', { name: 'Any year' }));
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(4));
+    });
+  });
+
+  describe('Ring Multi-Selection', () => {
+    it('should restore several themes and barriers from the URL as chips', async () => {
+      window.history.replaceState({}, '', '/?theme=digital-and-tech-constraints&barrier=data-pooling-and-interoperability.data-standards');
+      render(<App />);
+
+      const selection = screen.getByRole('group', { name: 'Ring selection' });
+      expect(within(selection).getByText('Theme — Digital & Tech Constraints')).toBeInTheDocument();
+      expect(within(selection).getByText('Barrier — Data standards')).toBeInTheDocument();
+      expect(screen.getAllByRole('heading', { level: 3 }).map(h => h.textContent).sort()).toEqual(['Data Strategy Framework', 'Legacy System Migration Guide']);
+    });
+
+    it('should switch between any and all matching and keep the mode in the URL', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?barrier=leadership-and-alignment.fragmented-governance&barrier=leadership-and-alignment.misaligned-metrics');
+      render(<App />);
+
+      expect(screen.getAllByRole('article')).toHaveLength(2);
+      await user.click(within(screen.getByRole('group', { name: 'Match segments' })).getByRole('button', { name: 'All' }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/no resources match your filters/i)).toBeInTheDocument();
+        expect(window.location.search).toContain('ringMode=all');
+      });
+    });
+
+    it('should remove a segment from its chip', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?theme=leadership-and-alignment&theme=digital-and-tech-constraints');
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: 'Remove theme Leadership & Alignment' }));
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('article')).toHaveLength(1);
+        expect(window.location.search).toBe('?theme=digital-and-tech-constraints');
+      });
+      await user.click(screen.getByRole('button', { name: 'Clear selection' }));
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(4));
+    });
+  });
+
+  describe('Keyboard Ring', () => {
+    const themeSegments = () => screen.getAllByRole('button', { name: /^Theme: / });
+
+    it('should name each segment with its count and make the first theme the only tab stop', async () => {
+      render(<App />);
+
+      const [first, ...rest] = themeSegments();
+      expect(first).toHaveAccessibleName('Theme: Leadership & Alignment, 2 resources');
+      expect(screen.getByRole('button', { name: 'Barrier: Legacy systems, 1 resource, in Digital & Tech Constraints' })).toHaveAttribute('aria-pressed', 'false');
+      await waitFor(() => expect(first).toHaveAttribute('tabindex', '0'));
+      rest.forEach((segment) => expect(segment).toHaveAttribute('tabindex', '-1'));
+    });
+
+    it('should move with the arrow keys and select with Enter', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      themeSegments()[0].focus();
+      await user.keyboard('{ArrowRight}');
+      const data = screen.getByRole('button', { name: /^Theme: Data Pooling/ });
+      expect(data).toHaveFocus();
+      await waitFor(() => expect(data).toHaveAttribute('tabindex', '0'));
+
+      await user.keyboard('{ArrowUp}');
+      expect(screen.getByRole('button', { name: /^Barrier: Data standards/ })).toHaveFocus();
+      await user.keyboard('{ArrowDown}{Enter}');
+
+      await waitFor(() => {
+        expect(window.location.search).toBe('?theme=data-pooling-and-interoperability&zoom=data-pooling-and-interoperability');
+        expect(screen.getByRole('status')).toHaveTextContent('Data Pooling & Interoperability selected. 1 result. Showing its barriers.');
+      });
+      await user.keyboard('{Escape}');
+      await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Showing all themes.'));
+      expect(screen.getByRole('button', { name: /^Theme: Data Pooling/ })).toHaveAttribute('aria-pressed', 'true');
+
+      await user.keyboard('{Shift>}{ArrowLeft}{Enter}{/Shift}');
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(3));
+      expect(window.location.search).not.toContain('zoom=');
+    });
+
+    it('should offer the ring as a table', () => {
+      render(<App />);
+
+      const table = screen.getByRole('table', { name: 'Resources per theme and barrier' });
+      const row = within(table).getByRole('row', { name: /Fragmented governance/ });
+      expect(within(row).getAllByRole('cell').map(c => c.textContent)).toEqual(['Leadership & Alignment', '1', 'No']);
+    });
+  });
+
+  describe('Ring Zoom', () => {
+    it('should restore a zoomed theme from the URL with a breadcrumb back out', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?zoom=leadership-and-alignment');
+      render(<App />);
+
+      const breadcrumb = screen.getByRole('navigation', { name: 'Chart zoom' });
+      expect(within(breadcrumb).getByText('Leadership & Alignment')).toHaveAttribute('aria-current', 'location');
+      expect(screen.getAllByRole('button', { name: /^Barrier: / }).map(b => b.getAttribute('aria-label'))).toEqual([
+        'Barrier: Fragmented governance, 1 resource, in Leadership & Alignment',
+        'Barrier: Misaligned metrics, 1 resource, in Leadership & Alignment',
+      ]);
+      expect(screen.getAllByRole('button', { name: /^Theme: / })).toHaveLength(1);
+      expect(screen.getAllByRole('article')).toHaveLength(4);
+
+      await user.click(within(breadcrumb).getByRole('button', { name: 'All themes' }));
+      await waitFor(() => {
+        expect(screen.queryByRole('navigation', { name: 'Chart zoom' })).not.toBeInTheDocument();
+        expect(screen.getAllByRole('button', { name: /^Theme: / })).toHaveLength(3);
+        expect(window.location.search).toBe('');
+      });
+    });
+
+    it('should zoom into a theme selected with a plain click and out from the centre', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: /^Theme: Digital & Tech/ }));
+      await waitFor(() => expect(window.location.search).toBe('?theme=digital-and-tech-constraints&zoom=digital-and-tech-constraints'));
+      expect(screen.getAllByRole('button', { name: /^Barrier: / })).toHaveLength(1);
+
+      await user.click(screen.getByRole('button', { name: /Zoom out to all themes$/ }));
+      await waitFor(() => expect(window.location.search).toBe('?theme=digital-and-tech-constraints'));
+    });
+
+    it('should ignore a zoom into an unknown theme', () => {
+      window.history.replaceState({}, '', '/?zoom=nowhere');
+      render(<App />);
+
+      expect(screen.queryByRole('navigation', { name: 'Chart zoom' })).not.toBeInTheDocument();
+      expect(screen.getAllByRole('button', { name: /^Theme: / })).toHaveLength(3);
+    });
+  });
+
+  describe('Ring Layout', () => {
+    const barrierSegments = () => screen.queryAllByRole('button', { name: /^Barrier: / });
+
+    it('should leave barriers with no matches out of the proportional ring', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'migration');
+
+      await waitFor(() => expect(barrierSegments().map(b => b.getAttribute('aria-label'))).toEqual([
+        'Barrier: Legacy systems, 1 resource, in Digital & Tech Constraints',
+      ]));
+      expect(screen.getByRole('button', { name: 'Proportional' })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    it('should keep every barrier in the equal layout and remember it in the URL', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'migration');
+      await user.click(within(screen.getByRole('group', { name: 'Ring layout' })).getByRole('button', { name: 'Equal' }));
+
+      await waitFor(() => {
+        expect(barrierSegments()).toHaveLength(4);
+        expect(window.location.search).toContain('layout=equal');
+      });
+      expect(screen.getByRole('button', { name: 'Barrier: Data standards, 0 resources, in Data Pooling & Interoperability' })).toBeInTheDocument();
+      expect(screen.getAllByRole('button', { name: /^Theme: / })).toHaveLength(3);
+    });
+
+    it('should say so when nothing matches and offer the equal layout', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?q=xylophone');
+      render(<App />);
+
+      expect(screen.getByText('No resources match the filters.')).toBeInTheDocument();
+      expect(barrierSegments()).toHaveLength(0);
+
+      await user.click(screen.getByRole('button', { name: 'Show every barrier' }));
+      await waitFor(() => expect(barrierSegments()).toHaveLength(4));
+    });
+  });
+
+  describe('Chart Views', () => {
+    const chooseView = (user, name) => user.click(within(screen.getByRole('group', { name: 'Chart view' })).getByRole('button', { name }));
+
+    it('should switch to the treemap and select a barrier from it', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await chooseView(user, 'Treemap');
+      await waitFor(() => expect(window.location.search).toBe('?view=treemap'));
+      expect(screen.queryByRole('group', { name: 'Themes and barriers' })).not.toBeInTheDocument();
+      expect(screen.getAllByRole('button', { name: /^Barrier: / })).toHaveLength(4);
+
+      await user.click(screen.getByRole('button', { name: 'Barrier: Legacy systems, 1 resource, in Digital & Tech Constraints' }));
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(1));
+      expect(window.location.search).toBe('?barrier=digital-and-tech-constraints.legacy-systems&view=treemap');
+    });
+
+    it('should share the selection between the bars and the ring without zooming', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?view=bars');
+      render(<App />);
+
+      await user.click(within(screen.getByRole('group', { name: 'Themes' })).getByRole('button', { name: /Leadership & Alignment/ }));
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(2));
+      expect(screen.getAllByRole('button', { name: /^Barrier: .*in Leadership/ })).toHaveLength(2);
+
+      await chooseView(user, 'Ring');
+      await waitFor(() => expect(window.location.search).toBe('?theme=leadership-and-alignment'));
+      expect(screen.getByRole('button', { name: /^Theme: Leadership/ })).toHaveAttribute('aria-pressed', 'true');
+    });
+
+    it('should count resources per barrier and persona and filter by both from a cell', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?view=heatmap');
+      render(<App />);
+
+      const heatmap = screen.getByRole('table', { name: 'Resources per barrier and persona' });
+      expect(within(heatmap).getByRole('button', { name: 'Project, Fragmented governance: 1 resource' })).toBeInTheDocument();
+      expect(within(heatmap).getByRole('button', { name: 'Business, Fragmented governance: 0 resources' })).toBeInTheDocument();
+
+      await user.click(within(heatmap).getByRole('button', { name: 'Project, Legacy systems: 1 resource' }));
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(1));
+      expect(window.location.search).toBe('?barrier=digital-and-tech-constraints.legacy-systems&view=heatmap&personas=Project');
+
+      await user.click(within(heatmap).getByRole('button', { name: 'Project, Legacy systems: 1 resource' }));
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(4));
+    });
+  });
+
+  describe('Coverage Timeline', () => {
+    it('should filter the results and the ring to the months chosen on the timeline', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?view=timeline&step=month');
+      render(<App />);
+
+      const from = screen.getByRole('combobox', { name: 'From' });
+      expect([...from.options].map(o => o.textContent)).toEqual(['Jan 2024', 'Feb 2024', 'Mar 2024']);
+      await user.selectOptions(from, 'Feb 2024');
+
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(2));
+      expect(window.location.search).toBe('?view=timeline&from=2024-02&step=month');
+      expect(screen.getAllByText('From Feb 2024')).toHaveLength(2); // on the timeline and the year range
+
+      await user.click(within(screen.getByRole('group', { name: 'Chart view' })).getByRole('button', { name: 'Ring' }));
+      expect(screen.getAllByRole('button', { name: /^Theme: / }).map(b => b.getAttribute('aria-label'))).toEqual([
+        'Theme: Data Pooling & Interoperability, 1 resource',
+        'Theme: Digital & Tech Constraints, 1 resource',
+      ]);
+    });
+
+    it('should restore a period from the URL and clear it from the year range', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?from=2024-03&to=2024-03');
+      render(<App />);
+
+      expect(screen.getAllByRole('article')).toHaveLength(1);
+      expect(screen.getByRole('group', { name: /Published Mar 2024/ })).toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: 'Any year' }));
+
+      await waitFor(() => expect(screen.getAllByRole('article')).toHaveLength(4));
+      expect(window.location.search).toBe('');
+    });
+  });
+
+  describe('Chart Download', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+    });
+
+    it('should download the ring as SVG with the filters in use', async () => {
+      const user = userEvent.setup();
+      const files = [];
+      URL.createObjectURL = vi.fn(() => 'blob:chart');
+      URL.revokeObjectURL = vi.fn();
+      vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+        files.push({ name: this.download, blob: URL.createObjectURL.mock.calls.at(-1)[0] });
+      });
+      window.history.replaceState({}, '', '/?personas=Project');
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: /Download chart/ }));
+      await user.click(within(screen.getByRole('group', { name: 'Download chart' })).getByRole('button', { name: 'SVG (scalable)' }));
+
+      await waitFor(() => expect(files).toHaveLength(1));
+      expect(files[0].name).toMatch(/^pdatf-ring-\d{4}-\d{2}-\d{2}\.svg$/);
+      const svg = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(files[0].blob);
+      });
+      expect(svg).toContain('PDATF Barrier Toolkit — Ring');
+      expect(svg).toContain('2 of 4 resources');
+      expect(svg).toContain('Personas: Project');
+      expect(svg).toContain('Digital &amp; Tech Constraints');
+      expect(screen.queryByRole('group', { name: 'Download chart' })).not.toBeInTheDocument();
+    });
+
+    it('should say so when there is no chart to download and offer none for the heatmap', async () => {
+      const user = userEvent.setup();
+      window.history.replaceState({}, '', '/?view=treemap&q=xylophone');
+      render(<App />);
+
+      await user.click(screen.getByRole('button', { name: /Download chart/ }));
+      await user.click(screen.getByRole('button', { name: 'PNG' }));
+      expect(await screen.findByRole('alert')).toHaveTextContent('There is no chart to download yet.');
+
+      await user.click(within(screen.getByRole('group', { name: 'Chart view' })).getByRole('button', { name: 'Heatmap' }));
+      expect(screen.queryByRole('button', { name: /Download chart/ })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Highlighting', () => {
+    it('should mark matched words in the title, description and tags', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'migration');
+
+      const card = (await screen.findByRole('heading', { name: 'Legacy System Migration Guide' })).closest('article');
+      expect([...card.querySelectorAll('mark')].map(m => m.textContent)).toEqual(['Migration', 'migrating']);
+      expect(within(card).getByText('#migration')).toHaveClass('bg-amber-100');
+      expect(within(card).getByText('#technical')).not.toHaveClass('bg-amber-100');
+    });
+
+    it('should mark the words a synonym matched', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'KPI');
+
+      const card = (await screen.findByRole('heading', { name: 'Performance Metrics Alignment' })).closest('article');
+      expect([...card.querySelectorAll('h3 mark, p mark')].map(m => m.textContent)).toEqual(['Performance Metrics', 'performance metrics']);
+    });
+  });
+
+  describe('Did You Mean', () => {
+    it('should offer a spelling correction when a search finds nothing', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      const searchInput = screen.getByPlaceholderText(/search title, description, tags/i);
+      await user.type(searchInput, 'govrnance');
+
+      const suggestion = await screen.findByRole('button', { name: 'governance (1)' });
+      expect(screen.getByText(/Did you mean/)).toBeInTheDocument();
+
+      await user.click(suggestion);
+
+      await waitFor(() => {
+        expect(searchInput).toHaveValue('governance');
+        expect(screen.getByText('Project Delivery Standard')).toBeInTheDocument();
+      });
+    });
+
+    it('should suggest dropping a term when every word is spelt correctly', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText(/search title, description, tags/i), 'migration metrics ');
+
+      expect(await screen.findByText(/Or try/)).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'migration (1)' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'metrics (1)' })).toBeInTheDocument();
+    });
+  });
+
+  describe('Link Health', () => {
+    it('should flag resources whose link failed the last check', () => {
+      render(<App />);
+      const badges = screen.getAllByText('Link may be broken');
+      expect(badges).toHaveLength(1);
+      expect(badges[0].closest('article')).toHaveTextContent('Data Strategy Framework');
+      expect(badges[0]).toHaveAttribute('title', 'HTTP 404 when checked on 2024-06-01');
+    });
+  });
+
   describe('Combined Filter Scenarios', () => {
     it('should apply search + persona + theme filters together', async () => {
       const user = userEvent.setup();
@@ -550,8 +1218,8 @@ describe('App Component', () => {
 
       await waitFor(() => {
         // Should only show "Project Delivery Standard" which matches all criteria
-        expect(screen.getByText('Project Delivery Standard')).toBeInTheDocument();
-        expect(screen.queryByText('Performance Metrics Alignment')).not.toBeInTheDocument();
+        expect(screen.getByRole('heading', { name: 'Project Delivery Standard' })).toBeInTheDocument();
+        expect(screen.queryByRole('heading', { name: 'Performance Metrics Alignment' })).not.toBeInTheDocument();
         const articles = screen.getAllByRole('article');
         expect(articles).toHaveLength(1);
       });
@@ -0,0 +1,54 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CoverageTimeline from '../../components/CoverageTimeline';
+import { timelineBuckets } from '../../utils/timeline';
+
+const RESOURCES = ['2024-01-10', '2024-02-03', '2024-04-30'].map((date) => ({ date, barrier_category: 'lead' }));
+const BUCKETS = timelineBuckets(RESOURCES, RESOURCES, 'month');
+
+const renderTimeline = (props = {}) => {
+  const handlers = { onChange: vi.fn(), onStepChange: vi.fn() };
+  render(
+    <CoverageTimeline
+      buckets={BUCKETS}
+      themes={[{ id: 'lead', name: 'Leadership' }]}
+      themeColors={{ lead: '#2563eb' }}
+      step="month"
+      from={null}
+      to={null}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+describe('CoverageTimeline', () => {
+  it('should set the period from the lists, opening it again at either end', async () => {
+    const user = userEvent.setup();
+    const { onChange } = renderTimeline({ from: '2024-02', to: null });
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'to' }), 'Mar 2024');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'From' }), 'Jan 2024');
+
+    expect(onChange.mock.calls).toEqual([['2024-02', '2024-03'], [null, null]]);
+  });
+
+  it('should only offer periods that keep the range in order', () => {
+    renderTimeline({ from: '2024-02', to: '2024-03' });
+
+    expect([...screen.getByRole('combobox', { name: 'From' }).options].filter((o) => o.disabled).map((o) => o.textContent)).toEqual(['Apr 2024']);
+    expect(screen.getByText('Feb 2024 – Mar 2024')).toBeInTheDocument();
+  });
+
+  it('should switch between quarters and months', async () => {
+    const user = userEvent.setup();
+    const { onStepChange } = renderTimeline();
+
+    expect(screen.getByRole('button', { name: 'Month' })).toHaveAttribute('aria-pressed', 'true');
+    await user.click(screen.getByRole('button', { name: 'Quarter' }));
+    expect(onStepChange).toHaveBeenCalledWith('quarter');
+  });
+});
@@ -0,0 +1,45 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FilterMenu from '../../components/FilterMenu';
+
+const OPTIONS = [
+  { value: 'DSIT', count: 2, selected: false },
+  { value: 'HM Treasury', count: 1, selected: true },
+  { value: 'Ofwat', count: 0, selected: false },
+];
+
+describe('FilterMenu', () => {
+  it('should open a list of options with counts and report toggles', async () => {
+    const user = userEvent.setup();
+    const onToggle = vi.fn();
+    const onClear = vi.fn();
+    render(<FilterMenu label="Publishers" options={OPTIONS} onToggle={onToggle} onClear={onClear} />);
+
+    const button = screen.getByRole('button', { name: 'Publishers (1)' });
+    expect(button).toHaveAttribute('aria-expanded', 'false');
+    await user.click(button);
+
+    const menu = screen.getByRole('group', { name: 'Publishers' });
+    expect(within(menu).getByRole('checkbox', { name: 'HM Treasury (1)' })).toBeChecked();
+    expect(within(menu).getByRole('checkbox', { name: 'Ofwat (0)' })).toBeDisabled();
+
+    await user.click(within(menu).getByRole('checkbox', { name: 'DSIT (2)' }));
+    expect(onToggle).toHaveBeenCalledWith('DSIT');
+    await user.click(within(menu).getByRole('button', { name: 'Clear publishers' }));
+    expect(onClear).toHaveBeenCalled();
+  });
+
+  it('should close on Escape and return focus to its button', async () => {
+    const user = userEvent.setup();
+    render(<FilterMenu label="Publishers" options={OPTIONS} onToggle={() => {}} onClear={() => {}} />);
+
+    await user.click(screen.getByRole('button', { name: 'Publishers (1)' }));
+    await user.click(screen.getByRole('checkbox', { name: 'DSIT (2)' }));
+    await user.keyboard('{Escape}');
+
+    expect(screen.queryByRole('group', { name: 'Publishers' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Publishers (1)' })).toHaveFocus();
+  });
+});
@@ -0,0 +1,66 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import PersonaHeatmap from '../../components/PersonaHeatmap';
+
+const THEMES = [{ id: 'lead', name: 'Leadership' }, { id: 'data', name: 'Data' }];
+const BARRIERS = [
+  { id: 'lead.gov', name: 'Governance', themeId: 'lead' },
+  { id: 'data.std', name: 'Standards', themeId: 'data' },
+];
+const PERSONAS = [{ id: 'Project', label: 'Project', icon: '📐' }, { id: 'Business', label: 'Business' }];
+const COUNTS = { 'lead.gov': { Project: 3, Business: 0 }, 'data.std': { Project: 1, Business: 2 } };
+
+const renderHeatmap = (props = {}) => {
+  const handlers = { onSelect: vi.fn(), onTogglePersona: vi.fn(), onSelectCell: vi.fn() };
+  render(
+    <PersonaHeatmap
+      themes={THEMES}
+      barriers={BARRIERS}
+      personas={PERSONAS}
+      counts={COUNTS}
+      max={3}
+      selectedThemes={[]}
+      selectedBarriers={[]}
+      selectedPersonas={[]}
+      themeColors={{ lead: '#2563eb', data: '#06b6d4' }}
+      {...handlers}
+      {...props}
+    />
+  );
+  return handlers;
+};
+
+describe('PersonaHeatmap', () => {
+  it('should group the barrier rows by theme with a cell per persona', () => {
+    renderHeatmap();
+
+    const groups = screen.getAllByRole('rowgroup').slice(1);
+    expect(groups.map((g) => within(g).getAllByRole('row').length)).toEqual([2, 2]);
+    expect(within(groups[0]).getByRole('button', { name: 'Project, Governance: 3 resources' })).toHaveStyle({ background: '#2563eb' });
+    expect(within(groups[0]).getByRole('button', { name: 'Business, Governance: 0 resources' })).toHaveTextContent('0');
+  });
+
+  it('should select from the headings and the cells', async () => {
+    const user = userEvent.setup();
+    const { onSelect, onTogglePersona, onSelectCell } = renderHeatmap();
+
+    await user.click(screen.getByRole('button', { name: 'Data' }));
+    await user.click(screen.getByRole('button', { name: 'Governance' }));
+    await user.click(screen.getByRole('button', { name: /Business$/ }));
+    await user.click(screen.getByRole('button', { name: 'Business, Standards: 2 resources' }));
+
+    expect(onSelect.mock.calls).toEqual([['theme', 'data', false], ['barrier', 'lead.gov', false]]);
+    expect(onTogglePersona).toHaveBeenCalledWith('Business');
+    expect(onSelectCell).toHaveBeenCalledWith('Business', 'data.std');
+  });
+
+  it('should mark a cell pressed when its barrier and persona are selected', () => {
+    renderHeatmap({ selectedBarriers: ['data.std'], selectedPersonas: ['Project'] });
+
+    expect(screen.getByRole('button', { name: 'Project, Standards: 1 resource' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: 'Business, Standards: 2 resources' })).toHaveAttribute('aria-pressed', 'false');
+    expect(screen.getByRole('button', { name: /Project$/ })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
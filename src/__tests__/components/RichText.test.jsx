@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import RichText from '../../components/RichText';
+
+describe('RichText', () => {
+  it('should render plain text as a single paragraph with the given class', () => {
+    const { container } = render(<RichText text="Plain description" className="text-xs" />);
+    expect(container.innerHTML).toBe('<p class="text-xs">Plain description</p>');
+  });
+
+  it('should render safe links in a new tab', () => {
+    render(<RichText text="Read the [guide](https://example.com/guide)" />);
+    const link = screen.getByRole('link', { name: 'guide' });
+    expect(link).toHaveAttribute('href', 'https://example.com/guide');
+    expect(link).toHaveAttribute('target', '_blank');
+    expect(link).toHaveAttribute('rel', 'noreferrer');
+  });
+
+  it('should render lists and emphasis', () => {
+    const { container } = render(<RichText text={'Covers:\n- **people**\n- *process*'} />);
+    expect(container.querySelectorAll('li')).toHaveLength(2);
+    expect(container.querySelector('strong')).toHaveTextContent('people');
+    expect(container.querySelector('em')).toHaveTextContent('process');
+  });
+
+  it('should never inject HTML from the text', () => {
+    const { container } = render(<RichText text={'<img src=x onerror="alert(1)"> [x](javascript:alert)'} />);
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('a')).toBeNull();
+  });
+
+  it('should mark highlighted words inside formatting', () => {
+    const highlight = { terms: new Set(['migrat']), tags: [] };
+    const { container } = render(<RichText text="Plan the **migration** of *migrating* systems" highlight={highlight} />);
+    expect([...container.querySelectorAll('mark')].map(m => m.textContent)).toEqual(['migration', 'migrating']);
+    expect(container.querySelector('strong mark')).not.toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RingSelection from '../../components/RingSelection';
+
+const SEGMENTS = [
+  { kind: 'theme', id: 'lead', name: 'Leadership & Alignment', color: '#2563eb' },
+  { kind: 'barrier', id: 'data.std', name: 'Data standards', color: '#06b6d4' },
+];
+
+const renderSelection = (props = {}) => {
+  const handlers = { onRemove: vi.fn(), onModeChange: vi.fn(), onClear: vi.fn() };
+  const utils = render(<RingSelection segments={SEGMENTS} mode="any" {...handlers} {...props} />);
+  return { ...handlers, ...utils };
+};
+
+describe('RingSelection', () => {
+  it('should render nothing without a selection', () => {
+    const { container } = renderSelection({ segments: [] });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should show each segment as a removable chip', async () => {
+    const user = userEvent.setup();
+    const { onRemove, onClear } = renderSelection();
+
+    expect(screen.getByText('Theme — Leadership & Alignment')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Remove barrier Data standards' }));
+    expect(onRemove).toHaveBeenCalledWith('barrier', 'data.std');
+    await user.click(screen.getByRole('button', { name: 'Clear selection' }));
+    expect(onClear).toHaveBeenCalled();
+  });
+
+  it('should offer any/all matching once two segments are selected', async () => {
+    const user = userEvent.setup();
+    const { onModeChange } = renderSelection();
+
+    const match = screen.getByRole('group', { name: 'Match segments' });
+    expect(within(match).getByRole('button', { name: 'Any' })).toHaveAttribute('aria-pressed', 'true');
+    await user.click(within(match).getByRole('button', { name: 'All' }));
+    expect(onModeChange).toHaveBeenCalledWith('all');
+  });
+
+  it('should hide the match mode for a single segment', () => {
+    renderSelection({ segments: SEGMENTS.slice(0, 1) });
+    expect(screen.queryByRole('group', { name: 'Match segments' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SearchAutocomplete from '../../components/SearchAutocomplete';
+import { buildSuggestionSources } from '../../utils/autocomplete';
+
+const SOURCES = buildSuggestionSources(
+  [
+    { id: 'r1', title: 'Data Strategy Framework', tags: ['data'], barriers: [] },
+    { id: 'r2', title: 'Legacy Migration', tags: ['migration'], barriers: [] },
+  ],
+  [],
+  [{ id: 't.b', name: 'Data standards', themeId: 't' }],
+);
+
+const Harness = ({ onPick }) => {
+  const [value, setValue] = useState('');
+  return <SearchAutocomplete value={value} onChange={setValue} sources={SOURCES} onPick={onPick} aria-label="Search resources" />;
+};
+
+describe('SearchAutocomplete', () => {
+  it('should expose a combobox controlling a grouped listbox', async () => {
+    const user = userEvent.setup();
+    render(<Harness onPick={() => {}} />);
+    const input = screen.getByRole('combobox', { name: 'Search resources' });
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+
+    await user.type(input, 'data');
+
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    const listbox = screen.getByRole('listbox', { name: 'Search suggestions' });
+    expect(input).toHaveAttribute('aria-controls', listbox.id);
+    expect(screen.getAllByRole('group').map(g => g.textContent)).toEqual([
+      'ResourcesData Strategy Framework',
+      'Tagsdata1',
+      'BarriersData standards0',
+    ]);
+    expect(screen.getByRole('group', { name: 'Tags' })).toBeInTheDocument();
+  });
+
+  it('should move through options with the arrow keys and pick with Enter', async () => {
+    const user = userEvent.setup();
+    const onPick = vi.fn();
+    render(<Harness onPick={onPick} />);
+    const input = screen.getByRole('combobox');
+
+    await user.type(input, 'data');
+    await user.keyboard('{ArrowDown}{ArrowDown}');
+
+    const active = screen.getByRole('option', { selected: true });
+    expect(active).toHaveTextContent('data');
+    expect(input).toHaveAttribute('aria-activedescendant', active.id);
+    expect(input).toHaveFocus();
+
+    await user.keyboard('{Enter}');
+    expect(onPick).toHaveBeenCalledWith(expect.objectContaining({ type: 'tag', id: 'data' }));
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  it('should wrap from the last option back to the text box', async () => {
+    const user = userEvent.setup();
+    render(<Harness onPick={() => {}} />);
+    const input = screen.getByRole('combobox');
+
+    await user.type(input, 'data');
+    await user.keyboard('{ArrowUp}');
+    expect(screen.getByRole('option', { selected: true })).toHaveTextContent('Data standards');
+    await user.keyboard('{ArrowDown}');
+    expect(input).not.toHaveAttribute('aria-activedescendant');
+  });
+
+  it('should close on Escape and reopen with the down arrow', async () => {
+    const user = userEvent.setup();
+    render(<Harness onPick={() => {}} />);
+    const input = screen.getByRole('combobox');
+
+    await user.type(input, 'migr');
+    await user.keyboard('{Escape}');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    await user.keyboard('{ArrowDown}');
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+  });
+
+  it('should pick an option on click without losing focus', async () => {
+    const user = userEvent.setup();
+    const onPick = vi.fn();
+    render(<Harness onPick={onPick} />);
+    const input = screen.getByRole('combobox');
+
+    await user.type(input, 'legacy');
+    await user.click(screen.getByRole('option', { name: /Legacy Migration/ }));
+
+    expect(onPick).toHaveBeenCalledWith(expect.objectContaining({ type: 'resource', id: 'r2' }));
+    expect(input).toHaveFocus();
+  });
+});
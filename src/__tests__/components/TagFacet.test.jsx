@@ -0,0 +1,74 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TagFacet from '../../components/TagFacet';
+
+const FACETS = [
+  { tag: 'data', count: 3, selected: true },
+  { tag: 'standards', count: 2, selected: false },
+  { tag: 'governance', count: 1, selected: false },
+  { tag: 'migration', count: 0, selected: false },
+];
+
+const renderFacet = (props = {}) => {
+  const handlers = { onToggle: vi.fn(), onModeChange: vi.fn(), onClear: vi.fn() };
+  render(<TagFacet facets={FACETS} selected={['data']} mode="any" {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('TagFacet', () => {
+  it('should show selected tags as removable chips with the panel closed', async () => {
+    const user = userEvent.setup();
+    const { onToggle, onClear } = renderFacet();
+
+    expect(screen.getByRole('button', { name: 'Tags (1)' })).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByRole('group', { name: 'Filter by tag' })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Remove tag data' }));
+    expect(onToggle).toHaveBeenCalledWith('data');
+    await user.click(screen.getByRole('button', { name: 'Clear tags' }));
+    expect(onClear).toHaveBeenCalled();
+  });
+
+  it('should list tags with counts and disable tags with no results', async () => {
+    const user = userEvent.setup();
+    const { onToggle, onModeChange } = renderFacet();
+    await user.click(screen.getByRole('button', { name: 'Tags (1)' }));
+
+    const panel = screen.getByRole('group', { name: 'Filter by tag' });
+    expect(within(panel).getByRole('checkbox', { name: 'data (3)' })).toBeChecked();
+    expect(within(panel).getByRole('checkbox', { name: 'migration (0)' })).toBeDisabled();
+
+    await user.click(within(panel).getByRole('checkbox', { name: 'standards (2)' }));
+    expect(onToggle).toHaveBeenCalledWith('standards');
+    await user.click(within(panel).getByRole('button', { name: 'All' }));
+    expect(onModeChange).toHaveBeenCalledWith('all');
+    expect(within(panel).getByRole('button', { name: 'Any' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('should show the most used tags until asked for all of them', async () => {
+    const user = userEvent.setup();
+    renderFacet({ limit: 2 });
+    await user.click(screen.getByRole('button', { name: 'Tags (1)' }));
+
+    expect(screen.getAllByRole('checkbox')).toHaveLength(2);
+    await user.click(screen.getByRole('button', { name: 'Show all 4 tags' }));
+    expect(screen.getAllByRole('checkbox')).toHaveLength(4);
+    await user.click(screen.getByRole('button', { name: 'Show fewer tags' }));
+    expect(screen.getAllByRole('checkbox')).toHaveLength(2);
+  });
+
+  it('should search the tags in the panel', async () => {
+    const user = userEvent.setup();
+    renderFacet({ limit: 2 });
+    await user.click(screen.getByRole('button', { name: 'Tags (1)' }));
+
+    await user.type(screen.getByRole('searchbox', { name: 'Find a tag' }), 'gov');
+    expect(screen.getAllByRole('checkbox').map(c => c.closest('label').textContent)).toEqual(['governance (1)']);
+
+    await user.clear(screen.getByRole('searchbox', { name: 'Find a tag' }));
+    await user.type(screen.getByRole('searchbox', { name: 'Find a tag' }), 'zzz');
+    expect(screen.getByText('No tags match “zzz”.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,55 @@
+import React from 'react';
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import WhatsNew from '../../components/WhatsNew';
+import { LAST_VISIT_KEY } from '../../utils/changelog';
+
+const CHANGELOG = {
+  entries: [{
+    generatedAt: '2025-03-01T00:00:00.000Z',
+    resources: { added: [{ id: 'r9', title: 'Data Maturity Guide' }], removed: [], modified: [] },
+    barriers: { added: [], removed: [], renamed: [], reparented: [] },
+    barrierThemes: { added: [], removed: [], renamed: [] },
+  }],
+};
+
+const storageWith = (lastVisit) => {
+  const data = lastVisit ? { [LAST_VISIT_KEY]: lastVisit } : {};
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => { data[k] = v; } };
+};
+
+describe('WhatsNew', () => {
+  it('should render nothing on a first visit', () => {
+    const { container } = render(<WhatsNew changelog={CHANGELOG} storage={storageWith(null)} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should list changes since the last visit', async () => {
+    const user = userEvent.setup();
+    render(<WhatsNew changelog={CHANGELOG} storage={storageWith('2025-02-01T00:00:00.000Z')} />);
+    const button = screen.getByRole('button', { name: /what's new/i });
+    expect(button).toHaveTextContent('1');
+
+    await user.click(button);
+    const panel = screen.getByRole('region', { name: /since your last visit/i });
+    expect(panel).toHaveTextContent('1 Feb 2025');
+    expect(panel).toHaveTextContent('Data Maturity Guide');
+  });
+
+  it('should keep the previous visit when mounted twice', () => {
+    const storage = storageWith('2025-02-01T00:00:00.000Z');
+    const { unmount } = render(<React.StrictMode><WhatsNew changelog={CHANGELOG} storage={storage} /></React.StrictMode>);
+    expect(screen.getByRole('button', { name: /what's new/i })).toHaveTextContent('1');
+
+    unmount();
+    render(<WhatsNew changelog={CHANGELOG} storage={storage} />);
+    expect(screen.getByRole('button', { name: /what's new/i })).toHaveTextContent('1');
+    expect(storage.getItem(LAST_VISIT_KEY)).not.toBe('2025-02-01T00:00:00.000Z');
+  });
+
+  it('should render nothing when the data has not changed since', () => {
+    const { container } = render(<WhatsNew changelog={CHANGELOG} storage={storageWith('2025-04-01T00:00:00.000Z')} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,45 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import YearRange from '../../components/YearRange';
+
+const HISTOGRAM = [
+  { year: 2019, count: 1 },
+  { year: 2020, count: 0 },
+  { year: 2021, count: 3 },
+  { year: 2022, count: 2 },
+];
+
+describe('YearRange', () => {
+  it('should show the selected span and move either end', () => {
+    const onChange = vi.fn();
+    render(<YearRange histogram={HISTOGRAM} from={null} to={2021} onChange={onChange} />);
+
+    expect(screen.getByText('2019–2021')).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2020' } });
+    expect(onChange).toHaveBeenLastCalledWith(2020, 2021);
+  });
+
+  it('should reopen an end dragged back to the first or last year', () => {
+    const onChange = vi.fn();
+    render(<YearRange histogram={HISTOGRAM} from={2020} to={2021} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '2022' } });
+    expect(onChange).toHaveBeenLastCalledWith(2020, null);
+    fireEvent.click(screen.getByRole('button', { name: 'Any year' }));
+    expect(onChange).toHaveBeenLastCalledWith(null, null);
+  });
+
+  it('should not let the ends cross', () => {
+    const onChange = vi.fn();
+    render(<YearRange histogram={HISTOGRAM} from={2020} to={2021} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2022' } });
+    expect(onChange).toHaveBeenLastCalledWith(2021, 2021);
+  });
+
+  it('should render nothing when fewer than two years are dated and no range is set', () => {
+    const { container } = render(<YearRange histogram={[{ year: 2024, count: 4 }]} from={null} to={null} onChange={() => {}} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { buildSuggestionSources, currentFragment, getSuggestions, selectsSuggestion, applySuggestion } from '../../utils/autocomplete';
+
+const RESOURCES = [
+  { id: 'r1', title: 'Data Strategy Framework', tags: ['data', 'strategy'], publisher: 'Cabinet Office', barriers: ['t1.b1'], barrier_category: 't1' },
+  { id: 'r2', title: 'Open Data Standards', tags: ['data', 'standards'], publisher: 'Cabinet Office', barriers: ['t1.b1', 't2.b2'], barrier_category: 't1' },
+  { id: 'r3', title: 'Legacy Migration', tags: ['migration'], publisher: 'GDS', barriers: ['t2.b2'], barrier_category: 't2' },
+];
+const THEMES = [{ id: 't1', name: 'Data pooling and interoperability' }, { id: 't2', name: 'Digital and tech constraints' }];
+const BARRIERS = [{ id: 't1.b1', name: 'Data standards', themeId: 't1' }, { id: 't2.b2', name: 'Legacy systems', themeId: 't2' }];
+const SOURCES = buildSuggestionSources(RESOURCES, THEMES, BARRIERS);
+
+const labels = (groups) => Object.fromEntries(groups.map(g => [g.type, g.items.map(i => i.label)]));
+
+describe('autocomplete', () => {
+  describe('buildSuggestionSources', () => {
+    it('should count resources per tag, publisher, barrier and theme', () => {
+      const find = (type, id) => SOURCES.find(s => s.type === type && s.id === id);
+      expect(find('tag', 'data').count).toBe(2);
+      expect(find('publisher', 'Cabinet Office').count).toBe(2);
+      expect(find('barrier', 't2.b2')).toMatchObject({ count: 2, themeId: 't2' });
+      expect(find('theme', 't1').count).toBe(2);
+      expect(find('resource', 'r3')).toMatchObject({ label: 'Legacy Migration', count: null });
+    });
+  });
+
+  describe('currentFragment', () => {
+    it('should return the word after the last space', () => {
+      expect(currentFragment('tag:data Lega')).toEqual({ start: 9, text: 'lega', type: null });
+      expect(currentFragment('data ')).toEqual({ start: 5, text: '', type: null });
+    });
+
+    it('should recognise field prefixes and exclusions', () => {
+      expect(currentFragment('-tag:stan')).toEqual({ start: 0, text: 'stan', type: 'tag' });
+      expect(currentFragment('publisher:"Cab')).toEqual({ start: 0, text: 'cab', type: 'publisher' });
+      expect(currentFragment('type:rep').type).toBeNull();
+    });
+
+    it('should keep an unclosed quote together, spaces and field prefix included', () => {
+      expect(currentFragment('data publisher:"UK Gov')).toEqual({ start: 5, text: 'uk gov', type: 'publisher' });
+      expect(currentFragment('"open data" "Legacy Sys')).toEqual({ start: 12, text: 'legacy sys', type: null });
+      expect(currentFragment('publisher:"UK Gov" dat')).toEqual({ start: 19, text: 'dat', type: null });
+    });
+  });
+
+  describe('getSuggestions', () => {
+    it('should group matches in a fixed order, best matches first', () => {
+      expect(labels(getSuggestions(SOURCES, 'data'))).toEqual({
+        resource: ['Data Strategy Framework', 'Open Data Standards'],
+        tag: ['data'],
+        barrier: ['Data standards'],
+        theme: ['Data pooling and interoperability'],
+      });
+      expect(getSuggestions(SOURCES, 'data').map(g => g.label)).toEqual(['Resources', 'Tags', 'Barriers', 'Themes']);
+    });
+
+    it('should wait for two characters unless a prefix is typed', () => {
+      expect(getSuggestions(SOURCES, 'd')).toEqual([]);
+      expect(labels(getSuggestions(SOURCES, 'publisher:'))).toEqual({ publisher: ['Cabinet Office', 'GDS'] });
+    });
+
+    it('should match inside words only from three characters', () => {
+      expect(labels(getSuggestions(SOURCES, 'ndar')).tag).toEqual(['standards']);
+      expect(getSuggestions(SOURCES, 'nd')).toEqual([]);
+    });
+
+    it('should limit each group', () => {
+      expect(getSuggestions(SOURCES, 'data', { perGroup: 1 })[0].items).toHaveLength(1);
+    });
+  });
+
+  describe('selectsSuggestion', () => {
+    it('should select barriers, themes and tags in their facets unless they are excluded', () => {
+      expect(selectsSuggestion('sta', { type: 'tag', label: 'standards' })).toBe(true);
+      expect(selectsSuggestion('-tag:sta', { type: 'tag', label: 'standards' })).toBe(false);
+      expect(selectsSuggestion('leg', { type: 'barrier', label: 'Legacy systems' })).toBe(true);
+      expect(selectsSuggestion('-barrier:leg', { type: 'barrier', label: 'Legacy systems' })).toBe(false);
+      expect(selectsSuggestion('-dig', { type: 'theme', label: 'Digital and tech constraints' })).toBe(false);
+      expect(selectsSuggestion('cab', { type: 'publisher', label: 'Cabinet Office' })).toBe(false);
+    });
+  });
+
+  describe('applySuggestion', () => {
+    it('should replace the word being typed with a filter', () => {
+      expect(applySuggestion('legacy -sta', { type: 'tag', label: 'standards' })).toBe('legacy -tag:standards ');
+      expect(applySuggestion('-publisher:Cab', { type: 'publisher', label: 'Cabinet Office' })).toBe('-publisher:"Cabinet Office" ');
+      expect(applySuggestion('open da', { type: 'resource', label: 'Open Data Standards' })).toBe('open "Open Data Standards" ');
+      expect(applySuggestion('data publisher:"UK Gov', { type: 'publisher', label: 'UK Government' })).toBe('data publisher:"UK Government" ');
+    });
+
+    it('should write excluded barriers and themes back as barrier: exclusions instead of selecting them', () => {
+      expect(applySuggestion('data -barrier:leg', { type: 'barrier', id: 't2.b2', label: 'Legacy systems' })).toBe('data -barrier:t2.b2 ');
+      expect(applySuggestion('-dig', { type: 'theme', id: 't2', label: 'Digital and tech constraints' })).toBe('-barrier:t2 ');
+    });
+
+    it('should drop the word for barriers, themes and tags, which select a facet instead', () => {
+      expect(applySuggestion('legacy tag:sta', { type: 'tag', label: 'standards' })).toBe('legacy ');
+      expect(applySuggestion('legacy sys', { type: 'barrier', id: 't2.b2', label: 'Legacy systems' })).toBe('legacy ');
+      expect(applySuggestion('dig', { type: 'theme', id: 't2', label: 'Digital and tech constraints' })).toBe('');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { recordVisit, entriesSince, summarizeEntries, LAST_VISIT_KEY } from '../../utils/changelog';
+
+const entry = (generatedAt, overrides = {}) => ({
+  generatedAt,
+  resources: { added: [], removed: [], modified: [], ...overrides.resources },
+  barriers: { added: [], removed: [], renamed: [], reparented: [], ...overrides.barriers },
+  barrierThemes: { added: [], removed: [], renamed: [], ...overrides.barrierThemes },
+});
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = v; },
+    data,
+  };
+};
+
+describe('changelog', () => {
+  describe('recordVisit', () => {
+    it('should return the previous visit and store the new one', () => {
+      const storage = memoryStorage({ [LAST_VISIT_KEY]: '2025-01-01T00:00:00.000Z' });
+      expect(recordVisit(storage, '2025-02-01T00:00:00.000Z')).toBe('2025-01-01T00:00:00.000Z');
+      expect(storage.data[LAST_VISIT_KEY]).toBe('2025-02-01T00:00:00.000Z');
+    });
+
+    it('should keep returning the visit before this page load', () => {
+      const storage = memoryStorage({ [LAST_VISIT_KEY]: '2025-01-01T00:00:00.000Z' });
+      recordVisit(storage, '2025-02-01T00:00:00.000Z');
+      expect(recordVisit(storage, '2025-02-01T00:00:01.000Z')).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('should return null when storage is unavailable', () => {
+      const storage = { getItem: () => { throw new Error('blocked'); }, setItem: () => {} };
+      expect(recordVisit(storage)).toBeNull();
+    });
+  });
+
+  describe('entriesSince', () => {
+    const entries = [entry('2025-03-01T00:00:00.000Z'), entry('2025-01-01T00:00:00.000Z')];
+
+    it('should keep entries generated after the last visit', () => {
+      expect(entriesSince(entries, '2025-02-01T00:00:00.000Z')).toEqual([entries[0]]);
+    });
+
+    it('should return nothing on a first visit', () => {
+      expect(entriesSince(entries, null)).toEqual([]);
+    });
+  });
+
+  describe('summarizeEntries', () => {
+    it('should merge entries oldest first', () => {
+      const summary = summarizeEntries([
+        entry('2025-03-01', {
+          resources: { removed: [{ id: 'r2', title: 'Temp' }], modified: [{ id: 'r1', title: 'New' }] },
+          barrierThemes: { renamed: [{ id: 't1', from: 'Old', to: 'New' }] },
+        }),
+        entry('2025-02-01', {
+          resources: { added: [{ id: 'r2', title: 'Temp' }, { id: 'r3', title: 'Kept' }], modified: [{ id: 'r4', title: 'Edited' }] },
+        }),
+      ]);
+      expect(summary).toEqual({
+        added: [{ id: 'r3', title: 'Kept' }],
+        removed: [],
+        modified: 2,
+        taxonomy: ['Theme renamed: Old → New'],
+      });
+    });
+  });
+});
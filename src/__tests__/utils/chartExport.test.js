@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { escapeXml, describeFilters, exportFilename, buildExportSvg } from '../../utils/chartExport';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// A chart like the ring: an arc label following a path, and a segment hatched with a pattern
+// that lives in another <svg> on the page
+const drawChart = () => {
+  document.body.innerHTML = `
+    <svg width="0" height="0"><defs><pattern id="ring-hatch-lead" width="6" height="6"><rect width="6" height="6" fill="#eef"/></pattern></defs></svg>
+    <svg class="recharts-surface" width="400" height="300" style="width: 100%">
+      <path d="M0 0L10 10" fill="url(#ring-hatch-lead)"/>
+      <g><defs><path id="themeOuterArc-lead" d="M0 0L50 0"/></defs><text><textPath href="#themeOuterArc-lead">Leadership</textPath></text></g>
+    </svg>`;
+  return document.querySelector('svg.recharts-surface');
+};
+
+const parse = (svg) => new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+describe('chartExport', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('escapeXml()', () => {
+    it('should escape markup characters', () => {
+      expect(escapeXml(`"R&D" <Q1>'s`)).toBe('&quot;R&amp;D&quot; &lt;Q1&gt;&apos;s');
+    });
+  });
+
+  describe('describeFilters()', () => {
+    it('should give a line per active filter', () => {
+      expect(describeFilters([
+        { label: 'Search', values: ['data'] },
+        { label: 'Tags', values: ['kpi', 'data'], all: true },
+        { label: 'Personas', values: [] },
+      ])).toEqual(['Search: data', 'Tags: kpi, data (all of them)']);
+    });
+
+    it('should say when there are no filters', () => {
+      expect(describeFilters([{ label: 'Search', values: [] }])).toEqual(['No filters']);
+    });
+  });
+
+  describe('exportFilename()', () => {
+    it('should name the file after the view and the day', () => {
+      expect(exportFilename('ring', 'png', new Date('2025-03-01T12:00:00Z'))).toBe('pdatf-ring-2025-03-01.png');
+    });
+  });
+
+  describe('buildExportSvg()', () => {
+    const frame = {
+      title: 'PDATF Barrier Toolkit — Ring',
+      legend: [{ name: 'Leadership & Alignment', color: '#2563eb' }, { name: 'Data', color: '#06b6d4' }],
+      caption: ['Search: <data>'],
+      timestamp: 'Exported 1 Mar 2025',
+    };
+
+    it('should frame the chart with a title, legend and caption as well-formed SVG', () => {
+      const { svg, width, height } = buildExportSvg(drawChart(), frame);
+      const doc = parse(svg);
+
+      expect(doc.querySelector('parsererror')).toBeNull();
+      expect(width).toBe(480);
+      expect(height).toBeGreaterThan(300);
+      const texts = [...doc.documentElement.children].filter((el) => el.localName === 'text').map((el) => el.textContent);
+      expect(texts).toEqual(['PDATF Barrier Toolkit — Ring', 'Search: <data>', 'Exported 1 Mar 2025']);
+      expect([...doc.querySelectorAll('g > text')].map((el) => el.textContent)).toContain('Leadership & Alignment');
+    });
+
+    it('should keep the arc labels and bring in patterns from elsewhere on the page', () => {
+      const chart = drawChart();
+      const { svg } = buildExportSvg(chart, frame);
+      const nested = parse(svg).documentElement.querySelector('svg');
+
+      expect(nested.querySelector('textPath').getAttribute('href')).toBe('#themeOuterArc-lead');
+      expect(nested.querySelector('[id="themeOuterArc-lead"]')).not.toBeNull();
+      expect(nested.querySelector('pattern[id="ring-hatch-lead"]')).not.toBeNull();
+      expect(nested.getAttribute('width')).toBe('400');
+      expect(chart.querySelector('pattern')).toBeNull(); // the page's chart is left as it is
+    });
+
+    it('should write colours and fonts from the page stylesheet onto the copy', () => {
+      const chart = drawChart();
+      const style = document.createElement('style');
+      style.textContent = 'path { stroke: #ffffff; stroke-width: 2px; } text { fill: #334155; font-size: 11px; font-weight: 600; }';
+      document.head.appendChild(style);
+      const { svg } = buildExportSvg(chart, frame);
+      style.remove();
+      const nested = parse(svg).documentElement.querySelector('svg');
+
+      expect(nested.querySelector('path[fill]').getAttribute('style')).toContain('stroke: #ffffff');
+      const label = nested.querySelector('text').getAttribute('style');
+      expect(label).toContain('fill: #334155');
+      expect(label).toContain('font-size: 11px');
+      expect(label).toContain('font-weight: 600');
+      expect(chart.querySelector('text').getAttribute('style')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect, vi } from 'vitest';
+import { segmentStyle, segmentButtonProps, personaBarrierCounts } from '../../utils/chartViews';
+
+describe('chartViews', () => {
+  describe('segmentStyle()', () => {
+    it('should use the full colour for active segments and fade the rest while selecting', () => {
+      expect(segmentStyle('#2563eb', true, true)).toEqual({ fill: '#2563eb', opacity: 1 });
+      expect(segmentStyle('#2563eb', false, true).opacity).toBe(0.35);
+      expect(segmentStyle('#2563eb', false, false)).toEqual({ fill: expect.not.stringMatching('#2563eb'), opacity: 1 });
+    });
+  });
+
+  describe('segmentButtonProps()', () => {
+    it('should select on a click, adding with a modifier key', () => {
+      const select = vi.fn();
+      const props = segmentButtonProps('Theme: Data', false, select);
+      props.onClick({});
+      props.onClick({ metaKey: true });
+      expect(select.mock.calls).toEqual([[false], [true]]);
+      expect(props).toMatchObject({ role: 'button', tabIndex: 0, 'aria-label': 'Theme: Data', 'aria-pressed': false });
+    });
+
+    it('should select on Enter and Space only', () => {
+      const select = vi.fn();
+      const { onKeyDown } = segmentButtonProps('Theme: Data', true, select);
+      const key = (k, extra = {}) => onKeyDown({ key: k, preventDefault: vi.fn(), ...extra });
+      key('Enter');
+      key(' ', { shiftKey: true });
+      key('ArrowRight');
+      expect(select.mock.calls).toEqual([[false], [true]]);
+    });
+  });
+
+  describe('personaBarrierCounts()', () => {
+    const personas = [{ id: 'Project' }, { id: 'Business' }];
+    const barriers = [{ id: 'lead.gov' }, { id: 'data.std' }];
+
+    it('should count resources for every barrier and persona, including none', () => {
+      const { counts, max } = personaBarrierCounts([
+        { barriers: ['lead.gov'], personas: ['Project', 'Business'] },
+        { barriers: ['lead.gov', 'unknown'], personas: ['Project', 'Someone'] },
+        { barriers: [], personas: ['Business'] },
+      ], personas, barriers);
+
+      expect(counts).toEqual({
+        'lead.gov': { Project: 2, Business: 1 },
+        'data.std': { Project: 0, Business: 0 },
+      });
+      expect(max).toBe(2);
+    });
+
+    it('should give a max of 0 when nothing matches', () => {
+      expect(personaBarrierCounts([], personas, barriers).max).toBe(0);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { lighten } from '../../utils/colors';
+import { lighten, shadeByCount } from '../../utils/colors';
 
 describe('lighten()', () => {
   describe('valid hex formats', () => {
@@ -121,3 +121,19 @@ describe('lighten()', () => {
     });
   });
 });
+
+describe('shadeByCount()', () => {
+  it('should use the full color for the largest count', () => {
+    expect(shadeByCount('#2563eb', 8, 8)).toBe('#2563eb');
+  });
+
+  it('should get paler as the count falls', () => {
+    const counts = [8, 4, 1].map((n) => parseInt(shadeByCount('#2563eb', n, 8).slice(1, 3), 16));
+    expect(counts[0]).toBeLessThan(counts[1]);
+    expect(counts[1]).toBeLessThan(counts[2]);
+  });
+
+  it('should give a pale tint when there is nothing to compare with', () => {
+    expect(shadeByCount('#2563eb', 0, 0)).toBe(lighten('#2563eb', 0.9));
+  });
+});
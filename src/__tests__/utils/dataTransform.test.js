@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest';
-import { toArray, normalizeResource, filterResources } from '../../utils/dataTransform';
+import { toArray, toBoolean, normalizeResource, toSortableDate, formatResourceDate, byFeaturedThenDate, filterResources, searchResources, suggestSearches, relevanceScore, sortResources } from '../../utils/dataTransform';
+import { loadSynonyms } from '../../utils/synonyms';
+import { NO_HIGHLIGHT } from '../../utils/highlight';
 
 describe('toArray()', () => {
   describe('pipe-delimited string input', () => {
@@ -94,7 +96,8 @@ describe('normalizeResource()', () => {
         personas: ['Project', 'Programme'],
         barriers: ['barrier1', 'barrier2'],
         tags: ['tag1', 'tag2'],
-        barrier_category: 'leadership-and-alignment'
+        barrier_category: 'leadership-and-alignment',
+        featured: false
       });
     });
 
@@ -225,6 +228,213 @@ describe('normalizeResource()', () => {
   });
 });
 
+describe('featured resources', () => {
+  describe('toBoolean()', () => {
+    it('should accept booleans and common truthy strings', () => {
+      expect(toBoolean(true)).toBe(true);
+      expect(toBoolean('TRUE')).toBe(true);
+      expect(toBoolean(' yes ')).toBe(true);
+      expect(toBoolean('1')).toBe(true);
+    });
+
+    it('should treat everything else as false', () => {
+      expect(toBoolean(false)).toBe(false);
+      expect(toBoolean('')).toBe(false);
+      expect(toBoolean('no')).toBe(false);
+      expect(toBoolean(undefined)).toBe(false);
+      expect(toBoolean(1)).toBe(false);
+    });
+  });
+
+  it('should normalize the featured flag', () => {
+    expect(normalizeResource({ id: '1', featured: 'true' }).featured).toBe(true);
+    expect(normalizeResource({ id: '1' }).featured).toBe(false);
+  });
+
+  describe('byFeaturedThenDate()', () => {
+    it('should pin featured resources above newer ones', () => {
+      const resources = [
+        { id: 'new', date: '2025-03-01' },
+        { id: 'featured-old', date: '2021-01-01', featured: true },
+        { id: 'old', date: '2024-01-01' },
+        { id: 'featured-new', date: '2025-01-01', featured: true },
+      ];
+      expect([...resources].sort(byFeaturedThenDate).map(r => r.id))
+        .toEqual(['featured-new', 'featured-old', 'new', 'old']);
+    });
+
+    it('should sort US-style dates chronologically', () => {
+      const resources = [
+        { id: 'sep-2025', date: '9/1/2025' },
+        { id: 'oct-2024', date: '10/1/2024' },
+        { id: 'oct-2025', date: '10/1/2025' },
+      ];
+      expect([...resources].sort(byFeaturedThenDate).map(r => r.id)).toEqual(['oct-2025', 'sep-2025', 'oct-2024']);
+    });
+
+    it('should put undated resources last', () => {
+      const resources = [{ id: 'undated' }, { id: 'dated', date: '2024-01-01' }];
+      expect([...resources].sort(byFeaturedThenDate).map(r => r.id)).toEqual(['dated', 'undated']);
+    });
+  });
+});
+
+describe('resource dates', () => {
+  describe('toSortableDate()', () => {
+    it('should pass ISO dates through', () => {
+      expect(toSortableDate('2025-09-01')).toBe('2025-09-01');
+      expect(toSortableDate('2025-09')).toBe('2025-09');
+      expect(toSortableDate('2025')).toBe('2025');
+    });
+
+    it('should convert M/D/YYYY', () => {
+      expect(toSortableDate('9/1/2025')).toBe('2025-09-01');
+    });
+
+    it('should return empty string for unknown values', () => {
+      expect(toSortableDate('')).toBe('');
+      expect(toSortableDate(undefined)).toBe('');
+      expect(toSortableDate('forthcoming')).toBe('');
+    });
+  });
+
+  describe('formatResourceDate()', () => {
+    it('should format by precision', () => {
+      expect(formatResourceDate('2025-09-01', 'day')).toBe('1 Sept 2025');
+      expect(formatResourceDate('2025-09-01', 'month')).toBe('Sept 2025');
+      expect(formatResourceDate('2025-09-01', 'year')).toBe('2025');
+    });
+
+    it('should infer precision from the ISO form', () => {
+      expect(formatResourceDate('2024-03')).toBe('Mar 2024');
+      expect(formatResourceDate('2021')).toBe('2021');
+      expect(formatResourceDate('2024-01-15')).toBe('15 Jan 2024');
+    });
+
+    it('should return non-ISO values unchanged', () => {
+      expect(formatResourceDate('forthcoming')).toBe('forthcoming');
+      expect(formatResourceDate('')).toBe('');
+    });
+  });
+});
+
+describe('relevanceScore()', () => {
+  const NOW = Date.UTC(2025, 9, 1);
+  const resource = (overrides) => ({ id: 'r', title: 'Data Strategy', description: 'About data strategy', date: '', ...overrides });
+
+  it('should boost an exact title match most', () => {
+    expect(relevanceScore(resource(), 10, 'data strategy', NOW)).toBe(30);
+  });
+
+  it('should boost phrase matches in the title above the description', () => {
+    const inTitle = relevanceScore(resource({ title: 'A Data Strategy Guide' }), 10, 'data strategy', NOW);
+    const inDescription = relevanceScore(resource({ title: 'Strategy for data' }), 10, 'data strategy', NOW);
+    expect(inTitle).toBe(20);
+    expect(inDescription).toBe(15);
+  });
+
+  it('should boost recent resources, fading out over five years', () => {
+    expect(relevanceScore(resource({ title: 'Other' }), 10, 'data', NOW)).toBe(10);
+    expect(relevanceScore(resource({ title: 'Other', date: '2025-10-01' }), 10, 'data', NOW)).toBe(12.5);
+    expect(relevanceScore(resource({ title: 'Other', date: '2018-01-01' }), 10, 'data', NOW)).toBe(10);
+  });
+
+  it('should leave featured resources to sortResources rather than boost them', () => {
+    expect(relevanceScore(resource({ title: 'Other', featured: true }), 10, 'data', NOW)).toBe(10);
+  });
+});
+
+describe('sortResources()', () => {
+  const resources = [
+    { id: 'old', title: 'beta', date: '2020-01-01', featured: false },
+    { id: 'new', title: 'Alpha', date: '2025-06-01', featured: false },
+    { id: 'undated', title: 'gamma', date: '', featured: false },
+    { id: 'pinned', title: 'Delta', date: '2022-01-01', featured: true },
+  ];
+  const ids = (list) => list.map(r => r.id);
+
+  it('should sort by date in either direction with undated resources last', () => {
+    expect(ids(sortResources(resources, 'newest'))).toEqual(['pinned', 'new', 'old', 'undated']);
+    expect(ids(sortResources(resources, 'oldest'))).toEqual(['pinned', 'old', 'new', 'undated']);
+  });
+
+  it('should sort by title ignoring case', () => {
+    expect(ids(sortResources(resources, 'title'))).toEqual(['pinned', 'new', 'old', 'undated']);
+  });
+
+  it('should pin featured then newest for relevance without a query', () => {
+    expect(ids(sortResources(resources, 'relevance'))).toEqual(['pinned', 'new', 'old', 'undated']);
+  });
+
+  it('should rank by score for relevance with a query', () => {
+    const scores = new Map([['old', 8], ['new', 1], ['undated', 4], ['pinned', 1]]);
+    expect(ids(sortResources(resources, 'relevance', { scores, query: 'x', now: Date.UTC(2025, 9, 1) })))
+      .toEqual(['pinned', 'old', 'undated', 'new']);
+  });
+
+  it('should keep featured resources pinned, in the chosen order, under every sort', () => {
+    const mixed = [
+      ...resources,
+      { id: 'pinned-old', title: 'Zeta', date: '2019-01-01', featured: true },
+      { id: 'pinned-undated', title: 'Epsilon', date: '', featured: true },
+    ];
+    const scores = new Map([['old', 8], ['new', 1], ['undated', 4], ['pinned', 1], ['pinned-old', 3], ['pinned-undated', 0]]);
+    const sorted = (sort, options) => ids(sortResources(mixed, sort, options));
+
+    expect(sorted('newest')).toEqual(['pinned', 'pinned-old', 'pinned-undated', 'new', 'old', 'undated']);
+    expect(sorted('oldest')).toEqual(['pinned-old', 'pinned', 'pinned-undated', 'old', 'new', 'undated']);
+    expect(sorted('title')).toEqual(['pinned', 'pinned-undated', 'pinned-old', 'new', 'old', 'undated']);
+    expect(sorted('relevance')).toEqual(['pinned', 'pinned-old', 'pinned-undated', 'new', 'old', 'undated']);
+    expect(sorted('relevance', { scores, query: 'x', now: Date.UTC(2025, 9, 1) }))
+      .toEqual(['pinned-old', 'pinned', 'pinned-undated', 'old', 'undated', 'new']);
+  });
+
+  it('should not mutate the input', () => {
+    const copy = [...resources];
+    sortResources(resources, 'title');
+    expect(resources).toEqual(copy);
+  });
+});
+
+describe('searchResources()', () => {
+  const resources = [
+    { id: 'a', title: 'Old report', description: '', tags: [], personas: [], barriers: [], date: '3/5/2023' },
+    { id: 'b', title: 'New report', description: '', tags: [], personas: [], barriers: [], date: '2025-02' },
+  ];
+
+  it('should return null matches for an empty query', () => {
+    expect(searchResources(resources, '  ')).toEqual({ matches: null, errors: [], text: '', via: new Map(), highlight: NO_HIGHLIGHT });
+  });
+
+  it('should compare dates in any format toSortableDate understands', () => {
+    expect([...searchResources(resources, 'before:2024').matches.keys()]).toEqual(['a']);
+  });
+
+  it('should return parse errors alongside the matches it could make', () => {
+    const { matches, errors, text } = searchResources(resources, 'report sort:new');
+    expect([...matches.keys()]).toEqual(['a', 'b']);
+    expect(errors).toHaveLength(1);
+    expect(text).toBe('report');
+  });
+});
+
+describe('suggestSearches()', () => {
+  const resources = [
+    { id: 'a', title: 'Interoperability Guide', description: '', tags: ['standards'], personas: ['Project'], barriers: [] },
+    { id: 'b', title: 'Interoperability Review', description: '', tags: [], personas: ['Business'], barriers: [] },
+  ];
+
+  it('should suggest a corrected query with its result count', () => {
+    expect(suggestSearches(resources, 'interoperabilty')).toEqual([{ query: 'interoperability', count: 2, kind: 'spelling' }]);
+  });
+
+  it('should only count results that pass the other filters', () => {
+    const filter = (r) => r.personas.includes('Business');
+    expect(suggestSearches(resources, 'interoperabilty', { filter })[0].count).toBe(1);
+    expect(suggestSearches(resources, 'standrds', { filter })).toEqual([]);
+  });
+});
+
 describe('filterResources()', () => {
   const sampleResources = [
     {
@@ -295,6 +505,25 @@ describe('filterResources()', () => {
     });
   });
 
+  describe('query syntax', () => {
+    it('should support phrases, exclusions and OR', () => {
+      expect(filterResources(sampleResources, '"data strategy"').map(r => r.id)).toEqual(['1']);
+      expect(filterResources(sampleResources, 'planning -business').map(r => r.id)).toEqual(['1']);
+      expect(filterResources(sampleResources, 'technical OR business').map(r => r.id)).toEqual(['2', '3']);
+    });
+
+    it('should expand synonyms when given them', () => {
+      const synonyms = loadSynonyms({ groups: [['roadmap', 'strategy']] });
+      expect(filterResources(sampleResources, 'roadmap').map(r => r.id)).toEqual([]);
+      expect(filterResources(sampleResources, 'roadmap', [], null, synonyms).map(r => r.id)).toEqual(['1']);
+    });
+
+    it('should support field prefixes', () => {
+      expect(filterResources(sampleResources, 'tag:planning').map(r => r.id)).toEqual(['1', '3']);
+      expect(filterResources(sampleResources, 'barrier:barrier2').map(r => r.id)).toEqual(['2']);
+    });
+  });
+
   describe('persona filtering', () => {
     it('should filter by single persona', () => {
       const result = filterResources(sampleResources, '', ['Project']);
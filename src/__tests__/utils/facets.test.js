@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { matchesTags, countTags, findTags, matchesValue, countValues, typeIcon, typeLabel, resourceYear, yearHistogram, toggleSelection, matchesRing } from '../../utils/facets';
+
+const RESOURCES = [
+  { id: 'r1', tags: ['governance', 'standards'] },
+  { id: 'r2', tags: ['data', 'standards'] },
+  { id: 'r3', tags: ['data', 'migration'] },
+  { id: 'r4', tags: [] },
+];
+
+describe('facets', () => {
+  describe('matchesTags', () => {
+    it('should need any selected tag by default, or every tag in all mode', () => {
+      expect(matchesTags(RESOURCES[1], ['data', 'governance'])).toBe(true);
+      expect(matchesTags(RESOURCES[1], ['data', 'governance'], 'all')).toBe(false);
+      expect(matchesTags(RESOURCES[1], ['data', 'standards'], 'all')).toBe(true);
+    });
+
+    it('should let everything through when no tags are selected', () => {
+      expect(matchesTags(RESOURCES[3], [])).toBe(true);
+    });
+  });
+
+  describe('countTags', () => {
+    it('should count each tag within the filtered resources, keeping tags with no results', () => {
+      expect(countTags(RESOURCES.slice(1), RESOURCES)).toEqual([
+        { tag: 'data', count: 2, selected: false },
+        { tag: 'migration', count: 1, selected: false },
+        { tag: 'standards', count: 1, selected: false },
+        { tag: 'governance', count: 0, selected: false },
+      ]);
+    });
+
+    it('should list selected tags first and count within the selection in all mode', () => {
+      const counts = countTags(RESOURCES, RESOURCES, ['data'], 'all');
+      expect(counts.map(f => [f.tag, f.count])).toEqual([
+        ['data', 2],
+        ['migration', 1],
+        ['standards', 1],
+        ['governance', 0],
+      ]);
+      expect(counts[0].selected).toBe(true);
+    });
+
+    it('should keep a selected tag that no resource has', () => {
+      expect(countTags(RESOURCES, RESOURCES, ['retired'])[0]).toEqual({ tag: 'retired', count: 0, selected: true });
+    });
+  });
+
+  describe('findTags', () => {
+    it('should keep tags containing the typed text, ignoring case and punctuation', () => {
+      const facets = countTags(RESOURCES, RESOURCES);
+      expect(findTags(facets, 'STAN').map(f => f.tag)).toEqual(['standards']);
+      expect(findTags(facets, '  ')).toBe(facets);
+    });
+  });
+
+  describe('matchesValue / countValues', () => {
+    const items = [
+      { id: 'a', publisher: 'HM Treasury', type: 'report' },
+      { id: 'b', publisher: 'DSIT', type: 'report' },
+      { id: 'c', publisher: 'DSIT', type: 'guidance' },
+      { id: 'd', publisher: '', type: 'guidance' },
+    ];
+
+    it('should match any selected value', () => {
+      expect(matchesValue('DSIT', ['DSIT', 'HM Treasury'])).toBe(true);
+      expect(matchesValue('DSIT', ['HM Treasury'])).toBe(false);
+      expect(matchesValue('', [])).toBe(true);
+    });
+
+    it('should count values alphabetically, skipping blanks and keeping values with no results', () => {
+      expect(countValues(items.slice(1), items, 'publisher', ['HM Treasury'])).toEqual([
+        { value: 'DSIT', count: 2, selected: false },
+        { value: 'HM Treasury', count: 0, selected: true },
+      ]);
+    });
+  });
+
+  describe('typeIcon / typeLabel', () => {
+    it('should name and illustrate types whatever their spelling', () => {
+      expect(typeLabel('case-study')).toBe('Case study');
+      expect(typeIcon('Case Study')).toBe(typeIcon('case-study'));
+      expect(typeIcon('report')).not.toBe(typeIcon('something-new'));
+    });
+  });
+
+  describe('years', () => {
+    const dated = [
+      { id: 'a', date: '2019-05' },
+      { id: 'b', date: '2021' },
+      { id: 'c', date: '03/15/2021' },
+      { id: 'd', date: '' },
+    ];
+
+    it('should read the year from any supported date format', () => {
+      expect(dated.map(resourceYear)).toEqual([2019, 2021, 2021, null]);
+    });
+
+    it('should count every year between the first and last dated resource', () => {
+      expect(yearHistogram(dated.slice(1), dated)).toEqual([
+        { year: 2019, count: 0 },
+        { year: 2020, count: 0 },
+        { year: 2021, count: 2 },
+      ]);
+      expect(yearHistogram([], [{ id: 'x', date: '' }])).toEqual([]);
+    });
+  });
+
+  describe('ring selection', () => {
+    const resources = [
+      { id: 'a', barrier_category: 'lead', barriers: ['lead.gov', 'data.std'] },
+      { id: 'b', barrier_category: 'lead', barriers: ['lead.metrics'] },
+      { id: 'c', barrier_category: 'data', barriers: ['data.std'] },
+    ];
+    const ids = (themes, barriers, mode) => resources.filter(r => matchesRing(r, themes, barriers, mode)).map(r => r.id);
+
+    it('should replace the selection on a plain click and toggle on an additive one', () => {
+      expect(toggleSelection(['x', 'y'], 'z')).toEqual(['z']);
+      expect(toggleSelection(['x', 'y'], 'x')).toEqual(['x']);
+      expect(toggleSelection(['x'], 'x')).toEqual([]);
+      expect(toggleSelection(['x'], 'y', true)).toEqual(['x', 'y']);
+      expect(toggleSelection(['x', 'y'], 'x', true)).toEqual(['y']);
+    });
+
+    it('should pass everything when nothing is selected', () => {
+      expect(ids([], [])).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should match any selected theme or barrier in any mode', () => {
+      expect(ids(['data'], ['lead.metrics'], 'any')).toEqual(['b', 'c']);
+      expect(ids([], ['lead.gov', 'lead.metrics'], 'any')).toEqual(['a', 'b']);
+    });
+
+    it('should need every selected theme and barrier in all mode', () => {
+      expect(ids([], ['lead.gov', 'data.std'], 'all')).toEqual(['a']);
+      expect(ids(['lead'], ['data.std'], 'all')).toEqual(['a']);
+      expect(ids(['lead', 'data'], [], 'all')).toEqual([]);
+    });
+
+    it('should count a resource under each of several pipe-joined themes', () => {
+      const merged = { id: 'm', barrier_category: 'lead|data', barriers: [] };
+
+      expect(matchesRing(merged, ['data'], [])).toBe(true);
+      expect(matchesRing(merged, ['lead', 'data'], [], 'all')).toBe(true);
+      expect(matchesRing(merged, ['tech'], [])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { NO_HIGHLIGHT, highlightTerms, splitHighlights, isHighlightedTag, makeSnippet } from '../../utils/highlight';
+import { parseQuery } from '../../utils/query';
+import { loadSearchIndex } from '../../utils/search';
+import { loadSynonyms, expandSynonyms } from '../../utils/synonyms';
+
+const RESOURCES = [
+  { id: 'r1', title: 'Legacy System Migration Guide', description: 'Migrating from mainframes', tags: ['migration', 'legacy systems'] },
+  { id: 'r2', title: 'Building Information Modelling Guide', description: 'Standards for BIM', tags: ['bim'] },
+];
+const INDEX = loadSearchIndex(null, RESOURCES);
+const SYNONYMS = loadSynonyms({ groups: [['BIM', 'building information modelling']] });
+
+const highlightFor = (query) => highlightTerms(expandSynonyms(parseQuery(query).clauses, SYNONYMS), INDEX);
+const marked = (text, highlight) => splitHighlights(text, highlight).filter(p => p.match).map(p => p.text);
+
+describe('highlight', () => {
+  describe('highlightTerms', () => {
+    it('should collect the index terms matched by free text, including prefixes of the last word', () => {
+      expect([...highlightFor('migration guides').terms].sort()).toEqual(['guid', 'migrat']);
+      expect([...highlightFor('mig').terms]).toEqual(['migrat']);
+    });
+
+    it('should include synonyms but not excluded words or stop words', () => {
+      expect([...highlightFor('bim').terms].sort()).toEqual(['bim', 'build', 'inform', 'model']);
+      expect([...highlightFor('the guide -legacy ').terms]).toEqual(['guid']);
+    });
+
+    it('should include the terms a misspelt word matched', () => {
+      expect([...highlightFor('legacy migraton ').terms].sort()).toEqual(['legaci', 'migrat']);
+    });
+
+    it('should keep tag: filter values for the tag chips', () => {
+      expect(highlightFor('tag:"Legacy Systems" guide').tags).toEqual(['legacy systems']);
+    });
+  });
+
+  describe('splitHighlights', () => {
+    it('should mark words with the same stem and keep the text intact', () => {
+      const parts = splitHighlights('Migrating, then migration.', highlightFor('migration '));
+      expect(parts.map(p => p.text).join('')).toBe('Migrating, then migration.');
+      expect(parts.filter(p => p.match).map(p => p.text)).toEqual(['Migrating', 'migration']);
+    });
+
+    it('should mark a run of matched words as one', () => {
+      expect(marked('A Building Information Modelling guide', highlightFor('bim '))).toEqual(['Building Information Modelling']);
+    });
+
+    it('should return the text unmarked without a highlight', () => {
+      expect(splitHighlights('Plain text', NO_HIGHLIGHT)).toEqual([{ text: 'Plain text', match: false }]);
+      expect(splitHighlights('', highlightFor('guide'))).toEqual([]);
+    });
+  });
+
+  describe('isHighlightedTag', () => {
+    it('should highlight tags named by a tag: filter or containing a matched word', () => {
+      expect(isHighlightedTag('legacy systems', highlightFor('tag:legacy'))).toBe(true);
+      expect(isHighlightedTag('migration', highlightFor('migrating '))).toBe(true);
+      expect(isHighlightedTag('bim', highlightFor('tag:legacy'))).toBe(false);
+    });
+  });
+
+  describe('makeSnippet', () => {
+    const filler = 'Lorem ipsum dolor sit amet consectetur. '.repeat(6);
+    const text = `${filler}The migration plan is phased. ${filler}`;
+
+    it('should centre the excerpt on a match that would be clamped away', () => {
+      const snippet = makeSnippet(text, highlightFor('migration '));
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('The migration plan is phased.');
+      expect(snippet.length).toBeLessThanOrEqual(162);
+    });
+
+    it('should return null when the match is already visible, absent, or the text is short', () => {
+      expect(makeSnippet(`Migration first. ${filler}`, highlightFor('migration '))).toBeNull();
+      expect(makeSnippet(text, highlightFor('guide'))).toBeNull();
+      expect(makeSnippet('Short migration note', highlightFor('migration '))).toBeNull();
+    });
+  });
+});
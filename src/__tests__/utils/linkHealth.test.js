@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { withLinkHealth, describeLinkProblem } from '../../utils/linkHealth';
+
+const HEALTH = {
+  results: {
+    r1: { url: 'https://example.com/a', state: 'broken', status: 404, finalUrl: 'https://example.com/a', redirects: [], checkedAt: '2025-10-01T12:00:00.000Z' },
+  },
+};
+
+describe('linkHealth', () => {
+  describe('withLinkHealth', () => {
+    it('should attach the last check to a resource', () => {
+      expect(withLinkHealth({ id: 'r1', url: 'https://example.com/a' }, HEALTH).link).toEqual({
+        state: 'broken',
+        status: 404,
+        finalUrl: 'https://example.com/a',
+        checkedAt: '2025-10-01T12:00:00.000Z',
+      });
+    });
+
+    it('should ignore checks of a URL the resource no longer uses', () => {
+      const resource = { id: 'r1', url: 'https://example.com/new' };
+      expect(withLinkHealth(resource, HEALTH)).toBe(resource);
+    });
+
+    it('should leave unchecked resources alone', () => {
+      const resource = { id: 'r2', url: 'https://example.com/b' };
+      expect(withLinkHealth(resource, HEALTH)).toBe(resource);
+      expect(withLinkHealth(resource, undefined)).toBe(resource);
+    });
+  });
+
+  describe('describeLinkProblem', () => {
+    it('should describe the status and check date', () => {
+      expect(describeLinkProblem({ status: 410, checkedAt: '2025-10-01T12:00:00.000Z' })).toBe('HTTP 410 when checked on 2025-10-01');
+      expect(describeLinkProblem({ status: null })).toBe('No response');
+    });
+  });
+});
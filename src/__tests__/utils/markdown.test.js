@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { parseInline, parseMarkdown, isSafeHref, toPlainText } from '../../utils/markdown';
+
+describe('markdown', () => {
+  describe('isSafeHref', () => {
+    it('should allow only http(s) and mailto links', () => {
+      expect(isSafeHref('https://www.gov.uk')).toBe(true);
+      expect(isSafeHref('mailto:team@example.com')).toBe(true);
+      expect(isSafeHref('javascript:alert(1)')).toBe(false);
+      expect(isSafeHref('file:///tmp/x.pdf')).toBe(false);
+      expect(isSafeHref(undefined)).toBe(false);
+    });
+  });
+
+  describe('parseInline', () => {
+    it('should return plain text as a single node', () => {
+      expect(parseInline('Just text')).toEqual([{ type: 'text', text: 'Just text' }]);
+    });
+
+    it('should parse links, strong and emphasis', () => {
+      expect(parseInline('See **key** and *other* [guide](https://example.com).')).toEqual([
+        { type: 'text', text: 'See ' },
+        { type: 'strong', children: [{ type: 'text', text: 'key' }] },
+        { type: 'text', text: ' and ' },
+        { type: 'em', children: [{ type: 'text', text: 'other' }] },
+        { type: 'text', text: ' ' },
+        { type: 'link', href: 'https://example.com', children: [{ type: 'text', text: 'guide' }] },
+        { type: 'text', text: '.' },
+      ]);
+    });
+
+    it('should render unsafe links as their text', () => {
+      expect(parseInline('[click](javascript:void)')).toEqual([{ type: 'text', text: 'click' }]);
+    });
+
+    it('should not treat underscores inside words as emphasis', () => {
+      expect(parseInline('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+    });
+  });
+
+  describe('parseMarkdown', () => {
+    it('should split paragraphs on blank lines and join wrapped lines', () => {
+      const blocks = parseMarkdown('First line\ncontinues\n\nSecond');
+      expect(blocks.map(b => b.type)).toEqual(['paragraph', 'paragraph']);
+      expect(blocks[0].children).toEqual([{ type: 'text', text: 'First line continues' }]);
+    });
+
+    it('should group bulleted and numbered lists', () => {
+      const blocks = parseMarkdown('Steps:\n1. Plan\n2. Build\n- loose\n- ends');
+      expect(blocks.map(b => [b.type, b.ordered, b.items?.length])).toEqual([
+        ['paragraph', undefined, undefined],
+        ['list', true, 2],
+        ['list', false, 2],
+      ]);
+    });
+
+    it('should return no blocks for empty text', () => {
+      expect(parseMarkdown('')).toEqual([]);
+    });
+  });
+
+  describe('toPlainText', () => {
+    it('should drop formatting and join blocks with spaces', () => {
+      expect(toPlainText('Read the **[guide](https://example.com)**\n\n- *plan*\n- build')).toBe('Read the guide plan build');
+      expect(toPlainText('')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, evaluateQuery, queryText } from '../../utils/query';
+import { loadSearchIndex } from '../../utils/search';
+
+const RESOURCES = [
+  {
+    id: 'r1', title: 'Digital Twin Roadmap', description: 'Planning a national digital twin', tags: ['interoperability', 'digital twin'],
+    publisher: 'UK Government', type: 'report', barriers: ['tech.legacy-systems'], date: '2024-11-02',
+  },
+  {
+    id: 'r2', title: 'Twin Data Standards', description: 'Digital standards for data exchange', tags: ['standards'],
+    publisher: 'Cabinet Office', type: 'guidance', barriers: ['tech.incompatible-formats'], date: '2025-01',
+  },
+  {
+    id: 'r3', title: 'Legacy Migration', description: 'Moving off legacy systems (draft)', tags: ['interoperability'],
+    publisher: 'UK Government Digital Service', type: 'report', barriers: ['tech.legacy-systems'], date: '2025-06-30',
+  },
+  {
+    id: 'r4', title: 'Undated Notes', description: 'Notes on twin governance', tags: [], barriers: [], date: '',
+  },
+];
+
+const index = loadSearchIndex(null, RESOURCES);
+const run = (query) => {
+  const { clauses } = parseQuery(query);
+  const matches = evaluateQuery(clauses, RESOURCES, index);
+  return matches && [...matches.keys()].sort();
+};
+
+describe('query', () => {
+  describe('parseQuery', () => {
+    it('should parse words, phrases, exclusions and fields', () => {
+      const { clauses, errors } = parseQuery('data "digital twin" -draft publisher:"UK Government" type:report');
+      expect(errors).toEqual([]);
+      expect(clauses.map(({ field, value, phrase, negated }) => ({ field, value, phrase, negated }))).toEqual([
+        { field: null, value: 'data', phrase: false, negated: false },
+        { field: null, value: 'digital twin', phrase: true, negated: false },
+        { field: null, value: 'draft', phrase: false, negated: true },
+        { field: 'publisher', value: 'UK Government', phrase: true, negated: false },
+        { field: 'type', value: 'report', phrase: false, negated: false },
+      ]);
+    });
+
+    it('should group OR alternatives into one clause', () => {
+      const { clauses } = parseQuery('bim OR "digital twin" standards');
+      expect(clauses).toHaveLength(2);
+      expect(clauses[0].or.map(c => c.value)).toEqual(['bim', 'digital twin']);
+      expect(clauses[1].value).toBe('standards');
+    });
+
+    it('should mark only a trailing plain word as partial', () => {
+      expect(parseQuery('legacy migr').clauses[1].partial).toBe(true);
+      expect(parseQuery('legacy migr ').clauses[1].partial).toBeUndefined();
+      expect(parseQuery('tag:inter').clauses[0].partial).toBeUndefined();
+    });
+
+    it('should report syntax errors with their position and keep the rest', () => {
+      const { clauses, errors } = parseQuery('twin colour:blue "open phrase');
+      expect(errors).toEqual([
+        { message: 'Unknown field "colour:". Use tag:, publisher:, type:, barrier:, before: or after:', position: 5 },
+        { message: 'Missing closing quote', position: 17 },
+      ]);
+      expect(clauses.map(c => c.value)).toEqual(['twin', 'open phrase']);
+    });
+
+    it('should explain missing values, bad dates, stray OR and lone minus', () => {
+      const messages = (q) => parseQuery(q).errors.map(e => e.message);
+      expect(messages('tag:')).toEqual(['"tag:" needs a value, e.g. tag:interoperability']);
+      expect(messages('before:Jan-2025')).toEqual(['"before:" needs a date like 2025, 2025-01 or 2025-01-31 (got "Jan-2025")']);
+      expect(messages('after:2025-13')).toHaveLength(1);
+      expect(messages('OR twin')).toEqual(['OR needs a search term on both sides']);
+      expect(messages('twin OR')).toEqual(['OR needs a search term on both sides']);
+      expect(messages('twin - data')).toEqual(['Put a word straight after "-", e.g. -draft']);
+    });
+
+    it('should treat lower-case or as an ordinary word', () => {
+      expect(parseQuery('twin or data').clauses).toHaveLength(3);
+    });
+  });
+
+  describe('queryText', () => {
+    it('should keep positive free text only', () => {
+      expect(queryText(parseQuery('"digital twin" roadmap -draft tag:x a OR b').clauses)).toBe('digital twin roadmap');
+    });
+  });
+
+  describe('evaluateQuery', () => {
+    it('should return null when nothing constrains the results', () => {
+      expect(run('')).toBeNull();
+      expect(run('& the ')).toBeNull();
+    });
+
+    it('should AND words and score them through the index', () => {
+      expect(run('twin digital')).toEqual(['r1', 'r2']);
+      const { clauses } = parseQuery('twin');
+      const scores = evaluateQuery(clauses, RESOURCES, index);
+      expect(scores.get('r1')).toBeGreaterThan(scores.get('r4'));
+    });
+
+    it('should match phrases only when the words are adjacent', () => {
+      expect(run('"digital twin"')).toEqual(['r1']);
+      expect(run('"legacy systems"')).toEqual(['r3']);
+    });
+
+    it('should exclude words, phrases and field matches', () => {
+      expect(run('twin -standards')).toEqual(['r1', 'r4']);
+      expect(run('-draft')).toEqual(['r1', 'r2', 'r4']);
+      expect(run('twin -type:report')).toEqual(['r2', 'r4']);
+    });
+
+    it('should not exclude resources through a misspelt exclusion', () => {
+      expect(run('standrds')).toEqual(['r2']); // found by spelling when included
+      expect(run('twin -standrds')).toEqual(['r1', 'r2', 'r4']);
+      expect(run('-standrds')).toEqual(['r1', 'r2', 'r3', 'r4']);
+      expect(run('twin OR -standrds')).toEqual(['r1', 'r2', 'r3', 'r4']);
+    });
+
+    it('should union OR alternatives', () => {
+      expect(run('migration OR roadmap')).toEqual(['r1', 'r3']);
+      expect(run('twin OR -tag:standards')).toEqual(['r1', 'r2', 'r3', 'r4']);
+    });
+
+    it('should filter on tags, publisher, type and barrier', () => {
+      expect(run('tag:interoperability')).toEqual(['r1', 'r3']);
+      expect(run('tag:"digital twin"')).toEqual(['r1']);
+      expect(run('publisher:"UK Government"')).toEqual(['r1', 'r3']);
+      expect(run('publisher:"cabinet office"')).toEqual(['r2']);
+      expect(run('type:report')).toEqual(['r1', 'r3']);
+      expect(run('barrier:legacy-systems')).toEqual(['r1', 'r3']);
+      expect(run('barrier:tech.incompatible-formats')).toEqual(['r2']);
+      expect(run('-barrier:tech')).toEqual(['r4']); // a theme id covers its barriers
+    });
+
+    it('should compare dates at the precision given', () => {
+      expect(run('before:2025-01')).toEqual(['r1']);
+      expect(run('before:2025')).toEqual(['r1']);
+      expect(run('after:2024')).toEqual(['r2', 'r3']);
+      expect(run('after:2025-01')).toEqual(['r3']);
+      expect(run('after:2024 before:2025-06-30')).toEqual(['r2']);
+    });
+
+    it('should combine fields with text', () => {
+      expect(run('legacy type:report -roadmap')).toEqual(['r3']);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { ringSizes, RING_LAYOUTS, DEFAULT_RING_LAYOUT } from '../../utils/ringLayout';
+
+const BARRIERS = [
+  { id: 'lead.gov', themeId: 'lead', value: 3 },
+  { id: 'lead.metrics', themeId: 'lead', value: 0 },
+  { id: 'data.std', themeId: 'data', value: 0 },
+];
+
+describe('ringSizes()', () => {
+  it('should default to the proportional layout', () => {
+    expect(DEFAULT_RING_LAYOUT).toBe('proportional');
+    expect(RING_LAYOUTS.map(l => l.id)).toEqual(['proportional', 'equal']);
+  });
+
+  it('should size barriers by count and leave uncovered ones without an arc', () => {
+    const { barriers, themeSizes } = ringSizes(BARRIERS, 'proportional');
+    expect(barriers.map(b => b.size)).toEqual([3, 0, 0]);
+    expect(themeSizes.get('lead')).toBe(3);
+    expect(themeSizes.get('data')).toBe(0);
+  });
+
+  it('should give every barrier the same arc in the equal layout and keep the counts', () => {
+    const { barriers, themeSizes } = ringSizes(BARRIERS, 'equal');
+    expect(barriers.map(b => [b.size, b.value])).toEqual([[1, 3], [1, 0], [1, 0]]);
+    expect(themeSizes.get('lead')).toBe(2);
+    expect(themeSizes.get('data')).toBe(1);
+  });
+});
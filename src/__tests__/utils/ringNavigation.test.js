@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { nextSegment, describeSegment } from '../../utils/ringNavigation';
+
+const THEMES = [{ id: 'lead' }, { id: 'data' }, { id: 'tech' }];
+const BARRIERS = [
+  { id: 'lead.gov', themeId: 'lead' },
+  { id: 'lead.metrics', themeId: 'lead' },
+  { id: 'data.std', themeId: 'data' },
+];
+
+const move = (kind, id, key) => nextSegment(THEMES, BARRIERS, { kind, id }, key);
+
+describe('ringNavigation', () => {
+  describe('nextSegment()', () => {
+    it('should move round a ring and wrap at either end', () => {
+      expect(move('theme', 'lead', 'ArrowRight')).toEqual({ kind: 'theme', id: 'data' });
+      expect(move('theme', 'lead', 'ArrowLeft')).toEqual({ kind: 'theme', id: 'tech' });
+      expect(move('barrier', 'data.std', 'ArrowRight')).toEqual({ kind: 'barrier', id: 'lead.gov' });
+    });
+
+    it('should jump to the first and last segment of the ring', () => {
+      expect(move('barrier', 'lead.metrics', 'Home')).toEqual({ kind: 'barrier', id: 'lead.gov' });
+      expect(move('barrier', 'lead.gov', 'End')).toEqual({ kind: 'barrier', id: 'data.std' });
+    });
+
+    it('should move out to a theme\'s first barrier and back in to its theme', () => {
+      expect(move('theme', 'lead', 'ArrowUp')).toEqual({ kind: 'barrier', id: 'lead.gov' });
+      expect(move('barrier', 'data.std', 'ArrowDown')).toEqual({ kind: 'theme', id: 'data' });
+    });
+
+    it('should stay put where there is nowhere to go', () => {
+      expect(move('theme', 'tech', 'ArrowUp')).toBeNull();
+      expect(move('theme', 'lead', 'ArrowDown')).toBeNull();
+      expect(move('barrier', 'lead.gov', 'ArrowUp')).toBeNull();
+      expect(move('theme', 'lead', 'Enter')).toBeNull();
+      expect(move('theme', 'gone', 'ArrowRight')).toBeNull();
+    });
+  });
+
+  describe('describeSegment()', () => {
+    it('should name the segment with its count and theme', () => {
+      expect(describeSegment('theme', 'Leadership', 2)).toBe('Theme: Leadership, 2 resources');
+      expect(describeSegment('barrier', 'Data standards', 1, 'Data')).toBe('Barrier: Data standards, 1 resource, in Data');
+    });
+  });
+});
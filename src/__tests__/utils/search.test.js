@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import {
+  stem,
+  tokenize,
+  analyze,
+  buildSearchIndex,
+  loadSearchIndex,
+  matchTerms,
+  parseQueryWords,
+  searchIndex,
+  SEARCH_INDEX_VERSION,
+} from '../../utils/search';
+
+const RESOURCES = [
+  { id: 'r1', title: 'Data Strategy Guide', description: 'A guide to data strategies', tags: ['strategy', 'planning'] },
+  { id: 'r2', title: 'Legacy Migration', description: 'Migrating from legacy systems', tags: ['technical'] },
+  { id: 'r3', title: 'Business Case', description: 'Building the case for data governance', tags: ['governance'] },
+];
+
+describe('search', () => {
+  describe('stem', () => {
+    it('should reduce inflected forms to the same stem', () => {
+      expect(stem('strategy')).toBe(stem('strategies'));
+      expect(stem('migration')).toBe('migrat');
+      expect(stem('migrating')).toBe('migrat');
+      expect(stem('governance')).toBe('govern');
+      expect(stem('planning')).toBe('plan');
+      expect(stem('relational')).toBe('relat');
+      expect(stem('caresses')).toBe('caress');
+    });
+
+    it('should leave short words and numbers alone', () => {
+      expect(stem('ai')).toBe('ai');
+      expect(stem('2025s')).toBe('2025s');
+    });
+  });
+
+  describe('tokenize and analyze', () => {
+    it('should split on punctuation and fold case and accents', () => {
+      expect(tokenize('Café-style AI/ML, 2025!')).toEqual(['cafe', 'style', 'ai', 'ml', '2025']);
+    });
+
+    it('should drop stop words and single letters before stemming', () => {
+      expect(analyze('The case for a data strategy')).toEqual(['case', 'data', 'strategi']);
+    });
+  });
+
+  describe('buildSearchIndex', () => {
+    it('should build sorted terms with weighted postings', () => {
+      const index = buildSearchIndex(RESOURCES);
+      expect(index.version).toBe(SEARCH_INDEX_VERSION);
+      expect(index.ids).toEqual(['r1', 'r2', 'r3']);
+      expect(index.terms).toEqual([...index.terms].sort());
+      // r1: title (4) + description (1) + tag (2)
+      expect(index.postings[index.terms.indexOf('strategi')]).toEqual([0, 7]);
+      // r1: title + description, each counted once; r3: description
+      expect(index.postings[index.terms.indexOf('data')]).toEqual([0, 5, 2, 1]);
+    });
+
+    it('should cope with missing fields', () => {
+      expect(buildSearchIndex([{ id: 'x', title: 'Useful title' }]).terms).toEqual(['titl', 'us']);
+    });
+  });
+
+  describe('loadSearchIndex', () => {
+    it('should use a prebuilt index built from the same resources', () => {
+      const prebuilt = buildSearchIndex(RESOURCES);
+      expect(loadSearchIndex(prebuilt, RESOURCES).terms).toBe(prebuilt.terms);
+    });
+
+    it('should rebuild when the prebuilt index is stale', () => {
+      const prebuilt = buildSearchIndex(RESOURCES.slice(0, 2));
+      const index = loadSearchIndex(prebuilt, RESOURCES);
+      expect(index.ids).toEqual(['r1', 'r2', 'r3']);
+      expect(loadSearchIndex({ ...buildSearchIndex(RESOURCES), version: 0 }, RESOURCES).terms).not.toBe(prebuilt.terms);
+    });
+  });
+
+  describe('parseQueryWords', () => {
+    it('should treat only a trailing word as partial', () => {
+      expect(parseQueryWords('data gov')).toEqual([{ word: 'data', partial: false }, { word: 'gov', partial: true }]);
+      expect(parseQueryWords('data gov ')).toEqual([{ word: 'data', partial: false }, { word: 'gov', partial: false }]);
+    });
+
+    it('should drop stop words unless they are being typed', () => {
+      expect(parseQueryWords('the case for')).toEqual([{ word: 'case', partial: false }, { word: 'for', partial: true }]);
+    });
+  });
+
+  describe('matchTerms', () => {
+    const index = loadSearchIndex(null, RESOURCES);
+
+    it('should match whole words by stem', () => {
+      expect(matchTerms(index, 'strategies')).toEqual(['strategi']);
+      expect(matchTerms(index, 'strat')).toEqual([]);
+    });
+
+    it('should match partial words by prefix', () => {
+      expect(matchTerms(index, 'strat', true)).toEqual(['strategi']);
+      expect(matchTerms(index, 'migrati', true)).toEqual(['migrat']);
+    });
+
+    it('should fall back to terms a few edits away from an unknown word', () => {
+      expect(matchTerms(index, 'goverance')).toEqual(['govern']);
+      expect(matchTerms(index, 'strattegy', true)).toEqual(['strategi']);
+      expect(matchTerms(index, 'goverance', false, false)).toEqual([]);
+      expect(matchTerms(index, 'dat')).toEqual([]);
+    });
+  });
+
+  describe('searchIndex', () => {
+    const index = loadSearchIndex(null, RESOURCES);
+
+    it('should return null for an empty query', () => {
+      expect(searchIndex(index, '   ')).toBeNull();
+    });
+
+    it('should require every word and sum their scores', () => {
+      expect(searchIndex(index, 'data strategy')).toEqual(new Map([['r1', 12]]));
+      expect([...searchIndex(index, 'data').keys()]).toEqual(['r1', 'r3']);
+    });
+
+    it('should match while the last word is being typed', () => {
+      expect([...searchIndex(index, 'Legacy migr').keys()]).toEqual(['r2']);
+    });
+
+    it('should match misspelt words at a lower score', () => {
+      expect(searchIndex(index, 'stratgy')).toEqual(new Map([['r1', 3.5]]));
+    });
+
+    it('should return no matches for text without words', () => {
+      expect(searchIndex(index, '&')).toEqual(new Map());
+      expect(searchIndex(index, 'nonexistent')).toEqual(new Map());
+    });
+  });
+});
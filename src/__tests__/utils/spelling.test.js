@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { editDistance, maxEdits, buildVocabulary, closestWords, suggestQueries } from '../../utils/spelling';
+import { loadSearchIndex } from '../../utils/search';
+import { parseQuery, evaluateQuery } from '../../utils/query';
+
+const RESOURCES = [
+  { id: 'r1', title: 'Interoperability Roadmap', description: 'Joining up data', tags: ['interoperability'], barriers: ['b1'] },
+  { id: 'r2', title: 'Procurement Playbook', description: 'Buying digital services', tags: ['procurement', 'commercial'], barriers: ['b2'] },
+  { id: 'r3', title: 'Commercial Models', description: 'Outcome-based contracts', tags: ['commercial'], barriers: ['b2'] },
+];
+const BARRIERS = [
+  { id: 'b1', name: 'Incompatible data formats' },
+  { id: 'b2', name: 'Outcome blindness' },
+];
+
+describe('spelling', () => {
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('procurment', 'procurement')).toBe(1);
+      expect(editDistance('interoperabilty', 'interoperability')).toBe(1);
+      expect(editDistance('data', 'date')).toBe(1);
+      expect(editDistance('form', 'from')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('', 'abc')).toBe(3);
+    });
+
+    it('should give up once the distance exceeds the maximum', () => {
+      expect(editDistance('governance', 'roadmap', 2)).toBe(3);
+      expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('maxEdits', () => {
+    it('should tolerate more typos in longer words', () => {
+      expect(maxEdits('data')).toBe(1);
+      expect(maxEdits('strategy')).toBe(2);
+      expect(maxEdits('interoperability')).toBe(3);
+    });
+  });
+
+  describe('buildVocabulary', () => {
+    it('should count title, tag and barrier name words per resource', () => {
+      const vocabulary = buildVocabulary(RESOURCES, BARRIERS);
+      expect(vocabulary.get('interoperability')).toBe(1);
+      expect(vocabulary.get('commercial')).toBe(2);
+      expect(vocabulary.get('blindness')).toBe(2);
+      expect(vocabulary.has('contracts')).toBe(false);
+      expect(vocabulary.has('data')).toBe(true);
+    });
+  });
+
+  describe('closestWords', () => {
+    const vocabulary = new Map([['procurement', 3], ['procurer', 1], ['governance', 5], ['government', 9]]);
+
+    it('should rank by distance, then by how common the word is', () => {
+      expect(closestWords(vocabulary, 'procurment')).toEqual(['procurement', 'procurer']);
+      expect(closestWords(vocabulary, 'governmance')).toEqual(['governance', 'government']);
+    });
+
+    it('should return nothing for words too far from the vocabulary', () => {
+      expect(closestWords(vocabulary, 'roadmap')).toEqual([]);
+    });
+  });
+
+  describe('suggestQueries', () => {
+    const index = loadSearchIndex(null, RESOURCES);
+    const vocabulary = buildVocabulary(RESOURCES, BARRIERS);
+    const count = (query) => {
+      const matches = evaluateQuery(parseQuery(query).clauses, RESOURCES, index);
+      return matches ? matches.size : RESOURCES.length;
+    };
+    const suggest = (query) => suggestQueries(query, { index, vocabulary, count });
+
+    it('should correct misspelt words and report how many results the fix finds', () => {
+      expect(suggest('interoperabilty')).toEqual([{ query: 'interoperability', count: 1, kind: 'spelling' }]);
+      expect(suggest('Comercial playbook')).toEqual([
+        { query: 'commercial playbook', count: 1, kind: 'spelling' },
+        { query: 'Comercial', count: 2, kind: 'broader' }, // found by spelling on its own
+        { query: 'playbook', count: 1, kind: 'broader' },
+      ]);
+    });
+
+    it('should offer broader queries when every word is spelt correctly', () => {
+      expect(suggest('procurement commercial roadmap')).toEqual([
+        { query: 'procurement commercial', count: 1, kind: 'broader' },
+      ]);
+    });
+
+    it('should correct words typed with accents', () => {
+      expect(suggest('Comércial playbook')[0]).toEqual({ query: 'commercial playbook', count: 1, kind: 'spelling' });
+      expect(suggest('interopérabilty')[0].query).toBe('interoperability');
+    });
+
+    it('should skip corrections that would still find nothing', () => {
+      expect(suggest('blindnes')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { loadSynonyms, expandSynonyms, describeSynonymMatch } from '../../utils/synonyms';
+import { parseQuery, evaluateQuery, explainSynonyms } from '../../utils/query';
+import { loadSearchIndex } from '../../utils/search';
+
+const SYNONYMS = loadSynonyms({
+  groups: [
+    ['BIM', 'building information modelling'],
+    ['digital twin', 'virtual replica'],
+    ['AI', 'artificial intelligence'],
+    ['GenAI', 'generative AI'],
+  ],
+});
+
+const RESOURCES = [
+  { id: 'r1', title: 'BIM Handbook', description: 'Getting started', tags: [] },
+  { id: 'r2', title: 'Building Information Modelling Guide', description: 'Standards', tags: [] },
+  { id: 'r3', title: 'Virtual Replica Case Study', description: 'A city model', tags: [] },
+  { id: 'r4', title: 'Digital Twin Primer', description: 'Generative AI for assets', tags: [] },
+];
+const index = loadSearchIndex(null, RESOURCES);
+
+const search = (query) => {
+  const clauses = expandSynonyms(parseQuery(query).clauses, SYNONYMS);
+  const matches = evaluateQuery(clauses, RESOURCES, index);
+  return { ids: matches && [...matches.keys()].sort(), via: explainSynonyms(clauses, RESOURCES, index, matches) };
+};
+
+describe('synonyms', () => {
+  describe('loadSynonyms', () => {
+    it('should map every normalized term to the rest of its group', () => {
+      expect(SYNONYMS.lookup.get('bim')).toEqual({ term: 'BIM', alternatives: ['building information modelling'] });
+      expect(SYNONYMS.lookup.get('building information modelling').alternatives).toEqual(['BIM']);
+      expect(SYNONYMS.longest).toBe(3);
+    });
+
+    it('should merge groups that share a term', () => {
+      const { lookup } = loadSynonyms({ groups: [['AI', 'artificial intelligence'], ['AI', 'machine intelligence']] });
+      expect(lookup.get('ai').alternatives).toEqual(['artificial intelligence', 'machine intelligence']);
+    });
+
+    it('should cope with a missing file', () => {
+      expect(loadSynonyms(null).lookup.size).toBe(0);
+    });
+  });
+
+  describe('expandSynonyms', () => {
+    it('should OR a word with its synonyms', () => {
+      const [clause] = expandSynonyms(parseQuery('bim').clauses, SYNONYMS);
+      expect(clause.or.map(t => t.value)).toEqual(['bim', 'building information modelling']);
+      expect(clause.or[1]).toMatchObject({ phrase: true, via: { term: 'BIM', synonym: 'building information modelling' } });
+    });
+
+    it('should prefer the longest run of words that is a term', () => {
+      const clauses = expandSynonyms(parseQuery('digital twin roadmap').clauses, SYNONYMS);
+      expect(clauses).toHaveLength(2);
+      expect(clauses[0].or.map(t => t.value)).toEqual(['digital twin', 'virtual replica']);
+      expect(clauses[1].value).toBe('roadmap');
+    });
+
+    it('should leave quoted phrases and fields exact', () => {
+      const clauses = parseQuery('"bim" tag:bim').clauses;
+      expect(expandSynonyms(clauses, SYNONYMS)).toEqual(clauses);
+    });
+
+    it('should exclude synonyms of an excluded word', () => {
+      const clauses = expandSynonyms(parseQuery('-bim').clauses, SYNONYMS);
+      expect(clauses.map(c => [c.value, c.negated])).toEqual([['bim', true], ['building information modelling', true]]);
+    });
+
+    it('should expand terms inside OR groups', () => {
+      const [clause] = expandSynonyms(parseQuery('ai OR bim').clauses, SYNONYMS);
+      expect(clause.or.map(t => t.value)).toEqual(['ai', 'artificial intelligence', 'bim', 'building information modelling']);
+    });
+  });
+
+  describe('searching with synonyms', () => {
+    it('should find resources that only use an equivalent term', () => {
+      expect(search('BIM').ids).toEqual(['r1', 'r2']);
+      expect(search('virtual replica').ids).toEqual(['r3', 'r4']);
+      expect(search('genai').ids).toEqual(['r4']);
+      expect(search('-bim').ids).toEqual(['r3', 'r4']);
+    });
+
+    it('should record which synonym brought each result in', () => {
+      const { via } = search('BIM ');
+      expect([...via]).toEqual([['r2', [{ term: 'BIM', synonym: 'building information modelling' }]]]);
+    });
+  });
+
+  describe('describeSynonymMatch', () => {
+    it('should explain the match', () => {
+      expect(describeSynonymMatch([{ term: 'LLM', synonym: 'large language model' }])).toBe('Matched "large language model" (synonym of LLM)');
+      expect(describeSynonymMatch([])).toBe('');
+    });
+  });
+});
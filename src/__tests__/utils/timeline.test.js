@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isMonth,
+  resourceMonth,
+  matchesPeriod,
+  timelineBuckets,
+  periodIndexes,
+  periodFromIndexes,
+  describePeriod,
+  startMonth,
+  endMonth,
+} from '../../utils/timeline';
+
+const RESOURCES = [
+  { date: '2023-11-20', barrier_category: 'lead' },
+  { date: '2024-02', barrier_category: 'data' },
+  { date: '2024-03-05', barrier_category: 'lead' },
+  { date: '2024', barrier_category: 'lead' },
+  { date: '', barrier_category: 'data' },
+];
+
+describe('timeline', () => {
+  describe('resourceMonth()', () => {
+    it('should give the month of a date, January for a year and null when undated', () => {
+      expect(resourceMonth({ date: '2024-03-05' })).toBe('2024-03');
+      expect(resourceMonth({ date: '5/3/2024' })).toBe('2024-05');
+      expect(resourceMonth({ date: '2024' })).toBe('2024-01');
+      expect(resourceMonth({ date: '' })).toBeNull();
+    });
+  });
+
+  describe('isMonth()', () => {
+    it('should accept YYYY-MM only', () => {
+      expect(isMonth('2024-12')).toBe(true);
+      expect(isMonth('2024-13')).toBe(false);
+      expect(isMonth('2024')).toBe(false);
+      expect(isMonth(null)).toBe(false);
+    });
+  });
+
+  describe('startMonth() and endMonth()', () => {
+    it('should turn a year into its first or last month and keep months', () => {
+      expect([startMonth('2024'), endMonth(2024)]).toEqual(['2024-01', '2024-12']);
+      expect([startMonth('2024-03'), endMonth('2024-03')]).toEqual(['2024-03', '2024-03']);
+      expect([startMonth('soon'), endMonth(null)]).toEqual([null, null]);
+    });
+  });
+
+  describe('matchesPeriod()', () => {
+    it('should keep resources within the months, including undated ones only while open', () => {
+      expect(matchesPeriod(RESOURCES[2], '2024-03', '2024-03')).toBe(true);
+      expect(matchesPeriod(RESOURCES[0], '2024-01', null)).toBe(false);
+      expect(matchesPeriod(RESOURCES[3], null, '2024-01')).toBe(true);
+      expect(matchesPeriod(RESOURCES[4], null, null)).toBe(true);
+      expect(matchesPeriod(RESOURCES[4], '2024-01', null)).toBe(false);
+    });
+  });
+
+  describe('timelineBuckets()', () => {
+    it('should count resources per quarter and theme, including empty quarters', () => {
+      const buckets = timelineBuckets(RESOURCES, RESOURCES, 'quarter');
+
+      expect(buckets.map(b => [b.label, b.from, b.to, b.total])).toEqual([
+        ['Q4 2023', '2023-10', '2023-12', 1],
+        ['Q1 2024', '2024-01', '2024-03', 3],
+      ]);
+      expect(buckets[1].counts).toEqual({ lead: 2, data: 1 });
+    });
+
+    it('should count per month over the span of all resources', () => {
+      const buckets = timelineBuckets(RESOURCES.slice(2), RESOURCES, 'month');
+
+      expect(buckets.map(b => b.key)).toEqual(['2023-11', '2023-12', '2024-01', '2024-02', '2024-03']);
+      expect(buckets.map(b => b.total)).toEqual([0, 0, 1, 0, 1]);
+      expect(buckets[0].label).toBe('Nov 2023');
+    });
+
+    it('should count a resource with several themes under each of them', () => {
+      const buckets = timelineBuckets([{ date: '2024-02-01', barrier_category: 'lead|data' }], RESOURCES, 'quarter');
+
+      expect(buckets[1].counts).toEqual({ lead: 1, data: 1 });
+      expect(buckets[1].total).toBe(1);
+    });
+
+    it('should be empty when nothing is dated', () => {
+      expect(timelineBuckets([], [{ date: '' }])).toEqual([]);
+    });
+  });
+
+  describe('periodIndexes() and periodFromIndexes()', () => {
+    const buckets = timelineBuckets(RESOURCES, RESOURCES, 'month');
+
+    it('should cover the whole timeline while the period is open', () => {
+      expect(periodIndexes(buckets, null, null)).toEqual({ startIndex: 0, endIndex: 4 });
+      expect(periodFromIndexes(buckets, 0, 4)).toEqual({ from: null, to: null });
+    });
+
+    it('should turn a brushed stretch into months and back', () => {
+      expect(periodFromIndexes(buckets, 1, 3)).toEqual({ from: '2023-12', to: '2024-02' });
+      expect(periodIndexes(buckets, '2023-12', '2024-02')).toEqual({ startIndex: 1, endIndex: 3 });
+    });
+
+    it('should find the quarters that hold a period of months', () => {
+      const quarters = timelineBuckets(RESOURCES, RESOURCES, 'quarter');
+      expect(periodIndexes(quarters, '2024-02', null)).toEqual({ startIndex: 1, endIndex: 1 });
+    });
+  });
+
+  describe('describePeriod()', () => {
+    it('should describe closed and half-open periods', () => {
+      expect(describePeriod('2024-03', '2024-06')).toBe('Mar 2024 – Jun 2024');
+      expect(describePeriod('2024-03', '2024-03')).toBe('Mar 2024');
+      expect(describePeriod('2024-03', null)).toBe('From Mar 2024');
+      expect(describePeriod(null, '2024-06')).toBe('Up to Jun 2024');
+      expect(describePeriod(null, null)).toBe('');
+    });
+
+    it('should describe whole years as years', () => {
+      expect(describePeriod('2019-01', '2021-12')).toBe('2019 – 2021');
+      expect(describePeriod('2024-01', '2024-12')).toBe('2024');
+      expect(describePeriod(null, '2021-12')).toBe('Up to 2021');
+      expect(describePeriod('2024-01', '2024-03')).toBe('Jan 2024 – Mar 2024');
+    });
+  });
+});
@@ -7,9 +7,21 @@ describe('parseURLParams()', () => {
       const result = parseURLParams('?q=data&theme=leadership&barrier=barrier1&personas=Project,Programme');
       expect(result).toEqual({
         search: 'data',
-        theme: 'leadership',
-        barrier: 'barrier1',
-        personas: ['Project', 'Programme']
+        themes: ['leadership'],
+        barriers: ['barrier1'],
+        ringMode: 'any',
+        zoom: null,
+        layout: 'proportional',
+        view: 'ring',
+        step: 'quarter',
+        personas: ['Project', 'Programme'],
+        tags: [],
+        tagMode: 'any',
+        publishers: [],
+        types: [],
+        from: null,
+        to: null,
+        sort: 'relevance'
       });
     });
 
@@ -20,12 +32,44 @@ describe('parseURLParams()', () => {
 
     it('should parse theme parameter', () => {
       const result = parseURLParams('?theme=leadership-and-alignment');
-      expect(result.theme).toBe('leadership-and-alignment');
+      expect(result.themes).toEqual(['leadership-and-alignment']);
     });
 
     it('should parse barrier parameter', () => {
       const result = parseURLParams('?barrier=barrier-id-123');
-      expect(result.barrier).toBe('barrier-id-123');
+      expect(result.barriers).toEqual(['barrier-id-123']);
+    });
+
+    it('should parse repeated themes and barriers and the ring mode', () => {
+      const result = parseURLParams('?theme=leadership&theme=data&barrier=a.one&barrier=b.two&ringMode=all');
+      expect(result.themes).toEqual(['leadership', 'data']);
+      expect(result.barriers).toEqual(['a.one', 'b.two']);
+      expect(result.ringMode).toBe('all');
+    });
+
+    it('should parse the zoomed theme', () => {
+      expect(parseURLParams('?zoom=leadership&theme=leadership').zoom).toBe('leadership');
+      expect(parseURLParams('?theme=leadership').zoom).toBeNull();
+    });
+
+    it('should parse a date range of months and the timeline step, ignoring malformed months', () => {
+      const state = parseURLParams('?from=2024-03&to=2024-13&step=month');
+      expect(state).toMatchObject({ from: '2024-03', to: null, step: 'month' });
+      expect(parseURLParams('?step=week').step).toBe('quarter');
+    });
+
+    it('should parse the chart view and fall back to the ring', () => {
+      expect(parseURLParams('?view=heatmap').view).toBe('heatmap');
+      expect(parseURLParams('?view=pie').view).toBe('ring');
+    });
+
+    it('should parse the ring layout and fall back to proportional', () => {
+      expect(parseURLParams('?layout=equal').layout).toBe('equal');
+      expect(parseURLParams('?layout=stretched').layout).toBe('proportional');
+    });
+
+    it('should fall back to any for unknown ring modes', () => {
+      expect(parseURLParams('?theme=leadership&ringMode=both').ringMode).toBe('any');
     });
 
     it('should parse multiple personas', () => {
@@ -44,20 +88,32 @@ describe('parseURLParams()', () => {
       const result = parseURLParams('');
       expect(result).toEqual({
         search: '',
-        theme: null,
-        barrier: null,
-        personas: []
+        themes: [],
+        barriers: [],
+        ringMode: 'any',
+        zoom: null,
+        layout: 'proportional',
+        view: 'ring',
+        step: 'quarter',
+        personas: [],
+        tags: [],
+        tagMode: 'any',
+        publishers: [],
+        types: [],
+        from: null,
+        to: null,
+        sort: 'relevance'
       });
     });
 
     it('should return defaults for missing theme', () => {
       const result = parseURLParams('?q=test');
-      expect(result.theme).toBeNull();
+      expect(result.themes).toEqual([]);
     });
 
     it('should return defaults for missing barrier', () => {
       const result = parseURLParams('?q=test');
-      expect(result.barrier).toBeNull();
+      expect(result.barriers).toEqual([]);
     });
 
     it('should return empty array for missing personas', () => {
@@ -75,8 +131,8 @@ describe('parseURLParams()', () => {
     it('should handle empty search string', () => {
       const result = parseURLParams('');
       expect(result.search).toBe('');
-      expect(result.theme).toBeNull();
-      expect(result.barrier).toBeNull();
+      expect(result.themes).toEqual([]);
+      expect(result.barriers).toEqual([]);
       expect(result.personas).toEqual([]);
     });
 
@@ -84,9 +140,21 @@ describe('parseURLParams()', () => {
       const result = parseURLParams('?');
       expect(result).toEqual({
         search: '',
-        theme: null,
-        barrier: null,
-        personas: []
+        themes: [],
+        barriers: [],
+        ringMode: 'any',
+        zoom: null,
+        layout: 'proportional',
+        view: 'ring',
+        step: 'quarter',
+        personas: [],
+        tags: [],
+        tagMode: 'any',
+        publishers: [],
+        types: [],
+        from: null,
+        to: null,
+        sort: 'relevance'
       });
     });
   });
@@ -108,6 +176,45 @@ describe('parseURLParams()', () => {
     });
   });
 
+  describe('sort parameter', () => {
+    it('should parse a known sort order', () => {
+      expect(parseURLParams('?sort=newest').sort).toBe('newest');
+      expect(parseURLParams('?sort=title').sort).toBe('title');
+    });
+
+    it('should fall back to relevance for unknown sort orders', () => {
+      expect(parseURLParams('?sort=random').sort).toBe('relevance');
+    });
+  });
+
+  describe('tags parameters', () => {
+    it('should parse selected tags and the tag mode', () => {
+      const result = parseURLParams('?tags=governance,data-strategy&tagMode=all');
+      expect(result.tags).toEqual(['governance', 'data-strategy']);
+      expect(result.tagMode).toBe('all');
+    });
+
+    it('should fall back to any for unknown tag modes', () => {
+      expect(parseURLParams('?tags=governance&tagMode=some').tagMode).toBe('any');
+    });
+  });
+
+  describe('publisher, type and year parameters', () => {
+    it('should parse repeated publishers, types and the year range', () => {
+      const result = parseURLParams('?publisher=Cabinet+Office&publisher=Department+for+Science%2C+Innovation+and+Technology&types=report,case-study&from=2019&to=2024');
+      expect(result.publishers).toEqual(['Cabinet Office', 'Department for Science, Innovation and Technology']);
+      expect(result.types).toEqual(['report', 'case-study']);
+      expect(result.from).toBe('2019-01');
+      expect(result.to).toBe('2024-12');
+    });
+
+    it('should ignore years that are not four digits', () => {
+      const result = parseURLParams('?from=soon&to=20245');
+      expect(result.from).toBeNull();
+      expect(result.to).toBeNull();
+    });
+  });
+
   describe('default parameter (window.location.search)', () => {
     beforeEach(() => {
       // Mock window.location.search
@@ -118,7 +225,7 @@ describe('parseURLParams()', () => {
     it('should use window.location.search when no parameter provided', () => {
       const result = parseURLParams();
       expect(result.search).toBe('default');
-      expect(result.theme).toBe('test');
+      expect(result.themes).toEqual(['test']);
     });
   });
 });
@@ -128,8 +235,8 @@ describe('generateURLParams()', () => {
     it('should generate query string with all parameters', () => {
       const state = {
         search: 'data',
-        theme: 'leadership',
-        barrier: 'barrier1',
+        themes: ['leadership'],
+        barriers: ['barrier1'],
         personas: ['Project', 'Programme']
       };
       const result = generateURLParams(state);
@@ -139,8 +246,8 @@ describe('generateURLParams()', () => {
     it('should generate query string with only search', () => {
       const state = {
         search: 'test query',
-        theme: null,
-        barrier: null,
+        themes: [],
+        barriers: [],
         personas: []
       };
       const result = generateURLParams(state);
@@ -150,8 +257,8 @@ describe('generateURLParams()', () => {
     it('should generate query string with only theme', () => {
       const state = {
         search: '',
-        theme: 'leadership',
-        barrier: null,
+        themes: ['leadership'],
+        barriers: [],
         personas: []
       };
       const result = generateURLParams(state);
@@ -161,8 +268,8 @@ describe('generateURLParams()', () => {
     it('should properly encode special characters', () => {
       const state = {
         search: 'test & search',
-        theme: null,
-        barrier: null,
+        themes: [],
+        barriers: [],
         personas: []
       };
       const result = generateURLParams(state);
@@ -174,19 +281,19 @@ describe('generateURLParams()', () => {
     it('should return empty string when no values provided', () => {
       const state = {
         search: '',
-        theme: null,
-        barrier: null,
+        themes: [],
+        barriers: [],
         personas: []
       };
       const result = generateURLParams(state);
       expect(result).toBe('');
     });
 
-    it('should exclude null theme', () => {
+    it('should exclude an empty theme list', () => {
       const state = {
         search: 'test',
-        theme: null,
-        barrier: 'barrier1',
+        themes: [],
+        barriers: ['barrier1'],
         personas: []
       };
       const result = generateURLParams(state);
@@ -197,8 +304,8 @@ describe('generateURLParams()', () => {
     it('should exclude empty personas array', () => {
       const state = {
         search: 'test',
-        theme: 'leadership',
-        barrier: null,
+        themes: ['leadership'],
+        barriers: [],
         personas: []
       };
       const result = generateURLParams(state);
@@ -208,8 +315,8 @@ describe('generateURLParams()', () => {
     it('should exclude empty search string', () => {
       const state = {
         search: '',
-        theme: 'leadership',
-        barrier: null,
+        themes: ['leadership'],
+        barriers: [],
         personas: []
       };
       const result = generateURLParams(state);
@@ -217,12 +324,22 @@ describe('generateURLParams()', () => {
     });
   });
 
+  describe('sort parameter', () => {
+    it('should include a non-default sort order', () => {
+      expect(generateURLParams({ search: 'data', sort: 'oldest' })).toBe('?q=data&sort=oldest');
+    });
+
+    it('should omit the default sort order', () => {
+      expect(generateURLParams({ sort: 'relevance' })).toBe('');
+    });
+  });
+
   describe('personas parameter', () => {
     it('should join multiple personas with comma', () => {
       const state = {
         search: '',
-        theme: null,
-        barrier: null,
+        themes: [],
+        barriers: [],
         personas: ['Project', 'Programme', 'Business']
       };
       const result = generateURLParams(state);
@@ -232,8 +349,8 @@ describe('generateURLParams()', () => {
     it('should handle single persona', () => {
       const state = {
         search: '',
-        theme: null,
-        barrier: null,
+        themes: [],
+        barriers: [],
         personas: ['Project']
       };
       const result = generateURLParams(state);
@@ -242,9 +359,57 @@ describe('generateURLParams()', () => {
   });
 });
 
+describe('generateURLParams() ring selection', () => {
+  it('should repeat the theme and barrier parameters and include a non-default ring mode', () => {
+    expect(generateURLParams({ themes: ['leadership', 'data'], barriers: ['a.one', 'b.two'], ringMode: 'all' }))
+      .toBe('?theme=leadership&theme=data&barrier=a.one&barrier=b.two&ringMode=all');
+  });
+
+  it('should include the zoomed theme', () => {
+    expect(generateURLParams({ themes: ['leadership'], zoom: 'leadership' })).toBe('?theme=leadership&zoom=leadership');
+  });
+
+  it('should include a date range of months, whole years as years, and a non-default step', () => {
+    expect(generateURLParams({ from: '2024-03', to: '2024-06', step: 'month' })).toBe('?from=2024-03&to=2024-06&step=month');
+    expect(generateURLParams({ from: null, to: '2024-06', step: 'quarter' })).toBe('?to=2024-06');
+    expect(generateURLParams({ from: '2019-01', to: '2024-12' })).toBe('?from=2019&to=2024');
+  });
+
+  it('should include a chart view other than the ring', () => {
+    expect(generateURLParams({ view: 'treemap' })).toBe('?view=treemap');
+    expect(generateURLParams({ view: 'ring' })).toBe('');
+  });
+
+  it('should include a non-default ring layout', () => {
+    expect(generateURLParams({ layout: 'equal' })).toBe('?layout=equal');
+    expect(generateURLParams({ layout: 'proportional' })).toBe('');
+  });
+
+  it('should omit the default ring mode', () => {
+    expect(generateURLParams({ themes: [], barriers: [], ringMode: 'any' })).toBe('');
+  });
+});
+
+describe('generateURLParams() tags', () => {
+  it('should join tags with comma and include a non-default tag mode', () => {
+    expect(generateURLParams({ tags: ['governance', 'data'], tagMode: 'all' })).toBe('?tags=governance%2Cdata&tagMode=all');
+  });
+
+  it('should omit the default tag mode', () => {
+    expect(generateURLParams({ tags: [], tagMode: 'any' })).toBe('');
+  });
+});
+
+describe('generateURLParams() publishers, types and years', () => {
+  it('should repeat the publisher parameter and join types with comma', () => {
+    expect(generateURLParams({ publishers: ['HM Treasury', 'DSIT'], types: ['report', 'guidance'], from: '2020-01', to: null }))
+      .toBe('?publisher=HM+Treasury&publisher=DSIT&types=report%2Cguidance&from=2020');
+  });
+});
+
 describe('roundtrip testing', () => {
   it('should parse and generate the same state', () => {
-    const originalParams = '?q=data&theme=leadership&barrier=barrier1&personas=Project,Programme';
+    const originalParams = '?q=data&theme=leadership&barrier=barrier1&barrier=barrier2&ringMode=all&zoom=leadership&layout=equal&personas=Project,Programme&tags=governance&tagMode=all&publisher=HM+Treasury&types=report&from=2019&to=2024';
     const parsed = parseURLParams(originalParams);
     const generated = generateURLParams(parsed);
     const reparsed = parseURLParams(generated);
@@ -266,10 +431,10 @@ describe('roundtrip testing', () => {
     const generated = generateURLParams(parsed);
     const reparsed = parseURLParams(generated);
 
-    expect(reparsed.theme).toBe('leadership');
+    expect(reparsed.themes).toEqual(['leadership']);
     expect(reparsed.personas).toEqual(['Project']);
     expect(reparsed.search).toBe('');
-    expect(reparsed.barrier).toBeNull();
+    expect(reparsed.barriers).toEqual([]);
   });
 });
 
@@ -285,8 +450,8 @@ describe('updateBrowserURL()', () => {
   it('should update browser URL with state', () => {
     const state = {
       search: 'test',
-      theme: 'leadership',
-      barrier: null,
+      themes: ['leadership'],
+      barriers: [],
       personas: []
     };
 
@@ -302,8 +467,8 @@ describe('updateBrowserURL()', () => {
   it('should use custom pathname if provided', () => {
     const state = {
       search: 'test',
-      theme: null,
-      barrier: null,
+      themes: [],
+      barriers: [],
       personas: []
     };
 
@@ -319,8 +484,8 @@ describe('updateBrowserURL()', () => {
   it('should handle empty state', () => {
     const state = {
       search: '',
-      theme: null,
-      barrier: null,
+      themes: [],
+      barriers: [],
       personas: []
     };
 
@@ -0,0 +1,82 @@
+import React, { useId, useRef, useState } from 'react';
+import { EXPORT_SCALES } from '../utils/chartExport';
+
+const SCALE_LABELS = { 1: 'Screen (1×)', 2: 'Slides (2×)', 3: 'Print (3×)' };
+
+/**
+ * ChartExport - "Download chart" menu offering the chart as SVG or PNG
+ *
+ * `onExport(format, scale)` builds and saves the file and may return a
+ * promise; if it fails, its message is shown in the menu. Escape closes the
+ * menu and returns focus to its button.
+ */
+const ChartExport = ({ onExport }) => {
+  const panelId = useId();
+  const buttonRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const download = async (format) => {
+    setBusy(true);
+    setError('');
+    try {
+      await onExport(format, scale);
+      setOpen(false);
+    } catch (e) {
+      setError(e.message || 'The chart could not be exported.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+      buttonRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-expanded={open}
+        aria-controls={panelId}
+        onClick={() => setOpen((o) => !o)}
+        className="inline-flex items-center gap-1 rounded-full border border-slate-300 bg-white px-2 py-0.5 text-[11px] hover:bg-slate-50"
+      >
+        Download chart
+        <span aria-hidden="true">{open ? '▴' : '▾'}</span>
+      </button>
+      {open && (
+        <div
+          id={panelId}
+          role="group"
+          aria-label="Download chart"
+          onKeyDown={handleKeyDown}
+          className="absolute right-0 top-full z-20 mt-1 w-56 space-y-2 rounded-2xl border border-slate-200 bg-white p-3 text-left text-xs shadow-lg"
+        >
+          <p className="text-slate-500">With a key to the colours and the filters in use.</p>
+          <button type="button" disabled={busy} onClick={() => download('svg')} className="w-full rounded-md bg-slate-900 px-3 py-1.5 text-white hover:bg-slate-800 disabled:opacity-50">
+            SVG (scalable)
+          </button>
+          <label className="flex items-center justify-between gap-2">
+            PNG size
+            <select value={scale} onChange={(e) => setScale(Number(e.target.value))} className="rounded-full border border-slate-200 bg-white px-2 py-0.5">
+              {EXPORT_SCALES.map((s) => <option key={s} value={s}>{SCALE_LABELS[s] || `${s}×`}</option>)}
+            </select>
+          </label>
+          <button type="button" disabled={busy} onClick={() => download('png')} className="w-full rounded-md bg-slate-900 px-3 py-1.5 text-white hover:bg-slate-800 disabled:opacity-50">
+            PNG
+          </button>
+          {error && <p role="alert" className="text-rose-700">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartExport;
@@ -0,0 +1,107 @@
+import React, { useId } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Brush, ResponsiveContainer } from 'recharts';
+import { TIMELINE_STEPS, periodIndexes, periodFromIndexes, describePeriod } from '../utils/timeline';
+
+/**
+ * CoverageTimeline - Resources per quarter or month, stacked by theme
+ *
+ * `buckets` come from timelineBuckets. Brushing a stretch of the timeline,
+ * or choosing its first and last period from the lists, sets the date filter
+ * through `onChange(from, to)`; `from` and `to` are months, or null while the
+ * period is open at that end.
+ */
+const CoverageTimeline = ({ buckets, themes, themeColors, step, onStepChange, from, to, onChange }) => {
+  const id = useId();
+  const active = from !== null || to !== null;
+  const { startIndex, endIndex } = periodIndexes(buckets, from, to);
+  const brush = (start, end) => {
+    const period = periodFromIndexes(buckets, start, end);
+    if (period.from !== from || period.to !== to) onChange(period.from, period.to);
+  };
+
+  return (
+    <div className="flex h-full flex-col gap-2 text-xs text-slate-600">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <div role="group" aria-label="Timeline step" className="inline-flex items-center gap-1">
+          {TIMELINE_STEPS.map((s) => (
+            <button
+              key={s.id}
+              type="button"
+              aria-pressed={step === s.id}
+              onClick={() => onStepChange(s.id)}
+              className={`rounded-full border px-2 py-0.5 ${step === s.id ? 'bg-slate-900 border-slate-900 text-white' : 'bg-white border-slate-300'}`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </div>
+        {buckets.length > 1 && (
+          <>
+            <label htmlFor={`${id}-from`}>From</label>
+            <select
+              id={`${id}-from`}
+              value={buckets[startIndex].from}
+              onChange={(e) => brush(buckets.findIndex((b) => b.from === e.target.value), endIndex)}
+              className="rounded-full border border-slate-200 bg-white px-2 py-0.5"
+            >
+              {buckets.map((b, i) => <option key={b.key} value={b.from} disabled={i > endIndex}>{b.label}</option>)}
+            </select>
+            <label htmlFor={`${id}-to`}>to</label>
+            <select
+              id={`${id}-to`}
+              value={buckets[endIndex].to}
+              onChange={(e) => brush(startIndex, buckets.findIndex((b) => b.to === e.target.value))}
+              className="rounded-full border border-slate-200 bg-white px-2 py-0.5"
+            >
+              {buckets.map((b, i) => <option key={b.key} value={b.to} disabled={i < startIndex}>{b.label}</option>)}
+            </select>
+          </>
+        )}
+        {active && (
+          <span>
+            Showing <span className="font-medium text-slate-900">{describePeriod(from, to)}</span>{' '}
+            <button type="button" onClick={() => onChange(null, null)} className="text-slate-500 underline hover:text-slate-800">
+              All dates
+            </button>
+          </span>
+        )}
+      </div>
+      <div className="min-h-0 flex-1">
+        {buckets.length ? (
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={buckets} margin={{ top: 8, right: 16, bottom: 8, left: 0 }} barCategoryGap={1}>
+              <XAxis dataKey="label" tick={{ fontSize: 11 }} minTickGap={16} />
+              <YAxis allowDecimals={false} tick={{ fontSize: 11 }} width={32} />
+              <Tooltip />
+              {/* Theme ids are read through a function, as Recharts reads a string key as a path */}
+              {themes.map((t) => (
+                <Bar
+                  key={t.id}
+                  name={t.name}
+                  dataKey={(b) => b.counts[t.id] || 0}
+                  stackId="themes"
+                  fill={themeColors[t.id] || '#94a3b8'}
+                  isAnimationActive={false}
+                />
+              ))}
+              {buckets.length > 1 && (
+                <Brush
+                  dataKey="label"
+                  height={24}
+                  stroke="#4f46e5"
+                  startIndex={startIndex}
+                  endIndex={endIndex}
+                  onChange={(range) => brush(range.startIndex, range.endIndex)}
+                />
+              )}
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <p className="flex h-full items-center justify-center text-sm">No resources are dated.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoverageTimeline;
@@ -0,0 +1,65 @@
+import React, { useId, useRef, useState } from 'react';
+
+/**
+ * FilterMenu - Drop-down multi-select with live counts
+ *
+ * `options` are { value, count, selected } (see countValues). Options with no
+ * results are listed but cannot be picked unless already selected. Escape
+ * closes the menu and returns focus to its button.
+ */
+const FilterMenu = ({ label, options, onToggle, onClear, renderOption = (o) => o.value }) => {
+  const panelId = useId();
+  const buttonRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const selectedCount = options.filter((o) => o.selected).length;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+      buttonRef.current?.focus();
+    }
+  };
+
+  return (
+    <div className="relative text-xs">
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-expanded={open}
+        aria-controls={panelId}
+        onClick={() => setOpen((o) => !o)}
+        className={`inline-flex items-center gap-1 rounded-full border px-3 py-1 ${selectedCount ? 'border-indigo-600 bg-indigo-50 text-indigo-800' : 'border-slate-300 bg-white hover:bg-slate-50'}`}
+      >
+        {label}{selectedCount > 0 && ` (${selectedCount})`}
+        <span aria-hidden="true">{open ? '▴' : '▾'}</span>
+      </button>
+      {open && (
+        <div
+          id={panelId}
+          role="group"
+          aria-label={label}
+          onKeyDown={handleKeyDown}
+          className="absolute left-0 top-full z-20 mt-1 w-64 max-h-64 overflow-auto rounded-2xl border border-slate-200 bg-white p-2 text-left shadow-lg"
+        >
+          <ul className="space-y-1">
+            {options.map((o) => (
+              <li key={o.value}>
+                <label className={`flex items-center gap-1.5 ${!o.selected && o.count === 0 ? 'text-slate-400' : 'cursor-pointer'}`}>
+                  <input type="checkbox" checked={o.selected} disabled={!o.selected && o.count === 0} onChange={() => onToggle(o.value)} />
+                  <span className="flex-1">{renderOption(o)}</span> <span className="text-slate-400">({o.count})</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+          {selectedCount > 0 && (
+            <button type="button" onClick={onClear} className="mt-2 text-slate-500 underline hover:text-slate-800">
+              Clear {label.toLowerCase()}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterMenu;
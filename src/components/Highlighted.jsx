@@ -0,0 +1,13 @@
+import React from 'react';
+import { splitHighlights } from '../utils/highlight';
+
+/**
+ * Highlighted - Text with matched search terms wrapped in <mark>
+ *
+ * `highlight` comes from highlightTerms; without one the text renders as is.
+ */
+const Highlighted = ({ text, highlight }) => splitHighlights(text, highlight).map((part, i) => (part.match
+  ? <mark key={i} className="rounded-sm bg-amber-100 px-0.5 text-inherit">{part.text}</mark>
+  : <React.Fragment key={i}>{part.text}</React.Fragment>));
+
+export default Highlighted;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { shadeByCount } from '../utils/colors';
+
+const plural = (n) => `${n} resource${n === 1 ? '' : 's'}`;
+
+/**
+ * PersonaHeatmap - Resources for each barrier (rows) and persona (columns)
+ *
+ * `counts` and `max` come from personaBarrierCounts. Cells are shaded by
+ * count in their theme's colour. A theme, barrier or persona heading selects
+ * it, as the ring and the persona chips do; a cell selects both its barrier
+ * and its persona, or clears them when they were already all that was
+ * selected.
+ */
+const PersonaHeatmap = ({
+  themes,
+  barriers,
+  personas,
+  counts,
+  max,
+  selectedThemes,
+  selectedBarriers,
+  selectedPersonas,
+  themeColors,
+  onSelect,
+  onTogglePersona,
+  onSelectCell,
+}) => {
+  const additive = (e) => e.ctrlKey || e.metaKey || e.shiftKey;
+  const heading = (pressed) => `rounded px-1 text-left hover:underline ${pressed ? 'font-semibold text-slate-900' : ''}`;
+
+  return (
+    <div className="h-full overflow-auto">
+      <table className="w-full border-separate border-spacing-0.5 text-xs">
+        <caption className="sr-only">Resources per barrier and persona</caption>
+        <thead className="sticky top-0 bg-white">
+          <tr>
+            <th scope="col" className="text-left font-normal text-slate-500">Barrier</th>
+            {personas.map((p) => (
+              <th key={p.id} scope="col" className="font-normal">
+                <button type="button" aria-pressed={selectedPersonas.includes(p.id)} onClick={() => onTogglePersona(p.id)} className={heading(selectedPersonas.includes(p.id))}>
+                  {p.icon && <span aria-hidden="true">{p.icon} </span>}
+                  {p.label}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        {themes.map((t) => (
+          <tbody key={t.id}>
+            <tr>
+              <th scope="colgroup" colSpan={personas.length + 1} className="pt-2 text-left">
+                <button
+                  type="button"
+                  aria-pressed={selectedThemes.includes(t.id)}
+                  onClick={(e) => onSelect('theme', t.id, additive(e))}
+                  className={heading(selectedThemes.includes(t.id))}
+                  style={{ color: themeColors[t.id] || '#334155' }}
+                >
+                  {t.name}
+                </button>
+              </th>
+            </tr>
+            {barriers.filter((b) => b.themeId === t.id).map((b) => (
+              <tr key={b.id}>
+                <th scope="row" className="max-w-[16rem] truncate text-left font-normal">
+                  <button type="button" aria-pressed={selectedBarriers.includes(b.id)} onClick={(e) => onSelect('barrier', b.id, additive(e))} className={heading(selectedBarriers.includes(b.id))}>
+                    {b.name}
+                  </button>
+                </th>
+                {personas.map((p) => {
+                  const count = counts[b.id]?.[p.id] || 0;
+                  const pressed = selectedBarriers.includes(b.id) && selectedPersonas.includes(p.id);
+                  return (
+                    <td key={p.id}>
+                      <button
+                        type="button"
+                        aria-label={`${p.label}, ${b.name}: ${plural(count)}`}
+                        aria-pressed={pressed}
+                        onClick={() => onSelectCell(p.id, b.id)}
+                        className={`h-7 w-full min-w-[3rem] rounded tabular-nums ${pressed ? 'ring-2 ring-slate-900' : ''} ${count ? '' : 'text-slate-400'}`}
+                        style={{ background: shadeByCount(themeColors[t.id] || '#64748b', count, max), color: max && count / max > 0.6 ? '#ffffff' : undefined }}
+                      >
+                        {count}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+    </div>
+  );
+};
+
+export default PersonaHeatmap;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { lighten } from '../utils/colors';
+import { toSortableDate, formatResourceDate } from '../utils/dataTransform';
+import { describeLinkProblem } from '../utils/linkHealth';
+import { describeSynonymMatch } from '../utils/synonyms';
+import { NO_HIGHLIGHT, isHighlightedTag, makeSnippet } from '../utils/highlight';
+import { toPlainText } from '../utils/markdown';
+import RichText from './RichText';
+import Highlighted from './Highlighted';
+
+/**
+ * ResourceCard - One result: badges, title, date, description (or the excerpt
+ * that matched the search), tags, personas, barriers and the link
+ *
+ * Used by both the plain and the virtualized results list.
+ */
+const ResourceCard = React.memo(({ resource, BARRIERS, PERSONAS = [], THEME_COLORS, highlight = NO_HIGHLIGHT }) => {
+  // Show the part of a long description that matched, rather than its first lines
+  const snippet = highlight.terms.size ? makeSnippet(toPlainText(resource.description), highlight) : null;
+  return (
+    <article className={`bg-white border rounded-3xl shadow-md/10 p-4 mb-3 ${resource.featured ? 'border-amber-300' : 'border-slate-200'}`}>
+      {resource.featured && (
+        <span className="inline-flex items-center rounded-full px-2 py-0.5 mb-1 bg-amber-100 text-amber-800 text-[10px] font-semibold uppercase tracking-wide">
+          Featured
+        </span>
+      )}
+      {resource.link?.state === 'broken' && (
+        <span
+          className="inline-flex items-center rounded-full px-2 py-0.5 mb-1 ml-1 bg-rose-100 text-rose-800 text-[10px] font-semibold uppercase tracking-wide"
+          title={describeLinkProblem(resource.link)}
+        >
+          Link may be broken
+        </span>
+      )}
+      <h3 className="font-medium leading-snug"><Highlighted text={resource.title} highlight={highlight} /></h3>
+      {resource.date && (
+        <time dateTime={toSortableDate(resource.date) || undefined} className="block text-[11px] text-slate-500 mt-0.5">
+          {formatResourceDate(resource.date, resource.date_precision)}
+        </time>
+      )}
+      {snippet ? (
+        <p className="text-xs text-slate-600 mt-1 line-clamp-3"><Highlighted text={snippet} highlight={highlight} /></p>
+      ) : (
+        <RichText text={resource.description} highlight={highlight} className="text-xs text-slate-600 mt-1 line-clamp-3" />
+      )}
+      {resource.matchedVia && (
+        <p className="text-[11px] text-indigo-700 mt-1">{describeSynonymMatch(resource.matchedVia)}</p>
+      )}
+      {resource.tags?.length > 0 && (
+        <ul aria-label="Tags" className="mt-2 flex flex-wrap gap-1 text-[11px]">
+          {resource.tags.map((tag) => (
+            <li key={tag} className={`rounded-full border px-2 py-0.5 ${isHighlightedTag(tag, highlight) ? 'border-amber-300 bg-amber-100 text-amber-900' : 'border-slate-200 text-slate-500'}`}>
+              #{tag}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="mt-2 flex flex-wrap gap-1 text-xs">
+        {(resource.personas || []).map((p) => {
+          const persona = PERSONAS.find(x => x.id === p);
+          return (
+            <span key={p} title={persona?.description || undefined} className="inline-flex items-center gap-1 rounded-full px-2.5 py-0.5 bg-slate-100 text-slate-700">
+              {persona?.icon && <span aria-hidden="true">{persona.icon}</span>}
+              {persona?.label || p}
+            </span>
+          );
+        })}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-1 text-xs">
+        {(resource.barriers || []).map((b) => {
+          const barrier = BARRIERS.find(x => x.id === b);
+          const label = barrier?.name || b;
+          const color = barrier ? lighten(THEME_COLORS[barrier.themeId] || "#64748b", 0.6) : "#e5e7eb";
+          return (
+            <span key={b} style={{ background: color }} className="inline-flex items-center rounded-full border border-slate-300 px-2 py-0.5">
+              {label}
+            </span>
+          );
+        })}
+      </div>
+      <a className="mt-3 inline-flex text-sm rounded-md px-3 py-1.5 bg-slate-900 text-white hover:bg-slate-800" href={resource.url} target="_blank" rel="noreferrer">
+        Open resource
+      </a>
+    </article>
+  );
+});
+ResourceCard.displayName = 'ResourceCard';
+
+export default ResourceCard;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { parseMarkdown } from '../utils/markdown';
+import Highlighted from './Highlighted';
+
+/**
+ * RichText - Renders the safe Markdown subset used in resource descriptions
+ *
+ * Builds React elements from the parsed tree, so no HTML from the data is ever
+ * injected. A single paragraph renders as one <p> carrying `className`.
+ * Pass `highlight` (from highlightTerms) to mark matched search terms.
+ */
+
+const renderInline = (nodes, highlight) => nodes.map((node, i) => {
+  if (node.type === 'text') return <Highlighted key={i} text={node.text} highlight={highlight} />;
+  if (node.type === 'strong') return <strong key={i}>{renderInline(node.children, highlight)}</strong>;
+  if (node.type === 'em') return <em key={i}>{renderInline(node.children, highlight)}</em>;
+  return (
+    <a key={i} href={node.href} target="_blank" rel="noreferrer" className="underline hover:text-slate-900">
+      {renderInline(node.children, highlight)}
+    </a>
+  );
+});
+
+const RichText = React.memo(({ text, className = '', highlight }) => {
+  const blocks = React.useMemo(() => parseMarkdown(text || ''), [text]);
+
+  if (blocks.length <= 1 && blocks[0]?.type !== 'list') {
+    return <p className={className}>{renderInline(blocks[0]?.children || [], highlight)}</p>;
+  }
+
+  return (
+    <div className={`${className} space-y-1`}>
+      {blocks.map((block, i) => {
+        if (block.type === 'paragraph') return <p key={i}>{renderInline(block.children, highlight)}</p>;
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={i} className={`${block.ordered ? 'list-decimal' : 'list-disc'} pl-4`}>
+            {block.items.map((item, j) => <li key={j}>{renderInline(item, highlight)}</li>)}
+          </List>
+        );
+      })}
+    </div>
+  );
+});
+RichText.displayName = 'RichText';
+
+export default RichText;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { TAG_MODES } from '../utils/facets';
+
+const MODE_HINTS = {
+  any: 'Resources in any selected segment (OR)',
+  all: 'Resources in every selected segment (AND)',
+};
+
+/**
+ * RingSelection - Themes and barriers selected in the ring, as removable chips
+ *
+ * `segments` are { kind: 'theme' | 'barrier', id, name, color }. Once two or
+ * more are selected, Any/All chooses whether a resource needs to be in one of
+ * them or in all of them. Renders nothing while the selection is empty.
+ */
+const RingSelection = ({ segments, mode, onRemove, onModeChange, onClear }) => {
+  if (!segments.length) return null;
+
+  return (
+    <div role="group" aria-label="Ring selection" className="mb-2 flex flex-wrap items-center gap-1.5 text-xs">
+      {segments.map((s) => (
+        <button
+          key={`${s.kind}:${s.id}`}
+          type="button"
+          onClick={() => onRemove(s.kind, s.id)}
+          aria-label={`Remove ${s.kind} ${s.name}`}
+          className="inline-flex max-w-full items-center gap-1 rounded-full border border-slate-300 bg-white px-2.5 py-1 hover:bg-slate-50"
+        >
+          <span aria-hidden="true" className="h-2 w-2 shrink-0 rounded-full" style={{ background: s.color }} />
+          <span className="truncate">{s.kind === 'theme' ? 'Theme' : 'Barrier'} — {s.name}</span>
+          <span aria-hidden="true">×</span>
+        </button>
+      ))}
+      {segments.length > 1 && (
+        <div role="group" aria-label="Match segments" className="inline-flex items-center gap-1 text-slate-600">
+          Match
+          {TAG_MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              aria-pressed={mode === m.id}
+              title={MODE_HINTS[m.id]}
+              onClick={() => onModeChange(m.id)}
+              className={`rounded-full border px-2 py-0.5 ${mode === m.id ? 'bg-slate-900 border-slate-900 text-white' : 'bg-white border-slate-300'}`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      )}
+      <button type="button" onClick={onClear} className="text-slate-500 underline hover:text-slate-800">
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default RingSelection;
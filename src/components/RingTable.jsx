@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * RingTable - Visually hidden table with the ring's numbers
+ *
+ * A text alternative to the chart for screen readers: one row group per
+ * theme, giving its resource count and then each of its barriers, with
+ * whether the segment is selected.
+ */
+const RingTable = ({ themes, barriers, selectedThemes, selectedBarriers }) => (
+  <table className="sr-only">
+    <caption>Resources per theme and barrier</caption>
+    <thead>
+      <tr>
+        <th scope="col">Theme</th>
+        <th scope="col">Barrier</th>
+        <th scope="col">Resources</th>
+        <th scope="col">Selected</th>
+      </tr>
+    </thead>
+    {themes.map((t) => (
+      <tbody key={t.id}>
+        <tr>
+          <th scope="row">{t.name}</th>
+          <td>All barriers</td>
+          <td>{t.displayCount}</td>
+          <td>{selectedThemes.includes(t.id) ? 'Yes' : 'No'}</td>
+        </tr>
+        {barriers.filter((b) => b.themeId === t.id).map((b) => (
+          <tr key={b.id}>
+            <td>{t.name}</td>
+            <th scope="row">{b.name}</th>
+            <td>{b.value}</td>
+            <td>{selectedBarriers.includes(b.id) ? 'Yes' : 'No'}</td>
+          </tr>
+        ))}
+      </tbody>
+    ))}
+  </table>
+);
+
+export default RingTable;
@@ -0,0 +1,121 @@
+import React, { useEffect, useId, useMemo, useState } from 'react';
+import { getSuggestions, currentFragment } from '../utils/autocomplete';
+
+/** Label with the typed text emphasised */
+const Highlight = ({ text, match }) => {
+  const at = match ? text.toLowerCase().indexOf(match) : -1;
+  if (at < 0) return text;
+  return (
+    <>
+      {text.slice(0, at)}
+      <mark className="bg-transparent font-semibold text-inherit">{text.slice(at, at + match.length)}</mark>
+      {text.slice(at + match.length)}
+    </>
+  );
+};
+
+/**
+ * SearchAutocomplete - Search box with grouped search-as-you-type suggestions
+ *
+ * Follows the ARIA combobox pattern: focus stays in the text box while the
+ * arrow keys move through the options (announced via aria-activedescendant),
+ * Enter picks the highlighted option and Escape closes the list.
+ * Extra props (placeholder, aria-*, className…) are passed to the <input>.
+ */
+const SearchAutocomplete = ({ value, onChange, sources, onPick, ...inputProps }) => {
+  const listId = useId();
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+
+  const groups = useMemo(() => (open ? getSuggestions(sources, value) : []), [open, sources, value]);
+  const options = useMemo(() => groups.flatMap((g) => g.items), [groups]);
+  const expanded = open && options.length > 0;
+  const typed = currentFragment(value).text;
+  const optionId = (i) => `${listId}-option-${i}`;
+
+  useEffect(() => setActive(-1), [value]);
+
+  const pick = (item) => {
+    onPick(item);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!expanded) {
+        setOpen(true);
+        return;
+      }
+      // Wrap through the options and back to the text box (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((i) => ((i + 1 + step + options.length + 1) % (options.length + 1)) - 1);
+    } else if (e.key === 'Enter' && expanded && active >= 0) {
+      e.preventDefault();
+      pick(options[active]);
+    } else if (e.key === 'Escape' && expanded) {
+      e.preventDefault();
+      setOpen(false);
+    } else if (e.key === 'Tab') {
+      setOpen(false);
+    }
+  };
+
+  let index = -1;
+  return (
+    <>
+      <input
+        {...inputProps}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && active >= 0 ? optionId(active) : undefined}
+        autoComplete="off"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+      />
+      <div
+        id={listId}
+        role="listbox"
+        aria-label="Search suggestions"
+        hidden={!expanded}
+        className="absolute left-0 right-0 top-full z-20 mt-1 max-h-80 overflow-auto rounded-2xl border border-slate-200 bg-white py-1 text-left text-xs shadow-lg"
+      >
+        {groups.map((group) => (
+          <div key={group.type} role="group" aria-labelledby={`${listId}-${group.type}`}>
+            <div id={`${listId}-${group.type}`} role="presentation" className="px-3 pt-2 pb-1 text-[10px] font-semibold uppercase tracking-wide text-slate-500">
+              {group.label}
+            </div>
+            {group.items.map((item) => {
+              index += 1;
+              const i = index;
+              return (
+                <div
+                  key={`${item.type}:${item.id}`}
+                  id={optionId(i)}
+                  role="option"
+                  aria-selected={i === active}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onMouseEnter={() => setActive(i)}
+                  onClick={() => pick(item)}
+                  className={`flex cursor-pointer items-center justify-between gap-2 px-3 py-1.5 ${i === active ? 'bg-indigo-50 text-indigo-800' : 'text-slate-700'}`}
+                >
+                  <span className="truncate"><Highlight text={item.label} match={typed} /></span>
+                  {item.count != null && <span className="shrink-0 text-slate-400">{item.count}</span>}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default SearchAutocomplete;
@@ -0,0 +1,110 @@
+import React, { useId, useState } from 'react';
+import { TAG_MODES, findTags } from '../utils/facets';
+
+/**
+ * TagFacet - Tag filter with live counts
+ *
+ * Selected tags stay visible as removable chips; the panel lists every tag
+ * with the number of results it would give, can be searched, and shows the
+ * most used tags until "Show all" is pressed. Tags with no results are
+ * listed but cannot be picked.
+ */
+const TagFacet = ({ facets, selected, mode, onToggle, onModeChange, onClear, limit = 12 }) => {
+  const panelId = useId();
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const matching = findTags(facets, text);
+  const visible = showAll || text.trim() ? matching : matching.slice(0, limit);
+
+  return (
+    <div className="w-full md:w-3/4 text-xs">
+      <div className="flex flex-wrap items-center gap-1.5">
+        <button
+          type="button"
+          aria-expanded={open}
+          aria-controls={panelId}
+          onClick={() => setOpen((o) => !o)}
+          className="inline-flex items-center gap-1 rounded-full border border-slate-300 bg-white px-3 py-1 hover:bg-slate-50"
+        >
+          Tags{selected.length > 0 && ` (${selected.length})`}
+          <span aria-hidden="true">{open ? '▴' : '▾'}</span>
+        </button>
+        {selected.map((tag) => (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => onToggle(tag)}
+            aria-label={`Remove tag ${tag}`}
+            className="inline-flex items-center gap-1 rounded-full bg-indigo-600 px-2.5 py-1 text-white hover:bg-indigo-700"
+          >
+            #{tag} <span aria-hidden="true">×</span>
+          </button>
+        ))}
+        {selected.length > 0 && (
+          <button type="button" onClick={onClear} className="text-slate-500 underline hover:text-slate-800">
+            Clear tags
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div id={panelId} role="group" aria-label="Filter by tag" className="mt-2 rounded-2xl border border-slate-200 p-2">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <input
+              type="search"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="Find a tag…"
+              aria-label="Find a tag"
+              className="min-w-0 flex-1 rounded-full border border-slate-200 px-3 py-1 focus:outline-none focus:ring-2 focus:ring-indigo-200"
+            />
+            <div role="group" aria-label="Match tags" className="inline-flex items-center gap-1 text-slate-600">
+              Match
+              {TAG_MODES.map((m) => (
+                <button
+                  key={m.id}
+                  type="button"
+                  aria-pressed={mode === m.id}
+                  onClick={() => onModeChange(m.id)}
+                  className={`rounded-full border px-2 py-0.5 ${mode === m.id ? 'bg-slate-900 border-slate-900 text-white' : 'bg-white border-slate-300'}`}
+                >
+                  {m.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {visible.length > 0 ? (
+            <ul className="mt-2 flex flex-wrap gap-x-3 gap-y-1">
+              {visible.map((f) => (
+                <li key={f.tag}>
+                  <label className={`inline-flex items-center gap-1 ${!f.selected && f.count === 0 ? 'text-slate-400' : 'cursor-pointer'}`}>
+                    <input
+                      type="checkbox"
+                      checked={f.selected}
+                      disabled={!f.selected && f.count === 0}
+                      onChange={() => onToggle(f.tag)}
+                    />
+                    {f.tag} <span className="text-slate-400">({f.count})</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="mt-2 text-slate-500">No tags match “{text.trim()}”.</p>
+          )}
+
+          {!text.trim() && matching.length > limit && (
+            <button type="button" onClick={() => setShowAll((s) => !s)} className="mt-2 text-indigo-700 underline hover:text-indigo-900">
+              {showAll ? 'Show fewer tags' : `Show all ${matching.length} tags`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagFacet;
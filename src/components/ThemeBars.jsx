@@ -0,0 +1,62 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, ResponsiveContainer } from 'recharts';
+import { segmentStyle, segmentButtonProps } from '../utils/chartViews';
+import { describeSegment } from '../utils/ringNavigation';
+import ThemeKey from './ThemeKey';
+
+/**
+ * ThemeBars - One horizontal bar per theme, stacked from its barriers
+ *
+ * A bar's length is the sum of its barriers' resources, as the ring's arcs
+ * are. Each barrier's part of the bar is a button that selects it; themes are
+ * selected from the key below.
+ */
+const ThemeBars = ({ themes, barriers, selectedThemes, selectedBarriers, themeColors, onSelect }) => {
+  const selecting = selectedThemes.length > 0 || selectedBarriers.length > 0;
+
+  // Barrier ids contain dots, which Recharts would read as a path, so each bar reads its count itself
+  const renderSegment = (barrier) => ({ x, y, width, height, payload }) => {
+    if (payload?.id !== barrier.themeId || !(width > 0)) return null;
+    const active = selectedBarriers.includes(barrier.id) || selectedThemes.includes(barrier.themeId);
+    const { fill, opacity } = segmentStyle(themeColors[barrier.themeId] || '#64748b', active, selecting);
+    return (
+      <g
+        className="cursor-pointer focus:outline-none [&:focus-visible>rect]:stroke-slate-900"
+        {...segmentButtonProps(
+          describeSegment('barrier', barrier.name, barrier.value, payload.name),
+          selectedBarriers.includes(barrier.id),
+          (additive) => onSelect('barrier', barrier.id, additive),
+        )}
+      >
+        <title>{`${barrier.name} (${barrier.value})`}</title>
+        <rect x={x} y={y} width={width} height={height} fill={fill} opacity={opacity} stroke="#ffffff" strokeWidth={1.5} />
+      </g>
+    );
+  };
+
+  return (
+    <div className="flex h-full flex-col gap-2">
+      <div className="min-h-0 flex-1">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={themes} layout="vertical" margin={{ top: 8, right: 16, bottom: 8, left: 8 }} accessibilityLayer={false}>
+            <XAxis type="number" allowDecimals={false} tick={{ fontSize: 11 }} />
+            <YAxis type="category" dataKey="name" width={170} tick={{ fontSize: 11 }} />
+            {barriers.map((b) => (
+              <Bar
+                key={b.id}
+                name={b.name}
+                dataKey={(row) => (row.id === b.themeId ? b.value : 0)}
+                stackId="themes"
+                isAnimationActive={false}
+                shape={renderSegment(b)}
+              />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+      <ThemeKey themes={themes} selectedThemes={selectedThemes} themeColors={themeColors} onSelect={onSelect} />
+    </div>
+  );
+};
+
+export default ThemeBars;
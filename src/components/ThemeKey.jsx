@@ -0,0 +1,26 @@
+import React from 'react';
+
+/**
+ * ThemeKey - Colour key of the themes, whose entries select them
+ *
+ * Shown under the treemap and the bars, where the themes are drawn only as
+ * colours. Ctrl/⌘/Shift-click adds a theme to the selection.
+ */
+const ThemeKey = ({ themes, selectedThemes, themeColors, onSelect }) => (
+  <div role="group" aria-label="Themes" className="flex flex-wrap gap-1.5 text-xs">
+    {themes.map((t) => (
+      <button
+        key={t.id}
+        type="button"
+        aria-pressed={selectedThemes.includes(t.id)}
+        onClick={(e) => onSelect('theme', t.id, e.ctrlKey || e.metaKey || e.shiftKey)}
+        className={`inline-flex items-center gap-1 rounded-full border px-2.5 py-0.5 ${selectedThemes.includes(t.id) ? 'border-slate-900 bg-slate-100' : 'border-slate-300 bg-white hover:bg-slate-50'}`}
+      >
+        <span aria-hidden="true" className="h-2 w-2 shrink-0 rounded-full" style={{ background: themeColors[t.id] || '#94a3b8' }} />
+        {t.name} <span className="text-slate-400">({t.displayCount})</span>
+      </button>
+    ))}
+  </div>
+);
+
+export default ThemeKey;
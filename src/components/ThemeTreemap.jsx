@@ -0,0 +1,62 @@
+import React from 'react';
+import { Treemap, ResponsiveContainer } from 'recharts';
+import { segmentStyle, segmentButtonProps } from '../utils/chartViews';
+import { describeSegment } from '../utils/ringNavigation';
+import ThemeKey from './ThemeKey';
+
+/**
+ * ThemeTreemap - Themes as areas split into their barriers, sized by resources
+ *
+ * Each barrier is a button that selects it, as in the ring; themes are
+ * selected from the key below. Barriers with no matching resources have no
+ * area, so are left out.
+ */
+const ThemeTreemap = ({ themes, barriers, selectedThemes, selectedBarriers, themeColors, onSelect }) => {
+  const selecting = selectedThemes.length > 0 || selectedBarriers.length > 0;
+  const data = themes
+    .map((t) => ({ id: t.id, name: t.name, children: barriers.filter((b) => b.themeId === t.id && b.value > 0) }))
+    .filter((t) => t.children.length);
+
+  const renderNode = (node) => {
+    const { depth, x, y, width, height } = node;
+    if (depth !== 2 || width < 1 || height < 1) return null;
+    const theme = themes.find((t) => t.id === node.themeId);
+    const active = selectedBarriers.includes(node.id) || selectedThemes.includes(node.themeId);
+    const { fill, opacity } = segmentStyle(themeColors[node.themeId] || '#64748b', active, selecting);
+    return (
+      <g
+        className="cursor-pointer focus:outline-none [&:focus-visible>rect]:stroke-slate-900"
+        {...segmentButtonProps(
+          describeSegment('barrier', node.name, node.value, theme?.name),
+          selectedBarriers.includes(node.id),
+          (additive) => onSelect('barrier', node.id, additive),
+        )}
+      >
+        <title>{`${node.name} (${node.value})`}</title>
+        <rect x={x} y={y} width={width} height={height} fill={fill} opacity={opacity} stroke="#ffffff" strokeWidth={2} />
+        {width > 60 && height > 24 && (
+          <text x={x + 6} y={y + 16} fontSize={11} fill="#0f172a" pointerEvents="none">
+            {node.name.length * 6 > width - 12 ? `${node.name.slice(0, Math.max(1, Math.floor((width - 12) / 6) - 1))}…` : node.name}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  return (
+    <div className="flex h-full flex-col gap-2">
+      <div className="min-h-0 flex-1">
+        {data.length ? (
+          <ResponsiveContainer width="100%" height="100%">
+            <Treemap data={data} dataKey="value" nameKey="name" isAnimationActive={false} content={renderNode} />
+          </ResponsiveContainer>
+        ) : (
+          <p className="flex h-full items-center justify-center text-sm text-slate-600">No resources match the filters.</p>
+        )}
+      </div>
+      <ThemeKey themes={themes} selectedThemes={selectedThemes} themeColors={themeColors} onSelect={onSelect} />
+    </div>
+  );
+};
+
+export default ThemeTreemap;
@@ -0,0 +1,87 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { recordVisit, entriesSince, summarizeEntries } from '../utils/changelog';
+import { formatResourceDate } from '../utils/dataTransform';
+
+const MAX_LISTED = 8;
+
+/**
+ * WhatsNew - Header button and panel listing data changes since the last visit
+ *
+ * The previous visit is kept in localStorage; nothing renders on a first visit
+ * or when no build has changed the data since.
+ */
+const WhatsNew = ({ changelog, storage }) => {
+  const [lastVisit, setLastVisit] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const store = storage || (typeof window !== 'undefined' ? window.localStorage : null);
+    if (store) setLastVisit(recordVisit(store));
+  }, [storage]);
+
+  const entries = useMemo(() => entriesSince(changelog?.entries, lastVisit), [changelog, lastVisit]);
+  const summary = useMemo(() => summarizeEntries(entries), [entries]);
+  const count = summary.added.length + summary.removed.length + summary.modified + summary.taxonomy.length;
+
+  if (!count) return null;
+
+  return (
+    <div className="absolute right-4 top-1/2 -translate-y-1/2 text-left">
+      <button
+        onClick={() => setOpen(o => !o)}
+        aria-expanded={open}
+        aria-controls="whats-new-panel"
+        className="inline-flex items-center gap-1.5 rounded-full bg-white/10 hover:bg-white/20 px-3 py-1 text-xs"
+      >
+        What's new
+        <span className="rounded-full bg-amber-400 text-slate-900 px-1.5 text-[10px] font-semibold">{count}</span>
+      </button>
+      {open && (
+        <section
+          id="whats-new-panel"
+          aria-label="What's new since your last visit"
+          className="absolute right-0 mt-2 w-80 max-h-96 overflow-auto rounded-2xl bg-white text-slate-800 shadow-lg border border-slate-200 p-3 text-xs"
+        >
+          <div className="flex items-start justify-between gap-2 mb-2">
+            <h2 className="font-semibold text-sm">
+              Since your last visit on {formatResourceDate(lastVisit.slice(0, 10), 'day')}
+            </h2>
+            <button onClick={() => setOpen(false)} className="text-slate-500 hover:text-slate-800" aria-label="Close what's new">×</button>
+          </div>
+          <p className="text-slate-600 mb-2">
+            {summary.added.length} new, {summary.modified} updated and {summary.removed.length} removed resource(s).
+          </p>
+          {summary.added.length > 0 && (
+            <>
+              <h3 className="font-medium mt-2 mb-1">New resources</h3>
+              <ul className="list-disc pl-4 space-y-0.5">
+                {summary.added.slice(0, MAX_LISTED).map(r => <li key={r.id}>{r.title}</li>)}
+              </ul>
+              {summary.added.length > MAX_LISTED && (
+                <p className="text-slate-500 mt-1">and {summary.added.length - MAX_LISTED} more</p>
+              )}
+            </>
+          )}
+          {summary.removed.length > 0 && (
+            <>
+              <h3 className="font-medium mt-2 mb-1">Removed</h3>
+              <ul className="list-disc pl-4 space-y-0.5">
+                {summary.removed.slice(0, MAX_LISTED).map(r => <li key={r.id}>{r.title}</li>)}
+              </ul>
+            </>
+          )}
+          {summary.taxonomy.length > 0 && (
+            <>
+              <h3 className="font-medium mt-2 mb-1">Themes and barriers</h3>
+              <ul className="list-disc pl-4 space-y-0.5">
+                {summary.taxonomy.map(line => <li key={line}>{line}</li>)}
+              </ul>
+            </>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default WhatsNew;
@@ -0,0 +1,58 @@
+import React, { useId } from 'react';
+
+/**
+ * YearRange - Date range filter over a histogram of resources per year
+ *
+ * `histogram` comes from yearHistogram. `from` and `to` are null while the
+ * range is open at that end; dragging a slider back to the first or last year
+ * reopens it, so undated resources are only hidden while a range is set.
+ * `label`, when given, describes the range in place of the slider years, as
+ * the range may also be set to the month on the timeline.
+ */
+const YearRange = ({ histogram, from, to, label, onChange }) => {
+  const id = useId();
+  const active = from !== null || to !== null;
+  if (histogram.length < 2 && !active) return null;
+
+  const min = histogram[0]?.year ?? from ?? to;
+  const max = histogram.at(-1)?.year ?? to ?? from;
+  const low = from ?? min;
+  const high = to ?? max;
+  const peak = Math.max(1, ...histogram.map((h) => h.count));
+  const set = (first, last) => onChange(first <= min ? null : first, last >= max ? null : last);
+
+  return (
+    <fieldset className="text-xs text-slate-600">
+      <legend className="flex items-center gap-2">
+        <span>Published <span className="font-medium text-slate-900">{label || (low === high ? low : `${low}–${high}`)}</span></span>
+        {active && (
+          <button type="button" onClick={() => onChange(null, null)} className="text-slate-500 underline hover:text-slate-800">
+            Any year
+          </button>
+        )}
+      </legend>
+      {histogram.length > 1 && (
+        <>
+          <div aria-hidden="true" className="mt-1 flex h-8 w-48 items-end gap-px">
+            {histogram.map((h) => (
+              <div
+                key={h.year}
+                title={`${h.year}: ${h.count}`}
+                style={{ height: `${Math.max(4, (h.count / peak) * 100)}%` }}
+                className={`flex-1 rounded-t-sm ${h.year >= low && h.year <= high ? 'bg-indigo-400' : 'bg-slate-200'}`}
+              />
+            ))}
+          </div>
+          <div className="grid w-48 grid-cols-[2.5rem,1fr] items-center gap-x-1">
+            <label htmlFor={`${id}-from`}>From</label>
+            <input id={`${id}-from`} type="range" min={min} max={max} value={low} onChange={(e) => set(Math.min(Number(e.target.value), high), high)} />
+            <label htmlFor={`${id}-to`}>To</label>
+            <input id={`${id}-to`} type="range" min={min} max={max} value={high} onChange={(e) => set(low, Math.max(Number(e.target.value), low))} />
+          </div>
+        </>
+      )}
+    </fieldset>
+  );
+};
+
+export default YearRange;
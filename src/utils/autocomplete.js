@@ -0,0 +1,146 @@
+/**
+ * Search-as-you-type suggestions for the search box.
+ *
+ * Suggestions are drawn from resource titles, tags, publishers, barriers and
+ * themes, and are matched against the word being typed: the text after the
+ * last space, or after an unclosed quote. A field prefix in that word (tag:, publisher:, barrier:)
+ * narrows the suggestions to that kind.
+ */
+
+import { normalizePhrase } from "./search";
+import { resourceThemes } from "./dataTransform";
+
+/** Suggestion groups, in display order */
+export const SUGGESTION_GROUPS = [
+  { type: "resource", label: "Resources" },
+  { type: "tag", label: "Tags" },
+  { type: "barrier", label: "Barriers" },
+  { type: "theme", label: "Themes" },
+  { type: "publisher", label: "Publishers" },
+];
+
+const PREFIX_TYPES = { tag: "tag", publisher: "publisher", barrier: "barrier" };
+
+const countBy = (values) => {
+  const counts = new Map();
+  values.forEach((value) => {
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return counts;
+};
+
+const entry = (type, id, label, count) => ({ type, id, label, count, key: normalizePhrase(label) });
+
+/**
+ * Everything that can be suggested, prepared once per data set
+ * @param {Array<Object>} resources - Normalized resources
+ * @param {Array<Object>} themes - Themes with id and name
+ * @param {Array<Object>} barriers - Barriers with id, name and themeId
+ * @returns {Array<Object>} Entries { type, id, label, count, key }
+ */
+export const buildSuggestionSources = (resources, themes = [], barriers = []) => {
+  const tags = countBy(resources.flatMap((r) => r.tags || []));
+  const publishers = countBy(resources.map((r) => r.publisher));
+  const perBarrier = countBy(resources.flatMap((r) => r.barriers || []));
+  const perTheme = countBy(resources.flatMap(resourceThemes));
+  return [
+    ...resources.map((r) => entry("resource", r.id, r.title, null)),
+    ...[...tags].map(([tag, count]) => entry("tag", tag, tag, count)),
+    ...barriers.map((b) => ({ ...entry("barrier", b.id, b.name, perBarrier.get(b.id) || 0), themeId: b.themeId })),
+    ...themes.map((t) => entry("theme", t.id, t.name, perTheme.get(t.id) || 0)),
+    ...[...publishers].map(([publisher, count]) => entry("publisher", publisher, publisher, count)),
+  ];
+};
+
+/**
+ * The word being typed, and the field it is restricted to. Inside an
+ * unclosed quote the fragment is the whole quoted text so far, spaces
+ * included, together with any field prefix before the quote.
+ * @param {string} input - Search box text
+ * @returns {{start: number, text: string, type: string|null}} start is where the word begins in the input
+ */
+export const currentFragment = (input = "") => {
+  const quoteOpen = (input.match(/"/g) || []).length % 2 === 1;
+  const start = (quoteOpen ? input.slice(0, input.lastIndexOf('"')) : input).search(/\S*$/);
+  const word = input.slice(start).replace(/^-/, "");
+  const prefix = word.match(/^([a-z]+):"?(.*)$/is);
+  if (prefix && PREFIX_TYPES[prefix[1].toLowerCase()]) {
+    return { start, text: normalizePhrase(prefix[2]), type: PREFIX_TYPES[prefix[1].toLowerCase()] };
+  }
+  return { start, text: normalizePhrase(word), type: null };
+};
+
+/** 0 when the label starts with the text, 1 when a later word does, 2 for a match inside a word, -1 otherwise */
+const matchRank = (key, text) => {
+  if (key.startsWith(text)) return 0;
+  if (key.includes(` ${text}`)) return 1;
+  return text.length >= 3 && key.includes(text) ? 2 : -1;
+};
+
+/**
+ * Grouped suggestions for the search box
+ * @param {Array<Object>} sources - From buildSuggestionSources
+ * @param {string} input - Search box text
+ * @param {Object} [options]
+ * @param {number} [options.perGroup] - Most suggestions per group
+ * @param {number} [options.minLength] - Characters needed before suggesting (not needed after a prefix)
+ * @returns {Array<{type: string, label: string, items: Array<Object>}>} Non-empty groups in SUGGESTION_GROUPS order
+ */
+export const getSuggestions = (sources, input, { perGroup = 5, minLength = 2 } = {}) => {
+  const { text, type } = currentFragment(input);
+  if (!type && text.length < minLength) return [];
+
+  return SUGGESTION_GROUPS
+    .filter((group) => !type || group.type === type)
+    .map((group) => ({
+      ...group,
+      items: sources
+        .filter((s) => s.type === group.type)
+        .map((s) => ({ s, rank: text ? matchRank(s.key, text) : 0 }))
+        .filter(({ rank }) => rank >= 0)
+        .sort((a, b) => a.rank - b.rank || (b.s.count || 0) - (a.s.count || 0) || a.s.label.localeCompare(b.s.label))
+        .slice(0, perGroup)
+        .map(({ s }) => s),
+    }))
+    .filter((group) => group.items.length);
+};
+
+const quote = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+const isExclusion = (input) => input.slice(currentFragment(input).start).startsWith("-");
+
+const FACET_TYPES = new Set(["barrier", "theme", "tag"]);
+
+/**
+ * Whether picking a suggestion selects it in a facet rather than editing the
+ * query: barriers and themes select the ring, tags the tag facet. Facets
+ * cannot exclude, so an excluded suggestion (typed after `-`) stays a query filter.
+ * @param {string} input - Search box text
+ * @param {Object} item - Picked suggestion
+ * @returns {boolean}
+ */
+export const selectsSuggestion = (input, item) => FACET_TYPES.has(item.type) && !isExclusion(input);
+
+/**
+ * Search box text after picking a suggestion. Publishers, resources and
+ * excluded tags, barriers and themes replace the word being typed with a
+ * filter or exact title; suggestions selected in a facet instead (see
+ * selectsSuggestion) just remove the word. A theme is written as
+ * `barrier:<theme id>`, which matches every barrier in it.
+ * @param {string} input - Search box text
+ * @param {Object} item - Picked suggestion
+ * @returns {string}
+ */
+export const applySuggestion = (input, item) => {
+  const before = input.slice(0, currentFragment(input).start);
+  if (selectsSuggestion(input, item)) return before;
+  const negation = isExclusion(input) ? "-" : "";
+  const replacement = {
+    resource: () => `${negation}"${item.label.replace(/"/g, "")}" `,
+    tag: () => `${negation}tag:${quote(item.label)} `,
+    barrier: () => `${negation}barrier:${item.id} `,
+    theme: () => `${negation}barrier:${item.id} `,
+    publisher: () => `${negation}publisher:${quote(item.label)} `,
+  }[item.type];
+  return replacement ? `${before}${replacement()}` : before;
+};
@@ -0,0 +1,72 @@
+/**
+ * Helpers for the "What's new" panel, driven by data-changelog.json
+ */
+
+export const LAST_VISIT_KEY = "pdatf:lastVisit";
+
+// The previous visit each storage held when this page loaded
+const previousVisits = new WeakMap();
+
+/**
+ * Read and update the last-visit timestamp, tolerating blocked storage. The
+ * previous visit is read once per page load, so a component mounting again
+ * (or twice, as in React's StrictMode) is not handed the visit just recorded.
+ * @param {Storage} storage - Usually window.localStorage
+ * @param {string} now - ISO timestamp of this visit
+ * @returns {string|null} The previous visit, or null on a first visit
+ */
+export const recordVisit = (storage, now = new Date().toISOString()) => {
+  if (previousVisits.has(storage)) return previousVisits.get(storage);
+  try {
+    const previous = storage.getItem(LAST_VISIT_KEY);
+    storage.setItem(LAST_VISIT_KEY, now);
+    previousVisits.set(storage, previous);
+    return previous;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Changelog entries generated after a given time
+ * @param {Array<Object>} entries - Changelog entries, newest first
+ * @param {string|null} since - ISO timestamp of the last visit
+ * @returns {Array<Object>} Matching entries; none when there was no previous visit
+ */
+export const entriesSince = (entries = [], since) => {
+  if (!since) return [];
+  return entries.filter((e) => e.generatedAt > since);
+};
+
+/**
+ * Merge several entries into one summary, so a resource added then removed
+ * between visits does not show up at all
+ * @param {Array<Object>} entries - Changelog entries, newest first
+ * @returns {{added: Array<Object>, removed: Array<Object>, modified: number, taxonomy: Array<string>}}
+ */
+export const summarizeEntries = (entries = []) => {
+  const added = new Map();
+  const removed = new Map();
+  const modified = new Set();
+  const taxonomy = [];
+
+  [...entries].reverse().forEach(({ resources, barriers, barrierThemes }) => {
+    resources.added.forEach((r) => { removed.delete(r.id); added.set(r.id, r); });
+    resources.removed.forEach((r) => {
+      if (added.has(r.id)) added.delete(r.id);
+      else removed.set(r.id, r);
+      modified.delete(r.id);
+    });
+    resources.modified.forEach((r) => { if (!added.has(r.id)) modified.add(r.id); });
+
+    barrierThemes.added.forEach((t) => taxonomy.push(`New theme: ${t.title}`));
+    barrierThemes.renamed.forEach((t) => taxonomy.push(`Theme renamed: ${t.from} → ${t.to}`));
+    barrierThemes.removed.forEach((t) => taxonomy.push(`Theme removed: ${t.title}`));
+    barriers.added.forEach((b) => taxonomy.push(`New barrier: ${b.title}`));
+    barriers.renamed.forEach((b) => taxonomy.push(`Barrier renamed: ${b.from} → ${b.to}`));
+    barriers.reparented.forEach((b) => taxonomy.push(`Barrier moved: ${b.id} → ${b.to}`));
+    barriers.removed.forEach((b) => taxonomy.push(`Barrier removed: ${b.title}`));
+  });
+
+  return { added: [...added.values()], removed: [...removed.values()], modified: modified.size, taxonomy };
+};
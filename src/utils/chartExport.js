@@ -0,0 +1,198 @@
+/**
+ * Export of the chart as a standalone SVG or a PNG, entirely in the browser.
+ *
+ * The chart's own SVG is copied as it is drawn, including the textPath
+ * labels that follow the ring, with any patterns it uses from elsewhere in
+ * the page. Colours and fonts set by the page's stylesheets are written onto
+ * the copy, since the stylesheets do not travel with it. It is framed with a title, a legend of theme colours and a
+ * caption of the active filters and the date of the data, so the picture
+ * keeps its context when pasted into a slide.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const FONT = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif";
+const PAD = 16;
+const LINE = 18;
+
+/** PNG resolutions, as multiples of the chart's size on screen */
+export const EXPORT_SCALES = [1, 2, 3];
+
+/**
+ * Escape text for use in SVG markup
+ * @param {string} text
+ * @returns {string}
+ */
+export const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+/**
+ * One caption line per active filter
+ * @param {Array<{label: string, values: Array<string>, all?: boolean}>} filters - Each filter with
+ *   its selected values; `all` when several values must all match
+ * @returns {Array<string>} e.g. "Personas: Project, Business"; "No filters" when none is active
+ */
+export const describeFilters = (filters) => {
+  const lines = filters
+    .filter((f) => f.values.length)
+    .map((f) => `${f.label}: ${f.values.join(", ")}${f.all && f.values.length > 1 ? " (all of them)" : ""}`);
+  return lines.length ? lines : ["No filters"];
+};
+
+/**
+ * File name for an export
+ * @param {string} view - Chart view id
+ * @param {string} extension - "svg" or "png"
+ * @param {Date} [date] - Day of the export
+ * @returns {string} e.g. "pdatf-ring-2025-03-01.svg"
+ */
+export const exportFilename = (view, extension, date = new Date()) =>
+  `pdatf-${view}-${date.toISOString().slice(0, 10)}.${extension}`;
+
+const serialize = (node) => new XMLSerializer().serializeToString(node);
+
+// Presentation set by the page's stylesheets (Tailwind classes, Recharts CSS), which the export leaves behind
+const STYLED = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "opacity",
+  "font-family", "font-size", "font-weight", "font-style", "text-anchor", "dominant-baseline", "letter-spacing",
+];
+
+// Copy each element's computed presentation onto its clone, skipping values it inherits anyway
+const inlineStyles = (source, copy) => {
+  const sources = [source, ...source.querySelectorAll("*")];
+  const copies = [copy, ...copy.querySelectorAll("*")];
+  const computed = new Map(sources.map((el) => [el, window.getComputedStyle(el)]));
+  sources.forEach((el, i) => {
+    const style = computed.get(el);
+    const parent = computed.get(el.parentElement);
+    STYLED.forEach((property) => {
+      const value = style.getPropertyValue(property);
+      if (value && (!parent || parent.getPropertyValue(property) !== value)) copies[i].style.setProperty(property, value);
+    });
+  });
+};
+
+// Ids of patterns, gradients and paths an SVG refers to with url(#id) or href="#id"
+const referencedIds = (markup) =>
+  new Set([...markup.matchAll(/url\(#([^)]+)\)|href="#([^"]+)"/g)].map((m) => m[1] || m[2]));
+
+// Legend entries laid out in rows that fit the width, as [x, y, entry]
+const layoutLegend = (legend, width) => {
+  const placed = [];
+  let x = PAD;
+  let y = 0;
+  legend.forEach((entry) => {
+    const w = 22 + entry.name.length * 6.5;
+    if (x > PAD && x + w > width - PAD) {
+      x = PAD;
+      y += LINE;
+    }
+    placed.push([x, y, entry]);
+    x += w + 12;
+  });
+  return { placed, height: legend.length ? y + LINE : 0 };
+};
+
+/**
+ * A standalone SVG of the chart, framed with a title, legend and caption
+ * @param {SVGSVGElement} chart - The chart's <svg> as drawn on the page
+ * @param {Object} frame
+ * @param {string} frame.title - Heading above the chart
+ * @param {Array<{name: string, color: string}>} frame.legend - Theme colours
+ * @param {Array<string>} frame.caption - Lines under the legend, e.g. from describeFilters
+ * @param {string} frame.timestamp - Last line, with the date of the data and of the export
+ * @returns {{svg: string, width: number, height: number}} Markup and size in pixels
+ */
+export const buildExportSvg = (chart, { title, legend = [], caption = [], timestamp = "" }) => {
+  const chartWidth = Number(chart.getAttribute("width")) || chart.getBoundingClientRect().width;
+  const chartHeight = Number(chart.getAttribute("height")) || chart.getBoundingClientRect().height;
+  const width = Math.max(chartWidth, 480);
+
+  const copy = chart.cloneNode(true);
+  copy.setAttribute("x", String((width - chartWidth) / 2));
+  copy.setAttribute("y", String(PAD + LINE + 8));
+  copy.setAttribute("width", String(chartWidth));
+  copy.setAttribute("height", String(chartHeight));
+  copy.removeAttribute("style");
+  inlineStyles(chart, copy);
+  // Bring in what the chart uses from elsewhere on the page, such as the ring's hatching
+  const own = new Set([...copy.querySelectorAll("[id]")].map((el) => el.id));
+  const missing = [...referencedIds(serialize(copy))].filter((id) => !own.has(id));
+  if (missing.length) {
+    const defs = document.createElementNS(SVG_NS, "defs");
+    missing.forEach((id) => {
+      const source = document.getElementById(id);
+      if (!source) return;
+      const clone = source.cloneNode(true);
+      inlineStyles(source, clone);
+      defs.appendChild(clone);
+    });
+    copy.insertBefore(defs, copy.firstChild);
+  }
+
+  const legendTop = PAD + LINE + 8 + chartHeight + 12;
+  const { placed, height: legendHeight } = layoutLegend(legend, width);
+  const captionTop = legendTop + legendHeight + 8;
+  const lines = [...caption, timestamp].filter(Boolean);
+  const height = captionTop + lines.length * LINE + PAD;
+
+  const parts = [
+    `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT)}">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    `<text x="${PAD}" y="${PAD + 12}" font-size="16" font-weight="600" fill="#0f172a">${escapeXml(title)}</text>`,
+    serialize(copy),
+    ...placed.map(([x, y, entry]) => (
+      `<g transform="translate(${x} ${legendTop + y})"><rect width="12" height="12" rx="2" fill="${escapeXml(entry.color)}"/>` +
+      `<text x="18" y="10" font-size="12" fill="#334155">${escapeXml(entry.name)}</text></g>`
+    )),
+    ...lines.map((line, i) => (
+      `<text x="${PAD}" y="${captionTop + i * LINE + 12}" font-size="12" fill="${i === lines.length - 1 && timestamp ? "#64748b" : "#334155"}">${escapeXml(line)}</text>`
+    )),
+    "</svg>",
+  ];
+  return { svg: parts.join(""), width, height };
+};
+
+/**
+ * Draw an exported SVG onto a canvas and encode it as PNG
+ * @param {string} svg - Markup from buildExportSvg
+ * @param {number} width - Its width in pixels
+ * @param {number} height - Its height in pixels
+ * @param {number} [scale] - Resolution, as a multiple of the size
+ * @returns {Promise<Blob>}
+ */
+export const svgToPng = (svg, width, height, scale = 1) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("The chart could not be drawn as PNG"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The chart could not be drawn as PNG"));
+    };
+    image.src = url;
+  });
+
+/**
+ * Save a file from the browser
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,82 @@
+/**
+ * Alternatives to the theme and barrier ring: a treemap, stacked bars, a
+ * persona × barrier heatmap and a timeline of coverage (see timeline.js).
+ *
+ * Every view draws the same counts as the ring (resources passing every
+ * filter but the ring selection) and selects through the same theme and
+ * barrier selection, so switching views keeps the results as they are.
+ */
+
+import { lighten } from "./colors";
+
+/** Views of the theme and barrier hierarchy; the first is the default */
+export const CHART_VIEWS = [
+  { id: "ring", label: "Ring" },
+  { id: "treemap", label: "Treemap" },
+  { id: "bars", label: "Bars" },
+  { id: "heatmap", label: "Heatmap" },
+  { id: "timeline", label: "Timeline" },
+];
+
+export const DEFAULT_CHART_VIEW = CHART_VIEWS[0].id;
+
+/**
+ * Fill and opacity of a segment, matching the ring: the theme's colour when
+ * active, a tint otherwise, and faded while something else is selected
+ * @param {string} color - Theme colour
+ * @param {boolean} active - Whether the segment is selected or in a selected theme
+ * @param {boolean} selecting - Whether anything is selected
+ * @returns {{fill: string, opacity: number}}
+ */
+export const segmentStyle = (color, active, selecting) => ({
+  fill: active ? color : lighten(color, 0.45),
+  opacity: selecting && !active ? 0.35 : 1,
+});
+
+/**
+ * Props that make an SVG shape behave as a toggle button: focusable, named,
+ * and selected by a click or Enter/Space, adding to the selection with
+ * Ctrl/⌘/Shift
+ * @param {string} label - Accessible name
+ * @param {boolean} pressed - Whether the segment is selected
+ * @param {Function} select - Called with whether to add to the selection
+ * @returns {Object}
+ */
+export const segmentButtonProps = (label, pressed, select) => ({
+  role: "button",
+  tabIndex: 0,
+  "aria-label": label,
+  "aria-pressed": pressed,
+  onClick: (e) => select(!!(e.ctrlKey || e.metaKey || e.shiftKey)),
+  onKeyDown: (e) => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    e.preventDefault();
+    select(!!(e.ctrlKey || e.metaKey || e.shiftKey));
+  },
+});
+
+/**
+ * Resources for each barrier and persona, for the heatmap
+ * @param {Array<Object>} resources - Resources passing every filter but the ring and personas
+ * @param {Array<{id: string}>} personas - Heatmap columns
+ * @param {Array<{id: string}>} barriers - Heatmap rows
+ * @returns {{counts: Object<string, Object<string, number>>, max: number}} counts[barrierId][personaId],
+ *   and the largest count, for shading
+ */
+export const personaBarrierCounts = (resources, personas, barriers) => {
+  const counts = {};
+  barriers.forEach((b) => {
+    counts[b.id] = {};
+    personas.forEach((p) => (counts[b.id][p.id] = 0));
+  });
+  resources.forEach((r) => {
+    (r.barriers || []).forEach((b) => {
+      if (!counts[b]) return;
+      (r.personas || []).forEach((p) => {
+        if (p in counts[b]) counts[b][p] += 1;
+      });
+    });
+  });
+  const max = Math.max(0, ...Object.values(counts).flatMap((row) => Object.values(row)));
+  return { counts, max };
+};
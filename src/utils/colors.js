@@ -15,3 +15,15 @@ export function lighten(hex, amt = 0.3) {
   const h = (v) => v.toString(16).padStart(2, "0");
   return `#${h(r)}${h(g)}${h(b)}`;
 }
+
+/**
+ * Shade a color by a count, for segments drawn the same size whatever their count
+ * @param {string} hex - Color for the largest count
+ * @param {number} count - The segment's count
+ * @param {number} max - Largest count among the segments
+ * @returns {string} Hex color, from a pale tint for the smallest counts to `hex` for the largest
+ */
+export function shadeByCount(hex, count, max) {
+  if (!max || count <= 0) return lighten(hex, 0.9);
+  return lighten(hex, 0.75 * (1 - Math.min(count, max) / max));
+}
@@ -1,3 +1,9 @@
+import { loadSearchIndex, normalizePhrase } from "./search";
+import { parseQuery, evaluateQuery, explainSynonyms, queryText } from "./query";
+import { expandSynonyms } from "./synonyms";
+import { buildVocabulary, suggestQueries } from "./spelling";
+import { NO_HIGHLIGHT, highlightTerms } from "./highlight";
+
 /**
  * Convert a pipe-delimited string or array to an array of trimmed strings
  * @param {string|Array} v - Value to convert (pipe-delimited string or array)
@@ -8,6 +14,14 @@ export const toArray = (v) =>
     ? v
     : (typeof v === "string" ? v.split("|").map(s => s.trim()).filter(Boolean) : []);
 
+/**
+ * Convert a boolean-ish value (true, "true", "yes", "1") to a boolean
+ * @param {*} v - Value to convert
+ * @returns {boolean}
+ */
+export const toBoolean = (v) =>
+  v === true || (typeof v === "string" && ["true", "yes", "y", "1"].includes(v.trim().toLowerCase()));
+
 /**
  * Normalize a resource object with consistent field structure
  * @param {Object} r - Raw resource object
@@ -19,23 +33,190 @@ export const normalizeResource = (r) => ({
   barriers: toArray(r.barriers),
   tags: toArray(r.tags),
   barrier_category: r.barrier_category || r.barrier_theme || "",
+  featured: toBoolean(r.featured),
 });
 
 /**
- * Filter resources based on text search and persona selection
+ * Themes a resource belongs to. Source rows and merged duplicates may give
+ * several, pipe-joined in barrier_category.
+ * @param {Object} resource - Normalized resource
+ * @returns {Array<string>} Theme ids
+ */
+export const resourceThemes = (resource) => toArray(resource.barrier_category);
+
+/**
+ * Convert a resource date to a string that sorts chronologically.
+ * Build output is already ISO 8601 (YYYY, YYYY-MM or YYYY-MM-DD); US-style
+ * M/D/YYYY from older builds is converted. Anything else sorts as undated.
+ * @param {string} date - Resource date
+ * @returns {string} ISO date prefix, or "" when unknown
+ */
+export const toSortableDate = (date) => {
+  const s = (date || "").trim();
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(s)) return s;
+  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}` : "";
+};
+
+/**
+ * Format a resource date for display, honouring its precision
+ * @param {string} date - ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {string} precision - "day", "month" or "year"; inferred from the date when omitted
+ * @returns {string} e.g. "1 Sep 2025", "Sep 2025", "2025"; the raw value if not ISO
+ */
+export const formatResourceDate = (date, precision) => {
+  const iso = toSortableDate(date);
+  if (!iso) return date || "";
+  const [y, m = 1, d = 1] = iso.split("-").map(Number);
+  const p = precision || (iso.length === 4 ? "year" : iso.length === 7 ? "month" : "day");
+  if (p === "year") return String(y);
+  const options = p === "month"
+    ? { month: "short", year: "numeric", timeZone: "UTC" }
+    : { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" };
+  return new Intl.DateTimeFormat("en-GB", options).format(new Date(Date.UTC(y, m - 1, d)));
+};
+
+// Featured resources stay pinned above the rest whatever the ordering
+const featuredFirst = (compare) => (a, b) => Number(!!b.featured) - Number(!!a.featured) || compare(a, b);
+
+/**
+ * Sort comparator: featured resources first, then newest date first
+ * @param {Object} a - Normalized resource
+ * @param {Object} b - Normalized resource
+ * @returns {number}
+ */
+export const byFeaturedThenDate = featuredFirst((a, b) => toSortableDate(b.date).localeCompare(toSortableDate(a.date)));
+
+/** Result orderings offered in the sort control; the first is the default */
+export const SORT_OPTIONS = [
+  { id: "relevance", label: "Relevance" },
+  { id: "newest", label: "Newest" },
+  { id: "oldest", label: "Oldest" },
+  { id: "title", label: "Title A–Z" },
+];
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Relevance of a search match: the index score (field-weighted), boosted when
+ * the query appears as a phrase and for recent resources. Featured resources
+ * need no boost, as sortResources pins them anyway.
+ * @param {Object} resource - Normalized resource
+ * @param {number} score - Score from searchIndex
+ * @param {string} query - Search query
+ * @param {number} now - Current time in ms, for the recency boost
+ * @returns {number}
+ */
+export const relevanceScore = (resource, score, query, now = Date.now()) => {
+  const phrase = normalizePhrase(query);
+  const title = normalizePhrase(resource.title);
+  let boost = 1;
+  if (phrase && title === phrase) boost *= 3;
+  else if (phrase.includes(" ") && title.includes(phrase)) boost *= 2;
+  else if (phrase.includes(" ") && normalizePhrase(resource.description).includes(phrase)) boost *= 1.5;
+
+  const iso = toSortableDate(resource.date);
+  if (iso) {
+    const [y, m = 1, d = 1] = iso.split("-").map(Number);
+    const ageYears = Math.max(0, (now - Date.UTC(y, m - 1, d)) / YEAR_MS);
+    boost *= 1 + 0.25 * Math.max(0, 1 - ageYears / 5);
+  }
+  return score * boost;
+};
+
+const byTitle = (a, b) => (a.title || "").localeCompare(b.title || "", "en", { sensitivity: "base", numeric: true });
+
+// Undated resources go last in either direction
+const byDate = (direction) => (a, b) => {
+  const da = toSortableDate(a.date);
+  const db = toSortableDate(b.date);
+  if (!da || !db) return Number(!da) - Number(!db) || byTitle(a, b);
+  return direction * da.localeCompare(db) || byTitle(a, b);
+};
+
+/**
+ * Order results for the sort control
+ * @param {Array<Object>} resources - Filtered resources
+ * @param {string} sort - One of SORT_OPTIONS ids
+ * @param {Object} [options]
+ * @param {Map<string, number>|null} [options.scores] - Scores from searchIndex; null without a query
+ * @param {string} [options.query] - Search query, for phrase boosts
+ * @param {number} [options.now] - Current time in ms, for recency boosts
+ * @returns {Array<Object>} A new, sorted array. Every ordering pins featured
+ *   resources above the rest; relevance without a query then shows the newest first.
+ */
+export const sortResources = (resources, sort = "relevance", { scores = null, query = "", now = Date.now() } = {}) => {
+  const list = [...resources];
+  if (sort === "newest") return list.sort(featuredFirst(byDate(-1)));
+  if (sort === "oldest") return list.sort(featuredFirst(byDate(1)));
+  if (sort === "title") return list.sort(featuredFirst(byTitle));
+  if (!scores) return list.sort(byFeaturedThenDate);
+
+  const relevance = new Map(list.map((r) => [r.id, relevanceScore(r, scores.get(r.id) || 0, query, now)]));
+  return list.sort(featuredFirst((a, b) => relevance.get(b.id) - relevance.get(a.id) || byFeaturedThenDate(a, b)));
+};
+
+/**
+ * Run a search query (see query.js for the syntax) over resources
+ * @param {Array<Object>} resources - Normalized resources, in the index's order
+ * @param {string} searchQuery - Text typed by the user
+ * @param {Object} [index] - Search index from loadSearchIndex; built from `resources` when omitted
+ * @param {Object} [synonyms] - From loadSynonyms; queries are not expanded when omitted
+ * @returns {{matches: Map<string, number>|null, errors: Array<Object>, text: string, via: Map<string, Array>, highlight: Object}}
+ *   matches maps resource id to score (null when the query does not filter), errors lists parse
+ *   problems, text is the free text used for relevance ranking, via lists the synonyms that
+ *   brought each result in and highlight says which words to mark (see highlight.js)
+ */
+export const searchResources = (resources, searchQuery = "", index = null, synonyms = null) => {
+  const { clauses, errors } = parseQuery(searchQuery);
+  if (!clauses.length) return { matches: null, errors, text: "", via: new Map(), highlight: NO_HIGHLIGHT };
+
+  const searchable = index || loadSearchIndex(null, resources);
+  const expanded = expandSynonyms(clauses, synonyms);
+  const matches = evaluateQuery(expanded, resources, searchable, { dateOf: (r) => toSortableDate(r.date) });
+  return {
+    matches,
+    errors,
+    text: queryText(clauses),
+    via: explainSynonyms(expanded, resources, searchable, matches),
+    highlight: highlightTerms(expanded, searchable),
+  };
+};
+
+/**
+ * "Did you mean" suggestions for a search that found nothing
+ * @param {Array<Object>} resources - Normalized resources, in the index's order
+ * @param {string} searchQuery - Text typed by the user
+ * @param {Object} [options]
+ * @param {Object} [options.index] - Search index; built from `resources` when omitted
+ * @param {Object} [options.synonyms] - From loadSynonyms
+ * @param {Map<string, number>} [options.vocabulary] - From buildVocabulary; titles and tags only when omitted
+ * @param {Function} [options.filter] - Other filters a suggestion's results must pass
+ * @returns {Array<{query: string, count: number, kind: string}>}
+ */
+export const suggestSearches = (resources, searchQuery, { index = null, synonyms = null, vocabulary = null, filter = () => true } = {}) => {
+  const searchable = index || loadSearchIndex(null, resources);
+  const count = (query) => {
+    const { matches } = searchResources(resources, query, searchable, synonyms);
+    return resources.filter((r) => (!matches || matches.has(r.id)) && filter(r)).length;
+  };
+  return suggestQueries(searchQuery, { index: searchable, vocabulary: vocabulary || buildVocabulary(resources), count });
+};
+
+/**
+ * Filter resources based on a search query and persona selection
  * @param {Array<Object>} resources - Array of normalized resources
- * @param {string} searchQuery - Search query string (searches title, description, tags)
+ * @param {string} searchQuery - Search query (see query.js for the syntax)
  * @param {Array<string>} selectedPersonas - Array of selected persona IDs
+ * @param {Object} [index] - Search index from loadSearchIndex; built from `resources` when omitted
+ * @param {Object} [synonyms] - From loadSynonyms, to match equivalent terms and acronyms
  * @returns {Array<Object>} Filtered resources
  */
-export const filterResources = (resources, searchQuery = '', selectedPersonas = []) => {
-  const q = searchQuery.trim().toLowerCase();
+export const filterResources = (resources, searchQuery = '', selectedPersonas = [], index = null, synonyms = null) => {
+  const { matches } = searchResources(resources, searchQuery, index, synonyms);
 
   return resources.filter((r) => {
-    const matchesText = !q ||
-      r.title.toLowerCase().includes(q) ||
-      r.description.toLowerCase().includes(q) ||
-      (r.tags || []).some((t) => t.toLowerCase().includes(q));
+    const matchesText = !matches || matches.has(r.id);
 
     const matchesPersonas = !selectedPersonas.length ||
       r.personas.some((p) => selectedPersonas.includes(p));
@@ -0,0 +1,192 @@
+/**
+ * Facets for the filter controls: tags, publishers, resource types, years and
+ * the themes and barriers selected in the ring.
+ *
+ * Selected tags filter the results either by any of them (a resource needs one
+ * of the tags) or by all of them; several publishers or types match any of
+ * them. Counts are "live": they are taken from the resources that pass every
+ * other filter, so each count says how many results that choice would give.
+ */
+
+import { normalizePhrase } from "./search";
+import { toSortableDate, resourceThemes } from "./dataTransform";
+
+/** Ways of combining selected tags or ring segments; the first is the default */
+export const TAG_MODES = [
+  { id: "any", label: "Any" },
+  { id: "all", label: "All" },
+];
+
+export const DEFAULT_TAG_MODE = TAG_MODES[0].id;
+
+/**
+ * Whether a resource passes the tag filter
+ * @param {Object} resource - Normalized resource
+ * @param {Array<string>} tags - Selected tags; none means no filter
+ * @param {string} [mode] - "any" or "all"
+ * @returns {boolean}
+ */
+export const matchesTags = (resource, tags = [], mode = DEFAULT_TAG_MODE) => {
+  if (!tags.length) return true;
+  const own = resource.tags || [];
+  return mode === "all" ? tags.every((t) => own.includes(t)) : tags.some((t) => own.includes(t));
+};
+
+/**
+ * Every tag with the number of results it would give
+ * @param {Array<Object>} resources - Resources passing all filters except tags
+ * @param {Array<Object>} allResources - All resources, so tags with no results are still listed
+ * @param {Array<string>} selected - Selected tags
+ * @param {string} [mode] - "any": count each tag on its own, as selecting it adds to the results;
+ *   "all": count within the current selection, as selecting it narrows the results
+ * @returns {Array<{tag: string, count: number, selected: boolean}>} Selected tags first, then by
+ *   count and name
+ */
+export const countTags = (resources, allResources, selected = [], mode = DEFAULT_TAG_MODE) => {
+  const counts = new Map();
+  allResources.forEach((r) => (r.tags || []).forEach((tag) => counts.set(tag, 0)));
+  selected.forEach((tag) => counts.set(tag, 0));
+  resources
+    .filter((r) => mode !== "all" || matchesTags(r, selected, "all"))
+    .forEach((r) => new Set(r.tags || []).forEach((tag) => counts.set(tag, counts.get(tag) + 1)));
+
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count, selected: selected.includes(tag) }))
+    .sort((a, b) => b.selected - a.selected || b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Narrow the facet list to tags containing the text typed in the panel
+ * @param {Array<Object>} facets - From countTags
+ * @param {string} text - Text typed in the panel's tag search
+ * @returns {Array<Object>} Matching facets, in the same order
+ */
+export const findTags = (facets, text) => {
+  const wanted = normalizePhrase(text);
+  return wanted ? facets.filter((f) => normalizePhrase(f.tag).includes(wanted)) : facets;
+};
+
+/**
+ * Whether a single-valued field (publisher, type) passes its filter
+ * @param {string} value - The resource's value
+ * @param {Array<string>} selected - Selected values; none means no filter
+ * @returns {boolean}
+ */
+export const matchesValue = (value, selected = []) => !selected.length || selected.includes(value);
+
+/**
+ * Every value of a single-valued field with the number of results it would give
+ * @param {Array<Object>} resources - Resources passing all filters except this one
+ * @param {Array<Object>} allResources - All resources, so values with no results are still listed
+ * @param {string} field - e.g. "publisher" or "type"
+ * @param {Array<string>} selected - Selected values
+ * @returns {Array<{value: string, count: number, selected: boolean}>} In alphabetical order, so
+ *   the options stay put as counts change
+ */
+export const countValues = (resources, allResources, field, selected = []) => {
+  const counts = new Map();
+  allResources.forEach((r) => r[field] && counts.set(r[field], 0));
+  selected.forEach((value) => counts.set(value, counts.get(value) || 0));
+  resources.forEach((r) => r[field] && counts.set(r[field], counts.get(r[field]) + 1));
+  return [...counts]
+    .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+    .sort((a, b) => a.value.localeCompare(b.value));
+};
+
+const TYPE_ICONS = {
+  article: "📰",
+  blog: "✍️",
+  "case study": "🔍",
+  course: "🎓",
+  dataset: "🗃️",
+  doc: "📄",
+  document: "📄",
+  framework: "🧩",
+  guidance: "🧭",
+  guide: "🧭",
+  playbook: "📘",
+  podcast: "🎧",
+  report: "📊",
+  research: "🔬",
+  standard: "📏",
+  template: "📝",
+  tool: "🛠️",
+  toolkit: "🧰",
+  video: "🎬",
+  webinar: "🎥",
+};
+
+/**
+ * Icon shown next to a resource type
+ * @param {string} type - e.g. "case-study" or "Report"
+ * @returns {string} Emoji; a page for unknown types
+ */
+export const typeIcon = (type) => TYPE_ICONS[normalizePhrase(type)] || "📄";
+
+/**
+ * Display name for a resource type
+ * @param {string} type - e.g. "case-study"
+ * @returns {string} e.g. "Case study"
+ */
+export const typeLabel = (type) => {
+  const words = normalizePhrase(type);
+  return words ? words[0].toUpperCase() + words.slice(1) : "";
+};
+
+/**
+ * Year of a resource's date
+ * @param {Object} resource - Normalized resource
+ * @returns {number|null} null when undated
+ */
+export const resourceYear = (resource) => Number(toSortableDate(resource.date).slice(0, 4)) || null;
+
+/**
+ * Resources per year, for the date range slider
+ * @param {Array<Object>} resources - Resources passing all filters except the years
+ * @param {Array<Object>} allResources - All resources, which set the span of years
+ * @returns {Array<{year: number, count: number}>} Every year from the earliest to the latest
+ *   dated resource, including years with none; empty when nothing is dated
+ */
+export const yearHistogram = (resources, allResources) => {
+  const years = allResources.map(resourceYear).filter(Boolean);
+  if (!years.length) return [];
+  const first = Math.min(...years);
+  const counts = Array.from({ length: Math.max(...years) - first + 1 }, (_, i) => ({ year: first + i, count: 0 }));
+  resources.forEach((r) => {
+    const year = resourceYear(r);
+    if (year !== null && year >= first && year - first < counts.length) counts[year - first].count += 1;
+  });
+  return counts;
+};
+
+/**
+ * Selection after clicking a ring segment. A plain click selects only that
+ * segment (or clears it when it was the only one); a modifier click or long
+ * press adds or removes it, keeping the rest.
+ * @param {Array<string>} selected - Currently selected ids
+ * @param {string} id - Clicked segment
+ * @param {boolean} [additive] - Whether the click adds to the selection
+ * @returns {Array<string>}
+ */
+export const toggleSelection = (selected, id, additive = false) => {
+  if (additive) return selected.includes(id) ? selected.filter((x) => x !== id) : [...selected, id];
+  return selected.length === 1 && selected[0] === id ? [] : [id];
+};
+
+/**
+ * Whether a resource passes the ring selection. A resource is in a theme when
+ * one of its barrier categories, and in a barrier when it lists it.
+ * @param {Object} resource - Normalized resource
+ * @param {Array<string>} themes - Selected theme ids
+ * @param {Array<string>} barriers - Selected barrier ids
+ * @param {string} [mode] - "any": in at least one selected segment; "all": in every one
+ * @returns {boolean}
+ */
+export const matchesRing = (resource, themes = [], barriers = [], mode = DEFAULT_TAG_MODE) => {
+  const checks = [
+    ...themes.map((id) => resourceThemes(resource).includes(id)),
+    ...barriers.map((id) => (resource.barriers || []).includes(id)),
+  ];
+  if (!checks.length) return true;
+  return mode === "all" ? checks.every(Boolean) : checks.some(Boolean);
+};
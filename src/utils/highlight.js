@@ -0,0 +1,116 @@
+/**
+ * Highlighting of matched search terms on result cards.
+ *
+ * Searches match index terms (stems), prefixes of the word being typed and
+ * synonyms, so highlighting works the same way: the query is reduced to the
+ * index terms it matched, and a word on the card is highlighted when it stems
+ * to one of them. "migrating" therefore lights up "migration", and a search
+ * for "BIM" lights up "building information modelling".
+ */
+
+import { STOP_WORDS, matchTerms, normalizePhrase, stem, tokenize } from "./search";
+
+/** Highlight that matches nothing, for when there is no search */
+export const NO_HIGHLIGHT = { terms: new Set(), tags: [] };
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const positiveTerms = (clauses) => clauses.flatMap((c) => c.or || [c]).filter((term) => !term.negated);
+
+/**
+ * What to highlight for a parsed query
+ * @param {Array<Object>} clauses - From expandSynonyms (or parseQuery)
+ * @param {Object} index - From loadSearchIndex
+ * @returns {{terms: Set<string>, tags: Array<string>}} terms are the index terms the
+ *   free text matched; tags are the normalized values of tag: filters
+ */
+export const highlightTerms = (clauses, index) => {
+  const terms = new Set();
+  const tags = [];
+  positiveTerms(clauses).forEach((term) => {
+    if (term.field === "tag") tags.push(normalizePhrase(term.value));
+    if (term.field) return;
+    const words = tokenize(term.value);
+    words.forEach((word, i) => {
+      const partial = !!term.partial && i === words.length - 1;
+      if (!partial && (word.length < 2 || STOP_WORDS.has(word))) return;
+      matchTerms(index, word, partial).forEach((t) => terms.add(t));
+    });
+  });
+  return { terms, tags };
+};
+
+const isMatch = (word, terms) => tokenize(word).some((t) => terms.has(stem(t)));
+
+/**
+ * Split text into highlighted and plain runs. Neighbouring matches separated
+ * only by spaces form one run, so a matched phrase is marked as a whole.
+ * @param {string} text
+ * @param {Object} highlight - From highlightTerms
+ * @returns {Array<{text: string, match: boolean}>} Runs that join back into `text`
+ */
+export const splitHighlights = (text = "", highlight = NO_HIGHLIGHT) => {
+  const value = String(text || "");
+  if (!highlight.terms.size) return value ? [{ text: value, match: false }] : [];
+
+  const parts = [];
+  let last = 0;
+  for (const m of value.matchAll(WORD)) {
+    if (!isMatch(m[0], highlight.terms)) continue;
+    const gap = value.slice(last, m.index);
+    const previous = parts.at(-1);
+    if (previous?.match && /^\s+$/.test(gap)) {
+      previous.text += gap + m[0];
+    } else {
+      if (gap) parts.push({ text: gap, match: false });
+      parts.push({ text: m[0], match: true });
+    }
+    last = m.index + m[0].length;
+  }
+  if (last < value.length) parts.push({ text: value.slice(last), match: false });
+  return parts;
+};
+
+/**
+ * Whether a tag chip should be highlighted: it is named by a tag: filter or
+ * contains a matched word
+ * @param {string} tag
+ * @param {Object} highlight - From highlightTerms
+ * @returns {boolean}
+ */
+export const isHighlightedTag = (tag, highlight = NO_HIGHLIGHT) => {
+  const key = ` ${normalizePhrase(tag)} `;
+  return highlight.tags.some((value) => key.includes(` ${value} `)) || isMatch(tag, highlight.terms);
+};
+
+/**
+ * An excerpt of a long description centred on its first match, for when the
+ * match would otherwise be cut off by the card's three-line clamp
+ * @param {string} text - Plain description text (see toPlainText)
+ * @param {Object} highlight - From highlightTerms
+ * @param {number} [maxLength] - Roughly the characters shown in three lines
+ * @returns {string|null} Excerpt with "…" where text was cut, or null when the
+ *   first match is already visible (or there is none)
+ */
+export const makeSnippet = (text = "", highlight = NO_HIGHLIGHT, maxLength = 160) => {
+  const value = String(text || "");
+  if (value.length <= maxLength) return null;
+
+  let offset = 0;
+  const first = splitHighlights(value, highlight).find((part) => {
+    if (part.match) return true;
+    offset += part.text.length;
+    return false;
+  });
+  if (!first || offset + first.text.length <= maxLength) return null;
+
+  // Start a third of the way back from the match, at a word boundary
+  let start = Math.max(0, offset - Math.floor(maxLength / 3));
+  const space = value.indexOf(" ", start);
+  if (start > 0) start = space >= 0 && space < offset ? space + 1 : offset;
+  let end = Math.min(value.length, start + maxLength);
+  const cut = value.lastIndexOf(" ", end);
+  if (end < value.length && cut > offset + first.text.length) end = cut;
+
+  return `${start > 0 ? "…" : ""}${value.slice(start, end).trim()}${end < value.length ? "…" : ""}`;
+};
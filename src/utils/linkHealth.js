@@ -0,0 +1,26 @@
+/**
+ * Helpers for link-health.json, written by scripts/check-links.mjs
+ */
+
+/**
+ * Attach the last link check to a resource
+ * @param {Object} resource - Normalized resource
+ * @param {Object} health - link-health.json contents
+ * @returns {Object} The resource, with `link` ({ state, status, finalUrl, checkedAt }) when it was checked
+ */
+export const withLinkHealth = (resource, health) => {
+  const check = health?.results?.[resource.id];
+  if (!check || check.url !== resource.url) return resource;
+  const { state, status, finalUrl, checkedAt } = check;
+  return { ...resource, link: { state, status, finalUrl, checkedAt } };
+};
+
+/**
+ * Describe a broken link for a tooltip
+ * @param {Object} link - The `link` added by withLinkHealth
+ * @returns {string} e.g. "HTTP 404 when checked on 2025-10-01"
+ */
+export const describeLinkProblem = (link) => {
+  const when = link.checkedAt ? ` when checked on ${link.checkedAt.slice(0, 10)}` : "";
+  return `${link.status ? `HTTP ${link.status}` : "No response"}${when}`;
+};
@@ -0,0 +1,105 @@
+/**
+ * Minimal parser for the safe Markdown subset allowed in resource descriptions:
+ * paragraphs, bulleted and numbered lists, links, **strong** and *emphasis*.
+ * Produces a plain tree so components can render it without innerHTML.
+ */
+
+const SAFE_HREF = /^(https?:\/\/|mailto:)/i;
+
+const INLINE_PATTERNS = [
+  { type: "link", re: /\[([^\]]+)\]\(([^)\s]+)\)/ },
+  { type: "strong", re: /(\*\*|__)(?=\S)(.+?)(?<=\S)\1/ },
+  { type: "em", re: /(?<![\w*])([*_])(?=\S)(.+?)(?<=\S)\1(?![\w*])/ },
+];
+
+/**
+ * Check whether a link target is safe to render as an anchor
+ * @param {string} href - Link target
+ * @returns {boolean} True for http(s) and mailto URLs
+ */
+export const isSafeHref = (href) => SAFE_HREF.test(href || "");
+
+/**
+ * Parse inline Markdown into nodes
+ * @param {string} text - Single paragraph or list item text
+ * @returns {Array<Object>} Nodes: { type: "text", text } | { type: "link", href, children } |
+ *   { type: "strong" | "em", children }. Unsafe links become their text.
+ */
+export const parseInline = (text = "") => {
+  const nodes = [];
+  let rest = text;
+  while (rest) {
+    let best = null;
+    for (const { type, re } of INLINE_PATTERNS) {
+      const m = rest.match(re);
+      if (m && (best === null || m.index < best.m.index)) best = { type, m };
+    }
+    if (!best) {
+      nodes.push({ type: "text", text: rest });
+      break;
+    }
+    const { type, m } = best;
+    if (m.index > 0) nodes.push({ type: "text", text: rest.slice(0, m.index) });
+    if (type === "link") {
+      const children = parseInline(m[1]);
+      nodes.push(isSafeHref(m[2]) ? { type, href: m[2], children } : { type: "text", text: m[1] });
+    } else {
+      nodes.push({ type, children: parseInline(m[2]) });
+    }
+    rest = rest.slice(m.index + m[0].length);
+  }
+  return nodes;
+};
+
+/**
+ * Parse a description into blocks
+ * @param {string} text - Description text
+ * @returns {Array<Object>} Blocks: { type: "paragraph", children } | { type: "list", ordered, items: [children] }
+ */
+export const parseMarkdown = (text = "") => {
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push({ type: "paragraph", children: parseInline(paragraph.join(" ")) });
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(list);
+    list = null;
+  };
+
+  String(text).split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    const item = line.match(/^(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (!line) {
+      flushParagraph();
+      flushList();
+    } else if (item) {
+      flushParagraph();
+      const ordered = !!item[2];
+      if (list && list.ordered !== ordered) flushList();
+      if (!list) list = { type: "list", ordered, items: [] };
+      list.items.push(parseInline(item[3]));
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  });
+  flushParagraph();
+  flushList();
+  return blocks;
+};
+
+const inlineText = (nodes) => nodes.map((node) => (node.type === "text" ? node.text : inlineText(node.children))).join("");
+
+/**
+ * Description text without Markdown formatting, e.g. for excerpts
+ * @param {string} text - Description text
+ * @returns {string} Paragraphs and list items joined by spaces
+ */
+export const toPlainText = (text = "") => parseMarkdown(text)
+  .flatMap((block) => (block.type === "paragraph" ? [block.children] : block.items))
+  .map(inlineText)
+  .join(" ");
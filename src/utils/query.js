@@ -0,0 +1,316 @@
+/**
+ * Search query language for the resource search box.
+ *
+ *   data strategy            both words (AND)
+ *   "digital twin"           exact phrase
+ *   -draft                   exclude a word, phrase or field match
+ *   bim OR "digital twin"    either side; OR binds tighter than AND
+ *   tag:interoperability     field filters: tag, publisher, type, barrier,
+ *   publisher:"UK Government"   before and after (dates as 2025, 2025-01 or
+ *   before:2025-01              2025-01-31)
+ *
+ * parseQuery never throws: it returns what it could understand together with
+ * errors describing the rest, so a half-typed query still filters sensibly.
+ * Free-text words and phrases are resolved through the search index.
+ */
+
+import { tokenize, normalizePhrase, matchWord, STOP_WORDS } from "./search";
+
+export const QUERY_FIELDS = ["tag", "publisher", "type", "barrier", "before", "after"];
+
+const DATE_FIELDS = new Set(["before", "after"]);
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+const FIELD_LIST = `${QUERY_FIELDS.slice(0, -1).map((f) => `${f}:`).join(", ")} or ${QUERY_FIELDS.at(-1)}:`;
+
+// --- Parsing ---
+
+/**
+ * Split a query into OR keywords and clauses, recording positions for errors
+ * @param {string} query
+ * @returns {{tokens: Array<Object>, errors: Array<Object>}}
+ */
+const lex = (query) => {
+  const tokens = [];
+  const errors = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const close = query.indexOf('"', start + 1);
+    if (close === -1) {
+      errors.push({ message: "Missing closing quote", position: start });
+      i = query.length;
+      return query.slice(start + 1);
+    }
+    i = close + 1;
+    return query.slice(start + 1, close);
+  };
+
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i += 1;
+      continue;
+    }
+    const position = i;
+    const negated = query[i] === "-";
+    if (negated) i += 1;
+
+    if (query[i] === '"') {
+      const value = readQuoted(i);
+      tokens.push({ kind: "clause", negated, field: null, value, phrase: true, position, end: i });
+      continue;
+    }
+
+    let word = "";
+    while (i < query.length && !/\s/.test(query[i]) && query[i] !== '"') {
+      word += query[i];
+      i += 1;
+    }
+    const field = word.match(/^([a-z]+):(.*)$/i);
+    if (field && !field[2] && query[i] === '"') {
+      const value = readQuoted(i);
+      tokens.push({ kind: "clause", negated, field: field[1].toLowerCase(), value, phrase: true, position, end: i });
+    } else if (field) {
+      tokens.push({ kind: "clause", negated, field: field[1].toLowerCase(), value: field[2], phrase: false, position, end: i });
+    } else if (word === "OR" && !negated) {
+      tokens.push({ kind: "or", position });
+    } else {
+      tokens.push({ kind: "clause", negated, field: null, value: word, phrase: false, position, end: i });
+    }
+  }
+  return { tokens, errors };
+};
+
+/**
+ * Check a clause, returning an error message when it cannot be used
+ * @param {Object} clause
+ * @returns {string|null}
+ */
+const validateClause = (clause) => {
+  const { field, value, negated } = clause;
+  if (field === null) {
+    return negated && !clause.phrase && !tokenize(value).length ? 'Put a word straight after "-", e.g. -draft' : null;
+  }
+  if (!QUERY_FIELDS.includes(field)) return `Unknown field "${field}:". Use ${FIELD_LIST}`;
+  if (!value.trim()) return `"${field}:" needs a value, e.g. ${field}:${DATE_FIELDS.has(field) ? "2025-01" : "interoperability"}`;
+  if (DATE_FIELDS.has(field) && !DATE_PATTERN.test(value)) {
+    return `"${field}:" needs a date like 2025, 2025-01 or 2025-01-31 (got "${value}")`;
+  }
+  return null;
+};
+
+/**
+ * Parse a search query
+ * @param {string} query - Text typed by the user
+ * @returns {{clauses: Array<Object>, errors: Array<{message: string, position: number}>}}
+ *   clauses are ANDed together; each is a term { field, value, phrase, negated,
+ *   partial, position, end } or { or: [terms] }, where position and end locate
+ *   the term in the query text
+ */
+export const parseQuery = (query = "") => {
+  const text = String(query || "");
+  const { tokens, errors } = lex(text);
+  const groups = [];
+  let pendingOr = null;
+
+  tokens.forEach((token) => {
+    if (token.kind === "or") {
+      if (pendingOr || !groups.length) {
+        errors.push({ message: "OR needs a search term on both sides", position: token.position });
+      } else {
+        pendingOr = token;
+      }
+      return;
+    }
+    const message = validateClause(token);
+    if (message) {
+      errors.push({ message, position: token.position });
+      return;
+    }
+    if (!token.field && !token.phrase && !tokenize(token.value).length) return;
+    const { field, value, phrase, negated, position, end } = token;
+    const clause = { field, value, phrase, negated, position, end };
+    if (pendingOr) groups[groups.length - 1].push(clause);
+    else groups.push([clause]);
+    pendingOr = null;
+  });
+  if (pendingOr) errors.push({ message: "OR needs a search term on both sides", position: pendingOr.position });
+
+  // The last plain word is still being typed, so it matches as a prefix
+  const last = groups.at(-1)?.at(-1);
+  if (last && !last.field && !last.phrase && !last.negated && /[a-z0-9]$/i.test(text)) last.partial = true;
+
+  return {
+    clauses: groups.map((group) => (group.length === 1 ? group[0] : { or: group })),
+    errors: errors.sort((a, b) => a.position - b.position),
+  };
+};
+
+/**
+ * The positive free text of a query, for phrase boosts when ranking
+ * @param {Array<Object>} clauses - From parseQuery
+ * @returns {string}
+ */
+export const queryText = (clauses) => clauses
+  .filter((c) => !c.or && !c.field && !c.negated)
+  .map((c) => c.value)
+  .join(" ");
+
+// --- Evaluation ---
+
+const containsPhrase = (text, phrase) => ` ${normalizePhrase(text)} `.includes(` ${phrase} `);
+
+/**
+ * Whether a resource satisfies a field clause
+ * @param {Object} resource - Normalized resource
+ * @param {Object} clause - Field clause
+ * @param {Function} dateOf - Resource -> ISO date prefix ("" when undated)
+ * @returns {boolean}
+ */
+const matchesField = (resource, { field, value }, dateOf) => {
+  const phrase = normalizePhrase(value);
+  switch (field) {
+    case "tag":
+      return (resource.tags || []).some((tag) => containsPhrase(tag, phrase));
+    case "publisher":
+      return containsPhrase(resource.publisher, phrase);
+    case "type":
+      return normalizePhrase(resource.type) === phrase;
+    case "barrier":
+      return (resource.barriers || []).some((id) => id === value || id.endsWith(`.${value}`) || containsPhrase(id, phrase));
+    case "before": {
+      const date = dateOf(resource);
+      return !!date && date < value && !value.startsWith(date);
+    }
+    case "after": {
+      const date = dateOf(resource);
+      return !!date && date > value && !date.startsWith(value);
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Resources matching one free-text word, or null when the word is too common to filter on.
+ * Excluded words match exactly (or by prefix), so a misspelt exclusion removes nothing.
+ */
+const wordDocs = (index, word, partial, fuzzy) => (
+  !partial && (word.length < 2 || STOP_WORDS.has(word)) ? null : matchWord(index, word, partial, fuzzy)
+);
+
+const intersect = (a, b) => {
+  const out = new Map();
+  a.forEach((score, doc) => {
+    if (b.has(doc)) out.set(doc, score + b.get(doc));
+  });
+  return out;
+};
+
+const everything = (resources) => new Map(resources.map((_, doc) => [doc, 0]));
+
+/**
+ * Resources matching one term, ignoring its negation
+ * @param {Object} term - Term clause
+ * @param {Object} context - { resources, index, dateOf }
+ * @returns {Map<number, number>|null} doc -> score, or null when the term does not filter
+ */
+const termDocs = (term, { resources, index, dateOf }) => {
+  if (term.field) {
+    const docs = new Map();
+    resources.forEach((r, doc) => {
+      if (matchesField(r, term, dateOf)) docs.set(doc, 0);
+    });
+    return docs;
+  }
+
+  const words = tokenize(term.value);
+  let docs = null;
+  words.forEach((word, i) => {
+    const matched = wordDocs(index, word, !!term.partial && i === words.length - 1, !term.negated);
+    if (matched) docs = docs ? intersect(docs, matched) : matched;
+  });
+  if (!term.phrase || words.length < 2) return docs;
+  const wanted = words.join(" ");
+  const found = new Map();
+  (docs || everything(resources)).forEach((score, doc) => {
+    const r = resources[doc];
+    if ([r.title, r.description, (r.tags || []).join(" ")].some((text) => containsPhrase(text, wanted))) found.set(doc, score);
+  });
+  return found;
+};
+
+const defaultDateOf = (r) => r.date || "";
+
+/**
+ * Evaluate a parsed query
+ * @param {Array<Object>} clauses - From parseQuery (optionally through expandSynonyms)
+ * @param {Array<Object>} resources - Resources the index was built from, in index order
+ * @param {Object} index - From loadSearchIndex
+ * @param {Object} [options]
+ * @param {Function} [options.dateOf] - Resource -> ISO date prefix for before:/after:
+ * @returns {Map<string, number>|null} Resource id -> score, or null when nothing constrains the results
+ */
+export const evaluateQuery = (clauses, resources, index, { dateOf = defaultDateOf } = {}) => {
+  const context = { resources, index, dateOf };
+
+  // A negated term inside OR stands for everything it does not match
+  const clauseDocs = (clause) => {
+    if (!clause.or) return termDocs(clause, context);
+    const docs = new Map();
+    clause.or.forEach((term) => {
+      const matched = termDocs(term, context);
+      const hits = term.negated
+        ? [...everything(resources)].filter(([doc]) => !matched?.has(doc))
+        : [...(matched || everything(resources))];
+      hits.forEach(([doc, score]) => docs.set(doc, Math.max(docs.get(doc) || 0, score)));
+    });
+    return docs;
+  };
+
+  let docs = null;
+  const exclusions = [];
+  clauses.forEach((clause) => {
+    if (clause.negated) {
+      exclusions.push(clause);
+      return;
+    }
+    const matched = clauseDocs(clause);
+    if (matched) docs = docs ? intersect(docs, matched) : matched;
+  });
+  exclusions.forEach((clause) => {
+    const matched = termDocs(clause, context);
+    if (!matched) return;
+    docs = docs || everything(resources);
+    matched.forEach((_, doc) => docs.delete(doc));
+  });
+
+  return docs && new Map([...docs].map(([doc, score]) => [resources[doc].id, score]));
+};
+
+/**
+ * Which synonyms brought each result in: a result is listed against a synonym
+ * when it matches the synonym but not what the user typed
+ * @param {Array<Object>} clauses - From expandSynonyms
+ * @param {Array<Object>} resources - Resources the index was built from, in index order
+ * @param {Object} index - From loadSearchIndex
+ * @param {Map<string, number>|null} matches - From evaluateQuery
+ * @returns {Map<string, Array<{term: string, synonym: string}>>} Resource id -> synonyms used
+ */
+export const explainSynonyms = (clauses, resources, index, matches) => {
+  const via = new Map();
+  if (!matches) return via;
+  const context = { resources, index, dateOf: defaultDateOf };
+  clauses.filter((c) => c.or && c.or.some((term) => term.via)).forEach(({ or }) => {
+    const typed = new Set();
+    or.filter((term) => !term.via).forEach((term) => termDocs(term, context)?.forEach((_, doc) => typed.add(doc)));
+    or.filter((term) => term.via).forEach((term) => {
+      termDocs(term, context)?.forEach((_, doc) => {
+        const id = resources[doc].id;
+        if (typed.has(doc) || !matches.has(id)) return;
+        if (!via.has(id)) via.set(id, []);
+        via.get(id).push(term.via);
+      });
+    });
+  });
+  return via;
+};
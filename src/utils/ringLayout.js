@@ -0,0 +1,31 @@
+/**
+ * Arc sizes for the theme and barrier ring.
+ *
+ * Proportional: a barrier's arc is its resource count, so a barrier with no
+ * matching resources has no arc. Equal: every barrier gets the same arc and is
+ * shaded by its count instead, so gaps in coverage stay visible. Either way a
+ * theme's arc is the sum of its barriers' arcs, so the two rings line up.
+ */
+
+/** Ring layouts; the first is the default */
+export const RING_LAYOUTS = [
+  { id: "proportional", label: "Proportional", hint: "Arc size follows the number of resources" },
+  { id: "equal", label: "Equal", hint: "Every barrier the same size, shaded by its count and hatched when it has none" },
+];
+
+export const DEFAULT_RING_LAYOUT = RING_LAYOUTS[0].id;
+
+/**
+ * Arc sizes for both rings
+ * @param {Array<{id: string, themeId: string, value: number}>} barriers - Barriers with their
+ *   resource counts, in ring order
+ * @param {string} layout - "proportional" or "equal"
+ * @returns {{barriers: Array<Object>, themeSizes: Map<string, number>}} The barriers with a `size`,
+ *   and each theme's size
+ */
+export const ringSizes = (barriers, layout = DEFAULT_RING_LAYOUT) => {
+  const sized = barriers.map((b) => ({ ...b, size: layout === "equal" ? 1 : b.value }));
+  const themeSizes = new Map();
+  sized.forEach((b) => themeSizes.set(b.themeId, (themeSizes.get(b.themeId) || 0) + b.size));
+  return { barriers: sized, themeSizes };
+};
@@ -0,0 +1,55 @@
+/**
+ * Keyboard navigation for the theme and barrier ring.
+ *
+ * The ring is a single tab stop (roving tabindex). Left and Right move round
+ * the current ring, clockwise being Right; Up moves out from a theme to its
+ * first barrier and Down back in from a barrier to its theme; Home and End
+ * jump to the first and last segment of the ring.
+ */
+
+/**
+ * The segment the focus moves to
+ * @param {Array<{id: string}>} themes - Inner ring segments, in ring order
+ * @param {Array<{id: string, themeId: string}>} barriers - Outer ring segments, in ring order
+ * @param {{kind: string, id: string}} current - Focused segment; kind is "theme" or "barrier"
+ * @param {string} key - KeyboardEvent.key
+ * @returns {{kind: string, id: string}|null} null when the key doesn't move the focus
+ */
+export const nextSegment = (themes, barriers, current, key) => {
+  const ring = current.kind === "theme" ? themes : barriers;
+  const at = ring.findIndex((s) => s.id === current.id);
+  if (at < 0) return null;
+  const inRing = (segment) => (segment ? { kind: current.kind, id: segment.id } : null);
+
+  switch (key) {
+    case "ArrowRight":
+      return inRing(ring[(at + 1) % ring.length]);
+    case "ArrowLeft":
+      return inRing(ring[(at - 1 + ring.length) % ring.length]);
+    case "Home":
+      return inRing(ring[0]);
+    case "End":
+      return inRing(ring.at(-1));
+    case "ArrowUp": {
+      const barrier = current.kind === "theme" && barriers.find((b) => b.themeId === current.id);
+      return barrier ? { kind: "barrier", id: barrier.id } : null;
+    }
+    case "ArrowDown": {
+      const themeId = current.kind === "barrier" && ring[at].themeId;
+      return themeId && themes.some((t) => t.id === themeId) ? { kind: "theme", id: themeId } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Accessible name of a ring segment
+ * @param {string} kind - "theme" or "barrier"
+ * @param {string} name - Segment name
+ * @param {number} count - Resources in the segment
+ * @param {string} [themeName] - For barriers, the theme they belong to
+ * @returns {string} e.g. "Barrier: Data standards, 3 resources, in Data Pooling & Interoperability"
+ */
+export const describeSegment = (kind, name, count, themeName) =>
+  `${kind === "theme" ? "Theme" : "Barrier"}: ${name}, ${count} resource${count === 1 ? "" : "s"}${themeName ? `, in ${themeName}` : ""}`;
@@ -0,0 +1,346 @@
+/**
+ * Full-text search over resources using an inverted index.
+ *
+ * build-data.mjs builds the index ahead of time (src/data/search-index.json)
+ * with the same tokeniser and stemmer the client uses for queries, so the two
+ * always agree. The client looks terms up in a Map and resolves prefixes by
+ * binary search over the sorted term list instead of scanning every resource.
+ * A query word the index does not know at all matches the terms a few edits
+ * away from it, scoring below exact and prefix matches.
+ */
+
+export const SEARCH_INDEX_VERSION = 2;
+
+/**
+ * Fields searched and how much a match in each counts. A field counts once per
+ * term however often the term repeats, so a title match (4) always outweighs a
+ * tag and description match together (3).
+ */
+export const FIELD_WEIGHTS = { title: 4, tags: 2, description: 1 };
+
+/** Share of its score a resource keeps when it only matches a word by spelling */
+export const FUZZY_WEIGHT = 0.5;
+
+export const STOP_WORDS = new Set([
+  "a", "about", "above", "after", "again", "against", "all", "am", "an", "and", "any", "are", "as", "at",
+  "be", "because", "been", "before", "being", "below", "between", "both", "but", "by",
+  "can", "could", "did", "do", "does", "doing", "down", "during", "each", "few", "for", "from", "further",
+  "had", "has", "have", "having", "he", "her", "here", "hers", "herself", "him", "himself", "his", "how",
+  "i", "if", "in", "into", "is", "it", "its", "itself", "just", "me", "more", "most", "my", "myself",
+  "no", "nor", "not", "now", "of", "off", "on", "once", "only", "or", "other", "our", "ours", "ourselves", "out", "over", "own",
+  "same", "she", "should", "so", "some", "such", "than", "that", "the", "their", "theirs", "them", "themselves", "then",
+  "there", "these", "they", "this", "those", "through", "to", "too", "under", "until", "up", "very",
+  "was", "we", "were", "what", "when", "where", "which", "while", "who", "whom", "why", "will", "with", "would",
+  "you", "your", "yours", "yourself", "yourselves",
+]);
+
+// --- Porter stemmer (M. F. Porter, 1980) ---
+
+const STEP2 = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble", alli: "al",
+  entli: "ent", eli: "e", ousli: "ous", ization: "ize", ation: "ate", ator: "ate", alism: "al",
+  iveness: "ive", fulness: "ful", ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble", logi: "log",
+};
+const STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+
+const cons = "[^aeiou]";
+const vowel = "[aeiouy]";
+const CONS_SEQ = `${cons}[^aeiouy]*`;
+const VOWEL_SEQ = `${vowel}[aeiou]*`;
+const M_GT_0 = new RegExp(`^(${CONS_SEQ})?${VOWEL_SEQ}${CONS_SEQ}`);
+const M_EQ_1 = new RegExp(`^(${CONS_SEQ})?${VOWEL_SEQ}${CONS_SEQ}(${VOWEL_SEQ})?$`);
+const M_GT_1 = new RegExp(`^(${CONS_SEQ})?${VOWEL_SEQ}${CONS_SEQ}${VOWEL_SEQ}${CONS_SEQ}`);
+const HAS_VOWEL = new RegExp(`^(${CONS_SEQ})?${vowel}`);
+const CVC = new RegExp(`^${CONS_SEQ}${vowel}[^aeiouwxy]$`);
+
+/**
+ * Reduce an English word to its stem, e.g. "strategies" -> "strategi"
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+export const stem = (word) => {
+  if (word.length < 3 || /\d/.test(word)) return word;
+  let w = word[0] === "y" ? `Y${word.slice(1)}` : word;
+  let m;
+
+  // Step 1a: plurals
+  if ((m = w.match(/^(.+?)(ss|i)es$/))) w = m[1] + m[2];
+  else if ((m = w.match(/^(.+?)([^s])s$/))) w = m[1] + m[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((m = w.match(/^(.+?)eed$/))) {
+    if (M_GT_0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = w.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += "e";
+  }
+
+  // Step 1c: y -> i
+  if ((m = w.match(/^(.+?)y$/)) && HAS_VOWEL.test(m[1])) w = `${m[1]}i`;
+
+  // Step 2
+  if ((m = w.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/))
+    && M_GT_0.test(m[1])) w = m[1] + STEP2[m[2]];
+
+  // Step 3
+  if ((m = w.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/)) && M_GT_0.test(m[1])) w = m[1] + STEP3[m[2]];
+
+  // Step 4
+  if ((m = w.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/))) {
+    if (M_GT_1.test(m[1])) w = m[1];
+  } else if ((m = w.match(/^(.+?)(s|t)(ion)$/)) && M_GT_1.test(m[1] + m[2])) {
+    w = m[1] + m[2];
+  }
+
+  // Step 5
+  if ((m = w.match(/^(.+?)e$/)) && (M_GT_1.test(m[1]) || (M_EQ_1.test(m[1]) && !CVC.test(m[1])))) w = m[1];
+  if (/ll$/.test(w) && M_GT_1.test(w)) w = w.slice(0, -1);
+
+  return w[0] === "Y" ? `y${w.slice(1)}` : w;
+};
+
+// --- Tokenising ---
+
+const fold = (text) => String(text || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Split text into lower-case words, ignoring accents and punctuation
+ * @param {string} text
+ * @returns {Array<string>} Words, in order
+ */
+export const tokenize = (text) => fold(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * Text reduced to its words separated by single spaces, for phrase matching
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizePhrase = (text) => tokenize(text).join(" ");
+
+/**
+ * Words to index: stemmed, without stop words or single letters
+ * @param {string} text
+ * @returns {Array<string>} Terms, in order
+ */
+export const analyze = (text) => tokenize(text)
+  .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+  .map(stem);
+
+const fieldText = (value) => (Array.isArray(value) ? value.join(" ") : value);
+
+// --- Fuzzy matching ---
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * adjacent letters (optimal string alignment)
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max] - Stop early once the distance must exceed this
+ * @returns {number} Distance, or max + 1 when it is larger than max
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      let d = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length] > max ? max + 1 : previous[b.length];
+};
+
+/** Edits tolerated for a word of this length */
+export const maxEdits = (word) => (word.length <= 4 ? 1 : word.length <= 8 ? 2 : 3);
+
+// --- Index ---
+
+/**
+ * Build an inverted index. Postings are flat [doc, score, doc, score, ...]
+ * arrays where doc indexes `ids` and score sums the weights of the fields
+ * containing the term.
+ * @param {Array<Object>} resources - Resources with id, title, description, tags
+ * @param {Object} weights - Field weights, FIELD_WEIGHTS by default
+ * @returns {Object} { version, weights, ids, terms, postings } with terms sorted
+ */
+export const buildSearchIndex = (resources, weights = FIELD_WEIGHTS) => {
+  const scores = new Map();
+  resources.forEach((r, doc) => {
+    Object.entries(weights).forEach(([field, weight]) => {
+      new Set(analyze(fieldText(r[field]))).forEach((term) => {
+        if (!scores.has(term)) scores.set(term, new Map());
+        const docs = scores.get(term);
+        docs.set(doc, (docs.get(doc) || 0) + weight);
+      });
+    });
+  });
+
+  const terms = [...scores.keys()].sort();
+  return {
+    version: SEARCH_INDEX_VERSION,
+    weights,
+    ids: resources.map((r) => r.id),
+    terms,
+    postings: terms.map((term) => [...scores.get(term)].flat()),
+  };
+};
+
+/**
+ * Prepare an index for querying. A prebuilt index is used when it was built
+ * from exactly these resources; otherwise one is built on the spot.
+ * @param {Object|null} prebuilt - search-index.json contents
+ * @param {Array<Object>} resources - Resources being searched
+ * @returns {Object} Searchable index
+ */
+export const loadSearchIndex = (prebuilt, resources) => {
+  const matches = prebuilt
+    && prebuilt.version === SEARCH_INDEX_VERSION
+    && prebuilt.ids.length === resources.length
+    && prebuilt.ids.every((id, i) => id === resources[i].id);
+  const index = matches ? prebuilt : buildSearchIndex(resources);
+  return {
+    ...index,
+    lookup: new Map(index.terms.map((term, i) => [term, index.postings[i]])),
+  };
+};
+
+/** First position in the sorted term list not before `prefix` */
+const lowerBound = (terms, prefix) => {
+  let lo = 0;
+  let hi = terms.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (terms[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Terms matching a word as typed: its stem, and prefixes while it is still being typed
+const exactTerms = (index, word, partial) => {
+  const stemmed = stem(word);
+  if (!partial) return index.lookup.has(stemmed) ? [stemmed] : [];
+
+  const found = new Set();
+  [stemmed, word].forEach((prefix) => {
+    for (let i = lowerBound(index.terms, prefix); i < index.terms.length && index.terms[i].startsWith(prefix); i += 1) {
+      found.add(index.terms[i]);
+    }
+  });
+  for (let len = Math.max(4, word.length - 3); len < word.length; len += 1) {
+    const shorter = word.slice(0, len);
+    if (index.lookup.has(shorter)) found.add(shorter);
+  }
+  return [...found];
+};
+
+/**
+ * Index terms within maxEdits of a word's stem, for words of four letters or more
+ * @param {Object} index - From loadSearchIndex
+ * @param {string} word - Lower-case query word
+ * @returns {Array<string>} Matching terms, closest first
+ */
+export const fuzzyTerms = (index, word) => {
+  const stemmed = stem(word);
+  if (stemmed.length < 4 || /^\d+$/.test(stemmed)) return [];
+  const max = maxEdits(stemmed);
+  return index.terms
+    .map((term) => [term, editDistance(stemmed, term, max)])
+    .filter(([, distance]) => distance <= max)
+    .sort((a, b) => a[1] - b[1])
+    .map(([term]) => term);
+};
+
+// Terms matching a word as typed or, failing that, by spelling
+const findTerms = (index, word, partial, fuzzy) => {
+  const terms = exactTerms(index, word, partial);
+  return terms.length || !fuzzy ? { terms, fuzzy: false } : { terms: fuzzyTerms(index, word), fuzzy: true };
+};
+
+/**
+ * Index terms matching one query word. The last word of a query is still
+ * being typed, so it also matches as a prefix, and stems that are a slightly
+ * shorter form of it ("migrati" finds "migrat"). A word matching nothing that
+ * way matches terms a few edits away ("goverance" finds "govern").
+ * @param {Object} index - From loadSearchIndex
+ * @param {string} word - Lower-case query word
+ * @param {boolean} partial - Whether to match prefixes
+ * @param {boolean} [fuzzy] - Whether to fall back to misspellings
+ * @returns {Array<string>} Matching terms
+ */
+export const matchTerms = (index, word, partial = false, fuzzy = true) => findTerms(index, word, partial, fuzzy).terms;
+
+/**
+ * Resources containing one query word. Resources found by spelling score
+ * FUZZY_WEIGHT of their score, so they rank below exact matches.
+ * @param {Object} index - From loadSearchIndex
+ * @param {string} word - Lower-case query word
+ * @param {boolean} partial - Whether to match prefixes
+ * @param {boolean} [fuzzy] - Whether to fall back to misspellings
+ * @returns {Map<number, number>} Position in index.ids -> best score of a matching term
+ */
+export const matchWord = (index, word, partial = false, fuzzy = true) => {
+  const docs = new Map();
+  const found = findTerms(index, word, partial, fuzzy);
+  const weight = found.fuzzy ? FUZZY_WEIGHT : 1;
+  found.terms.forEach((term) => {
+    const postings = index.lookup.get(term);
+    for (let i = 0; i < postings.length; i += 2) {
+      docs.set(postings[i], Math.max(docs.get(postings[i]) || 0, postings[i + 1] * weight));
+    }
+  });
+  return docs;
+};
+
+/**
+ * Split a query into words to look up, dropping stop words except the word
+ * being typed
+ * @param {string} query
+ * @returns {Array<{word: string, partial: boolean}>}
+ */
+export const parseQueryWords = (query) => {
+  const words = tokenize(query);
+  const last = /[a-z0-9]$/.test(fold(query)) ? words.length - 1 : -1;
+  return words
+    .map((word, i) => ({ word, partial: i === last }))
+    .filter(({ word, partial }) => partial || (word.length > 1 && !STOP_WORDS.has(word)));
+};
+
+/**
+ * Find resources containing every word of a query
+ * @param {Object} index - From loadSearchIndex
+ * @param {string} query - Text typed by the user
+ * @returns {Map<string, number>|null} Resource id -> score, or null for an empty query
+ */
+export const searchIndex = (index, query) => {
+  if (!String(query || "").trim()) return null;
+  const words = parseQueryWords(query);
+  if (!words.length) return new Map();
+
+  let scores = null;
+  for (const { word, partial } of words) {
+    const wordScores = matchWord(index, word, partial);
+    if (scores) {
+      const next = new Map();
+      scores.forEach((score, doc) => {
+        if (wordScores.has(doc)) next.set(doc, score + wordScores.get(doc));
+      });
+      scores = next;
+    } else {
+      scores = wordScores;
+    }
+    if (!scores.size) break;
+  }
+
+  return new Map([...scores].map(([doc, score]) => [index.ids[doc], score]));
+};
@@ -0,0 +1,112 @@
+/**
+ * "Did you mean" suggestions for searches that find nothing.
+ *
+ * The vocabulary holds every word in resource titles, tags and barrier names
+ * with the number of resources using it. Query words the index does not know
+ * are compared against it by edit distance, and a corrected (or shortened)
+ * query is only offered when it actually finds something.
+ */
+
+import { tokenize, matchWord, editDistance, maxEdits, STOP_WORDS } from "./search";
+import { parseQuery } from "./query";
+
+export { editDistance, maxEdits };
+
+const isVocabularyWord = (word) => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word);
+
+/**
+ * Words that corrections may suggest
+ * @param {Array<Object>} resources - Normalized resources
+ * @param {Array<Object>} [barriers] - Barriers with id and name
+ * @returns {Map<string, number>} Word -> number of resources using it
+ */
+export const buildVocabulary = (resources, barriers = []) => {
+  const counts = new Map();
+  const add = (text, uses) => new Set(tokenize(text).filter(isVocabularyWord))
+    .forEach((word) => counts.set(word, (counts.get(word) || 0) + uses));
+
+  const perBarrier = new Map();
+  resources.forEach((r) => {
+    add(`${r.title || ""} ${(r.tags || []).join(" ")}`, 1);
+    (r.barriers || []).forEach((id) => perBarrier.set(id, (perBarrier.get(id) || 0) + 1));
+  });
+  barriers.forEach((b) => add(b.name, perBarrier.get(b.id) || 0));
+  return counts;
+};
+
+/**
+ * Vocabulary words closest to a (misspelt) word
+ * @param {Map<string, number>} vocabulary - From buildVocabulary
+ * @param {string} word - Lower-case word
+ * @param {number} [limit]
+ * @returns {Array<string>} Closest first; more widely used words win ties
+ */
+export const closestWords = (vocabulary, word, limit = 3) => {
+  const max = maxEdits(word);
+  const found = [];
+  vocabulary.forEach((uses, candidate) => {
+    if (candidate === word) return;
+    const distance = editDistance(word, candidate, max);
+    if (distance <= max) found.push({ candidate, distance, uses });
+  });
+  return found
+    .sort((a, b) => a.distance - b.distance || b.uses - a.uses || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+};
+
+// Replace every run of letters in the text that the tokenizer reads as `word`, accents and case aside
+const replaceWord = (text, word, replacement) => text.replace(/[\p{L}\p{M}\p{N}]+/gu, (run) => {
+  const words = tokenize(run);
+  return words.length === 1 && words[0] === word ? replacement : run;
+});
+
+const span = (clause) => (clause.or ? [clause.or[0].position, clause.or.at(-1).end] : [clause.position, clause.end]);
+
+/**
+ * Alternative queries for a search that found nothing: spelling corrections
+ * first, then the query with one clause left out
+ * @param {string} query - Text typed by the user
+ * @param {Object} options
+ * @param {Object} options.index - From loadSearchIndex
+ * @param {Map<string, number>} options.vocabulary - From buildVocabulary
+ * @param {Function} options.count - Query -> number of results it would show
+ * @param {number} [options.limit]
+ * @returns {Array<{query: string, count: number, kind: string}>} kind is "spelling" or "broader"
+ */
+export const suggestQueries = (query, { index, vocabulary, count, limit = 3 }) => {
+  const { clauses } = parseQuery(query);
+  const words = clauses
+    .flatMap((c) => c.or || [c])
+    .filter((term) => !term.field && !term.negated)
+    .flatMap((term) => tokenize(term.value));
+  const unknown = [...new Set(words)].filter((word) => isVocabularyWord(word) && !matchWord(index, word, true, false).size);
+  const fixes = unknown
+    .map((word) => [word, closestWords(vocabulary, word)])
+    .filter(([, candidates]) => candidates.length);
+
+  // The best correction for every word, then one word at a time swapped for a runner-up
+  const corrected = (swap = -1, alternative = null) => fixes
+    .reduce((text, [word, candidates], i) => replaceWord(text, word, i === swap ? alternative : candidates[0]), query)
+    .trim();
+  const spelling = fixes.length ? [corrected()] : [];
+  fixes.forEach(([, candidates], i) => candidates.slice(1).forEach((alt) => spelling.push(corrected(i, alt))));
+
+  const broader = clauses.length > 1
+    ? clauses.map((clause) => {
+      const [start, end] = span(clause);
+      return `${query.slice(0, start)} ${query.slice(end)}`.replace(/\s+/g, " ").trim();
+    })
+    : [];
+
+  const seen = new Set([query.trim()]);
+  const suggestions = [];
+  [["spelling", spelling], ["broader", broader]].forEach(([kind, queries]) => {
+    const found = queries
+      .filter((q) => q && !seen.has(q) && seen.add(q))
+      .map((q) => ({ query: q, count: count(q), kind }))
+      .filter((s) => s.count > 0);
+    suggestions.push(...(kind === "broader" ? found.sort((a, b) => b.count - a.count) : found));
+  });
+  return suggestions.slice(0, limit);
+};
@@ -0,0 +1,99 @@
+/**
+ * Synonym and acronym expansion for search queries.
+ *
+ * src/data/synonyms.json is built from the maintained data/synonyms.csv and
+ * lists groups of equivalent terms, e.g. ["BIM", "building information modelling"].
+ * A query word, or run of words, equal to one term of a group also matches the
+ * other terms, which are searched as phrases.
+ */
+
+import { normalizePhrase } from "./search";
+
+/**
+ * Prepare synonyms for lookup
+ * @param {{groups: Array<Array<string>>}|null} data - synonyms.json contents
+ * @returns {{lookup: Map<string, Object>, longest: number}} lookup maps a normalized
+ *   term to { term, alternatives }; longest is the most words in any term
+ */
+export const loadSynonyms = (data) => {
+  const lookup = new Map();
+  let longest = 1;
+  (data?.groups || []).forEach((group) => {
+    group.forEach((term) => {
+      const key = normalizePhrase(term);
+      if (!key) return;
+      const alternatives = group.filter((other) => normalizePhrase(other) !== key);
+      const known = lookup.get(key);
+      lookup.set(key, { term: known?.term || term, alternatives: [...new Set([...(known?.alternatives || []), ...alternatives])] });
+      longest = Math.max(longest, key.split(" ").length);
+    });
+  });
+  return { lookup, longest };
+};
+
+const isPlainWord = (clause) => !clause.or && !clause.field && !clause.phrase;
+
+const alternativeTerms = ({ term, alternatives }, negated) => alternatives.map((synonym) => ({
+  field: null, value: synonym, phrase: true, negated, via: { term, synonym },
+}));
+
+/**
+ * Add synonyms to a parsed query. Unquoted words are expanded; "quoted phrases"
+ * and field filters are left exact. A word that is excluded (-bim) excludes its
+ * synonyms too.
+ * @param {Array<Object>} clauses - From parseQuery
+ * @param {Object|null} synonyms - From loadSynonyms
+ * @returns {Array<Object>} Clauses where each expanded run of words is an OR of
+ *   what was typed and its synonyms; synonym terms carry `via: { term, synonym }`
+ */
+export const expandSynonyms = (clauses, synonyms) => {
+  if (!synonyms || !synonyms.lookup.size) return clauses;
+  const find = (text) => synonyms.lookup.get(normalizePhrase(text));
+  const expanded = [];
+
+  for (let i = 0; i < clauses.length;) {
+    const clause = clauses[i];
+    if (clause.or) {
+      const or = clause.or.flatMap((term) => {
+        const entry = isPlainWord(term) && !term.negated && find(term.value);
+        return entry ? [term, ...alternativeTerms(entry, false)] : [term];
+      });
+      expanded.push({ ...clause, or });
+      i += 1;
+    } else if (isPlainWord(clause) && clause.negated) {
+      const entry = find(clause.value);
+      expanded.push(clause, ...(entry ? alternativeTerms(entry, true) : []));
+      i += 1;
+    } else if (isPlainWord(clause)) {
+      // Prefer the longest run of words that is a term ("digital twin" over "digital")
+      let size = Math.min(synonyms.longest, clauses.length - i);
+      while (size > 0) {
+        const run = clauses.slice(i, i + size);
+        if (run.every((c) => isPlainWord(c) && !c.negated) && find(run.map((c) => c.value).join(" "))) break;
+        size -= 1;
+      }
+      if (size) {
+        const run = clauses.slice(i, i + size);
+        const typed = { ...run[0], value: run.map((c) => c.value).join(" "), end: run.at(-1).end, partial: run.at(-1).partial };
+        expanded.push({ or: [typed, ...alternativeTerms(find(typed.value), false)] });
+        i += size;
+      } else {
+        expanded.push(clause);
+        i += 1;
+      }
+    } else {
+      expanded.push(clause);
+      i += 1;
+    }
+  }
+  return expanded;
+};
+
+/**
+ * Explain which synonyms matched a result, for display on its card
+ * @param {Array<{term: string, synonym: string}>} via - From explainSynonyms
+ * @returns {string} e.g. 'Matched "large language model" (synonym of LLM)'
+ */
+export const describeSynonymMatch = (via = []) => (via.length
+  ? `Matched ${via.map(({ term, synonym }) => `"${synonym}" (synonym of ${term})`).join(", ")}`
+  : "");
@@ -0,0 +1,155 @@
+/**
+ * Coverage timeline: resources per month or quarter of publication, broken
+ * down by theme, and the date filter it shares with the year range.
+ *
+ * Periods are months written "YYYY-MM"; the year range sets whole years and
+ * brushing the timeline sets any stretch of months. A resource dated only by
+ * its year counts from the start of that year, both on the timeline and in
+ * the filter, so the two always agree.
+ */
+
+import { toSortableDate, formatResourceDate, resourceThemes } from "./dataTransform";
+
+/** Timeline steps; the first is the default */
+export const TIMELINE_STEPS = [
+  { id: "quarter", label: "Quarter" },
+  { id: "month", label: "Month" },
+];
+
+export const DEFAULT_TIMELINE_STEP = TIMELINE_STEPS[0].id;
+
+/** Whether a value is a month, "YYYY-MM" */
+export const isMonth = (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value || "");
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * First month of a period bound given as a year or a month, as in the URL
+ * @param {string|number|null} value - "YYYY", "YYYY-MM" or a year
+ * @returns {string|null} "YYYY-MM", January for a year; null when not a date
+ */
+export const startMonth = (value) => {
+  const v = String(value ?? "");
+  return /^\d{4}$/.test(v) ? `${v}-01` : isMonth(v) ? v : null;
+};
+
+/**
+ * Last month of a period bound given as a year or a month, as in the URL
+ * @param {string|number|null} value - "YYYY", "YYYY-MM" or a year
+ * @returns {string|null} "YYYY-MM", December for a year; null when not a date
+ */
+export const endMonth = (value) => {
+  const v = String(value ?? "");
+  return /^\d{4}$/.test(v) ? `${v}-12` : isMonth(v) ? v : null;
+};
+
+/**
+ * Month a resource was published in
+ * @param {Object} resource - Normalized resource
+ * @returns {string|null} "YYYY-MM"; January for year-only dates; null when undated
+ */
+export const resourceMonth = (resource) => {
+  const iso = toSortableDate(resource.date);
+  if (!iso) return null;
+  return iso.length === 4 ? `${iso}-01` : iso.slice(0, 7);
+};
+
+/**
+ * Whether a resource falls within a period. Undated resources only pass while
+ * the period is open at both ends.
+ * @param {Object} resource - Normalized resource
+ * @param {string|null} from - First month, or null for no lower bound
+ * @param {string|null} to - Last month, or null for no upper bound
+ * @returns {boolean}
+ */
+export const matchesPeriod = (resource, from = null, to = null) => {
+  if (from === null && to === null) return true;
+  const month = resourceMonth(resource);
+  return month !== null && (from === null || month >= from) && (to === null || month <= to);
+};
+
+const bucketFor = (month, step) => {
+  const [y, m] = month.split("-").map(Number);
+  if (step === "month") return { key: month, label: formatResourceDate(month, "month"), from: month, to: month };
+  const q = Math.floor((m - 1) / 3) + 1;
+  return { key: `${y}-Q${q}`, label: `Q${q} ${y}`, from: `${y}-${pad(q * 3 - 2)}`, to: `${y}-${pad(q * 3)}` };
+};
+
+/**
+ * Resources per period and theme
+ * @param {Array<Object>} resources - Resources passing the filters the timeline honours
+ * @param {Array<Object>} allResources - All resources, which set the span of the timeline
+ * @param {string} [step] - "month" or "quarter"
+ * @returns {Array<{key: string, label: string, from: string, to: string, counts: Object<string, number>,
+ *   total: number}>} Every period from the earliest to the latest dated resource, including periods
+ *   with none; counts are keyed by theme id, a resource counting under each of its themes, and
+ *   total counts each resource once; empty when nothing is dated
+ */
+export const timelineBuckets = (resources, allResources, step = DEFAULT_TIMELINE_STEP) => {
+  const months = allResources.map(resourceMonth).filter(Boolean).sort();
+  if (!months.length) return [];
+
+  const buckets = [];
+  const index = new Map();
+  let [y, m] = months[0].split("-").map(Number);
+  const last = months.at(-1);
+  for (let month = months[0]; month <= last; month = `${y}-${pad(m)}`) {
+    const bucket = bucketFor(month, step);
+    if (!index.has(bucket.key)) {
+      index.set(bucket.key, buckets.length);
+      buckets.push({ ...bucket, counts: {}, total: 0 });
+    }
+    [y, m] = m === 12 ? [y + 1, 1] : [y, m + 1];
+  }
+
+  resources.forEach((r) => {
+    const month = resourceMonth(r);
+    const bucket = month && buckets[index.get(bucketFor(month, step).key)];
+    if (!bucket) return;
+    resourceThemes(r).forEach((theme) => {
+      bucket.counts[theme] = (bucket.counts[theme] || 0) + 1;
+    });
+    bucket.total += 1;
+  });
+  return buckets;
+};
+
+/**
+ * The stretch of the timeline a period covers, for the brush
+ * @param {Array<Object>} buckets - From timelineBuckets
+ * @param {string|null} from - First month of the period
+ * @param {string|null} to - Last month of the period
+ * @returns {{startIndex: number, endIndex: number}} The whole timeline while the period is open
+ */
+export const periodIndexes = (buckets, from, to) => {
+  const start = from ? buckets.findIndex((b) => b.to >= from) : 0;
+  const end = to ? buckets.findLastIndex((b) => b.from <= to) : buckets.length - 1;
+  return { startIndex: Math.max(0, start), endIndex: end < 0 ? buckets.length - 1 : end };
+};
+
+/**
+ * The period a stretch of the timeline covers
+ * @param {Array<Object>} buckets - From timelineBuckets
+ * @param {number} startIndex - First period brushed
+ * @param {number} endIndex - Last period brushed
+ * @returns {{from: string|null, to: string|null}} null at either end of the timeline, so brushing
+ *   the whole of it clears the filter
+ */
+export const periodFromIndexes = (buckets, startIndex, endIndex) => ({
+  from: startIndex > 0 ? buckets[startIndex]?.from ?? null : null,
+  to: endIndex < buckets.length - 1 ? buckets[endIndex]?.to ?? null : null,
+});
+
+/**
+ * Text for a period, in years when it covers whole years
+ * @param {string|null} from - First month
+ * @param {string|null} to - Last month
+ * @returns {string} e.g. "Mar 2024 – Jun 2024", "2019 – 2021", "From Mar 2024", "Up to 2021"; empty while open
+ */
+export const describePeriod = (from, to) => {
+  const years = (!from || from.endsWith("-01")) && (!to || to.endsWith("-12"));
+  const text = (value) => (years ? value.slice(0, 4) : formatResourceDate(value, "month"));
+  if (from && to) return text(from) === text(to) ? text(from) : `${text(from)} – ${text(to)}`;
+  if (from) return `From ${text(from)}`;
+  return to ? `Up to ${text(to)}` : "";
+};
@@ -1,33 +1,80 @@
+import { SORT_OPTIONS } from "./dataTransform";
+import { TAG_MODES, DEFAULT_TAG_MODE } from "./facets";
+import { RING_LAYOUTS, DEFAULT_RING_LAYOUT } from "./ringLayout";
+import { CHART_VIEWS, DEFAULT_CHART_VIEW } from "./chartViews";
+import { TIMELINE_STEPS, DEFAULT_TIMELINE_STEP, startMonth, endMonth } from "./timeline";
+
+const DEFAULT_SORT = SORT_OPTIONS[0].id;
+
 /**
  * Parse URL search parameters and return state object
- * @param {string} searchString - URL search string (e.g., "?theme=X&barrier=Y")
- * @returns {Object} State object with theme, barrier, search query, and personas
+ * @param {string} searchString - URL search string (e.g., "?theme=X&barrier=Y&barrier=Z")
+ * @returns {Object} State object with themes, barriers, ring mode, zoomed theme (null when showing
+ *   all themes), ring layout, chart view, timeline step, search query, personas, tags, tag mode, publishers, types,
+ *   date range (from/to as months "YYYY-MM", null when open; the URL may give years) and sort order
  */
 export const parseURLParams = (searchString = window.location.search) => {
   const params = new URLSearchParams(searchString);
 
   const q = (params.get("q") || "").trim();
-  const theme = params.get("theme") || null;
-  const barrier = params.get("barrier") || null;
+  const themes = params.getAll("theme").filter(Boolean);
+  const barriers = params.getAll("barrier").filter(Boolean);
+  const zoom = params.get("zoom") || null;
+  const view = CHART_VIEWS.some((v) => v.id === params.get("view")) ? params.get("view") : DEFAULT_CHART_VIEW;
+  const layout = RING_LAYOUTS.some((l) => l.id === params.get("layout")) ? params.get("layout") : DEFAULT_RING_LAYOUT;
+  const ringMode = TAG_MODES.some((m) => m.id === params.get("ringMode")) ? params.get("ringMode") : DEFAULT_TAG_MODE;
   const personasStr = params.get("personas") || "";
   const personas = personasStr.split(",").filter(Boolean);
+  const sort = SORT_OPTIONS.some((o) => o.id === params.get("sort")) ? params.get("sort") : DEFAULT_SORT;
+  const tags = (params.get("tags") || "").split(",").filter(Boolean);
+  const tagMode = TAG_MODES.some((m) => m.id === params.get("tagMode")) ? params.get("tagMode") : DEFAULT_TAG_MODE;
+  const publishers = params.getAll("publisher").filter(Boolean);
+  const types = (params.get("types") || "").split(",").filter(Boolean);
+  const step = TIMELINE_STEPS.some((s) => s.id === params.get("step")) ? params.get("step") : DEFAULT_TIMELINE_STEP;
 
   return {
     search: q,
-    theme: theme,
-    barrier: barrier,
-    personas: personas
+    themes: themes,
+    barriers: barriers,
+    ringMode: ringMode,
+    zoom: zoom,
+    layout: layout,
+    view: view,
+    step: step,
+    personas: personas,
+    tags: tags,
+    tagMode: tagMode,
+    publishers: publishers,
+    types: types,
+    from: startMonth(params.get("from")),
+    to: endMonth(params.get("to")),
+    sort: sort
   };
 };
 
 /**
  * Generate URL search string from state object
- * @param {Object} state - State object with search, theme, barrier, personas
+ * @param {Object} state - State object with search, themes, barriers, personas
  * @param {string} state.search - Search query string
- * @param {string|null} state.theme - Selected theme ID
- * @param {string|null} state.barrier - Selected barrier ID
+ * @param {Array<string>} [state.themes] - Selected theme IDs, one `theme` parameter each so that
+ *   links to a single theme keep their old form
+ * @param {Array<string>} [state.barriers] - Selected barrier IDs, one `barrier` parameter each
+ * @param {string} [state.ringMode] - "any" or "all" for the ring selection; omitted when the default
+ * @param {string|null} [state.zoom] - Theme the ring is zoomed into
+ * @param {string} [state.layout] - "proportional" or "equal" ring layout; omitted when the default
+ * @param {string} [state.view] - Chart view ("ring", "treemap", "bars" or "heatmap"); omitted when the default
  * @param {Array<string>} state.personas - Array of selected persona IDs
- * @returns {string} URL search string (e.g., "?theme=X&barrier=Y")
+ * @param {Array<string>} [state.tags] - Selected tags
+ * @param {string} [state.tagMode] - "any" or "all"; omitted from the URL when it is the default
+ * @param {Array<string>} [state.publishers] - Selected publishers, one `publisher` parameter each
+ *   as names may contain commas
+ * @param {Array<string>} [state.types] - Selected resource types
+ * @param {string|null} [state.from] - First month ("YYYY-MM") of the date range, set by the year
+ *   range or the timeline
+ * @param {string|null} [state.to] - Last month of the date range
+ * @param {string} [state.step] - Timeline step, "quarter" or "month"; omitted when the default
+ * @param {string} state.sort - Sort order id; omitted from the URL when it is the default
+ * @returns {string} URL search string (e.g., "?theme=X&barrier=Y&barrier=Z")
  */
 export const generateURLParams = (state) => {
   const params = new URLSearchParams();
@@ -36,25 +83,74 @@ export const generateURLParams = (state) => {
     params.set("q", state.search);
   }
 
-  if (state.theme) {
-    params.set("theme", state.theme);
+  if (state.themes) {
+    state.themes.forEach((theme) => params.append("theme", theme));
+  }
+
+  if (state.barriers) {
+    state.barriers.forEach((barrier) => params.append("barrier", barrier));
   }
 
-  if (state.barrier) {
-    params.set("barrier", state.barrier);
+  if (state.ringMode && state.ringMode !== DEFAULT_TAG_MODE) {
+    params.set("ringMode", state.ringMode);
+  }
+
+  if (state.zoom) {
+    params.set("zoom", state.zoom);
+  }
+
+  if (state.layout && state.layout !== DEFAULT_RING_LAYOUT) {
+    params.set("layout", state.layout);
+  }
+
+  if (state.view && state.view !== DEFAULT_CHART_VIEW) {
+    params.set("view", state.view);
   }
 
   if (state.personas && state.personas.length > 0) {
     params.set("personas", state.personas.join(","));
   }
 
+  if (state.tags && state.tags.length > 0) {
+    params.set("tags", state.tags.join(","));
+  }
+
+  if (state.tagMode && state.tagMode !== DEFAULT_TAG_MODE) {
+    params.set("tagMode", state.tagMode);
+  }
+
+  if (state.publishers) {
+    state.publishers.forEach((publisher) => params.append("publisher", publisher));
+  }
+
+  if (state.types && state.types.length > 0) {
+    params.set("types", state.types.join(","));
+  }
+
+  // Whole years are written as years, so year-range links stay short
+  if (state.from) {
+    params.set("from", state.from.replace(/-01$/, ""));
+  }
+
+  if (state.to) {
+    params.set("to", state.to.replace(/-12$/, ""));
+  }
+
+  if (state.step && state.step !== DEFAULT_TIMELINE_STEP) {
+    params.set("step", state.step);
+  }
+
+  if (state.sort && state.sort !== DEFAULT_SORT) {
+    params.set("sort", state.sort);
+  }
+
   const queryString = params.toString();
   return queryString ? `?${queryString}` : '';
 };
 
 /**
  * Update the browser URL without reloading the page
- * @param {Object} state - State object with search, theme, barrier, personas
+ * @param {Object} state - State object with search, themes, barriers, personas
  * @param {string} pathname - Optional pathname (defaults to current pathname)
  */
 export const updateBrowserURL = (state, pathname = window.location.pathname) => {